@@ -0,0 +1,90 @@
+// app.js
+//
+// La aplicación Express sin levantar el servidor: server.js la pone a
+// escuchar y las pruebas la usan directamente con supertest.
+import express from 'express';
+import cors from 'cors';
+import helmet from 'helmet';
+import swaggerUi from 'swagger-ui-express';
+import { swaggerSpec } from './docs/swagger.js';
+import { getPool } from './config/db.js';
+import { servirArchivos } from './config/almacenamiento.js';
+import { errorHandler } from './routes/errores.js';
+import { RUTA_IMPORTACION } from './routes/importacion.js';
+
+import categoriasRouter from './routes/categorias.routes.js';
+import productosRouter from './routes/productos.routes.js';
+import ingredientesRouter from './routes/ingredientes.routes.js';
+import productoIngredienteRouter from './routes/producto_ingrediente.routes.js';
+import alergenosRouter from './routes/alergenos.routes.js';
+import modificadoresRouter from './routes/modificadores.routes.js';
+import authRouter from './routes/auth.routes.js';
+import usuariosRouter from './routes/usuarios.routes.js';
+import pedidosRouter from './routes/pedidos.routes.js';
+import reportesRouter from './routes/reportes.routes.js';
+import papeleraRouter from './routes/papelera.routes.js';
+import auditoriaRouter from './routes/auditoria.routes.js';
+import menuRouter from './routes/menu.routes.js';
+
+const app = express();
+
+// --- CONFIGURACIÓN DE CORS (IMPORTANTE PARA RENDER + FRONTEND) ---
+// El navegador manda el Origin con el host en minúsculas y cors lo compara
+// tal cual, así que los orígenes van en minúsculas
+const allowedOrigins = [
+  "http://localhost:5500",
+  "http://127.0.0.1:5500",
+  "https://diegod-21.github.io",
+];
+
+app.use(cors({
+  origin: allowedOrigins,
+  credentials: true,
+  // El frontend lee el ETag para enviarlo en If-Match
+  exposedHeaders: ['ETag']
+}));
+
+app.use(helmet());
+
+// JSON de hasta 100kb; la importación lee el suyo con un límite mayor
+const parseJson = express.json();
+app.use((req, res, next) => (RUTA_IMPORTACION.test(req.path) ? next() : parseJson(req, res, next)));
+
+// Swagger
+app.use('/docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
+app.get('/docs-json', (_req, res) => res.json(swaggerSpec));
+
+// Imágenes subidas (cuando las guarda el propio servidor)
+app.use('/imagenes', servirArchivos);
+
+// Rutas API
+app.use('/api/auth', authRouter);
+app.use('/api/usuarios', usuariosRouter);
+app.use('/api/categorias', categoriasRouter);
+app.use('/api/productos', productosRouter);
+app.use('/api/ingredientes', ingredientesRouter);
+app.use('/api/producto-ingrediente', productoIngredienteRouter);
+app.use('/api/alergenos', alergenosRouter);
+app.use('/api/modificadores', modificadoresRouter);
+app.use('/api/pedidos', pedidosRouter);
+app.use('/api/reportes', reportesRouter);
+app.use('/api/papelera', papeleraRouter);
+app.use('/api/auditoria', auditoriaRouter);
+app.use('/api/menu', menuRouter);
+
+// Health
+app.get('/health', async (_req, res) => {
+  try {
+    const pool = await getPool();
+    const [rows] = await pool.query('SELECT 1 AS ok');
+    res.json({ status: 'ok', db: rows[0].ok === 1 });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ status: 'error', db: false });
+  }
+});
+
+// Errores de cualquier ruta (debe ir al final)
+app.use(errorHandler);
+
+export default app;
@@ -0,0 +1,36 @@
+// config/almacenamiento.js
+//
+// ALMACENAMIENTO elige dónde se guardan los archivos subidos (las imágenes
+// de los productos): local (por defecto, un directorio del servidor). Cada
+// implementación expone lo mismo —guardar(nombre, datos, tipo),
+// eliminar(nombre) y url(nombre)— y, si los archivos los sirve esta misma
+// app, un middleware `servir`. Un servicio externo (S3, Cloudinary) se
+// agrega como otra implementación sin tocar las rutas.
+import * as local from './almacenamiento/local.js';
+
+const ALMACENAMIENTOS = { local };
+
+let almacenamiento;
+
+export function getAlmacenamiento() {
+  if (!almacenamiento) {
+    const tipo = (process.env.ALMACENAMIENTO || 'local').toLowerCase();
+    if (!ALMACENAMIENTOS[tipo]) {
+      throw new Error(
+        `ALMACENAMIENTO no soportado: ${tipo}. Opciones: ${Object.keys(ALMACENAMIENTOS).join(', ')}`
+      );
+    }
+    almacenamiento = ALMACENAMIENTOS[tipo].crear();
+  }
+  return almacenamiento;
+}
+
+/**
+ * Middleware para app.js: sirve los archivos cuando el almacenamiento es de
+ * esta app; con uno externo las URLs apuntan a otro lado y se sigue de largo.
+ */
+export function servirArchivos(req, res, next) {
+  const { servir } = getAlmacenamiento();
+  if (!servir) return next();
+  servir(req, res, next);
+}
@@ -0,0 +1,45 @@
+// config/almacenamiento/local.js
+//
+// Archivos en un directorio del servidor: IMAGENES_DIR (por defecto
+// uploads/ en la raíz del proyecto), servidos por la app en /imagenes.
+// IMAGENES_URL cambia la base de las URLs públicas, p. ej. para que el
+// frontend en otro dominio las pida con la URL completa de la API.
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import express from 'express';
+
+const DIR_POR_DEFECTO = fileURLToPath(new URL('../../uploads', import.meta.url));
+
+// Los nombres llevan el hash del contenido: un archivo nunca cambia, así
+// que el navegador lo puede guardar un año sin revalidar
+const UN_ANIO_MS = 365 * 24 * 60 * 60 * 1000;
+
+export function crear() {
+  const dir = path.resolve(process.env.IMAGENES_DIR || DIR_POR_DEFECTO);
+  const base = (process.env.IMAGENES_URL || '/imagenes').replace(/\/+$/, '');
+
+  return {
+    async guardar(nombre, datos) {
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(path.join(dir, nombre), datos);
+    },
+
+    async eliminar(nombre) {
+      await fs.rm(path.join(dir, nombre), { force: true });
+    },
+
+    url(nombre) {
+      return `${base}/${nombre}`;
+    },
+
+    servir: express.static(dir, {
+      immutable: true,
+      maxAge: UN_ANIO_MS,
+      index: false,
+      // helmet pone same-origin; el menú en GitHub Pages carga las imágenes
+      // desde otro dominio
+      setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin'),
+    }),
+  };
+}
@@ -1,19 +1,90 @@
 // config/db.js
-import mysql from 'mysql2/promise';
+//
+// DB_CLIENT elige el motor: mysql (por defecto), mssql o sqlite (en
+// memoria, para pruebas). Los drivers exponen el mismo pool —query(sql,
+// params) con placeholders `?` y getConnection() para transacciones— y un
+// `dialect` con las piezas de SQL que cambian entre motores. Las consultas
+// viven en repositories/.
+import * as mysqlDriver from './drivers/mysql.js';
+import * as mssqlDriver from './drivers/mssql.js';
+import * as sqliteDriver from './drivers/sqlite.js';
+
+const DRIVERS = { mysql: mysqlDriver, mssql: mssqlDriver, sqlite: sqliteDriver };
 
 let pool;
 
+export function dbClient() {
+  const client = (process.env.DB_CLIENT || 'mysql').toLowerCase();
+  if (!DRIVERS[client]) {
+    throw new Error(
+      `DB_CLIENT no soportado: ${client}. Opciones: ${Object.keys(DRIVERS).join(', ')}`
+    );
+  }
+  return client;
+}
+
+function driver() {
+  return DRIVERS[dbClient()];
+}
+
+function connectionConfig() {
+  const { defaults } = driver();
+  return {
+    host: process.env.DB_HOST || 'localhost',
+    port: Number(process.env.DB_PORT) || defaults.port,
+    user: process.env.DB_USER || defaults.user,
+    password: process.env.DB_PASS || '',
+  };
+}
+
+export function databaseName() {
+  return process.env.DB_NAME || 'restaurante';
+}
+
 export async function getPool() {
   if (!pool) {
-    pool = mysql.createPool({
-      host: process.env.DB_HOST || 'localhost',
-      user: process.env.DB_USER || 'root',
-      password: process.env.DB_PASS || '',
-      database: process.env.DB_NAME || 'restaurante',
-      waitForConnections: true,
-      connectionLimit: 10,
-      queueLimit: 0,
-    });
+    // Se guarda la promesa para que las llamadas concurrentes compartan el
+    // pool; si la conexión falla se vuelve a intentar en la siguiente
+    pool = driver()
+      .createPool(connectionConfig(), databaseName())
+      .catch((err) => {
+        pool = undefined;
+        throw err;
+      });
   }
   return pool;
 }
+
+export async function closePool() {
+  if (pool) {
+    const current = pool;
+    pool = undefined;
+    await (await current).end();
+  }
+}
+
+/**
+ * Crea la base de datos si no existe.
+ */
+export async function ensureDatabase() {
+  await driver().ensureDatabase(connectionConfig(), databaseName());
+}
+
+/**
+ * Ejecuta `fn(conn)` dentro de una transacción. Si `fn` lanza, se hace
+ * rollback y el error se propaga; si no, commit.
+ */
+export async function withTransaction(fn) {
+  const conn = await (await getPool()).getConnection();
+  try {
+    await conn.beginTransaction();
+    const result = await fn(conn);
+    await conn.commit();
+    return result;
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
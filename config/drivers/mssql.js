@@ -0,0 +1,178 @@
+// config/drivers/mssql.js
+//
+// SQL Server con el mismo contrato que el driver de MySQL: las consultas se
+// escriben con placeholders `?` (un array se expande a una lista, como en
+// mysql2) y devuelven [filas] o [{ affectedRows, insertId }].
+import sql from 'mssql';
+
+const COLLATION = 'Modern_Spanish_100_CI_AI';
+
+function literal(text) {
+  return `N'${text.replace(/'/g, "''")}'`;
+}
+
+export const dialect = {
+  name: 'mssql',
+  // Las fechas se guardan y se comparan en UTC (useUTC en poolConfig)
+  now: 'SYSUTCDATETIME()',
+  lockHint: ' WITH (UPDLOCK, ROWLOCK)',
+  lockSuffix: '',
+  collateCiAi: `COLLATE ${COLLATION}`,
+
+  // OFFSET ... FETCH exige ORDER BY; todos los listados tienen un orden por defecto
+  paginate({ limit, offset }) {
+    return { clause: 'OFFSET ? ROWS FETCH NEXT ? ROWS ONLY', params: [offset, limit] };
+  },
+
+  like(column) {
+    return `${column} LIKE ? ESCAPE '\\'`;
+  },
+
+  // En SQL Server los corchetes también son comodines
+  escapeLike(value) {
+    return String(value).replace(/[\\%_[]/g, '\\$&');
+  },
+
+  groupConcat(expr, orderBy, separator) {
+    return `STRING_AGG(${expr}, ${literal(separator)}) WITHIN GROUP (ORDER BY ${orderBy})`;
+  },
+
+  minusDays(expr) {
+    return `DATEADD(DAY, -CAST(? AS INT), ${expr})`;
+  },
+};
+
+export const defaults = { port: 1433, user: 'sa' };
+
+/**
+ * Cambia cada `?` fuera de literales por @p0, @p1... y devuelve los
+ * valores de cada parámetro.
+ */
+function translate(text, params = []) {
+  const inputs = [];
+  let next = 0;
+  let inString = false;
+  let out = '';
+
+  const add = (value) => {
+    const name = `p${inputs.length}`;
+    inputs.push([name, value]);
+    return `@${name}`;
+  };
+
+  for (const char of text) {
+    if (char === "'") {
+      inString = !inString;
+      out += char;
+    } else if (char === '?' && !inString) {
+      const value = params[next++];
+      out += Array.isArray(value) ? value.map(add).join(', ') : add(value);
+    } else {
+      out += char;
+    }
+  }
+
+  return { text: out, inputs };
+}
+
+async function run(target, text, params) {
+  const { text: query, inputs } = translate(text, params);
+  const request = new sql.Request(target);
+  for (const [name, value] of inputs) {
+    request.input(name, value);
+  }
+
+  const verb = query.trimStart().slice(0, 6).toUpperCase();
+  if (verb === 'INSERT') {
+    const result = await request.query(`${query};\nSELECT SCOPE_IDENTITY() AS insertId`);
+    const insertId = result.recordset?.[0]?.insertId;
+    return [
+      {
+        affectedRows: result.rowsAffected[0] ?? 0,
+        insertId: insertId === null || insertId === undefined ? undefined : Number(insertId),
+      },
+    ];
+  }
+
+  const result = await request.query(query);
+  if (verb === 'UPDATE' || verb === 'DELETE') {
+    return [{ affectedRows: result.rowsAffected[0] ?? 0 }];
+  }
+  return [result.recordset ?? []];
+}
+
+function poolConfig(config, database) {
+  return {
+    server: config.host,
+    port: config.port,
+    user: config.user,
+    password: config.password,
+    database,
+    pool: { max: 10 },
+    options: {
+      encrypt: process.env.DB_ENCRYPT === 'true',
+      trustServerCertificate: process.env.DB_ENCRYPT !== 'true',
+      // Fechas en UTC, igual que el driver de MySQL
+      useUTC: true,
+    },
+  };
+}
+
+export async function createPool(config, database) {
+  const pool = await new sql.ConnectionPool(poolConfig(config, database)).connect();
+
+  return {
+    dialect,
+    query: (text, params) => run(pool, text, params),
+    // Solo para withTransaction: las consultas van dentro de la transacción
+    async getConnection() {
+      const tx = new sql.Transaction(pool);
+      return {
+        dialect,
+        query: (text, params) => run(tx, text, params),
+        beginTransaction: () => tx.begin(),
+        commit: () => tx.commit(),
+        async rollback() {
+          try {
+            await tx.rollback();
+          } catch (err) {
+            // El servidor ya la revirtió (deadlock, XACT_ABORT...)
+            if (err.code !== 'EABORT') throw err;
+          }
+        },
+        release: () => {},
+      };
+    },
+    end: () => pool.close(),
+  };
+}
+
+export async function ensureDatabase(config, database) {
+  const pool = await new sql.ConnectionPool(poolConfig(config, 'master')).connect();
+  try {
+    await pool
+      .request()
+      .input('nombre', database)
+      .query(
+        `IF DB_ID(@nombre) IS NULL
+         CREATE DATABASE [${database.replace(/]/g, ']]')}] COLLATE ${COLLATION}`
+      );
+  } finally {
+    await pool.close();
+  }
+}
+
+/**
+ * Trigger que mantiene updated_at, el equivalente a
+ * ON UPDATE CURRENT_TIMESTAMP de MySQL. Para las migraciones.
+ */
+export function updatedAtTrigger(tabla, ahora = dialect.now) {
+  return `
+    CREATE TRIGGER trg_${tabla}_updated_at ON ${tabla} AFTER UPDATE AS
+    BEGIN
+      SET NOCOUNT ON;
+      UPDATE t SET updated_at = ${ahora}
+      FROM ${tabla} t JOIN inserted i ON t.id = i.id;
+    END
+  `;
+}
@@ -0,0 +1,92 @@
+// config/drivers/mysql.js
+import mysql from 'mysql2/promise';
+
+function literal(text) {
+  return `'${text.replace(/\\/g, '\\\\').replace(/'/g, "''")}'`;
+}
+
+export const dialect = {
+  name: 'mysql',
+  // Las fechas se guardan y se comparan en UTC (ver createPool)
+  now: 'UTC_TIMESTAMP()',
+  // SELECT ... FROM tabla${lockHint} WHERE ...${lockSuffix}
+  lockHint: '',
+  lockSuffix: ' FOR UPDATE',
+  collateCiAi: 'COLLATE utf8mb4_unicode_ci',
+
+  paginate({ limit, offset }) {
+    return { clause: 'LIMIT ? OFFSET ?', params: [limit, offset] };
+  },
+
+  like(column) {
+    return `${column} LIKE ?`;
+  },
+
+  escapeLike(value) {
+    return String(value).replace(/[\\%_]/g, '\\$&');
+  },
+
+  groupConcat(expr, orderBy, separator) {
+    return `GROUP_CONCAT(${expr} ORDER BY ${orderBy} SEPARATOR ${literal(separator)})`;
+  },
+
+  // `expr` menos ? días
+  minusDays(expr) {
+    return `${expr} - INTERVAL ? DAY`;
+  },
+};
+
+export const defaults = { port: 3306, user: 'root' };
+
+function wrap(target) {
+  return {
+    dialect,
+    query: (sql, params) => target.query(sql, params),
+  };
+}
+
+export async function createPool(config, database) {
+  const pool = mysql.createPool({
+    ...config,
+    database,
+    // Los Date viajan en UTC, y cada sesión también usa UTC para que
+    // CURRENT_TIMESTAMP y las columnas TIMESTAMP no dependan de la zona del
+    // servidor
+    timezone: 'Z',
+    waitForConnections: true,
+    connectionLimit: 10,
+    queueLimit: 0,
+  });
+  pool.on('connection', (conn) => conn.query("SET time_zone = '+00:00'"));
+
+  return {
+    ...wrap(pool),
+    async getConnection() {
+      const conn = await pool.getConnection();
+      return {
+        ...wrap(conn),
+        beginTransaction: () => conn.beginTransaction(),
+        commit: () => conn.commit(),
+        rollback: () => conn.rollback(),
+        release: () => conn.release(),
+      };
+    },
+    end: () => pool.end(),
+  };
+}
+
+/**
+ * Crea la base de datos si no existe. Se conecta sin seleccionar base,
+ * por eso no usa el pool.
+ */
+export async function ensureDatabase(config, database) {
+  const conn = await mysql.createConnection(config);
+  try {
+    await conn.query(
+      `CREATE DATABASE IF NOT EXISTS \`${database}\`
+       CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci`
+    );
+  } finally {
+    await conn.end();
+  }
+}
@@ -0,0 +1,231 @@
+// config/drivers/sqlite.js
+//
+// SQLite embebido (sql.js, compilado a WebAssembly) con la base en memoria:
+// no necesita servidor y cada proceso arranca con una base vacía. Sirve
+// para las pruebas y para probar la API sin instalar MySQL. Mismo contrato
+// que los otros drivers: placeholders `?` (un array se expande a una lista)
+// y resultados [filas] o [{ affectedRows, insertId }].
+import initSqlJs from 'sql.js';
+
+function literal(text) {
+  return `'${text.replace(/'/g, "''")}'`;
+}
+
+export const dialect = {
+  name: 'sqlite',
+  now: 'CURRENT_TIMESTAMP',
+  // Las escrituras se serializan (ver createPool), no hace falta bloquear filas
+  lockHint: '',
+  lockSuffix: '',
+  // LIKE ya compara sin mayúsculas ni acentos (ver sinAcentos)
+  collateCiAi: '',
+
+  paginate({ limit, offset }) {
+    return { clause: 'LIMIT ? OFFSET ?', params: [limit, offset] };
+  },
+
+  like(column) {
+    return `${column} LIKE ? ESCAPE '\\'`;
+  },
+
+  escapeLike(value) {
+    return String(value).replace(/[\\%_]/g, '\\$&');
+  },
+
+  groupConcat(expr, orderBy, separator) {
+    return `GROUP_CONCAT(${expr}, ${literal(separator)} ORDER BY ${orderBy})`;
+  },
+
+  minusDays(expr) {
+    return `DATETIME(${expr}, '-' || ? || ' days')`;
+  },
+};
+
+export const defaults = { port: null, user: null };
+
+// Mensajes de SQLite para cada restricción, con el código extendido que
+// les corresponde en la API de C. sql.js solo entrega el mensaje.
+const RESTRICCIONES = [
+  [/^UNIQUE constraint failed/, 'SQLITE_CONSTRAINT_UNIQUE'],
+  [/^NOT NULL constraint failed/, 'SQLITE_CONSTRAINT_NOTNULL'],
+  [/^CHECK constraint failed/, 'SQLITE_CONSTRAINT_CHECK'],
+  [/^FOREIGN KEY constraint failed/, 'SQLITE_CONSTRAINT_FOREIGNKEY'],
+];
+
+function sinAcentos(text) {
+  return String(text)
+    .normalize('NFD')
+    .replace(/\p{Diacritic}/gu, '')
+    .toLowerCase();
+}
+
+/**
+ * LIKE que ignora mayúsculas y acentos, como la collation de MySQL. Se
+ * registra en lugar del LIKE de SQLite, que solo ignora mayúsculas ASCII.
+ */
+function like(patron, texto, escape = null) {
+  if (patron === null || texto === null) return null;
+
+  let regex = '';
+  const chars = [...sinAcentos(patron)];
+  for (let i = 0; i < chars.length; i++) {
+    const char = chars[i];
+    if (char === escape && i + 1 < chars.length) {
+      regex += chars[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    } else if (char === '%') {
+      regex += '.*';
+    } else if (char === '_') {
+      regex += '.';
+    } else {
+      regex += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${regex}$`, 's').test(sinAcentos(texto)) ? 1 : 0;
+}
+
+function valor(value) {
+  if (value === undefined) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  // Mismo formato que CURRENT_TIMESTAMP (UTC)
+  if (value instanceof Date) return value.toISOString().slice(0, 19).replace('T', ' ');
+  return value;
+}
+
+/**
+ * Expande los `?` fuera de literales cuyo parámetro es un array.
+ */
+function expand(text, params = []) {
+  const values = [];
+  let next = 0;
+  let inString = false;
+  let out = '';
+
+  for (const char of text) {
+    if (char === "'") {
+      inString = !inString;
+      out += char;
+    } else if (char === '?' && !inString) {
+      const value = params[next++];
+      if (Array.isArray(value)) {
+        out += value.map(() => '?').join(', ');
+        values.push(...value.map(valor));
+      } else {
+        out += '?';
+        values.push(valor(value));
+      }
+    } else {
+      out += char;
+    }
+  }
+
+  return { text: out, values };
+}
+
+function run(db, text, params) {
+  const { text: query, values } = expand(text, params);
+  const verb = query.trimStart().slice(0, 6).toUpperCase();
+
+  let stmt;
+  try {
+    stmt = db.prepare(query);
+    stmt.bind(values);
+
+    if (verb === 'INSERT' || verb === 'UPDATE' || verb === 'DELETE') {
+      stmt.step();
+      const result = { affectedRows: db.getRowsModified() };
+      if (verb === 'INSERT') {
+        result.insertId = db.exec('SELECT last_insert_rowid()')[0].values[0][0];
+      }
+      return [result];
+    }
+
+    const rows = [];
+    while (stmt.step()) rows.push(stmt.getAsObject());
+    return [rows];
+  } catch (err) {
+    const code = RESTRICCIONES.find(([regex]) => regex.test(err.message))?.[1];
+    if (code) {
+      err.code = code;
+      // Una FK que falla al borrar es una fila en uso; al escribir, una
+      // referencia que no existe
+      err.statement = verb;
+    }
+    throw err;
+  } finally {
+    stmt?.free();
+  }
+}
+
+export async function createPool() {
+  const SQL = await initSqlJs();
+  const db = new SQL.Database();
+  db.run('PRAGMA foreign_keys = ON');
+  db.create_function('like', (patron, texto) => like(patron, texto));
+  db.create_function('like', (patron, texto, escape) => like(patron, texto, escape));
+
+  // Hay una sola conexión: una transacción abierta toma la base completa y
+  // las demás consultas esperan a que termine, como si esperaran el lock.
+  let cola = Promise.resolve();
+  function turno() {
+    let liberar;
+    const anterior = cola;
+    cola = new Promise((resolve) => {
+      liberar = resolve;
+    });
+    return anterior.then(() => liberar);
+  }
+
+  return {
+    dialect,
+    async query(text, params) {
+      const liberar = await turno();
+      try {
+        return run(db, text, params);
+      } finally {
+        liberar();
+      }
+    },
+    async getConnection() {
+      const liberar = await turno();
+      return {
+        dialect,
+        query: async (text, params) => run(db, text, params),
+        beginTransaction: async () => db.run('BEGIN'),
+        commit: async () => db.run('COMMIT'),
+        async rollback() {
+          try {
+            db.run('ROLLBACK');
+          } catch (err) {
+            // SQLite ya la revirtió por su cuenta
+            if (!/no transaction is active/.test(err.message)) throw err;
+          }
+        },
+        release: liberar,
+      };
+    },
+    async end() {
+      await turno();
+      db.close();
+    },
+  };
+}
+
+/**
+ * La base vive en memoria y se crea con el pool: no hay nada que preparar.
+ */
+export async function ensureDatabase() {}
+
+/**
+ * Trigger que mantiene updated_at, el equivalente a
+ * ON UPDATE CURRENT_TIMESTAMP de MySQL. Para las migraciones.
+ */
+export function updatedAtTrigger(tabla) {
+  return `
+    CREATE TRIGGER trg_${tabla}_updated_at AFTER UPDATE ON ${tabla}
+    FOR EACH ROW WHEN NEW.updated_at = OLD.updated_at
+    BEGIN
+      UPDATE ${tabla} SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+    END
+  `;
+}
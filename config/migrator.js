@@ -0,0 +1,134 @@
+// config/migrator.js
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { getPool } from './db.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const MIGRATIONS_DIR = path.join(__dirname, '../migrations');
+
+// Cada archivo se llama NNN_descripcion.js y exporta up(db) y down(db) para
+// MySQL. Para otro motor exporta además { up, down } con el nombre del
+// dialecto, p. ej. `export const mssql = { up, down }`.
+const MIGRATION_FILE = /^\d{3,}_[\w-]+\.js$/;
+
+const MIGRATIONS_TABLE = {
+  mysql: `
+    CREATE TABLE IF NOT EXISTS migraciones (
+      id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+      nombre VARCHAR(255) NOT NULL,
+      ejecutada_en TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      UNIQUE KEY uq_migraciones_nombre (nombre)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `,
+  mssql: `
+    IF OBJECT_ID(N'migraciones', N'U') IS NULL
+    CREATE TABLE migraciones (
+      id INT IDENTITY(1,1) NOT NULL,
+      nombre NVARCHAR(255) NOT NULL,
+      ejecutada_en DATETIME2(0) NOT NULL CONSTRAINT df_migraciones_ejecutada_en DEFAULT SYSUTCDATETIME(),
+      CONSTRAINT pk_migraciones PRIMARY KEY (id),
+      CONSTRAINT uq_migraciones_nombre UNIQUE (nombre)
+    )
+  `,
+  sqlite: `
+    CREATE TABLE IF NOT EXISTS migraciones (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      nombre TEXT NOT NULL,
+      ejecutada_en TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      CONSTRAINT uq_migraciones_nombre UNIQUE (nombre)
+    )
+  `,
+};
+
+async function ensureMigrationsTable(pool) {
+  await pool.query(MIGRATIONS_TABLE[pool.dialect.name]);
+}
+
+async function loadMigrations(dialect) {
+  const files = (await fs.readdir(MIGRATIONS_DIR))
+    .filter((file) => MIGRATION_FILE.test(file))
+    .sort();
+
+  const migrations = [];
+  for (const file of files) {
+    const mod = await import(pathToFileURL(path.join(MIGRATIONS_DIR, file)).href);
+    const impl = dialect === 'mysql' ? mod : mod[dialect];
+    if (typeof impl?.up !== 'function' || typeof impl?.down !== 'function') {
+      throw new Error(
+        dialect === 'mysql'
+          ? `La migración ${file} debe exportar up() y down()`
+          : `La migración ${file} no tiene versión para ${dialect}`
+      );
+    }
+    migrations.push({ nombre: path.basename(file, '.js'), up: impl.up, down: impl.down });
+  }
+  return migrations;
+}
+
+async function appliedMigrations(pool) {
+  const [rows] = await pool.query(
+    'SELECT nombre, ejecutada_en FROM migraciones ORDER BY nombre'
+  );
+  return new Map(rows.map((row) => [row.nombre, row.ejecutada_en]));
+}
+
+/**
+ * Aplica en orden todas las migraciones pendientes.
+ * Devuelve los nombres de las migraciones ejecutadas.
+ */
+export async function migrateUp() {
+  const pool = await getPool();
+  await ensureMigrationsTable(pool);
+
+  const applied = await appliedMigrations(pool);
+  const pending = (await loadMigrations(pool.dialect.name)).filter((m) => !applied.has(m.nombre));
+
+  const done = [];
+  for (const migration of pending) {
+    await migration.up(pool);
+    await pool.query('INSERT INTO migraciones (nombre) VALUES (?)', [migration.nombre]);
+    done.push(migration.nombre);
+  }
+  return done;
+}
+
+/**
+ * Revierte las últimas `steps` migraciones aplicadas, de la más nueva a la más vieja.
+ */
+export async function migrateDown(steps = 1) {
+  const pool = await getPool();
+  await ensureMigrationsTable(pool);
+
+  const applied = await appliedMigrations(pool);
+  const toRevert = (await loadMigrations(pool.dialect.name))
+    .filter((m) => applied.has(m.nombre))
+    .reverse()
+    .slice(0, steps);
+
+  const done = [];
+  for (const migration of toRevert) {
+    await migration.down(pool);
+    await pool.query('DELETE FROM migraciones WHERE nombre = ?', [migration.nombre]);
+    done.push(migration.nombre);
+  }
+  return done;
+}
+
+/**
+ * Estado de cada migración conocida: aplicada o pendiente.
+ */
+export async function migrationStatus() {
+  const pool = await getPool();
+  await ensureMigrationsTable(pool);
+
+  const applied = await appliedMigrations(pool);
+  return (await loadMigrations(pool.dialect.name)).map((m) => ({
+    nombre: m.nombre,
+    estado: applied.has(m.nombre) ? 'aplicada' : 'pendiente',
+    ejecutada_en: applied.get(m.nombre) ?? null,
+  }));
+}
@@ -0,0 +1,279 @@
+// config/seeder.js
+import fs from 'fs/promises';
+import path from 'path';
+import yaml from 'js-yaml';
+import { withTransaction } from './db.js';
+import { UNIDADES, registrarMovimiento } from '../routes/inventario.js';
+import { normalizarCodigo } from '../routes/alergenos.js';
+import { padreInvalido } from '../routes/categorias.js';
+import * as alergenos from '../repositories/alergenos.js';
+import * as categoriasRepo from '../repositories/categorias.js';
+import * as precios from '../repositories/precios.js';
+
+/**
+ * Lee un archivo de fixtures .json, .yaml o .yml.
+ *
+ * Formato:
+ *   categorias:   [{ nombre, padre }]
+ *   ingredientes: [{ nombre, perecedero, unidad, stock, stock_minimo, costo_unitario,
+ *                    alergenos: [codigo] }]
+ *   productos:    [{ nombre, categoria, descripcion, precio, disponible,
+ *                    disponibilidad_auto, receta: [{ ingrediente, cantidad }] }]
+ *
+ * Las referencias (padre, categoria, ingrediente) se escriben por nombre;
+ * una categoría padre va antes que sus subcategorías.
+ * El stock de un ingrediente se lleva al valor indicado con un movimiento
+ * de ajuste.
+ */
+export async function loadFixture(file) {
+  const raw = await fs.readFile(file, 'utf8');
+  const ext = path.extname(file).toLowerCase();
+
+  let data;
+  if (ext === '.json') {
+    data = JSON.parse(raw);
+  } else if (ext === '.yaml' || ext === '.yml') {
+    data = yaml.load(raw);
+  } else {
+    throw new Error(`Formato de fixture no soportado: ${file}`);
+  }
+
+  return {
+    categorias: data?.categorias ?? [],
+    ingredientes: data?.ingredientes ?? [],
+    productos: data?.productos ?? [],
+  };
+}
+
+function requireNombre(entity, item, index) {
+  if (typeof item?.nombre !== 'string' || item.nombre.trim() === '') {
+    throw new Error(`${entity}[${index}]: nombre es requerido`);
+  }
+  return item.nombre.trim();
+}
+
+async function idByNombre(conn, table, nombre) {
+  const [rows] = await conn.query(`SELECT id FROM ${table} WHERE nombre = ?`, [nombre]);
+  return rows[0]?.id;
+}
+
+async function seedCategorias(conn, categorias, stats) {
+  for (const [i, item] of categorias.entries()) {
+    const nombre = requireNombre('categorias', item, i);
+    let padreId = null;
+    if (item.padre !== undefined && item.padre !== null) {
+      padreId = await idByNombre(conn, 'categorias', item.padre);
+      if (!padreId) {
+        throw new Error(`categorias[${i}]: la categoría padre "${item.padre}" no existe`);
+      }
+    }
+
+    const id = await idByNombre(conn, 'categorias', nombre);
+    const invalido = await padreInvalido(conn, id ?? null, padreId);
+    if (invalido) throw new Error(`categorias[${i}]: ${invalido}`);
+
+    if (id) {
+      await conn.query(
+        'UPDATE categorias SET nombre = ?, padre_id = ?, deleted_at = NULL WHERE id = ?',
+        [nombre, padreId, id]
+      );
+      stats.categorias.actualizados += 1;
+    } else {
+      await conn.query('INSERT INTO categorias (nombre, padre_id, posicion) VALUES (?, ?, ?)', [
+        nombre,
+        padreId,
+        await categoriasRepo.siguientePosicion(conn, padreId),
+      ]);
+      stats.categorias.creados += 1;
+    }
+  }
+}
+
+async function seedIngredientes(conn, ingredientes, stats) {
+  for (const [i, item] of ingredientes.entries()) {
+    const nombre = requireNombre('ingredientes', item, i);
+    const perecedero = item.perecedero === undefined ? 1 : item.perecedero ? 1 : 0;
+    const unidad = item.unidad ?? 'unidad';
+    if (!UNIDADES.includes(unidad)) {
+      throw new Error(`ingredientes "${nombre}": unidad debe ser ${UNIDADES.join(', ')}`);
+    }
+    const stockMinimo = Number(item.stock_minimo ?? 0);
+    const costoUnitario = Number(item.costo_unitario ?? 0);
+
+    let id = await idByNombre(conn, 'ingredientes', nombre);
+    if (id) {
+      await conn.query(
+        `
+        UPDATE ingredientes
+        SET perecedero = ?, unidad = ?, stock_minimo = ?, costo_unitario = ?, deleted_at = NULL
+        WHERE id = ?
+        `,
+        [perecedero, unidad, stockMinimo, costoUnitario, id]
+      );
+      stats.ingredientes.actualizados += 1;
+    } else {
+      const [result] = await conn.query(
+        `
+        INSERT INTO ingredientes (nombre, perecedero, unidad, stock_minimo, costo_unitario)
+        VALUES (?, ?, ?, ?, ?)
+        `,
+        [nombre, perecedero, unidad, stockMinimo, costoUnitario]
+      );
+      id = result.insertId;
+      stats.ingredientes.creados += 1;
+    }
+
+    if (Array.isArray(item.alergenos)) {
+      const codigos = [...new Set(item.alergenos.map(normalizarCodigo))];
+      const ids = await alergenos.idsPorCodigo(conn, codigos);
+      const faltan = codigos.filter((codigo) => !ids.has(codigo));
+      if (faltan.length > 0) {
+        throw new Error(`ingredientes "${nombre}": alérgenos desconocidos: ${faltan.join(', ')}`);
+      }
+      await alergenos.asignar(conn, id, [...ids.values()]);
+    }
+
+    // El stock se lleva al valor del fixture con un ajuste en el libro
+    if (item.stock !== undefined) {
+      const [[{ stock }]] = await conn.query('SELECT stock FROM ingredientes WHERE id = ?', [id]);
+      const diferencia = Math.round((Number(item.stock) - Number(stock)) * 1000) / 1000;
+      if (diferencia !== 0) {
+        await registrarMovimiento(conn, id, {
+          tipo: 'ajuste',
+          cantidad: diferencia,
+          nota: 'Seed',
+        });
+      }
+    }
+  }
+}
+
+async function seedReceta(conn, productoId, productoNombre, receta, stats) {
+  const ingredienteIds = [];
+
+  for (const [i, linea] of receta.entries()) {
+    const ingrediente = linea?.ingrediente;
+    const cantidad = Number(linea?.cantidad);
+
+    const ingredienteId = await idByNombre(conn, 'ingredientes', ingrediente);
+    if (!ingredienteId) {
+      throw new Error(
+        `productos "${productoNombre}" receta[${i}]: el ingrediente "${ingrediente}" no existe`
+      );
+    }
+    if (!(cantidad > 0)) {
+      throw new Error(`productos "${productoNombre}" receta[${i}]: cantidad debe ser > 0`);
+    }
+
+    const [existing] = await conn.query(
+      'SELECT id FROM producto_ingrediente WHERE producto_id = ? AND ingrediente_id = ?',
+      [productoId, ingredienteId]
+    );
+    if (existing.length > 0) {
+      await conn.query('UPDATE producto_ingrediente SET cantidad_usada = ? WHERE id = ?', [
+        cantidad,
+        existing[0].id,
+      ]);
+    } else {
+      await conn.query(
+        `
+        INSERT INTO producto_ingrediente (producto_id, ingrediente_id, cantidad_usada)
+        VALUES (?, ?, ?)
+        `,
+        [productoId, ingredienteId, cantidad]
+      );
+    }
+    ingredienteIds.push(ingredienteId);
+    stats.receta += 1;
+  }
+
+  // La receta del fixture es la receta completa: lo que no aparece se quita
+  if (ingredienteIds.length > 0) {
+    await conn.query(
+      'DELETE FROM producto_ingrediente WHERE producto_id = ? AND ingrediente_id NOT IN (?)',
+      [productoId, ingredienteIds]
+    );
+  } else {
+    await conn.query('DELETE FROM producto_ingrediente WHERE producto_id = ?', [productoId]);
+  }
+}
+
+async function seedProductos(conn, productos, stats) {
+  for (const [i, item] of productos.entries()) {
+    const nombre = requireNombre('productos', item, i);
+
+    const categoriaId = await idByNombre(conn, 'categorias', item.categoria);
+    if (!categoriaId) {
+      throw new Error(`productos "${nombre}": la categoría "${item.categoria}" no existe`);
+    }
+
+    const precio = Number(item.precio);
+    if (!Number.isFinite(precio)) {
+      throw new Error(`productos "${nombre}": precio es requerido y debe ser numérico`);
+    }
+
+    const disponible = item.disponible === undefined ? 1 : item.disponible ? 1 : 0;
+    const disponibilidadAuto = item.disponibilidad_auto ? 1 : 0;
+
+    const values = [categoriaId, item.descripcion ?? null, precio, disponible, disponibilidadAuto];
+    let productoId = await idByNombre(conn, 'productos', nombre);
+
+    if (productoId) {
+      await conn.query(
+        `
+        UPDATE productos
+        SET categoria_id = ?, descripcion = ?, precio = ?, disponible = ?, disponibilidad_auto = ?,
+            disponible_override = NULL, deleted_at = NULL
+        WHERE id = ?
+        `,
+        [...values, productoId]
+      );
+      stats.productos.actualizados += 1;
+    } else {
+      const [result] = await conn.query(
+        `
+        INSERT INTO productos
+          (nombre, categoria_id, descripcion, precio, disponible, disponibilidad_auto)
+        VALUES (?, ?, ?, ?, ?, ?)
+        `,
+        [nombre, ...values]
+      );
+      productoId = result.insertId;
+      stats.productos.creados += 1;
+    }
+    await precios.cambiar(conn, productoId, precio);
+
+    if (Array.isArray(item.receta)) {
+      await seedReceta(conn, productoId, nombre, item.receta, stats);
+    }
+  }
+}
+
+/**
+ * Carga uno o varios archivos de fixtures en una sola transacción.
+ * Es idempotente: las filas se identifican por nombre y se actualizan
+ * en lugar de duplicarse. Las que estaban eliminadas se restauran.
+ */
+export async function seed(files) {
+  const fixtures = [];
+  for (const file of files) {
+    fixtures.push(await loadFixture(file));
+  }
+
+  const stats = {
+    categorias: { creados: 0, actualizados: 0 },
+    ingredientes: { creados: 0, actualizados: 0 },
+    productos: { creados: 0, actualizados: 0 },
+    receta: 0,
+  };
+
+  await withTransaction(async (conn) => {
+    for (const fixture of fixtures) {
+      await seedCategorias(conn, fixture.categorias, stats);
+      await seedIngredientes(conn, fixture.ingredientes, stats);
+      await seedProductos(conn, fixture.productos, stats);
+    }
+  });
+
+  return stats;
+}
@@ -21,6 +21,14 @@ export const swaggerSpec = swaggerJSDoc({
         - productos
         - ingredientes
         - producto_ingrediente
+        - pedidos
+
+        La lectura es pública. Las rutas de escritura requieren un token
+        (POST /api/auth/login) con el rol indicado en cada endpoint.
+
+        Los errores responden con \`ok: false\`, un \`code\` estable (por ejemplo
+        DUPLICADO, REFERENCIA_INEXISTENTE, EN_USO o VALIDACION) y, cuando aplica,
+        el campo que lo causó en \`field\` y \`errors\`.
 
         Desarrollado para práctica previa al examen final.
       `
@@ -31,7 +39,143 @@ export const swaggerSpec = swaggerJSDoc({
     ],
 
     components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          bearerFormat: 'JWT',
+          description: 'Token obtenido en POST /api/auth/login. Roles: admin, cocina, mesero'
+        }
+      },
+
+      responses: {
+        NoAutenticado: {
+          description: 'Falta el token, no es válido o su usuario ya no está activo'
+        },
+        SinPermiso: {
+          description: 'El rol del usuario no permite esta acción'
+        },
+        Duplicado: {
+          description: 'Ya existe un registro con ese valor (code DUPLICADO)',
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+        },
+        ErrorInterno: {
+          description: 'Error inesperado (code ERROR_INTERNO); no incluye detalles internos',
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+        },
+        PrecondicionFallida: {
+          description: 'El If-Match no corresponde a la versión actual (code PRECONDICION_FALLIDA). `data` trae la versión actual y el encabezado ETag, su versión',
+          headers: { ETag: { $ref: '#/components/headers/ETag' } },
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+        },
+        IfMatchRequerido: {
+          description: 'Falta If-Match y el servidor lo exige (REQUIRE_IF_MATCH=true, code IF_MATCH_REQUERIDO)',
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+        },
+        NoModificado: {
+          description: 'La copia del cliente sigue vigente (If-None-Match o If-Modified-Since); sin cuerpo',
+          headers: {
+            ETag: { $ref: '#/components/headers/ETag' },
+            'Last-Modified': { $ref: '#/components/headers/LastModified' }
+          }
+        }
+      },
+
+      headers: {
+        ETag: {
+          description: 'Versión del recurso; se envía en If-Match para modificarlo o en If-None-Match para revalidar la copia',
+          schema: { type: 'string' }
+        },
+        LastModified: {
+          description: 'Último cambio de las tablas que alimentan la respuesta',
+          schema: { type: 'string' }
+        },
+        CacheControl: {
+          description: 'public, max-age=CACHE_MAX_AGE, must-revalidate',
+          schema: { type: 'string' }
+        },
+        XCache: {
+          description: 'HIT si el listado salió de la caché del servidor, MISS si se consultó la base',
+          schema: { type: 'string', enum: ['HIT', 'MISS'] }
+        }
+      },
+
+      parameters: {
+        Page: {
+          in: 'query',
+          name: 'page',
+          schema: { type: 'integer', minimum: 1 },
+          description: 'Número de página (activa la paginación)'
+        },
+        Limit: {
+          in: 'query',
+          name: 'limit',
+          schema: { type: 'integer', minimum: 1, maximum: 100 },
+          description: 'Registros por página (por defecto 20, máximo 100)'
+        },
+        Sort: {
+          in: 'query',
+          name: 'sort',
+          schema: { type: 'string' },
+          description: 'Campos de orden separados por coma; prefijo "-" para descendente. Ej: precio,-nombre'
+        },
+        IncluirEliminados: {
+          in: 'query',
+          name: 'incluir_eliminados',
+          schema: { type: 'boolean' },
+          description: 'Incluye los registros eliminados (con deleted_at)'
+        },
+        IfMatch: {
+          in: 'header',
+          name: 'If-Match',
+          schema: { type: 'string' },
+          description: 'ETag leído del recurso; si ya cambió, responde 412 sin modificarlo'
+        },
+        IfNoneMatch: {
+          in: 'header',
+          name: 'If-None-Match',
+          schema: { type: 'string' },
+          description: 'ETag de la copia del cliente; si sigue vigente responde 304'
+        },
+        IfModifiedSince: {
+          in: 'header',
+          name: 'If-Modified-Since',
+          schema: { type: 'string' },
+          description: 'Last-Modified de la copia del cliente; si no hubo cambios responde 304'
+        }
+      },
+
       schemas: {
+        Error: {
+          type: 'object',
+          properties: {
+            ok: { type: 'boolean', example: false },
+            code: { type: 'string', example: 'REFERENCIA_INEXISTENTE' },
+            message: { type: 'string', example: 'categoria_id no corresponde a ningún registro de categorias' },
+            field: { type: 'string', example: 'categoria_id' },
+            errors: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  path: { type: 'string' },
+                  msg: { type: 'string' }
+                }
+              }
+            }
+          }
+        },
+
+        PageMeta: {
+          type: 'object',
+          properties: {
+            total: { type: 'integer', example: 42 },
+            page: { type: 'integer', example: 1 },
+            limit: { type: 'integer', nullable: true, example: 20 },
+            pages: { type: 'integer', example: 3 }
+          }
+        },
+
         Categoria: {
           type: 'object',
           required: ['nombre'],
@@ -39,7 +183,8 @@ export const swaggerSpec = swaggerJSDoc({
             id: { type: 'integer', example: 1 },
             nombre: { type: 'string', example: 'Hamburguesas' },
             created_at: { type: 'string', example: '2025-02-14T12:00:00.000Z' },
-            updated_at: { type: 'string', example: '2025-02-14T12:00:00.000Z' }
+            updated_at: { type: 'string', example: '2025-02-14T12:00:00.000Z' },
+            deleted_at: { type: 'string', nullable: true, description: 'Fecha de borrado lógico; null si está activo' }
           }
         },
 
@@ -52,8 +197,87 @@ export const swaggerSpec = swaggerJSDoc({
             categoria: { type: 'string', example: 'Hamburguesas' },
             nombre: { type: 'string', example: 'Cheeseburger Especial' },
             descripcion: { type: 'string', example: 'Carne y queso con salsa especial' },
-            precio: { type: 'number', example: 45.50 },
-            disponible: { type: 'boolean', example: true },
+            imagen_url: {
+              type: 'string',
+              nullable: true,
+              readOnly: true,
+              example: '/imagenes/producto-10-3f9a2c1d8e7b6a54.webp',
+              description: 'Se sube con POST /api/productos/{id}/imagen; la URL cambia con cada imagen nueva'
+            },
+            precio: {
+              type: 'number',
+              example: 45.50,
+              description: 'Precio vigente al momento de la consulta (ver /api/productos/{id}/precios)'
+            },
+            disponible: {
+              type: 'boolean',
+              example: true,
+              description: 'Disponibilidad efectiva (manual o calculada según el stock; en un combo, también según sus componentes)'
+            },
+            disponibilidad_auto: {
+              type: 'boolean',
+              example: false,
+              description: 'Si es true, el producto deja de estar disponible cuando falta stock de algún ingrediente para una porción'
+            },
+            disponible_override: {
+              type: 'boolean',
+              nullable: true,
+              description: 'Solo en modo automático: fuerza la disponibilidad; null = según stock'
+            },
+            ingredientes_faltantes: {
+              type: 'array',
+              items: { type: 'string' },
+              example: ['Queso amarillo']
+            },
+            componentes_faltantes: {
+              type: 'array',
+              items: { type: 'string' },
+              example: [],
+              description: 'Solo en combos: productos fijos o categorías de elección que no se pueden servir'
+            },
+            precio_por_separado: {
+              type: 'number',
+              nullable: true,
+              readOnly: true,
+              example: 81.5,
+              description: 'Solo en combos: lo que cuestan sus componentes pedidos por separado (cada elección con su opción disponible más barata); null en los demás'
+            },
+            ahorro: {
+              type: 'number',
+              nullable: true,
+              readOnly: true,
+              example: 16,
+              description: 'Solo en combos: precio_por_separado menos el precio del combo; null en los demás'
+            },
+            motivo_no_disponible: {
+              type: 'string',
+              nullable: true,
+              example: 'Sin stock suficiente de: Queso amarillo'
+            },
+            alergenos: {
+              type: 'array',
+              items: { type: 'string' },
+              readOnly: true,
+              example: ['gluten', 'lacteos'],
+              description: 'Alérgenos de los ingredientes de la receta, y en un combo de sus productos fijos (códigos de /api/alergenos)'
+            },
+            created_at: { type: 'string' },
+            updated_at: { type: 'string' },
+            deleted_at: { type: 'string', nullable: true }
+          }
+        },
+
+        Alergeno: {
+          type: 'object',
+          required: ['nombre'],
+          properties: {
+            id: { type: 'integer', example: 2 },
+            codigo: {
+              type: 'string',
+              example: 'lacteos',
+              description: 'Minúsculas sin acentos; sin él, se arma a partir del nombre'
+            },
+            nombre: { type: 'string', example: 'Lácteos' },
             created_at: { type: 'string' },
             updated_at: { type: 'string' }
           }
@@ -66,6 +290,51 @@ export const swaggerSpec = swaggerJSDoc({
             id: { type: 'integer', example: 5 },
             nombre: { type: 'string', example: 'Queso amarillo' },
             perecedero: { type: 'boolean', example: true },
+            unidad: { type: 'string', enum: ['unidad', 'kg', 'g', 'l', 'ml'], example: 'kg' },
+            stock: {
+              type: 'number',
+              example: 3.5,
+              description: 'Solo se indica al crear (stock inicial); luego cambia con movimientos'
+            },
+            stock_minimo: { type: 'number', example: 1 },
+            costo_unitario: {
+              type: 'number',
+              example: 62.5,
+              description: 'Costo por unidad de medida (por kg, por litro, por unidad...)'
+            },
+            alergenos: {
+              type: 'array',
+              items: { type: 'string' },
+              example: ['lacteos'],
+              description: 'Códigos de /api/alergenos; al enviarlos reemplazan a los asignados'
+            },
+            created_at: { type: 'string' },
+            updated_at: { type: 'string' },
+            deleted_at: { type: 'string', nullable: true }
+          }
+        },
+
+        MovimientoStock: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer', example: 1 },
+            ingrediente_id: { type: 'integer', example: 5 },
+            tipo: { type: 'string', enum: ['compra', 'merma', 'ajuste', 'consumo'] },
+            cantidad: { type: 'number', example: -0.5, description: 'Variación aplicada al stock' },
+            stock_resultante: { type: 'number', example: 3 },
+            nota: { type: 'string' },
+            usuario_id: { type: 'integer' },
+            created_at: { type: 'string' }
+          }
+        },
+
+        Usuario: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer', example: 1 },
+            usuario: { type: 'string', example: 'admin' },
+            rol: { type: 'string', enum: ['admin', 'cocina', 'mesero'], example: 'admin' },
+            activo: { type: 'boolean', example: true },
             created_at: { type: 'string' },
             updated_at: { type: 'string' }
           }
@@ -84,6 +353,76 @@ export const swaggerSpec = swaggerJSDoc({
             created_at: { type: 'string' },
             updated_at: { type: 'string' }
           }
+        },
+
+        ProductoImport: {
+          type: 'object',
+          required: ['nombre', 'categoria', 'precio'],
+          properties: {
+            nombre: { type: 'string', example: 'Cheeseburger Especial' },
+            categoria: { type: 'string', example: 'Hamburguesas' },
+            descripcion: { type: 'string' },
+            precio: { type: 'number', example: 47.0 },
+            disponible: { type: 'boolean', example: true },
+            disponibilidad_auto: { type: 'boolean', example: false }
+          }
+        },
+
+        IngredienteImport: {
+          type: 'object',
+          required: ['nombre'],
+          properties: {
+            nombre: { type: 'string', example: 'Pepinillos' },
+            perecedero: { type: 'boolean', example: true },
+            unidad: { type: 'string', enum: ['unidad', 'kg', 'g', 'l', 'ml'], example: 'g' },
+            stock: { type: 'number', description: 'Solo exportación; se ignora al importar' },
+            stock_minimo: { type: 'number', example: 200 },
+            costo_unitario: { type: 'number', example: 0.05 }
+          }
+        },
+
+        ResultadoImportacion: {
+          type: 'object',
+          properties: {
+            ok: { type: 'boolean' },
+            message: { type: 'string' },
+            data: {
+              type: 'object',
+              properties: {
+                dry_run: { type: 'boolean' },
+                resumen: {
+                  type: 'object',
+                  properties: {
+                    crear: { type: 'integer', example: 2 },
+                    actualizar: { type: 'integer', example: 5 },
+                    rechazar: { type: 'integer', example: 1 }
+                  }
+                },
+                filas: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      fila: { type: 'integer', example: 3 },
+                      nombre: { type: 'string' },
+                      accion: { type: 'string', enum: ['crear', 'actualizar', 'rechazar'] },
+                      id: { type: 'integer', nullable: true },
+                      errors: {
+                        type: 'array',
+                        items: {
+                          type: 'object',
+                          properties: {
+                            path: { type: 'string', example: 'precio' },
+                            msg: { type: 'string', example: 'Invalid value' }
+                          }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
         }
       }
     }
@@ -0,0 +1,214 @@
+// migrations/001_crear_catalogo.js
+// Tablas base del menú: categorias, productos, ingredientes y producto_ingrediente.
+
+import { updatedAtTrigger } from '../config/drivers/mssql.js';
+import { updatedAtTrigger as updatedAtTriggerSqlite } from '../config/drivers/sqlite.js';
+
+export async function up(db) {
+  await db.query(`
+    CREATE TABLE categorias (
+      id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+      nombre VARCHAR(100) NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      UNIQUE KEY uq_categorias_nombre (nombre)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  await db.query(`
+    CREATE TABLE productos (
+      id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+      categoria_id INT UNSIGNED NOT NULL,
+      nombre VARCHAR(150) NOT NULL,
+      descripcion TEXT NULL,
+      precio DECIMAL(10,2) NOT NULL,
+      disponible TINYINT(1) NOT NULL DEFAULT 1,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      UNIQUE KEY uq_productos_nombre (nombre),
+      KEY idx_productos_categoria (categoria_id),
+      CONSTRAINT fk_productos_categoria
+        FOREIGN KEY (categoria_id) REFERENCES categorias (id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  await db.query(`
+    CREATE TABLE ingredientes (
+      id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+      nombre VARCHAR(100) NOT NULL,
+      perecedero TINYINT(1) NOT NULL DEFAULT 1,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      UNIQUE KEY uq_ingredientes_nombre (nombre)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  await db.query(`
+    CREATE TABLE producto_ingrediente (
+      id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+      producto_id INT UNSIGNED NOT NULL,
+      ingrediente_id INT UNSIGNED NOT NULL,
+      cantidad_usada DECIMAL(10,3) NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      UNIQUE KEY uq_producto_ingrediente (producto_id, ingrediente_id),
+      KEY idx_pi_ingrediente (ingrediente_id),
+      CONSTRAINT fk_pi_producto
+        FOREIGN KEY (producto_id) REFERENCES productos (id) ON DELETE CASCADE,
+      CONSTRAINT fk_pi_ingrediente
+        FOREIGN KEY (ingrediente_id) REFERENCES ingredientes (id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+}
+
+export async function down(db) {
+  await db.query('DROP TABLE IF EXISTS producto_ingrediente');
+  await db.query('DROP TABLE IF EXISTS ingredientes');
+  await db.query('DROP TABLE IF EXISTS productos');
+  await db.query('DROP TABLE IF EXISTS categorias');
+}
+
+export const mssql = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE categorias (
+        id INT IDENTITY(1,1) NOT NULL,
+        nombre NVARCHAR(100) NOT NULL,
+        created_at DATETIME2(0) NOT NULL CONSTRAINT df_categorias_created_at DEFAULT SYSDATETIME(),
+        updated_at DATETIME2(0) NOT NULL CONSTRAINT df_categorias_updated_at DEFAULT SYSDATETIME(),
+        CONSTRAINT pk_categorias PRIMARY KEY (id),
+        CONSTRAINT uq_categorias_nombre UNIQUE (nombre)
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE productos (
+        id INT IDENTITY(1,1) NOT NULL,
+        categoria_id INT NOT NULL,
+        nombre NVARCHAR(150) NOT NULL,
+        descripcion NVARCHAR(MAX) NULL,
+        precio DECIMAL(10,2) NOT NULL,
+        disponible TINYINT NOT NULL CONSTRAINT df_productos_disponible DEFAULT 1,
+        created_at DATETIME2(0) NOT NULL CONSTRAINT df_productos_created_at DEFAULT SYSDATETIME(),
+        updated_at DATETIME2(0) NOT NULL CONSTRAINT df_productos_updated_at DEFAULT SYSDATETIME(),
+        CONSTRAINT pk_productos PRIMARY KEY (id),
+        CONSTRAINT uq_productos_nombre UNIQUE (nombre),
+        CONSTRAINT fk_productos_categoria
+          FOREIGN KEY (categoria_id) REFERENCES categorias (id)
+      )
+    `);
+    await db.query('CREATE INDEX idx_productos_categoria ON productos (categoria_id)');
+
+    await db.query(`
+      CREATE TABLE ingredientes (
+        id INT IDENTITY(1,1) NOT NULL,
+        nombre NVARCHAR(100) NOT NULL,
+        perecedero TINYINT NOT NULL CONSTRAINT df_ingredientes_perecedero DEFAULT 1,
+        created_at DATETIME2(0) NOT NULL CONSTRAINT df_ingredientes_created_at DEFAULT SYSDATETIME(),
+        updated_at DATETIME2(0) NOT NULL CONSTRAINT df_ingredientes_updated_at DEFAULT SYSDATETIME(),
+        CONSTRAINT pk_ingredientes PRIMARY KEY (id),
+        CONSTRAINT uq_ingredientes_nombre UNIQUE (nombre)
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE producto_ingrediente (
+        id INT IDENTITY(1,1) NOT NULL,
+        producto_id INT NOT NULL,
+        ingrediente_id INT NOT NULL,
+        cantidad_usada DECIMAL(10,3) NOT NULL,
+        created_at DATETIME2(0) NOT NULL CONSTRAINT df_pi_created_at DEFAULT SYSDATETIME(),
+        updated_at DATETIME2(0) NOT NULL CONSTRAINT df_pi_updated_at DEFAULT SYSDATETIME(),
+        CONSTRAINT pk_producto_ingrediente PRIMARY KEY (id),
+        CONSTRAINT uq_producto_ingrediente UNIQUE (producto_id, ingrediente_id),
+        CONSTRAINT fk_pi_producto
+          FOREIGN KEY (producto_id) REFERENCES productos (id) ON DELETE CASCADE,
+        CONSTRAINT fk_pi_ingrediente
+          FOREIGN KEY (ingrediente_id) REFERENCES ingredientes (id)
+      )
+    `);
+    await db.query('CREATE INDEX idx_pi_ingrediente ON producto_ingrediente (ingrediente_id)');
+
+    for (const tabla of ['categorias', 'productos', 'ingredientes', 'producto_ingrediente']) {
+      await db.query(updatedAtTrigger(tabla));
+    }
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS producto_ingrediente');
+    await db.query('DROP TABLE IF EXISTS ingredientes');
+    await db.query('DROP TABLE IF EXISTS productos');
+    await db.query('DROP TABLE IF EXISTS categorias');
+  },
+};
+
+// Los nombres únicos usan COLLATE NOCASE para que, como en MySQL, no se
+// repitan cambiando solo mayúsculas
+export const sqlite = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE categorias (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        nombre TEXT NOT NULL COLLATE NOCASE,
+        created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT uq_categorias_nombre UNIQUE (nombre)
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE productos (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        categoria_id INTEGER NOT NULL,
+        nombre TEXT NOT NULL COLLATE NOCASE,
+        descripcion TEXT NULL,
+        precio REAL NOT NULL,
+        disponible INTEGER NOT NULL DEFAULT 1,
+        created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT uq_productos_nombre UNIQUE (nombre),
+        CONSTRAINT fk_productos_categoria
+          FOREIGN KEY (categoria_id) REFERENCES categorias (id)
+      )
+    `);
+    await db.query('CREATE INDEX idx_productos_categoria ON productos (categoria_id)');
+
+    await db.query(`
+      CREATE TABLE ingredientes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        nombre TEXT NOT NULL COLLATE NOCASE,
+        perecedero INTEGER NOT NULL DEFAULT 1,
+        created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT uq_ingredientes_nombre UNIQUE (nombre)
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE producto_ingrediente (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        producto_id INTEGER NOT NULL,
+        ingrediente_id INTEGER NOT NULL,
+        cantidad_usada REAL NOT NULL,
+        created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT uq_producto_ingrediente UNIQUE (producto_id, ingrediente_id),
+        CONSTRAINT fk_pi_producto
+          FOREIGN KEY (producto_id) REFERENCES productos (id) ON DELETE CASCADE,
+        CONSTRAINT fk_pi_ingrediente
+          FOREIGN KEY (ingrediente_id) REFERENCES ingredientes (id)
+      )
+    `);
+    await db.query('CREATE INDEX idx_pi_ingrediente ON producto_ingrediente (ingrediente_id)');
+
+    for (const tabla of ['categorias', 'productos', 'ingredientes', 'producto_ingrediente']) {
+      await db.query(updatedAtTriggerSqlite(tabla));
+    }
+  },
+
+  down: mssql.down,
+};
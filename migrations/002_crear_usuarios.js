@@ -0,0 +1,68 @@
+// migrations/002_crear_usuarios.js
+// Cuentas para las rutas de escritura. rol: admin | cocina
+
+import { updatedAtTrigger } from '../config/drivers/mssql.js';
+import { updatedAtTrigger as updatedAtTriggerSqlite } from '../config/drivers/sqlite.js';
+
+export async function up(db) {
+  await db.query(`
+    CREATE TABLE usuarios (
+      id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+      usuario VARCHAR(50) NOT NULL,
+      password_hash VARCHAR(100) NOT NULL,
+      rol ENUM('admin', 'cocina') NOT NULL,
+      activo TINYINT(1) NOT NULL DEFAULT 1,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      UNIQUE KEY uq_usuarios_usuario (usuario)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+}
+
+export async function down(db) {
+  await db.query('DROP TABLE IF EXISTS usuarios');
+}
+
+export const mssql = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE usuarios (
+        id INT IDENTITY(1,1) NOT NULL,
+        usuario NVARCHAR(50) NOT NULL,
+        password_hash VARCHAR(100) NOT NULL,
+        rol VARCHAR(20) NOT NULL CONSTRAINT ck_usuarios_rol CHECK (rol IN ('admin', 'cocina')),
+        activo TINYINT NOT NULL CONSTRAINT df_usuarios_activo DEFAULT 1,
+        created_at DATETIME2(0) NOT NULL CONSTRAINT df_usuarios_created_at DEFAULT SYSDATETIME(),
+        updated_at DATETIME2(0) NOT NULL CONSTRAINT df_usuarios_updated_at DEFAULT SYSDATETIME(),
+        CONSTRAINT pk_usuarios PRIMARY KEY (id),
+        CONSTRAINT uq_usuarios_usuario UNIQUE (usuario)
+      )
+    `);
+    await db.query(updatedAtTrigger('usuarios'));
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS usuarios');
+  },
+};
+
+export const sqlite = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE usuarios (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        usuario TEXT NOT NULL COLLATE NOCASE,
+        password_hash TEXT NOT NULL,
+        rol TEXT NOT NULL CONSTRAINT ck_usuarios_rol CHECK (rol IN ('admin', 'cocina')),
+        activo INTEGER NOT NULL DEFAULT 1,
+        created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT uq_usuarios_usuario UNIQUE (usuario)
+      )
+    `);
+    await db.query(updatedAtTriggerSqlite('usuarios'));
+  },
+
+  down: mssql.down,
+};
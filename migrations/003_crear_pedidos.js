@@ -0,0 +1,198 @@
+// migrations/003_crear_pedidos.js
+// Pedidos con su detalle. Cada línea guarda nombre y precio del producto
+// al momento de pedir, para que cambios posteriores del menú no alteren
+// pedidos ya tomados. También agrega el rol mesero.
+
+import { updatedAtTrigger } from '../config/drivers/mssql.js';
+import { updatedAtTrigger as updatedAtTriggerSqlite } from '../config/drivers/sqlite.js';
+
+export async function up(db) {
+  await db.query(`
+    ALTER TABLE usuarios
+    MODIFY rol ENUM('admin', 'cocina', 'mesero') NOT NULL
+  `);
+
+  await db.query(`
+    CREATE TABLE pedidos (
+      id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+      estado ENUM('pendiente', 'en_preparacion', 'listo', 'entregado', 'cancelado')
+        NOT NULL DEFAULT 'pendiente',
+      mesa VARCHAR(20) NULL,
+      cliente VARCHAR(100) NULL,
+      notas TEXT NULL,
+      total DECIMAL(10,2) NOT NULL DEFAULT 0,
+      motivo_cancelacion VARCHAR(255) NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      KEY idx_pedidos_estado (estado),
+      KEY idx_pedidos_created_at (created_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  await db.query(`
+    CREATE TABLE pedido_detalle (
+      id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+      pedido_id INT UNSIGNED NOT NULL,
+      producto_id INT UNSIGNED NOT NULL,
+      producto_nombre VARCHAR(150) NOT NULL,
+      precio_unitario DECIMAL(10,2) NOT NULL,
+      cantidad INT UNSIGNED NOT NULL,
+      subtotal DECIMAL(10,2) NOT NULL,
+      notas VARCHAR(255) NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      KEY idx_pedido_detalle_pedido (pedido_id),
+      KEY idx_pedido_detalle_producto (producto_id),
+      CONSTRAINT fk_pedido_detalle_pedido
+        FOREIGN KEY (pedido_id) REFERENCES pedidos (id) ON DELETE CASCADE,
+      CONSTRAINT fk_pedido_detalle_producto
+        FOREIGN KEY (producto_id) REFERENCES productos (id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+}
+
+export async function down(db) {
+  await db.query('DROP TABLE IF EXISTS pedido_detalle');
+  await db.query('DROP TABLE IF EXISTS pedidos');
+  await db.query(`DELETE FROM usuarios WHERE rol = 'mesero'`);
+  await db.query(`
+    ALTER TABLE usuarios
+    MODIFY rol ENUM('admin', 'cocina') NOT NULL
+  `);
+}
+
+export const mssql = {
+  async up(db) {
+    await db.query('ALTER TABLE usuarios DROP CONSTRAINT ck_usuarios_rol');
+    await db.query(`
+      ALTER TABLE usuarios
+      ADD CONSTRAINT ck_usuarios_rol CHECK (rol IN ('admin', 'cocina', 'mesero'))
+    `);
+
+    await db.query(`
+      CREATE TABLE pedidos (
+        id INT IDENTITY(1,1) NOT NULL,
+        estado VARCHAR(20) NOT NULL CONSTRAINT df_pedidos_estado DEFAULT 'pendiente'
+          CONSTRAINT ck_pedidos_estado
+          CHECK (estado IN ('pendiente', 'en_preparacion', 'listo', 'entregado', 'cancelado')),
+        mesa NVARCHAR(20) NULL,
+        cliente NVARCHAR(100) NULL,
+        notas NVARCHAR(MAX) NULL,
+        total DECIMAL(10,2) NOT NULL CONSTRAINT df_pedidos_total DEFAULT 0,
+        motivo_cancelacion NVARCHAR(255) NULL,
+        created_at DATETIME2(0) NOT NULL CONSTRAINT df_pedidos_created_at DEFAULT SYSDATETIME(),
+        updated_at DATETIME2(0) NOT NULL CONSTRAINT df_pedidos_updated_at DEFAULT SYSDATETIME(),
+        CONSTRAINT pk_pedidos PRIMARY KEY (id)
+      )
+    `);
+    await db.query('CREATE INDEX idx_pedidos_estado ON pedidos (estado)');
+    await db.query('CREATE INDEX idx_pedidos_created_at ON pedidos (created_at)');
+    await db.query(updatedAtTrigger('pedidos'));
+
+    await db.query(`
+      CREATE TABLE pedido_detalle (
+        id INT IDENTITY(1,1) NOT NULL,
+        pedido_id INT NOT NULL,
+        producto_id INT NOT NULL,
+        producto_nombre NVARCHAR(150) NOT NULL,
+        precio_unitario DECIMAL(10,2) NOT NULL,
+        cantidad INT NOT NULL,
+        subtotal DECIMAL(10,2) NOT NULL,
+        notas NVARCHAR(255) NULL,
+        created_at DATETIME2(0) NOT NULL CONSTRAINT df_pedido_detalle_created_at DEFAULT SYSDATETIME(),
+        CONSTRAINT pk_pedido_detalle PRIMARY KEY (id),
+        CONSTRAINT fk_pedido_detalle_pedido
+          FOREIGN KEY (pedido_id) REFERENCES pedidos (id) ON DELETE CASCADE,
+        CONSTRAINT fk_pedido_detalle_producto
+          FOREIGN KEY (producto_id) REFERENCES productos (id)
+      )
+    `);
+    await db.query('CREATE INDEX idx_pedido_detalle_pedido ON pedido_detalle (pedido_id)');
+    await db.query('CREATE INDEX idx_pedido_detalle_producto ON pedido_detalle (producto_id)');
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS pedido_detalle');
+    await db.query('DROP TABLE IF EXISTS pedidos');
+    await db.query(`DELETE FROM usuarios WHERE rol = 'mesero'`);
+    await db.query('ALTER TABLE usuarios DROP CONSTRAINT ck_usuarios_rol');
+    await db.query(`
+      ALTER TABLE usuarios
+      ADD CONSTRAINT ck_usuarios_rol CHECK (rol IN ('admin', 'cocina'))
+    `);
+  },
+};
+
+// SQLite no permite cambiar un CHECK: se recrea usuarios con los mismos datos
+async function recrearUsuariosSqlite(db, roles) {
+  await db.query(`
+    CREATE TABLE usuarios_nueva (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      usuario TEXT NOT NULL COLLATE NOCASE,
+      password_hash TEXT NOT NULL,
+      rol TEXT NOT NULL CONSTRAINT ck_usuarios_rol
+        CHECK (rol IN (${roles.map((rol) => `'${rol}'`).join(', ')})),
+      activo INTEGER NOT NULL DEFAULT 1,
+      created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      CONSTRAINT uq_usuarios_usuario UNIQUE (usuario)
+    )
+  `);
+  await db.query('INSERT INTO usuarios_nueva SELECT * FROM usuarios');
+  await db.query('DROP TABLE usuarios');
+  await db.query('ALTER TABLE usuarios_nueva RENAME TO usuarios');
+  await db.query(updatedAtTriggerSqlite('usuarios'));
+}
+
+export const sqlite = {
+  async up(db) {
+    await recrearUsuariosSqlite(db, ['admin', 'cocina', 'mesero']);
+
+    await db.query(`
+      CREATE TABLE pedidos (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        estado TEXT NOT NULL DEFAULT 'pendiente'
+          CONSTRAINT ck_pedidos_estado
+          CHECK (estado IN ('pendiente', 'en_preparacion', 'listo', 'entregado', 'cancelado')),
+        mesa TEXT NULL,
+        cliente TEXT NULL,
+        notas TEXT NULL,
+        total REAL NOT NULL DEFAULT 0,
+        motivo_cancelacion TEXT NULL,
+        created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await db.query('CREATE INDEX idx_pedidos_estado ON pedidos (estado)');
+    await db.query('CREATE INDEX idx_pedidos_created_at ON pedidos (created_at)');
+    await db.query(updatedAtTriggerSqlite('pedidos'));
+
+    await db.query(`
+      CREATE TABLE pedido_detalle (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        pedido_id INTEGER NOT NULL,
+        producto_id INTEGER NOT NULL,
+        producto_nombre TEXT NOT NULL,
+        precio_unitario REAL NOT NULL,
+        cantidad INTEGER NOT NULL,
+        subtotal REAL NOT NULL,
+        notas TEXT NULL,
+        created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT fk_pedido_detalle_pedido
+          FOREIGN KEY (pedido_id) REFERENCES pedidos (id) ON DELETE CASCADE,
+        CONSTRAINT fk_pedido_detalle_producto
+          FOREIGN KEY (producto_id) REFERENCES productos (id)
+      )
+    `);
+    await db.query('CREATE INDEX idx_pedido_detalle_pedido ON pedido_detalle (pedido_id)');
+    await db.query('CREATE INDEX idx_pedido_detalle_producto ON pedido_detalle (producto_id)');
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS pedido_detalle');
+    await db.query('DROP TABLE IF EXISTS pedidos');
+    await db.query(`DELETE FROM usuarios WHERE rol = 'mesero'`);
+    await recrearUsuariosSqlite(db, ['admin', 'cocina']);
+  },
+};
@@ -0,0 +1,120 @@
+// migrations/004_inventario_ingredientes.js
+// Stock por ingrediente y libro de movimientos. El stock solo cambia
+// registrando un movimiento.
+
+export async function up(db) {
+  await db.query(`
+    ALTER TABLE ingredientes
+      ADD COLUMN unidad VARCHAR(20) NOT NULL DEFAULT 'unidad' AFTER perecedero,
+      ADD COLUMN stock DECIMAL(12,3) NOT NULL DEFAULT 0 AFTER unidad,
+      ADD COLUMN stock_minimo DECIMAL(12,3) NOT NULL DEFAULT 0 AFTER stock
+  `);
+
+  await db.query(`
+    CREATE TABLE movimientos_stock (
+      id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+      ingrediente_id INT UNSIGNED NOT NULL,
+      tipo ENUM('compra', 'merma', 'ajuste', 'consumo') NOT NULL,
+      cantidad DECIMAL(12,3) NOT NULL,
+      stock_resultante DECIMAL(12,3) NOT NULL,
+      nota VARCHAR(255) NULL,
+      usuario_id INT UNSIGNED NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      KEY idx_movimientos_ingrediente (ingrediente_id, created_at),
+      CONSTRAINT fk_movimientos_ingrediente
+        FOREIGN KEY (ingrediente_id) REFERENCES ingredientes (id) ON DELETE CASCADE,
+      CONSTRAINT fk_movimientos_usuario
+        FOREIGN KEY (usuario_id) REFERENCES usuarios (id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+}
+
+export async function down(db) {
+  await db.query('DROP TABLE IF EXISTS movimientos_stock');
+  await db.query(`
+    ALTER TABLE ingredientes
+      DROP COLUMN stock_minimo,
+      DROP COLUMN stock,
+      DROP COLUMN unidad
+  `);
+}
+
+export const mssql = {
+  async up(db) {
+    await db.query(`
+      ALTER TABLE ingredientes ADD
+        unidad NVARCHAR(20) NOT NULL CONSTRAINT df_ingredientes_unidad DEFAULT 'unidad',
+        stock DECIMAL(12,3) NOT NULL CONSTRAINT df_ingredientes_stock DEFAULT 0,
+        stock_minimo DECIMAL(12,3) NOT NULL CONSTRAINT df_ingredientes_stock_minimo DEFAULT 0
+    `);
+
+    await db.query(`
+      CREATE TABLE movimientos_stock (
+        id INT IDENTITY(1,1) NOT NULL,
+        ingrediente_id INT NOT NULL,
+        tipo VARCHAR(20) NOT NULL
+          CONSTRAINT ck_movimientos_tipo CHECK (tipo IN ('compra', 'merma', 'ajuste', 'consumo')),
+        cantidad DECIMAL(12,3) NOT NULL,
+        stock_resultante DECIMAL(12,3) NOT NULL,
+        nota NVARCHAR(255) NULL,
+        usuario_id INT NULL,
+        created_at DATETIME2(0) NOT NULL CONSTRAINT df_movimientos_created_at DEFAULT SYSDATETIME(),
+        CONSTRAINT pk_movimientos_stock PRIMARY KEY (id),
+        CONSTRAINT fk_movimientos_ingrediente
+          FOREIGN KEY (ingrediente_id) REFERENCES ingredientes (id) ON DELETE CASCADE,
+        CONSTRAINT fk_movimientos_usuario
+          FOREIGN KEY (usuario_id) REFERENCES usuarios (id) ON DELETE SET NULL
+      )
+    `);
+    await db.query(
+      'CREATE INDEX idx_movimientos_ingrediente ON movimientos_stock (ingrediente_id, created_at)'
+    );
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS movimientos_stock');
+    await db.query(`
+      ALTER TABLE ingredientes DROP CONSTRAINT
+        df_ingredientes_stock_minimo, df_ingredientes_stock, df_ingredientes_unidad
+    `);
+    await db.query('ALTER TABLE ingredientes DROP COLUMN stock_minimo, stock, unidad');
+  },
+};
+
+export const sqlite = {
+  async up(db) {
+    // SQLite agrega una columna por sentencia
+    await db.query(`ALTER TABLE ingredientes ADD COLUMN unidad TEXT NOT NULL DEFAULT 'unidad'`);
+    await db.query('ALTER TABLE ingredientes ADD COLUMN stock REAL NOT NULL DEFAULT 0');
+    await db.query('ALTER TABLE ingredientes ADD COLUMN stock_minimo REAL NOT NULL DEFAULT 0');
+
+    await db.query(`
+      CREATE TABLE movimientos_stock (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        ingrediente_id INTEGER NOT NULL,
+        tipo TEXT NOT NULL
+          CONSTRAINT ck_movimientos_tipo CHECK (tipo IN ('compra', 'merma', 'ajuste', 'consumo')),
+        cantidad REAL NOT NULL,
+        stock_resultante REAL NOT NULL,
+        nota TEXT NULL,
+        usuario_id INTEGER NULL,
+        created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT fk_movimientos_ingrediente
+          FOREIGN KEY (ingrediente_id) REFERENCES ingredientes (id) ON DELETE CASCADE,
+        CONSTRAINT fk_movimientos_usuario
+          FOREIGN KEY (usuario_id) REFERENCES usuarios (id) ON DELETE SET NULL
+      )
+    `);
+    await db.query(
+      'CREATE INDEX idx_movimientos_ingrediente ON movimientos_stock (ingrediente_id, created_at)'
+    );
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS movimientos_stock');
+    for (const columna of ['stock_minimo', 'stock', 'unidad']) {
+      await db.query(`ALTER TABLE ingredientes DROP COLUMN ${columna}`);
+    }
+  },
+};
@@ -0,0 +1,36 @@
+// migrations/005_costo_ingredientes.js
+// Costo por unidad de medida del ingrediente, para calcular el costo de
+// cada receta.
+
+export async function up(db) {
+  await db.query(`
+    ALTER TABLE ingredientes
+      ADD COLUMN costo_unitario DECIMAL(12,4) NOT NULL DEFAULT 0 AFTER stock_minimo
+  `);
+}
+
+export async function down(db) {
+  await db.query('ALTER TABLE ingredientes DROP COLUMN costo_unitario');
+}
+
+export const mssql = {
+  async up(db) {
+    await db.query(`
+      ALTER TABLE ingredientes ADD
+        costo_unitario DECIMAL(12,4) NOT NULL CONSTRAINT df_ingredientes_costo_unitario DEFAULT 0
+    `);
+  },
+
+  async down(db) {
+    await db.query('ALTER TABLE ingredientes DROP CONSTRAINT df_ingredientes_costo_unitario');
+    await db.query('ALTER TABLE ingredientes DROP COLUMN costo_unitario');
+  },
+};
+
+export const sqlite = {
+  async up(db) {
+    await db.query('ALTER TABLE ingredientes ADD COLUMN costo_unitario REAL NOT NULL DEFAULT 0');
+  },
+
+  down,
+};
@@ -0,0 +1,48 @@
+// migrations/006_disponibilidad_automatica.js
+// Modo automático de disponibilidad según el stock de la receta, con un
+// override manual opcional (NULL = sin override).
+
+export async function up(db) {
+  await db.query(`
+    ALTER TABLE productos
+      ADD COLUMN disponibilidad_auto TINYINT(1) NOT NULL DEFAULT 0 AFTER disponible,
+      ADD COLUMN disponible_override TINYINT(1) NULL AFTER disponibilidad_auto
+  `);
+}
+
+export async function down(db) {
+  await db.query(`
+    ALTER TABLE productos
+      DROP COLUMN disponible_override,
+      DROP COLUMN disponibilidad_auto
+  `);
+}
+
+export const mssql = {
+  async up(db) {
+    await db.query(`
+      ALTER TABLE productos ADD
+        disponibilidad_auto TINYINT NOT NULL CONSTRAINT df_productos_disponibilidad_auto DEFAULT 0,
+        disponible_override TINYINT NULL
+    `);
+  },
+
+  async down(db) {
+    await db.query('ALTER TABLE productos DROP CONSTRAINT df_productos_disponibilidad_auto');
+    await db.query('ALTER TABLE productos DROP COLUMN disponible_override, disponibilidad_auto');
+  },
+};
+
+export const sqlite = {
+  async up(db) {
+    await db.query(
+      'ALTER TABLE productos ADD COLUMN disponibilidad_auto INTEGER NOT NULL DEFAULT 0'
+    );
+    await db.query('ALTER TABLE productos ADD COLUMN disponible_override INTEGER NULL');
+  },
+
+  async down(db) {
+    await db.query('ALTER TABLE productos DROP COLUMN disponible_override');
+    await db.query('ALTER TABLE productos DROP COLUMN disponibilidad_auto');
+  },
+};
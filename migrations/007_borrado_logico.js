@@ -0,0 +1,57 @@
+// migrations/007_borrado_logico.js
+// Borrado lógico: las filas eliminadas quedan marcadas con deleted_at y se
+// ocultan de las consultas hasta que se restauran o se purgan.
+
+const TABLAS = ['categorias', 'productos', 'ingredientes'];
+
+export async function up(db) {
+  for (const tabla of TABLAS) {
+    await db.query(`
+      ALTER TABLE ${tabla}
+        ADD COLUMN deleted_at DATETIME NULL DEFAULT NULL AFTER updated_at,
+        ADD KEY idx_${tabla}_deleted_at (deleted_at)
+    `);
+  }
+}
+
+export async function down(db) {
+  for (const tabla of TABLAS) {
+    await db.query(`
+      ALTER TABLE ${tabla}
+        DROP KEY idx_${tabla}_deleted_at,
+        DROP COLUMN deleted_at
+    `);
+  }
+}
+
+export const mssql = {
+  async up(db) {
+    for (const tabla of TABLAS) {
+      await db.query(`ALTER TABLE ${tabla} ADD deleted_at DATETIME2(0) NULL`);
+      await db.query(`CREATE INDEX idx_${tabla}_deleted_at ON ${tabla} (deleted_at)`);
+    }
+  },
+
+  async down(db) {
+    for (const tabla of TABLAS) {
+      await db.query(`DROP INDEX idx_${tabla}_deleted_at ON ${tabla}`);
+      await db.query(`ALTER TABLE ${tabla} DROP COLUMN deleted_at`);
+    }
+  },
+};
+
+export const sqlite = {
+  async up(db) {
+    for (const tabla of TABLAS) {
+      await db.query(`ALTER TABLE ${tabla} ADD COLUMN deleted_at TEXT NULL`);
+      await db.query(`CREATE INDEX idx_${tabla}_deleted_at ON ${tabla} (deleted_at)`);
+    }
+  },
+
+  async down(db) {
+    for (const tabla of TABLAS) {
+      await db.query(`DROP INDEX idx_${tabla}_deleted_at`);
+      await db.query(`ALTER TABLE ${tabla} DROP COLUMN deleted_at`);
+    }
+  },
+};
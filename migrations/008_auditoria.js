@@ -0,0 +1,81 @@
+// migrations/008_auditoria.js
+// Bitácora de cambios del catálogo: quién cambió qué, cuándo y el valor
+// anterior y nuevo de cada campo.
+
+export async function up(db) {
+  await db.query(`
+    CREATE TABLE auditoria (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+      entidad VARCHAR(40) NOT NULL,
+      entidad_id INT UNSIGNED NOT NULL,
+      accion ENUM('crear', 'actualizar', 'eliminar', 'restaurar', 'purgar') NOT NULL,
+      usuario_id INT UNSIGNED NULL,
+      cambios JSON NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      KEY idx_auditoria_entidad (entidad, entidad_id, created_at),
+      KEY idx_auditoria_created_at (created_at),
+      CONSTRAINT fk_auditoria_usuario
+        FOREIGN KEY (usuario_id) REFERENCES usuarios (id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+}
+
+export async function down(db) {
+  await db.query('DROP TABLE IF EXISTS auditoria');
+}
+
+export const mssql = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE auditoria (
+        id BIGINT IDENTITY(1,1) NOT NULL,
+        entidad VARCHAR(40) NOT NULL,
+        entidad_id INT NOT NULL,
+        accion VARCHAR(20) NOT NULL
+          CONSTRAINT ck_auditoria_accion
+          CHECK (accion IN ('crear', 'actualizar', 'eliminar', 'restaurar', 'purgar')),
+        usuario_id INT NULL,
+        cambios NVARCHAR(MAX) NOT NULL CONSTRAINT ck_auditoria_cambios CHECK (ISJSON(cambios) = 1),
+        created_at DATETIME2(0) NOT NULL CONSTRAINT df_auditoria_created_at DEFAULT SYSDATETIME(),
+        CONSTRAINT pk_auditoria PRIMARY KEY (id),
+        CONSTRAINT fk_auditoria_usuario
+          FOREIGN KEY (usuario_id) REFERENCES usuarios (id) ON DELETE SET NULL
+      )
+    `);
+    await db.query(
+      'CREATE INDEX idx_auditoria_entidad ON auditoria (entidad, entidad_id, created_at)'
+    );
+    await db.query('CREATE INDEX idx_auditoria_created_at ON auditoria (created_at)');
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS auditoria');
+  },
+};
+
+export const sqlite = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE auditoria (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        entidad TEXT NOT NULL,
+        entidad_id INTEGER NOT NULL,
+        accion TEXT NOT NULL
+          CONSTRAINT ck_auditoria_accion
+          CHECK (accion IN ('crear', 'actualizar', 'eliminar', 'restaurar', 'purgar')),
+        usuario_id INTEGER NULL,
+        cambios TEXT NOT NULL CONSTRAINT ck_auditoria_cambios CHECK (json_valid(cambios)),
+        created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT fk_auditoria_usuario
+          FOREIGN KEY (usuario_id) REFERENCES usuarios (id) ON DELETE SET NULL
+      )
+    `);
+    await db.query(
+      'CREATE INDEX idx_auditoria_entidad ON auditoria (entidad, entidad_id, created_at)'
+    );
+    await db.query('CREATE INDEX idx_auditoria_created_at ON auditoria (created_at)');
+  },
+
+  down: mssql.down,
+};
@@ -0,0 +1,133 @@
+// migrations/009_alergenos.js
+// Lista administrable de alérgenos y su asignación a ingredientes. Los de
+// un producto no se guardan: salen de su receta.
+
+import { updatedAtTrigger } from '../config/drivers/mssql.js';
+import { updatedAtTrigger as updatedAtTriggerSqlite } from '../config/drivers/sqlite.js';
+
+// Lista inicial; se puede cambiar desde /api/alergenos
+const ALERGENOS = [
+  ['gluten', 'Gluten'],
+  ['lacteos', 'Lácteos'],
+  ['huevo', 'Huevo'],
+  ['mani', 'Maní'],
+  ['frutos_secos', 'Frutos secos'],
+  ['mariscos', 'Mariscos'],
+  ['pescado', 'Pescado'],
+  ['soya', 'Soya'],
+  ['ajonjoli', 'Ajonjolí'],
+  ['sulfitos', 'Sulfitos'],
+];
+
+async function insertarAlergenos(db) {
+  for (const [codigo, nombre] of ALERGENOS) {
+    await db.query('INSERT INTO alergenos (codigo, nombre) VALUES (?, ?)', [codigo, nombre]);
+  }
+}
+
+export async function up(db) {
+  await db.query(`
+    CREATE TABLE alergenos (
+      id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+      codigo VARCHAR(40) NOT NULL,
+      nombre VARCHAR(100) NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      UNIQUE KEY uq_alergenos_codigo (codigo),
+      UNIQUE KEY uq_alergenos_nombre (nombre)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  await db.query(`
+    CREATE TABLE ingrediente_alergeno (
+      ingrediente_id INT UNSIGNED NOT NULL,
+      alergeno_id INT UNSIGNED NOT NULL,
+      PRIMARY KEY (ingrediente_id, alergeno_id),
+      KEY idx_ia_alergeno (alergeno_id),
+      CONSTRAINT fk_ia_ingrediente
+        FOREIGN KEY (ingrediente_id) REFERENCES ingredientes (id) ON DELETE CASCADE,
+      CONSTRAINT fk_ia_alergeno
+        FOREIGN KEY (alergeno_id) REFERENCES alergenos (id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  await insertarAlergenos(db);
+}
+
+export async function down(db) {
+  await db.query('DROP TABLE IF EXISTS ingrediente_alergeno');
+  await db.query('DROP TABLE IF EXISTS alergenos');
+}
+
+export const mssql = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE alergenos (
+        id INT IDENTITY(1,1) NOT NULL,
+        codigo NVARCHAR(40) NOT NULL,
+        nombre NVARCHAR(100) NOT NULL,
+        created_at DATETIME2(0) NOT NULL CONSTRAINT df_alergenos_created_at DEFAULT SYSDATETIME(),
+        updated_at DATETIME2(0) NOT NULL CONSTRAINT df_alergenos_updated_at DEFAULT SYSDATETIME(),
+        CONSTRAINT pk_alergenos PRIMARY KEY (id),
+        CONSTRAINT uq_alergenos_codigo UNIQUE (codigo),
+        CONSTRAINT uq_alergenos_nombre UNIQUE (nombre)
+      )
+    `);
+    await db.query(updatedAtTrigger('alergenos'));
+
+    await db.query(`
+      CREATE TABLE ingrediente_alergeno (
+        ingrediente_id INT NOT NULL,
+        alergeno_id INT NOT NULL,
+        CONSTRAINT pk_ingrediente_alergeno PRIMARY KEY (ingrediente_id, alergeno_id),
+        CONSTRAINT fk_ia_ingrediente
+          FOREIGN KEY (ingrediente_id) REFERENCES ingredientes (id) ON DELETE CASCADE,
+        CONSTRAINT fk_ia_alergeno
+          FOREIGN KEY (alergeno_id) REFERENCES alergenos (id)
+      )
+    `);
+    await db.query('CREATE INDEX idx_ia_alergeno ON ingrediente_alergeno (alergeno_id)');
+
+    await insertarAlergenos(db);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS ingrediente_alergeno');
+    await db.query('DROP TABLE IF EXISTS alergenos');
+  },
+};
+
+export const sqlite = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE alergenos (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        codigo TEXT NOT NULL COLLATE NOCASE,
+        nombre TEXT NOT NULL COLLATE NOCASE,
+        created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT uq_alergenos_codigo UNIQUE (codigo),
+        CONSTRAINT uq_alergenos_nombre UNIQUE (nombre)
+      )
+    `);
+    await db.query(updatedAtTriggerSqlite('alergenos'));
+
+    await db.query(`
+      CREATE TABLE ingrediente_alergeno (
+        ingrediente_id INTEGER NOT NULL,
+        alergeno_id INTEGER NOT NULL,
+        CONSTRAINT pk_ingrediente_alergeno PRIMARY KEY (ingrediente_id, alergeno_id),
+        CONSTRAINT fk_ia_ingrediente
+          FOREIGN KEY (ingrediente_id) REFERENCES ingredientes (id) ON DELETE CASCADE,
+        CONSTRAINT fk_ia_alergeno
+          FOREIGN KEY (alergeno_id) REFERENCES alergenos (id)
+      )
+    `);
+    await db.query('CREATE INDEX idx_ia_alergeno ON ingrediente_alergeno (alergeno_id)');
+
+    await insertarAlergenos(db);
+  },
+
+  down: mssql.down,
+};
@@ -0,0 +1,101 @@
+// migrations/010_historial_precios.js
+// Historial de precios de cada producto, con precios programados a futuro.
+// El precio que se lee es el de la última fila vigente; la columna
+// productos.precio queda con el último precio cambiado directamente.
+//
+// Cada producto existente arranca con su precio actual, vigente desde que
+// se creó.
+
+const COPIAR_PRECIOS = `
+  INSERT INTO producto_precios (producto_id, precio, vigente_desde)
+  SELECT id, precio, created_at FROM productos
+`;
+
+export async function up(db) {
+  await db.query(`
+    CREATE TABLE producto_precios (
+      id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+      producto_id INT UNSIGNED NOT NULL,
+      precio DECIMAL(10,2) NOT NULL,
+      vigente_desde DATETIME NOT NULL,
+      usuario_id INT UNSIGNED NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      KEY idx_producto_precios_vigencia (producto_id, vigente_desde),
+      KEY idx_producto_precios_vigente_desde (vigente_desde),
+      CONSTRAINT fk_producto_precios_producto
+        FOREIGN KEY (producto_id) REFERENCES productos (id) ON DELETE CASCADE,
+      CONSTRAINT fk_producto_precios_usuario
+        FOREIGN KEY (usuario_id) REFERENCES usuarios (id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  await db.query(COPIAR_PRECIOS);
+}
+
+export async function down(db) {
+  await db.query('DROP TABLE IF EXISTS producto_precios');
+}
+
+export const mssql = {
+  async up(db) {
+    // DATETIME2(3) y no (0): CURRENT_TIMESTAMP trae milisegundos y, al
+    // redondear a segundos, un cambio inmediato podría quedar en el futuro
+    await db.query(`
+      CREATE TABLE producto_precios (
+        id INT IDENTITY(1,1) NOT NULL,
+        producto_id INT NOT NULL,
+        precio DECIMAL(10,2) NOT NULL,
+        vigente_desde DATETIME2(3) NOT NULL,
+        usuario_id INT NULL,
+        created_at DATETIME2(0) NOT NULL CONSTRAINT df_producto_precios_created_at DEFAULT SYSDATETIME(),
+        CONSTRAINT pk_producto_precios PRIMARY KEY (id),
+        CONSTRAINT fk_producto_precios_producto
+          FOREIGN KEY (producto_id) REFERENCES productos (id) ON DELETE CASCADE,
+        CONSTRAINT fk_producto_precios_usuario
+          FOREIGN KEY (usuario_id) REFERENCES usuarios (id) ON DELETE SET NULL
+      )
+    `);
+    await db.query(
+      'CREATE INDEX idx_producto_precios_vigencia ON producto_precios (producto_id, vigente_desde)'
+    );
+    await db.query(
+      'CREATE INDEX idx_producto_precios_vigente_desde ON producto_precios (vigente_desde)'
+    );
+
+    await db.query(COPIAR_PRECIOS);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS producto_precios');
+  },
+};
+
+export const sqlite = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE producto_precios (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        producto_id INTEGER NOT NULL,
+        precio REAL NOT NULL,
+        vigente_desde TEXT NOT NULL,
+        usuario_id INTEGER NULL,
+        created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT fk_producto_precios_producto
+          FOREIGN KEY (producto_id) REFERENCES productos (id) ON DELETE CASCADE,
+        CONSTRAINT fk_producto_precios_usuario
+          FOREIGN KEY (usuario_id) REFERENCES usuarios (id) ON DELETE SET NULL
+      )
+    `);
+    await db.query(
+      'CREATE INDEX idx_producto_precios_vigencia ON producto_precios (producto_id, vigente_desde)'
+    );
+    await db.query(
+      'CREATE INDEX idx_producto_precios_vigente_desde ON producto_precios (vigente_desde)'
+    );
+
+    await db.query(COPIAR_PRECIOS);
+  },
+
+  down: mssql.down,
+};
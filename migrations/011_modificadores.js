@@ -0,0 +1,178 @@
+// migrations/011_modificadores.js
+// Grupos de modificadores de cada producto (tamaño, extras, "sin cebolla"),
+// sus opciones con el cambio de precio y los cambios que cada opción hace a
+// la receta. Con min_selecciones 0 el grupo es opcional; max_selecciones
+// NULL es sin límite.
+
+import { updatedAtTrigger } from '../config/drivers/mssql.js';
+import { updatedAtTrigger as updatedAtTriggerSqlite } from '../config/drivers/sqlite.js';
+
+export async function up(db) {
+  await db.query(`
+    CREATE TABLE modificador_grupos (
+      id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+      producto_id INT UNSIGNED NOT NULL,
+      nombre VARCHAR(100) NOT NULL,
+      tipo ENUM('unica', 'multiple') NOT NULL,
+      min_selecciones INT UNSIGNED NOT NULL DEFAULT 0,
+      max_selecciones INT UNSIGNED NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      UNIQUE KEY uq_modificador_grupos_nombre (producto_id, nombre),
+      CONSTRAINT fk_modificador_grupos_producto
+        FOREIGN KEY (producto_id) REFERENCES productos (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  await db.query(`
+    CREATE TABLE modificador_opciones (
+      id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+      grupo_id INT UNSIGNED NOT NULL,
+      nombre VARCHAR(100) NOT NULL,
+      precio_delta DECIMAL(10,2) NOT NULL DEFAULT 0,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      UNIQUE KEY uq_modificador_opciones_nombre (grupo_id, nombre),
+      CONSTRAINT fk_modificador_opciones_grupo
+        FOREIGN KEY (grupo_id) REFERENCES modificador_grupos (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  await db.query(`
+    CREATE TABLE modificador_opcion_ingredientes (
+      opcion_id INT UNSIGNED NOT NULL,
+      ingrediente_id INT UNSIGNED NOT NULL,
+      cantidad DECIMAL(10,3) NOT NULL,
+      PRIMARY KEY (opcion_id, ingrediente_id),
+      KEY idx_moi_ingrediente (ingrediente_id),
+      CONSTRAINT fk_moi_opcion
+        FOREIGN KEY (opcion_id) REFERENCES modificador_opciones (id) ON DELETE CASCADE,
+      CONSTRAINT fk_moi_ingrediente
+        FOREIGN KEY (ingrediente_id) REFERENCES ingredientes (id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+}
+
+export async function down(db) {
+  await db.query('DROP TABLE IF EXISTS modificador_opcion_ingredientes');
+  await db.query('DROP TABLE IF EXISTS modificador_opciones');
+  await db.query('DROP TABLE IF EXISTS modificador_grupos');
+}
+
+export const mssql = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE modificador_grupos (
+        id INT IDENTITY(1,1) NOT NULL,
+        producto_id INT NOT NULL,
+        nombre NVARCHAR(100) NOT NULL,
+        tipo VARCHAR(10) NOT NULL
+          CONSTRAINT ck_modificador_grupos_tipo CHECK (tipo IN ('unica', 'multiple')),
+        min_selecciones INT NOT NULL CONSTRAINT df_modificador_grupos_min DEFAULT 0,
+        max_selecciones INT NULL,
+        created_at DATETIME2(0) NOT NULL CONSTRAINT df_modificador_grupos_created_at DEFAULT SYSDATETIME(),
+        updated_at DATETIME2(0) NOT NULL CONSTRAINT df_modificador_grupos_updated_at DEFAULT SYSDATETIME(),
+        CONSTRAINT pk_modificador_grupos PRIMARY KEY (id),
+        CONSTRAINT uq_modificador_grupos_nombre UNIQUE (producto_id, nombre),
+        CONSTRAINT fk_modificador_grupos_producto
+          FOREIGN KEY (producto_id) REFERENCES productos (id) ON DELETE CASCADE
+      )
+    `);
+    await db.query(updatedAtTrigger('modificador_grupos'));
+
+    await db.query(`
+      CREATE TABLE modificador_opciones (
+        id INT IDENTITY(1,1) NOT NULL,
+        grupo_id INT NOT NULL,
+        nombre NVARCHAR(100) NOT NULL,
+        precio_delta DECIMAL(10,2) NOT NULL CONSTRAINT df_modificador_opciones_precio DEFAULT 0,
+        created_at DATETIME2(0) NOT NULL CONSTRAINT df_modificador_opciones_created_at DEFAULT SYSDATETIME(),
+        updated_at DATETIME2(0) NOT NULL CONSTRAINT df_modificador_opciones_updated_at DEFAULT SYSDATETIME(),
+        CONSTRAINT pk_modificador_opciones PRIMARY KEY (id),
+        CONSTRAINT uq_modificador_opciones_nombre UNIQUE (grupo_id, nombre),
+        CONSTRAINT fk_modificador_opciones_grupo
+          FOREIGN KEY (grupo_id) REFERENCES modificador_grupos (id) ON DELETE CASCADE
+      )
+    `);
+    await db.query(updatedAtTrigger('modificador_opciones'));
+
+    await db.query(`
+      CREATE TABLE modificador_opcion_ingredientes (
+        opcion_id INT NOT NULL,
+        ingrediente_id INT NOT NULL,
+        cantidad DECIMAL(10,3) NOT NULL,
+        CONSTRAINT pk_modificador_opcion_ingredientes PRIMARY KEY (opcion_id, ingrediente_id),
+        CONSTRAINT fk_moi_opcion
+          FOREIGN KEY (opcion_id) REFERENCES modificador_opciones (id) ON DELETE CASCADE,
+        CONSTRAINT fk_moi_ingrediente
+          FOREIGN KEY (ingrediente_id) REFERENCES ingredientes (id)
+      )
+    `);
+    await db.query(
+      'CREATE INDEX idx_moi_ingrediente ON modificador_opcion_ingredientes (ingrediente_id)'
+    );
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS modificador_opcion_ingredientes');
+    await db.query('DROP TABLE IF EXISTS modificador_opciones');
+    await db.query('DROP TABLE IF EXISTS modificador_grupos');
+  },
+};
+
+export const sqlite = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE modificador_grupos (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        producto_id INTEGER NOT NULL,
+        nombre TEXT NOT NULL COLLATE NOCASE,
+        tipo TEXT NOT NULL
+          CONSTRAINT ck_modificador_grupos_tipo CHECK (tipo IN ('unica', 'multiple')),
+        min_selecciones INTEGER NOT NULL DEFAULT 0,
+        max_selecciones INTEGER NULL,
+        created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT uq_modificador_grupos_nombre UNIQUE (producto_id, nombre),
+        CONSTRAINT fk_modificador_grupos_producto
+          FOREIGN KEY (producto_id) REFERENCES productos (id) ON DELETE CASCADE
+      )
+    `);
+    await db.query(updatedAtTriggerSqlite('modificador_grupos'));
+
+    await db.query(`
+      CREATE TABLE modificador_opciones (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        grupo_id INTEGER NOT NULL,
+        nombre TEXT NOT NULL COLLATE NOCASE,
+        precio_delta REAL NOT NULL DEFAULT 0,
+        created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT uq_modificador_opciones_nombre UNIQUE (grupo_id, nombre),
+        CONSTRAINT fk_modificador_opciones_grupo
+          FOREIGN KEY (grupo_id) REFERENCES modificador_grupos (id) ON DELETE CASCADE
+      )
+    `);
+    await db.query(updatedAtTriggerSqlite('modificador_opciones'));
+
+    await db.query(`
+      CREATE TABLE modificador_opcion_ingredientes (
+        opcion_id INTEGER NOT NULL,
+        ingrediente_id INTEGER NOT NULL,
+        cantidad REAL NOT NULL,
+        CONSTRAINT pk_modificador_opcion_ingredientes PRIMARY KEY (opcion_id, ingrediente_id),
+        CONSTRAINT fk_moi_opcion
+          FOREIGN KEY (opcion_id) REFERENCES modificador_opciones (id) ON DELETE CASCADE,
+        CONSTRAINT fk_moi_ingrediente
+          FOREIGN KEY (ingrediente_id) REFERENCES ingredientes (id)
+      )
+    `);
+    await db.query(
+      'CREATE INDEX idx_moi_ingrediente ON modificador_opcion_ingredientes (ingrediente_id)'
+    );
+  },
+
+  down: mssql.down,
+};
@@ -0,0 +1,104 @@
+// migrations/012_combos.js
+// Componentes de los combos. Cada fila es un producto fijo (producto_id) o
+// una elección de un producto de una categoría (categoria_id), nunca los
+// dos. Un producto es combo mientras tenga componentes.
+
+import { updatedAtTrigger } from '../config/drivers/mssql.js';
+import { updatedAtTrigger as updatedAtTriggerSqlite } from '../config/drivers/sqlite.js';
+
+const UN_COMPONENTE = `
+  (producto_id IS NOT NULL AND categoria_id IS NULL)
+  OR (producto_id IS NULL AND categoria_id IS NOT NULL)
+`;
+
+export async function up(db) {
+  await db.query(`
+    CREATE TABLE combo_componentes (
+      id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+      combo_id INT UNSIGNED NOT NULL,
+      producto_id INT UNSIGNED NULL,
+      categoria_id INT UNSIGNED NULL,
+      cantidad INT UNSIGNED NOT NULL DEFAULT 1,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      KEY idx_combo_componentes_combo (combo_id),
+      KEY idx_combo_componentes_producto (producto_id),
+      KEY idx_combo_componentes_categoria (categoria_id),
+      CONSTRAINT ck_combo_componentes_tipo CHECK (${UN_COMPONENTE}),
+      CONSTRAINT fk_combo_componentes_combo
+        FOREIGN KEY (combo_id) REFERENCES productos (id) ON DELETE CASCADE,
+      CONSTRAINT fk_combo_componentes_producto
+        FOREIGN KEY (producto_id) REFERENCES productos (id),
+      CONSTRAINT fk_combo_componentes_categoria
+        FOREIGN KEY (categoria_id) REFERENCES categorias (id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+}
+
+export async function down(db) {
+  await db.query('DROP TABLE IF EXISTS combo_componentes');
+}
+
+export const mssql = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE combo_componentes (
+        id INT IDENTITY(1,1) NOT NULL,
+        combo_id INT NOT NULL,
+        producto_id INT NULL,
+        categoria_id INT NULL,
+        cantidad INT NOT NULL CONSTRAINT df_combo_componentes_cantidad DEFAULT 1,
+        created_at DATETIME2(0) NOT NULL CONSTRAINT df_combo_componentes_created_at DEFAULT SYSDATETIME(),
+        updated_at DATETIME2(0) NOT NULL CONSTRAINT df_combo_componentes_updated_at DEFAULT SYSDATETIME(),
+        CONSTRAINT pk_combo_componentes PRIMARY KEY (id),
+        CONSTRAINT ck_combo_componentes_tipo CHECK (${UN_COMPONENTE}),
+        CONSTRAINT fk_combo_componentes_combo
+          FOREIGN KEY (combo_id) REFERENCES productos (id) ON DELETE CASCADE,
+        CONSTRAINT fk_combo_componentes_producto
+          FOREIGN KEY (producto_id) REFERENCES productos (id),
+        CONSTRAINT fk_combo_componentes_categoria
+          FOREIGN KEY (categoria_id) REFERENCES categorias (id)
+      )
+    `);
+    await db.query(updatedAtTrigger('combo_componentes'));
+    for (const columna of ['combo', 'producto', 'categoria']) {
+      await db.query(
+        `CREATE INDEX idx_combo_componentes_${columna} ON combo_componentes (${columna}_id)`
+      );
+    }
+  },
+
+  down,
+};
+
+export const sqlite = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE combo_componentes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        combo_id INTEGER NOT NULL,
+        producto_id INTEGER NULL,
+        categoria_id INTEGER NULL,
+        cantidad INTEGER NOT NULL DEFAULT 1,
+        created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT ck_combo_componentes_tipo CHECK (${UN_COMPONENTE}),
+        CONSTRAINT fk_combo_componentes_combo
+          FOREIGN KEY (combo_id) REFERENCES productos (id) ON DELETE CASCADE,
+        CONSTRAINT fk_combo_componentes_producto
+          FOREIGN KEY (producto_id) REFERENCES productos (id),
+        CONSTRAINT fk_combo_componentes_categoria
+          FOREIGN KEY (categoria_id) REFERENCES categorias (id)
+      )
+    `);
+    await db.query(updatedAtTriggerSqlite('combo_componentes'));
+    for (const columna of ['combo', 'producto', 'categoria']) {
+      await db.query(
+        `CREATE INDEX idx_combo_componentes_${columna} ON combo_componentes (${columna}_id)`
+      );
+    }
+  },
+
+  down,
+};
@@ -0,0 +1,68 @@
+// migrations/013_jerarquia_categorias.js
+// Subcategorías (padre_id, NULL = categoría principal) y el orden en que se
+// muestran las hermanas (posicion). Las categorías existentes quedan como
+// principales, numeradas por nombre.
+
+async function numerarPorNombre(db) {
+  const [rows] = await db.query('SELECT id FROM categorias ORDER BY nombre');
+  for (const [i, { id }] of rows.entries()) {
+    await db.query('UPDATE categorias SET posicion = ? WHERE id = ?', [i + 1, id]);
+  }
+}
+
+export async function up(db) {
+  await db.query(`
+    ALTER TABLE categorias
+      ADD COLUMN padre_id INT UNSIGNED NULL AFTER nombre,
+      ADD COLUMN posicion INT UNSIGNED NOT NULL DEFAULT 0 AFTER padre_id,
+      ADD KEY idx_categorias_padre (padre_id, posicion),
+      ADD CONSTRAINT fk_categorias_padre FOREIGN KEY (padre_id) REFERENCES categorias (id)
+  `);
+  await numerarPorNombre(db);
+}
+
+export async function down(db) {
+  await db.query(`
+    ALTER TABLE categorias
+      DROP FOREIGN KEY fk_categorias_padre,
+      DROP KEY idx_categorias_padre,
+      DROP COLUMN posicion,
+      DROP COLUMN padre_id
+  `);
+}
+
+export const mssql = {
+  async up(db) {
+    await db.query(`
+      ALTER TABLE categorias ADD
+        padre_id INT NULL
+          CONSTRAINT fk_categorias_padre FOREIGN KEY REFERENCES categorias (id),
+        posicion INT NOT NULL CONSTRAINT df_categorias_posicion DEFAULT 0
+    `);
+    await db.query('CREATE INDEX idx_categorias_padre ON categorias (padre_id, posicion)');
+    await numerarPorNombre(db);
+  },
+
+  async down(db) {
+    await db.query('DROP INDEX idx_categorias_padre ON categorias');
+    await db.query('ALTER TABLE categorias DROP CONSTRAINT fk_categorias_padre, df_categorias_posicion');
+    await db.query('ALTER TABLE categorias DROP COLUMN posicion, padre_id');
+  },
+};
+
+export const sqlite = {
+  async up(db) {
+    await db.query(
+      'ALTER TABLE categorias ADD COLUMN padre_id INTEGER NULL REFERENCES categorias (id)'
+    );
+    await db.query('ALTER TABLE categorias ADD COLUMN posicion INTEGER NOT NULL DEFAULT 0');
+    await db.query('CREATE INDEX idx_categorias_padre ON categorias (padre_id, posicion)');
+    await numerarPorNombre(db);
+  },
+
+  async down(db) {
+    await db.query('DROP INDEX IF EXISTS idx_categorias_padre');
+    await db.query('ALTER TABLE categorias DROP COLUMN posicion');
+    await db.query('ALTER TABLE categorias DROP COLUMN padre_id');
+  },
+};
@@ -0,0 +1,31 @@
+// migrations/014_imagenes_productos.js
+// Imagen de cada producto. Se guarda solo el nombre del archivo en el
+// almacenamiento; la URL pública se arma al responder.
+
+export async function up(db) {
+  await db.query('ALTER TABLE productos ADD COLUMN imagen VARCHAR(100) NULL AFTER descripcion');
+}
+
+export async function down(db) {
+  await db.query('ALTER TABLE productos DROP COLUMN imagen');
+}
+
+export const mssql = {
+  async up(db) {
+    await db.query('ALTER TABLE productos ADD imagen NVARCHAR(100) NULL');
+  },
+
+  async down(db) {
+    await db.query('ALTER TABLE productos DROP COLUMN imagen');
+  },
+};
+
+export const sqlite = {
+  async up(db) {
+    await db.query('ALTER TABLE productos ADD COLUMN imagen TEXT NULL');
+  },
+
+  async down(db) {
+    await db.query('ALTER TABLE productos DROP COLUMN imagen');
+  },
+};
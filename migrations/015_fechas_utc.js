@@ -0,0 +1,116 @@
+// migrations/015_fechas_utc.js
+// Las fechas pasan a guardarse en UTC (los drivers fijan la zona de la
+// conexión). Las que ya estaban se guardaron en la hora local de la API, que
+// se supone la misma que la de la base, así que se corren con la zona actual
+// del proceso que migra.
+//
+// En MySQL solo hace falta con las columnas DATETIME: las TIMESTAMP ya se
+// guardan en UTC y se convierten según la zona de la sesión.
+import { updatedAtTrigger } from '../config/drivers/mssql.js';
+
+// Minutos que hay que sumar a la hora local para llegar a UTC
+const DESFASE = new Date().getTimezoneOffset();
+
+async function columnasPorTabla(db, sql) {
+  const [rows] = await db.query(sql);
+  const tablas = new Map();
+  for (const { tabla, columna } of rows) {
+    tablas.set(tabla, [...(tablas.get(tabla) ?? []), columna]);
+  }
+  return tablas;
+}
+
+async function correrMysql(db, minutos) {
+  if (minutos === 0) return;
+  const tablas = await columnasPorTabla(
+    db,
+    `SELECT TABLE_NAME AS tabla, COLUMN_NAME AS columna
+     FROM information_schema.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE() AND DATA_TYPE = 'datetime'`
+  );
+  for (const [tabla, columnas] of tablas) {
+    await db.query(
+      `UPDATE \`${tabla}\` SET ${columnas.map((c) => `\`${c}\` = \`${c}\` + INTERVAL ? MINUTE`).join(', ')}`,
+      columnas.map(() => minutos)
+    );
+  }
+}
+
+export async function up(db) {
+  await correrMysql(db, DESFASE);
+}
+
+export async function down(db) {
+  await correrMysql(db, -DESFASE);
+}
+
+/**
+ * Cambia los DEFAULT `desde` de todas las tablas por `hacia`.
+ */
+async function cambiarDefaults(db, desde, hacia) {
+  await db.query(`
+    DECLARE @sql NVARCHAR(MAX) = N'';
+    SELECT @sql += N'ALTER TABLE ' + QUOTENAME(t.name) +
+                   N' DROP CONSTRAINT ' + QUOTENAME(dc.name) + N'; ' +
+                   N'ALTER TABLE ' + QUOTENAME(t.name) +
+                   N' ADD CONSTRAINT ' + QUOTENAME(dc.name) +
+                   N' DEFAULT ${hacia} FOR ' + QUOTENAME(c.name) + N'; '
+    FROM sys.default_constraints dc
+    JOIN sys.tables t ON t.object_id = dc.parent_object_id
+    JOIN sys.columns c ON c.object_id = dc.parent_object_id AND c.column_id = dc.parent_column_id
+    WHERE dc.definition = N'(${desde.toLowerCase()})';
+    EXEC sp_executesql @sql;
+  `);
+}
+
+async function recrearTriggers(db, ahora) {
+  const [rows] = await db.query(`
+    SELECT OBJECT_NAME(parent_id) AS tabla
+    FROM sys.triggers
+    WHERE name LIKE 'trg[_]%[_]updated[_]at'
+  `);
+  for (const { tabla } of rows) {
+    await db.query(`DROP TRIGGER trg_${tabla}_updated_at`);
+    await db.query(updatedAtTrigger(tabla, ahora));
+  }
+}
+
+async function correrMssql(db, minutos) {
+  if (minutos === 0) return;
+  const tablas = await columnasPorTabla(
+    db,
+    `SELECT TABLE_NAME AS tabla, COLUMN_NAME AS columna
+     FROM INFORMATION_SCHEMA.COLUMNS
+     WHERE DATA_TYPE = 'datetime2'`
+  );
+  for (const [tabla, columnas] of tablas) {
+    // Sin el trigger, que pisaría updated_at con la hora del UPDATE
+    await db.query(`DISABLE TRIGGER ALL ON [${tabla}]`);
+    await db.query(
+      `UPDATE [${tabla}] SET ${columnas.map((c) => `[${c}] = DATEADD(MINUTE, ?, [${c}])`).join(', ')}`,
+      columnas.map(() => minutos)
+    );
+    await db.query(`ENABLE TRIGGER ALL ON [${tabla}]`);
+  }
+}
+
+export const mssql = {
+  async up(db) {
+    await cambiarDefaults(db, 'SYSDATETIME()', 'SYSUTCDATETIME()');
+    await recrearTriggers(db, 'SYSUTCDATETIME()');
+    await correrMssql(db, DESFASE);
+  },
+
+  async down(db) {
+    await correrMssql(db, -DESFASE);
+    await recrearTriggers(db, 'SYSDATETIME()');
+    await cambiarDefaults(db, 'SYSUTCDATETIME()', 'SYSDATETIME()');
+  },
+};
+
+// CURRENT_TIMESTAMP ya es UTC en SQLite
+export const sqlite = {
+  async up() {},
+
+  async down() {},
+};
@@ -0,0 +1,100 @@
+// repositories/alergenos.js
+import { insertar, actualizarPorId } from './base.js';
+
+const COLUMNAS = 'id, codigo, nombre, created_at, updated_at';
+
+/**
+ * Códigos de alérgeno separados por coma de los ingredientes que cumplen
+ * `condicion` (alias `ia` para ingrediente_alergeno), sin repetir y en
+ * orden. Como subconsulta del SELECT; conAlergenos() la convierte en lista.
+ */
+export function codigosSql(dialect, condicion) {
+  return `(
+    SELECT ${dialect.groupConcat('a_c.codigo', 'a_c.codigo', ',')}
+    FROM alergenos a_c
+    WHERE EXISTS (SELECT 1 ${condicion} AND ia.alergeno_id = a_c.id)
+  )`;
+}
+
+export function conAlergenos(row) {
+  return { ...row, alergenos: row.alergenos ? row.alergenos.split(',') : [] };
+}
+
+export async function listar(db) {
+  const [rows] = await db.query(`SELECT ${COLUMNAS} FROM alergenos ORDER BY nombre`);
+  return rows;
+}
+
+export async function buscar(db, id) {
+  const [rows] = await db.query(`SELECT ${COLUMNAS} FROM alergenos WHERE id = ?`, [id]);
+  return rows[0] ?? null;
+}
+
+/**
+ * Id por código de los `codigos` que existen.
+ */
+export async function idsPorCodigo(db, codigos) {
+  if (codigos.length === 0) return new Map();
+  const [rows] = await db.query('SELECT id, codigo FROM alergenos WHERE codigo IN (?)', [codigos]);
+  return new Map(rows.map((a) => [a.codigo.toLowerCase(), a.id]));
+}
+
+/**
+ * Códigos de alérgeno de los ingredientes `ids`, sin repetir y en orden.
+ */
+export async function deIngredientes(db, ids) {
+  if (ids.length === 0) return [];
+  const [rows] = await db.query(
+    `
+    SELECT DISTINCT a.codigo
+    FROM ingrediente_alergeno ia
+    JOIN alergenos a ON ia.alergeno_id = a.id
+    WHERE ia.ingrediente_id IN (?)
+    ORDER BY a.codigo
+    `,
+    [ids]
+  );
+  return rows.map((a) => a.codigo);
+}
+
+/**
+ * Nombres de los ingredientes (eliminados incluidos) marcados con el alérgeno.
+ */
+export async function ingredientesQueUsan(db, id) {
+  const [rows] = await db.query(
+    `
+    SELECT i.nombre
+    FROM ingrediente_alergeno ia
+    JOIN ingredientes i ON ia.ingrediente_id = i.id
+    WHERE ia.alergeno_id = ?
+    ORDER BY i.nombre
+    `,
+    [id]
+  );
+  return rows.map((i) => i.nombre);
+}
+
+/**
+ * Reemplaza los alérgenos de un ingrediente por `ids`.
+ */
+export async function asignar(db, ingredienteId, ids) {
+  await db.query('DELETE FROM ingrediente_alergeno WHERE ingrediente_id = ?', [ingredienteId]);
+  for (const alergenoId of ids) {
+    await db.query('INSERT INTO ingrediente_alergeno (ingrediente_id, alergeno_id) VALUES (?, ?)', [
+      ingredienteId,
+      alergenoId,
+    ]);
+  }
+}
+
+export function crear(db, { codigo, nombre }) {
+  return insertar(db, 'alergenos', { codigo, nombre });
+}
+
+export function actualizar(db, id, cambios) {
+  return actualizarPorId(db, 'alergenos', id, cambios);
+}
+
+export async function eliminar(db, id) {
+  await db.query('DELETE FROM alergenos WHERE id = ?', [id]);
+}
@@ -0,0 +1,80 @@
+// repositories/auditoria.js
+import { buildListQuery, parsePagination } from '../routes/listing.js';
+import { listarPagina } from './base.js';
+
+export const ENTIDADES = [
+  'categorias',
+  'productos',
+  'ingredientes',
+  'producto_ingrediente',
+  'alergenos',
+  'producto_precios',
+  'modificador_grupos',
+  'modificador_opciones',
+  'combo_componentes',
+];
+
+export const ACCIONES = ['crear', 'actualizar', 'eliminar', 'restaurar', 'purgar'];
+
+export const LISTADO = {
+  filters: {
+    entidad: { column: 'a.entidad', type: 'string', values: ENTIDADES },
+    entidad_id: { column: 'a.entidad_id', type: 'int' },
+    accion: { column: 'a.accion', type: 'string', values: ACCIONES },
+    usuario_id: { column: 'a.usuario_id', type: 'int' },
+    desde: { column: 'a.created_at', type: 'date', op: 'gte' },
+    hasta: { column: 'a.created_at', type: 'date', op: 'lte' },
+  },
+  sortable: {
+    id: 'a.id',
+    created_at: 'a.created_at',
+  },
+  defaultSort: '-id',
+};
+
+/**
+ * Fila completa tal como está en la tabla, para guardar el antes y el
+ * después de un cambio. Con `bloquear` la fila queda tomada hasta el fin
+ * de la transacción.
+ */
+export async function filaAuditable(db, entidad, id, { bloquear = false } = {}) {
+  const { lockHint, lockSuffix } = db.dialect;
+  const [rows] = await db.query(
+    `SELECT * FROM ${entidad}${bloquear ? lockHint : ''} WHERE id = ?${bloquear ? lockSuffix : ''}`,
+    [id]
+  );
+  return rows[0] ?? null;
+}
+
+export async function insertar(db, { entidad, entidadId, accion, usuarioId, cambios }) {
+  await db.query(
+    `
+    INSERT INTO auditoria (entidad, entidad_id, accion, usuario_id, cambios)
+    VALUES (?, ?, ?, ?, ?)
+    `,
+    [entidad, entidadId, accion, usuarioId, JSON.stringify(cambios)]
+  );
+}
+
+/**
+ * Entradas de la bitácora con el nombre del usuario. Siempre paginado.
+ * `cambios` llega como objeto aunque el motor lo guarde como texto.
+ */
+export async function listar(db, reqQuery) {
+  const { rows, total, pagination } = await listarPagina(db, {
+    columns: `a.id, a.entidad, a.entidad_id, a.accion, a.usuario_id,
+              u.usuario, a.cambios, a.created_at`,
+    from: 'auditoria a LEFT JOIN usuarios u ON a.usuario_id = u.id',
+    list: buildListQuery(reqQuery, LISTADO, undefined, db.dialect),
+    pagination: parsePagination(reqQuery, true),
+  });
+
+  return {
+    rows: rows.map((row) => ({
+      ...row,
+      cambios: typeof row.cambios === 'string' ? JSON.parse(row.cambios) : row.cambios,
+    })),
+    total,
+    pagination,
+  };
+}
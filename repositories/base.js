@@ -0,0 +1,75 @@
+// repositories/base.js
+//
+// Piezas comunes de los repositorios. Todas las funciones de repositories/
+// reciben `db`: el pool (getPool) o la conexión de una transacción
+// (withTransaction). Lo que cambia entre motores sale de db.dialect.
+
+/**
+ * Condiciones para ocultar las filas con borrado lógico, como `baseWhere`
+ * de buildListQuery.
+ */
+export function filtroEliminados(incluirEliminados, column = 'deleted_at') {
+  return {
+    conditions: incluirEliminados ? [] : [`${column} IS NULL`],
+    params: [],
+  };
+}
+
+/**
+ * Cuenta y trae un listado armado con buildListQuery. `pagination` permite
+ * forzar una página cuando el endpoint siempre pagina.
+ */
+export async function listarPagina(db, { columns, from, list, pagination = list.pagination }) {
+  const { where, params, orderBy } = list;
+  const limit = pagination ? db.dialect.paginate(pagination) : { clause: '', params: [] };
+
+  const [[{ total }]] = await db.query(`SELECT COUNT(*) AS total FROM ${from} ${where}`, params);
+
+  const [rows] = await db.query(
+    `
+    SELECT ${columns}
+    FROM ${from}
+    ${where}
+    ${orderBy}
+    ${limit.clause}
+    `,
+    [...params, ...limit.params]
+  );
+
+  return { rows, total: Number(total), pagination };
+}
+
+/**
+ * INSERT con las columnas de `datos`; devuelve el id creado. Los nombres de
+ * columna vienen del código que llama, nunca del request.
+ */
+export async function insertar(db, tabla, datos) {
+  const columnas = Object.keys(datos);
+  const [result] = await db.query(
+    `INSERT INTO ${tabla} (${columnas.join(', ')}) VALUES (${columnas.map(() => '?').join(', ')})`,
+    Object.values(datos)
+  );
+  return result.insertId;
+}
+
+/**
+ * UPDATE por id de las columnas de `cambios`; devuelve las filas afectadas.
+ */
+export async function actualizarPorId(db, tabla, id, cambios) {
+  const columnas = Object.keys(cambios);
+  if (columnas.length === 0) return 0;
+
+  const [result] = await db.query(
+    `UPDATE ${tabla} SET ${columnas.map((c) => `${c} = ?`).join(', ')} WHERE id = ?`,
+    [...Object.values(cambios), id]
+  );
+  return result.affectedRows;
+}
+
+export async function marcarEliminado(db, tabla, id) {
+  await db.query(`UPDATE ${tabla} SET deleted_at = ${db.dialect.now} WHERE id = ?`, [id]);
+}
+
+export async function quitarEliminado(db, tabla, id) {
+  await db.query(`UPDATE ${tabla} SET deleted_at = NULL WHERE id = ?`, [id]);
+}
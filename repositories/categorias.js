@@ -0,0 +1,126 @@
+// repositories/categorias.js
+import { buildListQuery } from '../routes/listing.js';
+import {
+  filtroEliminados,
+  listarPagina,
+  insertar,
+  actualizarPorId,
+  marcarEliminado,
+  quitarEliminado,
+} from './base.js';
+
+const COLUMNAS = 'id, nombre, padre_id, posicion, created_at, updated_at, deleted_at';
+
+export const LISTADO = {
+  filters: {
+    nombre: { column: 'nombre', type: 'string', op: 'like' },
+    padre_id: { column: 'padre_id', type: 'int' },
+  },
+  sortable: {
+    id: 'id',
+    nombre: 'nombre',
+    posicion: 'posicion',
+    created_at: 'created_at',
+    updated_at: 'updated_at',
+    deleted_at: 'deleted_at',
+  },
+  defaultSort: '-id',
+};
+
+export function listar(db, reqQuery, { incluirEliminados = false } = {}) {
+  return listarPagina(db, {
+    columns: COLUMNAS,
+    from: 'categorias',
+    list: buildListQuery(reqQuery, LISTADO, filtroEliminados(incluirEliminados), db.dialect),
+  });
+}
+
+export async function buscar(db, id, { incluirEliminados = false } = {}) {
+  const [rows] = await db.query(
+    `SELECT ${COLUMNAS} FROM categorias WHERE id = ?${incluirEliminados ? '' : ' AND deleted_at IS NULL'}`,
+    [id]
+  );
+  return rows[0] ?? null;
+}
+
+/**
+ * Id por nombre (en minúsculas) de las categorías activas, para resolver
+ * las categorías de una importación.
+ */
+export async function idsPorNombre(db) {
+  const [rows] = await db.query('SELECT id, nombre FROM categorias WHERE deleted_at IS NULL');
+  return new Map(rows.map((c) => [c.nombre.toLowerCase(), c.id]));
+}
+
+/**
+ * Todas las categorías con su padre, en el orden en que se muestran las
+ * hermanas, para armar el árbol.
+ */
+export async function jerarquia(db, { incluirEliminados = false } = {}) {
+  const [rows] = await db.query(
+    `
+    SELECT id, nombre, padre_id, posicion, deleted_at
+    FROM categorias
+    ${incluirEliminados ? '' : 'WHERE deleted_at IS NULL'}
+    ORDER BY posicion, nombre
+    `
+  );
+  return rows;
+}
+
+/**
+ * Subcategorías activas de `padreId` (null: las principales) en orden. Con
+ * `bloquear`, las filas quedan bloqueadas hasta el fin de la transacción.
+ */
+export async function hijas(db, padreId, { bloquear = false } = {}) {
+  const { lockHint, lockSuffix } = db.dialect;
+  const [rows] = await db.query(
+    `
+    SELECT ${COLUMNAS}
+    FROM categorias${bloquear ? lockHint : ''}
+    WHERE ${padreId === null ? 'padre_id IS NULL' : 'padre_id = ?'} AND deleted_at IS NULL
+    ORDER BY posicion, nombre${bloquear ? lockSuffix : ''}
+    `,
+    padreId === null ? [] : [padreId]
+  );
+  return rows;
+}
+
+/**
+ * Posición para una categoría nueva al final de las hijas de `padreId`.
+ */
+export async function siguientePosicion(db, padreId) {
+  const [[{ ultima }]] = await db.query(
+    `
+    SELECT MAX(posicion) AS ultima
+    FROM categorias
+    WHERE ${padreId === null ? 'padre_id IS NULL' : 'padre_id = ?'}
+    `,
+    padreId === null ? [] : [padreId]
+  );
+  return Number(ultima ?? 0) + 1;
+}
+
+export async function contarProductosActivos(db, id) {
+  const [[{ productos }]] = await db.query(
+    'SELECT COUNT(*) AS productos FROM productos WHERE categoria_id = ? AND deleted_at IS NULL',
+    [id]
+  );
+  return Number(productos);
+}
+
+export function crear(db, { nombre, padre_id = null, posicion }) {
+  return insertar(db, 'categorias', { nombre, padre_id, posicion });
+}
+
+export function actualizar(db, id, cambios) {
+  return actualizarPorId(db, 'categorias', id, cambios);
+}
+
+export function eliminar(db, id) {
+  return marcarEliminado(db, 'categorias', id);
+}
+
+export function restaurar(db, id) {
+  return quitarEliminado(db, 'categorias', id);
+}
@@ -0,0 +1,130 @@
+// repositories/combos.js
+//
+// Componentes de los combos: productos fijos con su cantidad y elecciones
+// de "uno de esta categoría".
+import { insertar, actualizarPorId } from './base.js';
+import { precioSql } from './precios.js';
+import { DISPONIBLE_SQL } from './productos.js';
+
+// Un combo no puede ser parte de otro, así que las elecciones ofrecen solo
+// productos que no son combo
+const NO_ES_COMBO = 'NOT EXISTS (SELECT 1 FROM combo_componentes cc_x WHERE cc_x.combo_id = p.id)';
+
+/**
+ * Componentes de los combos `comboIds` en el orden en que se cargaron. En
+ * los fijos vienen el nombre, el precio vigente y la disponibilidad del
+ * producto; en las elecciones, el nombre de la categoría.
+ */
+export async function componentes(db, comboIds) {
+  if (comboIds.length === 0) return [];
+  const [rows] = await db.query(
+    `
+    SELECT cc.id, cc.combo_id, cc.producto_id, p.nombre AS producto,
+           cc.categoria_id, c.nombre AS categoria, cc.cantidad,
+           CASE WHEN p.id IS NOT NULL THEN ${precioSql(db.dialect)} END AS precio,
+           CASE
+             WHEN p.id IS NULL THEN NULL
+             WHEN p.deleted_at IS NOT NULL THEN 0
+             ELSE (${DISPONIBLE_SQL})
+           END AS disponible
+    FROM combo_componentes cc
+    LEFT JOIN productos p ON cc.producto_id = p.id
+    LEFT JOIN categorias c ON cc.categoria_id = c.id
+    WHERE cc.combo_id IN (?)
+    ORDER BY cc.combo_id, cc.id
+    `,
+    [comboIds]
+  );
+  return rows;
+}
+
+/**
+ * Productos que se pueden elegir en las elecciones de los combos
+ * `comboIds`, con la elección a la que pertenecen (componente_id).
+ */
+export async function opcionesDeElecciones(db, comboIds) {
+  if (comboIds.length === 0) return [];
+  const [rows] = await db.query(
+    `
+    SELECT cc.id AS componente_id, p.id, p.nombre, ${precioSql(db.dialect)} AS precio,
+           (${DISPONIBLE_SQL}) AS disponible
+    FROM combo_componentes cc
+    JOIN productos p ON p.categoria_id = cc.categoria_id
+    WHERE cc.combo_id IN (?) AND p.deleted_at IS NULL AND ${NO_ES_COMBO}
+    ORDER BY cc.id, p.nombre
+    `,
+    [comboIds]
+  );
+  return rows;
+}
+
+/**
+ * Receta de los productos fijos del combo por la cantidad de cada uno,
+ * sumada por ingrediente.
+ */
+export async function recetaComponentes(db, comboId) {
+  const [rows] = await db.query(
+    `
+    SELECT pi.ingrediente_id, i.nombre AS ingrediente, i.unidad,
+           SUM(pi.cantidad_usada * cc.cantidad) AS cantidad
+    FROM combo_componentes cc
+    JOIN producto_ingrediente pi ON pi.producto_id = cc.producto_id
+    JOIN ingredientes i ON pi.ingrediente_id = i.id
+    WHERE cc.combo_id = ?
+    GROUP BY pi.ingrediente_id, i.nombre, i.unidad
+    ORDER BY i.nombre
+    `,
+    [comboId]
+  );
+  return rows;
+}
+
+/**
+ * Cuáles de `ids` son combos.
+ */
+export async function combosEntre(db, ids) {
+  if (ids.length === 0) return new Set();
+  const [rows] = await db.query(
+    'SELECT DISTINCT combo_id FROM combo_componentes WHERE combo_id IN (?)',
+    [ids]
+  );
+  return new Set(rows.map((row) => row.combo_id));
+}
+
+/**
+ * Nombres de los combos (eliminados incluidos) que llevan el producto como
+ * componente fijo.
+ */
+export async function combosQueUsan(db, productoId) {
+  const [rows] = await db.query(
+    `
+    SELECT DISTINCT p.nombre
+    FROM combo_componentes cc
+    JOIN productos p ON cc.combo_id = p.id
+    WHERE cc.producto_id = ?
+    ORDER BY p.nombre
+    `,
+    [productoId]
+  );
+  return rows.map((p) => p.nombre);
+}
+
+/**
+ * Filas tal como están en la tabla, para comparar y auditar.
+ */
+export async function lineas(db, comboId) {
+  const [rows] = await db.query('SELECT * FROM combo_componentes WHERE combo_id = ?', [comboId]);
+  return rows;
+}
+
+export function crear(db, { combo_id, producto_id = null, categoria_id = null, cantidad }) {
+  return insertar(db, 'combo_componentes', { combo_id, producto_id, categoria_id, cantidad });
+}
+
+export function actualizar(db, id, cambios) {
+  return actualizarPorId(db, 'combo_componentes', id, cambios);
+}
+
+export async function eliminar(db, id) {
+  await db.query('DELETE FROM combo_componentes WHERE id = ?', [id]);
+}
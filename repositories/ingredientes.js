@@ -0,0 +1,219 @@
+// repositories/ingredientes.js
+import { buildListQuery } from '../routes/listing.js';
+import {
+  filtroEliminados,
+  listarPagina,
+  insertar,
+  actualizarPorId,
+  marcarEliminado,
+  quitarEliminado,
+} from './base.js';
+import { codigosSql, conAlergenos } from './alergenos.js';
+
+export const UNIDADES = ['unidad', 'kg', 'g', 'l', 'ml'];
+
+export const TIPOS_MOVIMIENTO = ['compra', 'merma', 'ajuste', 'consumo'];
+
+const COLUMNAS = `
+  id, nombre, perecedero, unidad, stock, stock_minimo, costo_unitario,
+  created_at, updated_at, deleted_at
+`;
+
+function columnas(dialect) {
+  const alergenos = codigosSql(
+    dialect,
+    'FROM ingrediente_alergeno ia WHERE ia.ingrediente_id = ingredientes.id'
+  );
+  return `${COLUMNAS}, ${alergenos} AS alergenos`;
+}
+
+const MOVIMIENTO_COLUMNAS = `
+  id, ingrediente_id, tipo, cantidad, stock_resultante, nota, usuario_id, created_at
+`;
+
+export const LISTADO = {
+  filters: {
+    nombre: { column: 'nombre', type: 'string', op: 'like' },
+    perecedero: { column: 'perecedero', type: 'bool' },
+    unidad: { column: 'unidad', type: 'string', values: UNIDADES },
+  },
+  sortable: {
+    id: 'id',
+    nombre: 'nombre',
+    perecedero: 'perecedero',
+    stock: 'stock',
+    stock_minimo: 'stock_minimo',
+    costo_unitario: 'costo_unitario',
+    created_at: 'created_at',
+    updated_at: 'updated_at',
+    deleted_at: 'deleted_at',
+  },
+  defaultSort: '-id',
+};
+
+export const LISTADO_MOVIMIENTOS = {
+  filters: {
+    tipo: { column: 'tipo', type: 'string', values: TIPOS_MOVIMIENTO },
+    desde: { column: 'created_at', type: 'date', op: 'gte' },
+    hasta: { column: 'created_at', type: 'date', op: 'lte' },
+  },
+  sortable: {
+    id: 'id',
+    created_at: 'created_at',
+    cantidad: 'cantidad',
+  },
+  defaultSort: '-id',
+};
+
+export async function listar(db, reqQuery, { incluirEliminados = false } = {}) {
+  const result = await listarPagina(db, {
+    columns: columnas(db.dialect),
+    from: 'ingredientes',
+    list: buildListQuery(reqQuery, LISTADO, filtroEliminados(incluirEliminados), db.dialect),
+  });
+  return { ...result, rows: result.rows.map(conAlergenos) };
+}
+
+export async function buscar(db, id, { incluirEliminados = false } = {}) {
+  const [rows] = await db.query(
+    `SELECT ${columnas(db.dialect)} FROM ingredientes WHERE id = ?${incluirEliminados ? '' : ' AND deleted_at IS NULL'}`,
+    [id]
+  );
+  return rows[0] ? conAlergenos(rows[0]) : null;
+}
+
+/**
+ * Ingredientes activos en o por debajo de su stock mínimo, con lo que falta
+ * para llegar a él.
+ */
+export async function bajoStock(db) {
+  const [rows] = await db.query(`
+    SELECT ${COLUMNAS}, (stock_minimo - stock) AS faltante
+    FROM ingredientes
+    WHERE stock <= stock_minimo AND stock_minimo > 0 AND deleted_at IS NULL
+    ORDER BY faltante DESC, nombre ASC
+  `);
+  return rows;
+}
+
+export async function paraExportar(db) {
+  const [rows] = await db.query(`
+    SELECT nombre, perecedero, unidad, stock, stock_minimo, costo_unitario
+    FROM ingredientes
+    WHERE deleted_at IS NULL
+    ORDER BY nombre
+  `);
+  return rows;
+}
+
+/**
+ * Todos los ingredientes, eliminados incluidos, por nombre en minúsculas.
+ */
+export async function porNombre(db) {
+  const [rows] = await db.query('SELECT id, nombre, deleted_at FROM ingredientes');
+  return new Map(rows.map((i) => [i.nombre.toLowerCase(), i]));
+}
+
+/**
+ * Cuáles de `ids` son ingredientes activos.
+ */
+export async function idsActivos(db, ids) {
+  if (ids.length === 0) return new Set();
+  const [rows] = await db.query(
+    'SELECT id FROM ingredientes WHERE id IN (?) AND deleted_at IS NULL',
+    [ids]
+  );
+  return new Set(rows.map((row) => row.id));
+}
+
+/**
+ * Costo unitario de cada ingrediente de `ids`, eliminados incluidos (siguen
+ * contando mientras estén en una receta): Map id → costo.
+ */
+export async function costosUnitarios(db, ids) {
+  if (ids.length === 0) return new Map();
+  const [rows] = await db.query('SELECT id, costo_unitario FROM ingredientes WHERE id IN (?)', [
+    ids,
+  ]);
+  return new Map(rows.map((row) => [row.id, Number(row.costo_unitario)]));
+}
+
+/**
+ * Existe aunque esté eliminado: su historial de movimientos sigue visible.
+ */
+export async function existe(db, id) {
+  const [rows] = await db.query('SELECT id FROM ingredientes WHERE id = ?', [id]);
+  return rows.length > 0;
+}
+
+/**
+ * Nombres de los productos activos cuya receta usa el ingrediente.
+ */
+export async function productosQueUsan(db, id) {
+  const [rows] = await db.query(
+    `
+    SELECT p.nombre
+    FROM producto_ingrediente pi
+    JOIN productos p ON pi.producto_id = p.id
+    WHERE pi.ingrediente_id = ? AND p.deleted_at IS NULL
+    ORDER BY p.nombre
+    `,
+    [id]
+  );
+  return rows.map((p) => p.nombre);
+}
+
+export function crear(db, datos) {
+  return insertar(db, 'ingredientes', datos);
+}
+
+export function actualizar(db, id, cambios) {
+  return actualizarPorId(db, 'ingredientes', id, cambios);
+}
+
+export function eliminar(db, id) {
+  return marcarEliminado(db, 'ingredientes', id);
+}
+
+export function restaurar(db, id) {
+  return quitarEliminado(db, 'ingredientes', id);
+}
+
+/**
+ * Stock actual de un ingrediente activo, con la fila bloqueada hasta el
+ * fin de la transacción. null si no existe o está eliminado.
+ */
+export async function bloquearStock(conn, id) {
+  const { lockHint, lockSuffix } = conn.dialect;
+  const [rows] = await conn.query(
+    `SELECT id, stock FROM ingredientes${lockHint} WHERE id = ? AND deleted_at IS NULL${lockSuffix}`,
+    [id]
+  );
+  return rows[0] ?? null;
+}
+
+export async function guardarStock(conn, id, stock) {
+  await conn.query('UPDATE ingredientes SET stock = ? WHERE id = ?', [stock, id]);
+}
+
+export async function crearMovimiento(conn, datos) {
+  const id = await insertar(conn, 'movimientos_stock', datos);
+  const [rows] = await conn.query(
+    `SELECT ${MOVIMIENTO_COLUMNAS} FROM movimientos_stock WHERE id = ?`,
+    [id]
+  );
+  return rows[0];
+}
+
+export function listarMovimientos(db, ingredienteId, reqQuery) {
+  return listarPagina(db, {
+    columns: MOVIMIENTO_COLUMNAS,
+    from: 'movimientos_stock',
+    list: buildListQuery(
+      reqQuery,
+      LISTADO_MOVIMIENTOS,
+      { conditions: ['ingrediente_id = ?'], params: [ingredienteId] },
+      db.dialect
+    ),
+  });
+}
@@ -0,0 +1,110 @@
+// repositories/modificadores.js
+import { insertar, actualizarPorId } from './base.js';
+
+const COLUMNAS_GRUPO = `
+  id, producto_id, nombre, tipo, min_selecciones, max_selecciones, created_at, updated_at
+`;
+
+export async function gruposDeProducto(db, productoId) {
+  const [rows] = await db.query(
+    `SELECT ${COLUMNAS_GRUPO} FROM modificador_grupos WHERE producto_id = ? ORDER BY id`,
+    [productoId]
+  );
+  return rows;
+}
+
+export async function buscarGrupo(db, id) {
+  const [rows] = await db.query(`SELECT ${COLUMNAS_GRUPO} FROM modificador_grupos WHERE id = ?`, [
+    id,
+  ]);
+  return rows[0] ?? null;
+}
+
+export async function opcionesDeGrupos(db, grupoIds) {
+  if (grupoIds.length === 0) return [];
+  const [rows] = await db.query(
+    `
+    SELECT id, grupo_id, nombre, precio_delta, created_at, updated_at
+    FROM modificador_opciones
+    WHERE grupo_id IN (?)
+    ORDER BY grupo_id, id
+    `,
+    [grupoIds]
+  );
+  return rows;
+}
+
+/**
+ * Cambios de receta de las opciones, con el nombre y la unidad de cada
+ * ingrediente (eliminados incluidos, como en la receta).
+ */
+export async function ingredientesDeOpciones(db, opcionIds) {
+  if (opcionIds.length === 0) return [];
+  const [rows] = await db.query(
+    `
+    SELECT moi.opcion_id, moi.ingrediente_id, i.nombre AS ingrediente, i.unidad, moi.cantidad
+    FROM modificador_opcion_ingredientes moi
+    JOIN ingredientes i ON moi.ingrediente_id = i.id
+    WHERE moi.opcion_id IN (?)
+    ORDER BY i.nombre
+    `,
+    [opcionIds]
+  );
+  return rows;
+}
+
+/**
+ * Opciones de `ids` que pertenecen a grupos del producto, con su grupo.
+ */
+export async function opcionesDeProducto(db, productoId, ids) {
+  if (ids.length === 0) return [];
+  const [rows] = await db.query(
+    `
+    SELECT o.id, o.nombre, o.precio_delta, o.grupo_id, g.nombre AS grupo
+    FROM modificador_opciones o
+    JOIN modificador_grupos g ON o.grupo_id = g.id
+    WHERE g.producto_id = ? AND o.id IN (?)
+    ORDER BY g.id, o.id
+    `,
+    [productoId, ids]
+  );
+  return rows;
+}
+
+export function crearGrupo(db, datos) {
+  return insertar(db, 'modificador_grupos', datos);
+}
+
+export function actualizarGrupo(db, id, cambios) {
+  return actualizarPorId(db, 'modificador_grupos', id, cambios);
+}
+
+export async function eliminarGrupo(db, id) {
+  await db.query('DELETE FROM modificador_grupos WHERE id = ?', [id]);
+}
+
+export function crearOpcion(db, datos) {
+  return insertar(db, 'modificador_opciones', datos);
+}
+
+export function actualizarOpcion(db, id, cambios) {
+  return actualizarPorId(db, 'modificador_opciones', id, cambios);
+}
+
+export async function eliminarOpcion(db, id) {
+  await db.query('DELETE FROM modificador_opciones WHERE id = ?', [id]);
+}
+
+/**
+ * Reemplaza los cambios de receta de una opción por `lineas`
+ * ([{ ingrediente_id, cantidad }]).
+ */
+export async function asignarIngredientes(db, opcionId, lineas) {
+  await db.query('DELETE FROM modificador_opcion_ingredientes WHERE opcion_id = ?', [opcionId]);
+  for (const { ingrediente_id, cantidad } of lineas) {
+    await db.query(
+      'INSERT INTO modificador_opcion_ingredientes (opcion_id, ingrediente_id, cantidad) VALUES (?, ?, ?)',
+      [opcionId, ingrediente_id, cantidad]
+    );
+  }
+}
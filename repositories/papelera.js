@@ -0,0 +1,52 @@
+// repositories/papelera.js
+
+// Filas eliminadas que todavía se referencian (alias `t`) y no se pueden borrar
+const EN_USO = {
+  productos: `(
+    EXISTS (SELECT 1 FROM pedido_detalle pd WHERE pd.producto_id = t.id)
+    OR EXISTS (SELECT 1 FROM combo_componentes cc WHERE cc.producto_id = t.id)
+  )`,
+  ingredientes: `(
+    EXISTS (SELECT 1 FROM producto_ingrediente pi WHERE pi.ingrediente_id = t.id)
+    OR EXISTS (SELECT 1 FROM modificador_opcion_ingredientes moi WHERE moi.ingrediente_id = t.id)
+  )`,
+  categorias: `(
+    EXISTS (SELECT 1 FROM productos p WHERE p.categoria_id = t.id)
+    OR EXISTS (SELECT 1 FROM combo_componentes cc WHERE cc.categoria_id = t.id)
+    OR EXISTS (SELECT 1 FROM categorias h WHERE h.padre_id = t.id)
+  )`,
+};
+
+/**
+ * Fecha de la base menos `dias` días. Se pide al motor para comparar con
+ * deleted_at en su mismo reloj.
+ */
+export async function fechaLimite(db, dias) {
+  const { minusDays, now } = db.dialect;
+  const [[{ limite }]] = await db.query(`SELECT ${minusDays(now)} AS limite`, [dias]);
+  return limite;
+}
+
+/**
+ * Filas de `tabla` eliminadas antes de `limite` que se pueden borrar, y
+ * cuántas quedan porque siguen en uso.
+ */
+export async function purgables(db, tabla, limite) {
+  const enUso = EN_USO[tabla];
+  const [[{ total }]] = await db.query(
+    `SELECT COUNT(*) AS total FROM ${tabla} t WHERE t.deleted_at < ? AND ${enUso}`,
+    [limite]
+  );
+  // MySQL no deja referenciar la tabla del DELETE en una subconsulta
+  // directa; se resuelven primero los ids
+  const [rows] = await db.query(
+    `SELECT t.* FROM ${tabla} t WHERE t.deleted_at < ? AND NOT ${enUso}`,
+    [limite]
+  );
+  return { rows, omitidas: Number(total) };
+}
+
+export async function borrar(db, tabla, ids) {
+  if (ids.length === 0) return;
+  await db.query(`DELETE FROM ${tabla} WHERE id IN (?)`, [ids]);
+}
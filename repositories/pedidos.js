@@ -0,0 +1,83 @@
+// repositories/pedidos.js
+import { buildListQuery } from '../routes/listing.js';
+import { listarPagina, insertar } from './base.js';
+
+export const ESTADOS = ['pendiente', 'en_preparacion', 'listo', 'entregado', 'cancelado'];
+
+const COLUMNAS = `
+  id, estado, mesa, cliente, notas, total, motivo_cancelacion, created_at, updated_at
+`;
+
+export const LISTADO = {
+  filters: {
+    estado: { column: 'estado', type: 'string', values: ESTADOS },
+    mesa: { column: 'mesa', type: 'string' },
+    desde: { column: 'created_at', type: 'date', op: 'gte' },
+    hasta: { column: 'created_at', type: 'date', op: 'lte' },
+  },
+  sortable: {
+    id: 'id',
+    estado: 'estado',
+    total: 'total',
+    created_at: 'created_at',
+  },
+  defaultSort: '-created_at',
+};
+
+export function listar(db, reqQuery) {
+  return listarPagina(db, {
+    columns: COLUMNAS,
+    from: 'pedidos',
+    list: buildListQuery(reqQuery, LISTADO, undefined, db.dialect),
+  });
+}
+
+/**
+ * Pedido con sus items, o null si no existe.
+ */
+export async function buscar(db, id) {
+  const [rows] = await db.query(`SELECT ${COLUMNAS} FROM pedidos WHERE id = ?`, [id]);
+  if (rows.length === 0) return null;
+
+  const [items] = await db.query(
+    `
+    SELECT id, producto_id, producto_nombre, precio_unitario, cantidad, subtotal, notas
+    FROM pedido_detalle
+    WHERE pedido_id = ?
+    ORDER BY id
+    `,
+    [id]
+  );
+
+  return { ...rows[0], items };
+}
+
+export async function estado(db, id) {
+  const [rows] = await db.query('SELECT estado FROM pedidos WHERE id = ?', [id]);
+  return rows[0]?.estado ?? null;
+}
+
+/**
+ * Pasa el pedido de `actual` a `nuevo` con los campos de `extra`. Solo
+ * cambia si el estado sigue siendo `actual`; devuelve las filas afectadas.
+ */
+export async function cambiarEstado(db, id, actual, nuevo, extra = {}) {
+  const cambios = { estado: nuevo, ...extra };
+  const columnas = Object.keys(cambios);
+  const [result] = await db.query(
+    `UPDATE pedidos SET ${columnas.map((c) => `${c} = ?`).join(', ')} WHERE id = ? AND estado = ?`,
+    [...Object.values(cambios), id, actual]
+  );
+  return result.affectedRows;
+}
+
+/**
+ * Inserta el pedido y sus líneas; devuelve el id del pedido.
+ */
+export async function crear(db, { mesa, cliente, notas, total }, lineas) {
+  const id = await insertar(db, 'pedidos', { mesa, cliente, notas, total });
+  for (const linea of lineas) {
+    await insertar(db, 'pedido_detalle', { pedido_id: id, ...linea });
+  }
+  return id;
+}
@@ -0,0 +1,128 @@
+// repositories/precios.js
+//
+// Historial de precios de los productos. Cada cambio es una fila con la
+// fecha desde la que rige; las de fecha futura son precios programados.
+import { insertar } from './base.js';
+
+// Entre dos precios del mismo momento rige el registrado después. `now` es
+// el reloj de la base en UTC (dialect.now), como se guarda vigente_desde.
+function ultimoVigente(now) {
+  return `
+    pp.vigente_desde <= ${now}
+    AND NOT EXISTS (
+      SELECT 1
+      FROM producto_precios pp2
+      WHERE pp2.producto_id = pp.producto_id
+        AND pp2.vigente_desde <= ${now}
+        AND (
+          pp2.vigente_desde > pp.vigente_desde
+          OR (pp2.vigente_desde = pp.vigente_desde AND pp2.id > pp.id)
+        )
+    )
+  `;
+}
+
+/**
+ * Precio vigente de un producto (alias `p`) al momento de la consulta. Es
+ * una función del dialecto porque cada motor nombra distinto su reloj UTC;
+ * en LISTADO va como columna que buildListQuery resuelve con el del pool.
+ * Un producto sin historial (cargado por SQL a mano) conserva la columna
+ * `precio`.
+ */
+export function precioSql(dialect) {
+  return `
+    COALESCE(
+      (SELECT pp.precio FROM producto_precios pp WHERE pp.producto_id = p.id AND ${ultimoVigente(dialect.now)}),
+      p.precio
+    )
+  `;
+}
+
+function columnas(dialect) {
+  return `
+    pp.id,
+    pp.producto_id,
+    pp.precio,
+    pp.vigente_desde,
+    pp.usuario_id,
+    u.usuario,
+    pp.created_at,
+    CASE
+      WHEN pp.vigente_desde > ${dialect.now} THEN 'programado'
+      WHEN ${ultimoVigente(dialect.now)} THEN 'vigente'
+      ELSE 'anterior'
+    END AS estado
+  `;
+}
+
+const FROM = 'producto_precios pp LEFT JOIN usuarios u ON pp.usuario_id = u.id';
+
+/**
+ * Historial completo de un producto, del más reciente (o más lejano en el
+ * futuro) al más antiguo.
+ */
+export async function listar(db, productoId) {
+  const [rows] = await db.query(
+    `
+    SELECT ${columnas(db.dialect)}
+    FROM ${FROM}
+    WHERE pp.producto_id = ?
+    ORDER BY pp.vigente_desde DESC, pp.id DESC
+    `,
+    [productoId]
+  );
+  return rows;
+}
+
+export async function buscar(db, productoId, id) {
+  const [rows] = await db.query(
+    `SELECT ${columnas(db.dialect)} FROM ${FROM} WHERE pp.producto_id = ? AND pp.id = ?`,
+    [productoId, id]
+  );
+  return rows[0] ?? null;
+}
+
+/**
+ * Registra `precio` como vigente desde ahora, salvo que ya sea el vigente.
+ * Devuelve el id de la fila creada o null.
+ */
+export async function cambiar(db, productoId, precio, usuarioId = null) {
+  const [[actual]] = await db.query(
+    `SELECT pp.precio FROM producto_precios pp WHERE pp.producto_id = ? AND ${ultimoVigente(db.dialect.now)}`,
+    [productoId]
+  );
+  if (actual && Number(actual.precio) === Number(precio)) return null;
+
+  // El mismo reloj que precioSql, para que la fila rija en la siguiente lectura
+  const [result] = await db.query(
+    `
+    INSERT INTO producto_precios (producto_id, precio, vigente_desde, usuario_id)
+    VALUES (?, ?, ${db.dialect.now}, ?)
+    `,
+    [productoId, precio, usuarioId]
+  );
+  return result.insertId;
+}
+
+export function programar(db, { productoId, precio, vigenteDesde, usuarioId }) {
+  return insertar(db, 'producto_precios', {
+    producto_id: productoId,
+    precio,
+    vigente_desde: vigenteDesde,
+    usuario_id: usuarioId,
+  });
+}
+
+export async function eliminar(db, id) {
+  await db.query('DELETE FROM producto_precios WHERE id = ?', [id]);
+}
+
+/**
+ * Fechas de los precios programados que todavía no rigen.
+ */
+export async function fechasProgramadas(db) {
+  const [rows] = await db.query(
+    `SELECT DISTINCT vigente_desde FROM producto_precios WHERE vigente_desde > ${db.dialect.now}`
+  );
+  return rows.map((row) => row.vigente_desde);
+}
@@ -0,0 +1,140 @@
+// repositories/producto_ingrediente.js
+import { buildListQuery } from '../routes/listing.js';
+import { listarPagina, insertar, actualizarPorId } from './base.js';
+
+const COLUMNAS = `
+  pi.id,
+  pi.producto_id,
+  p.nombre AS producto,
+  pi.ingrediente_id,
+  i.nombre AS ingrediente,
+  pi.cantidad_usada,
+  pi.created_at,
+  pi.updated_at
+`;
+
+const FROM = `
+  producto_ingrediente pi
+  JOIN productos p ON pi.producto_id = p.id
+  JOIN ingredientes i ON pi.ingrediente_id = i.id
+`;
+
+export const LISTADO = {
+  filters: {
+    producto_id: { column: 'pi.producto_id', type: 'int' },
+    ingrediente_id: { column: 'pi.ingrediente_id', type: 'int' },
+  },
+  sortable: {
+    id: 'pi.id',
+    producto: 'p.nombre',
+    ingrediente: 'i.nombre',
+    cantidad_usada: 'pi.cantidad_usada',
+    created_at: 'pi.created_at',
+    updated_at: 'pi.updated_at',
+  },
+  defaultSort: '-id',
+};
+
+/**
+ * Las recetas de productos eliminados quedan ocultas con el producto.
+ */
+export function listar(db, reqQuery) {
+  return listarPagina(db, {
+    columns: COLUMNAS,
+    from: FROM,
+    list: buildListQuery(
+      reqQuery,
+      LISTADO,
+      { conditions: ['p.deleted_at IS NULL'], params: [] },
+      db.dialect
+    ),
+  });
+}
+
+export async function buscar(db, id, { soloActivos = false } = {}) {
+  const [rows] = await db.query(
+    `
+    SELECT ${COLUMNAS}
+    FROM ${FROM}
+    WHERE pi.id = ?${soloActivos ? ' AND p.deleted_at IS NULL' : ''}
+    `,
+    [id]
+  );
+  return rows[0] ?? null;
+}
+
+/**
+ * Receta de un producto con el nombre y la unidad de cada ingrediente.
+ */
+export async function receta(db, productoId) {
+  const [rows] = await db.query(
+    `
+    SELECT pi.id,
+           pi.ingrediente_id,
+           i.nombre AS ingrediente,
+           i.unidad,
+           pi.cantidad_usada,
+           pi.created_at,
+           pi.updated_at
+    FROM producto_ingrediente pi
+    JOIN ingredientes i ON pi.ingrediente_id = i.id
+    WHERE pi.producto_id = ?
+    ORDER BY i.nombre
+    `,
+    [productoId]
+  );
+  return rows;
+}
+
+/**
+ * Nombres de los ingredientes de la receta de cada producto de `productoIds`
+ * (en un combo, también los de sus productos fijos), en orden alfabético:
+ * Map producto_id → [nombre].
+ */
+export async function nombresPorProducto(db, productoIds) {
+  const nombres = new Map(productoIds.map((id) => [id, []]));
+  if (productoIds.length === 0) return nombres;
+
+  const [rows] = await db.query(
+    `
+    SELECT r.producto_id, i.nombre
+    FROM (
+      SELECT pi.producto_id, pi.ingrediente_id
+      FROM producto_ingrediente pi
+      WHERE pi.producto_id IN (?)
+      UNION
+      SELECT cc.combo_id, pi.ingrediente_id
+      FROM combo_componentes cc
+      JOIN producto_ingrediente pi ON pi.producto_id = cc.producto_id
+      WHERE cc.combo_id IN (?)
+    ) r
+    JOIN ingredientes i ON r.ingrediente_id = i.id
+    ORDER BY i.nombre
+    `,
+    [productoIds, productoIds]
+  );
+  for (const row of rows) nombres.get(row.producto_id)?.push(row.nombre);
+  return nombres;
+}
+
+/**
+ * Filas tal como están en la tabla, para comparar y auditar.
+ */
+export async function lineas(db, productoId) {
+  const [rows] = await db.query('SELECT * FROM producto_ingrediente WHERE producto_id = ?', [
+    productoId,
+  ]);
+  return rows;
+}
+
+export function crear(db, { producto_id, ingrediente_id, cantidad_usada }) {
+  return insertar(db, 'producto_ingrediente', { producto_id, ingrediente_id, cantidad_usada });
+}
+
+export function actualizar(db, id, cambios) {
+  return actualizarPorId(db, 'producto_ingrediente', id, cambios);
+}
+
+export async function eliminar(db, id) {
+  await db.query('DELETE FROM producto_ingrediente WHERE id = ?', [id]);
+}
@@ -0,0 +1,378 @@
+// repositories/productos.js
+import { buildListQuery } from '../routes/listing.js';
+import {
+  filtroEliminados,
+  listarPagina,
+  insertar,
+  actualizarPorId,
+  marcarEliminado,
+  quitarEliminado,
+} from './base.js';
+import { codigosSql, conAlergenos } from './alergenos.js';
+import { precioSql } from './precios.js';
+
+// Disponibilidad efectiva de un producto (alias `p` en las consultas):
+//   - modo manual (disponibilidad_auto = 0): la columna `disponible`.
+//   - modo automático: el override si lo hay; si no, disponible solo cuando
+//     todos los ingredientes de la receta alcanzan para una porción.
+//   - un combo, además, solo si se pueden servir todos sus componentes y el
+//     stock alcanza para todos juntos.
+const faltaStock = (alias, porciones = '') => `
+  FROM producto_ingrediente pi_d
+  JOIN ingredientes i_d ON pi_d.ingrediente_id = i_d.id
+  WHERE pi_d.producto_id = ${alias}.id AND i_d.stock < pi_d.cantidad_usada${porciones}
+`;
+
+const FALTA_STOCK = faltaStock('p');
+
+// Disponibilidad de un producto que no es combo (los componentes nunca lo
+// son) para las porciones que pide el combo
+const componenteDisponible = (alias) => `
+  CASE
+    WHEN ${alias}.disponibilidad_auto = 0 THEN ${alias}.disponible
+    WHEN ${alias}.disponible_override IS NOT NULL THEN ${alias}.disponible_override
+    WHEN EXISTS (SELECT 1 ${faltaStock(alias, ' * cc_d.cantidad')}) THEN 0
+    ELSE 1
+  END
+`;
+
+// Componentes del combo `p` que no se pueden servir: un producto fijo
+// eliminado o no disponible, o una elección sin ningún producto disponible
+// en su categoría
+const COMPONENTE_FALTANTE = `
+  FROM combo_componentes cc_d
+  LEFT JOIN productos p_cd ON cc_d.producto_id = p_cd.id
+  LEFT JOIN categorias c_cd ON cc_d.categoria_id = c_cd.id
+  WHERE cc_d.combo_id = p.id
+    AND (
+      (p_cd.id IS NOT NULL
+        AND (p_cd.deleted_at IS NOT NULL OR (${componenteDisponible('p_cd')}) = 0))
+      OR (c_cd.id IS NOT NULL AND NOT EXISTS (
+        SELECT 1
+        FROM productos p_co
+        WHERE p_co.categoria_id = c_cd.id
+          AND p_co.deleted_at IS NULL
+          AND NOT EXISTS (SELECT 1 FROM combo_componentes cc_o WHERE cc_o.combo_id = p_co.id)
+          AND (${componenteDisponible('p_co')}) = 1
+      ))
+    )
+`;
+
+// Stock que se controla para un producto (alias) en modo automático sin override
+const porStock = (alias) =>
+  `${alias}.disponibilidad_auto = 1 AND ${alias}.disponible_override IS NULL`;
+
+// Ingredientes de los productos fijos del combo `p` cuyo stock no alcanza
+// para todo el combo: la suma de su receta propia (si se controla por
+// stock) y la de cada producto fijo controlado por stock, por su cantidad.
+// Cada parte puede alcanzar por separado y el total no.
+const FALTA_STOCK_COMBO = `
+  FROM ingredientes i_c
+  WHERE i_c.id IN (
+      SELECT pi_cc.ingrediente_id
+      FROM combo_componentes cc_cc
+      JOIN producto_ingrediente pi_cc ON pi_cc.producto_id = cc_cc.producto_id
+      WHERE cc_cc.combo_id = p.id
+    )
+    AND i_c.stock < COALESCE((
+      SELECT SUM(pi_cp.cantidad_usada)
+      FROM producto_ingrediente pi_cp
+      WHERE pi_cp.producto_id = p.id AND pi_cp.ingrediente_id = i_c.id AND ${porStock('p')}
+    ), 0) + COALESCE((
+      SELECT SUM(pi_cf.cantidad_usada * cc_cf.cantidad)
+      FROM combo_componentes cc_cf
+      JOIN productos p_cf ON cc_cf.producto_id = p_cf.id
+      JOIN producto_ingrediente pi_cf ON pi_cf.producto_id = p_cf.id
+      WHERE cc_cf.combo_id = p.id AND pi_cf.ingrediente_id = i_c.id AND ${porStock('p_cf')}
+    ), 0)
+`;
+
+export const DISPONIBLE_SQL = `
+  CASE
+    WHEN p.disponibilidad_auto = 0 AND p.disponible = 0 THEN 0
+    WHEN p.disponibilidad_auto = 1 AND p.disponible_override IS NOT NULL THEN p.disponible_override
+    WHEN p.disponibilidad_auto = 1 AND EXISTS (SELECT 1 ${FALTA_STOCK}) THEN 0
+    WHEN EXISTS (SELECT 1 ${COMPONENTE_FALTANTE}) THEN 0
+    WHEN EXISTS (SELECT 1 ${FALTA_STOCK_COMBO}) THEN 0
+    ELSE 1
+  END
+`;
+
+/**
+ * Columnas de disponibilidad para el SELECT de productos. Se completan con
+ * formatDisponibilidad() sobre cada fila.
+ */
+export function disponibilidadColumns(dialect) {
+  return `
+    (${DISPONIBLE_SQL}) AS disponible,
+    p.disponibilidad_auto,
+    p.disponible_override,
+    CASE
+      WHEN (p.disponibilidad_auto = 0 AND p.disponible = 1) OR (${porStock('p')})
+      THEN (
+        SELECT ${dialect.groupConcat('i_f.nombre', 'i_f.nombre', '\n')}
+        FROM ingredientes i_f
+        WHERE (${porStock('p')} AND i_f.id IN (SELECT pi_d.ingrediente_id ${FALTA_STOCK}))
+          OR i_f.id IN (SELECT i_c.id ${FALTA_STOCK_COMBO})
+      )
+    END AS ingredientes_faltantes,
+    CASE
+      WHEN (p.disponibilidad_auto = 0 AND p.disponible = 1) OR (${porStock('p')})
+      THEN (
+        SELECT ${dialect.groupConcat('COALESCE(p_cd.nombre, c_cd.nombre)', 'cc_d.id', '\n')}
+        ${COMPONENTE_FALTANTE}
+      )
+    END AS componentes_faltantes
+  `;
+}
+
+// Alérgenos de los ingredientes de la receta (alias `p`), incluidos los
+// eliminados: mientras sigan en la receta, siguen en el plato. En un combo
+// cuentan también las recetas de sus productos fijos; lo que se elige en
+// el momento no se sabe de antemano.
+const RECETA_ALERGENOS = `
+  FROM producto_ingrediente pi_a
+  JOIN ingrediente_alergeno ia ON ia.ingrediente_id = pi_a.ingrediente_id
+  WHERE (
+    pi_a.producto_id = p.id
+    OR pi_a.producto_id IN (
+      SELECT cc_a.producto_id FROM combo_componentes cc_a WHERE cc_a.combo_id = p.id
+    )
+  )
+`;
+
+function columnas(dialect) {
+  return `
+    p.id, p.categoria_id, c.nombre AS categoria,
+    p.nombre, p.descripcion, p.imagen, ${precioSql(dialect)} AS precio,
+    ${disponibilidadColumns(dialect)},
+    ${codigosSql(dialect, RECETA_ALERGENOS)} AS alergenos,
+    p.created_at, p.updated_at, p.deleted_at
+  `;
+}
+
+/**
+ * `baseWhere` del listado: oculta los eliminados; con `categoriaIds`, deja
+ * solo los productos de esas categorías, y con `sinAlergenos` (códigos),
+ * quita los productos cuya receta tiene alguno de esos alérgenos.
+ */
+function filtrosBase({ incluirEliminados, sinAlergenos, categoriaIds }) {
+  const base = filtroEliminados(incluirEliminados, 'p.deleted_at');
+  if (categoriaIds) {
+    base.conditions.push('p.categoria_id IN (?)');
+    base.params.push(categoriaIds);
+  }
+  if (sinAlergenos.length > 0) {
+    base.conditions.push(`NOT EXISTS (
+      SELECT 1 ${RECETA_ALERGENOS}
+        AND ia.alergeno_id IN (SELECT a_s.id FROM alergenos a_s WHERE a_s.codigo IN (?))
+    )`);
+    base.params.push(sinAlergenos);
+  }
+  return base;
+}
+
+const FROM = 'productos p JOIN categorias c ON p.categoria_id = c.id';
+
+export const LISTADO = {
+  filters: {
+    categoria_id: { column: 'p.categoria_id', type: 'int' },
+    disponible: { column: `(${DISPONIBLE_SQL})`, type: 'bool' },
+    precio_min: { column: precioSql, type: 'float', op: 'gte' },
+    precio_max: { column: precioSql, type: 'float', op: 'lte' },
+    nombre: { column: 'p.nombre', type: 'string', op: 'like' },
+  },
+  sortable: {
+    id: 'p.id',
+    nombre: 'p.nombre',
+    precio: precioSql,
+    categoria: 'c.nombre',
+    disponible: `(${DISPONIBLE_SQL})`,
+    created_at: 'p.created_at',
+    updated_at: 'p.updated_at',
+    deleted_at: 'p.deleted_at',
+  },
+  defaultSort: '-id',
+};
+
+export async function listar(
+  db,
+  reqQuery,
+  { incluirEliminados = false, sinAlergenos = [], categoriaIds } = {}
+) {
+  const result = await listarPagina(db, {
+    columns: columnas(db.dialect),
+    from: FROM,
+    list: buildListQuery(
+      reqQuery,
+      LISTADO,
+      filtrosBase({ incluirEliminados, sinAlergenos, categoriaIds }),
+      db.dialect
+    ),
+  });
+  return { ...result, rows: result.rows.map(conAlergenos) };
+}
+
+export async function buscar(db, id, { incluirEliminados = false } = {}) {
+  const [rows] = await db.query(
+    `
+    SELECT ${columnas(db.dialect)}
+    FROM ${FROM}
+    WHERE p.id = ?${incluirEliminados ? '' : ' AND p.deleted_at IS NULL'}
+    `,
+    [id]
+  );
+  return rows[0] ? conAlergenos(rows[0]) : null;
+}
+
+export async function existe(db, id) {
+  const [rows] = await db.query('SELECT id FROM productos WHERE id = ? AND deleted_at IS NULL', [
+    id,
+  ]);
+  return rows.length > 0;
+}
+
+/**
+ * Búsqueda de texto con su puntaje de relevancia, sin distinguir
+ * mayúsculas ni acentos. Por cada término suma: nombre 3 (+2 si el nombre
+ * empieza con él), ingrediente 2 y descripción 1.
+ */
+export async function buscarTexto(db, terms, pagination) {
+  const d = db.dialect;
+  const like = (column) => d.like(`${column} ${d.collateCiAi}`);
+  const puntos = (cond, valor) => `CASE WHEN ${cond} THEN ${valor} ELSE 0 END`;
+
+  const scores = [];
+  const matches = [];
+  const params = [];
+  const matchParams = [];
+
+  for (const term of terms) {
+    const contains = `%${d.escapeLike(term)}%`;
+    const prefix = `${d.escapeLike(term)}%`;
+
+    scores.push(`
+      ${puntos(like('p.nombre'), 3)} +
+      ${puntos(like('p.nombre'), 2)} +
+      ${puntos(like("COALESCE(p.descripcion, '')"), 1)} +
+      ${puntos(
+        `EXISTS (
+          SELECT 1
+          FROM producto_ingrediente pi
+          JOIN ingredientes i ON pi.ingrediente_id = i.id
+          WHERE pi.producto_id = p.id AND ${like('i.nombre')}
+        )`,
+        2
+      )}`);
+    params.push(contains, prefix, contains, contains);
+
+    matches.push(like('i.nombre'));
+    matchParams.push(contains);
+  }
+
+  const sql = `
+    SELECT ${columnas(d)},
+           (
+             SELECT ${d.groupConcat('i.nombre', 'i.nombre', ', ')}
+             FROM producto_ingrediente pi
+             JOIN ingredientes i ON pi.ingrediente_id = i.id
+             WHERE pi.producto_id = p.id AND (${matches.join(' OR ')})
+           ) AS ingredientes_coincidentes,
+           (${scores.join(' +')}) AS relevancia
+    FROM ${FROM}
+    WHERE p.deleted_at IS NULL
+  `;
+  const allParams = [...matchParams, ...params];
+  const limit = d.paginate(pagination);
+
+  const [[{ total }]] = await db.query(
+    `SELECT COUNT(*) AS total FROM (${sql}) r WHERE r.relevancia > 0`,
+    allParams
+  );
+
+  const [rows] = await db.query(
+    `
+    SELECT *
+    FROM (${sql}) r
+    WHERE r.relevancia > 0
+    ORDER BY r.relevancia DESC, r.nombre ASC, r.id ASC
+    ${limit.clause}
+    `,
+    [...allParams, ...limit.params]
+  );
+
+  return { rows: rows.map(conAlergenos), total: Number(total), pagination };
+}
+
+export async function paraExportar(db) {
+  const [rows] = await db.query(`
+    SELECT p.nombre, c.nombre AS categoria, p.descripcion, ${precioSql(db.dialect)} AS precio,
+           p.disponible, p.disponibilidad_auto
+    FROM ${FROM}
+    WHERE p.deleted_at IS NULL
+    ORDER BY c.nombre, p.nombre
+  `);
+  return rows;
+}
+
+/**
+ * Todos los productos, eliminados incluidos, por nombre en minúsculas.
+ */
+export async function porNombre(db) {
+  const [rows] = await db.query('SELECT id, nombre, deleted_at FROM productos');
+  return new Map(rows.map((p) => [p.nombre.toLowerCase(), p]));
+}
+
+/**
+ * Productos que se pueden pedir ahora, de categorías activas, agrupados por
+ * categoría y ordenados por nombre. Mismos filtros opcionales que el listado.
+ */
+export async function paraMenu(db, { categoriaIds, sinAlergenos = [] } = {}) {
+  const base = filtrosBase({ incluirEliminados: false, sinAlergenos, categoriaIds });
+  const conditions = ['c.deleted_at IS NULL', `(${DISPONIBLE_SQL}) = 1`, ...base.conditions];
+  const params = [...base.params];
+
+  const [rows] = await db.query(
+    `
+    SELECT p.id, p.categoria_id, c.nombre AS categoria,
+           p.nombre, p.descripcion, p.imagen, ${precioSql(db.dialect)} AS precio,
+           ${codigosSql(db.dialect, RECETA_ALERGENOS)} AS alergenos
+    FROM ${FROM}
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY c.nombre, p.nombre
+    `,
+    params
+  );
+  return rows.map(conAlergenos);
+}
+
+/**
+ * Productos activos de un pedido con precio y disponibilidad.
+ */
+export async function paraPedido(db, ids) {
+  const [rows] = await db.query(
+    `
+    SELECT p.id, p.nombre, ${precioSql(db.dialect)} AS precio, ${disponibilidadColumns(db.dialect)}
+    FROM productos p
+    WHERE p.id IN (?) AND p.deleted_at IS NULL
+    `,
+    [ids]
+  );
+  return rows;
+}
+
+export function crear(db, datos) {
+  return insertar(db, 'productos', datos);
+}
+
+export function actualizar(db, id, cambios) {
+  return actualizarPorId(db, 'productos', id, cambios);
+}
+
+export function eliminar(db, id) {
+  return marcarEliminado(db, 'productos', id);
+}
+
+export function restaurar(db, id) {
+  return quitarEliminado(db, 'productos', id);
+}
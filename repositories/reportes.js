@@ -0,0 +1,65 @@
+// repositories/reportes.js
+import { buildListQuery } from '../routes/listing.js';
+import { listarPagina } from './base.js';
+import { precioSql } from './precios.js';
+
+/**
+ * Subconsulta con costo y margen de cada producto, para listar y ordenar
+ * en SQL. El costo de un combo suma el de sus productos fijos. Las
+ * columnas quedan disponibles con el alias `m`.
+ */
+function margenesFrom(dialect) {
+  return `
+    (
+      SELECT r.*,
+             r.precio - r.costo AS margen_bruto,
+             CASE WHEN r.precio > 0 THEN (r.precio - r.costo) / r.precio * 100 END AS margen_porcentaje
+      FROM (
+        SELECT p.id AS producto_id,
+               p.nombre AS producto,
+               p.categoria_id,
+               c.nombre AS categoria,
+               ${precioSql(dialect)} AS precio,
+               COALESCE((
+                 SELECT SUM(pi.cantidad_usada * i.costo_unitario)
+                 FROM producto_ingrediente pi
+                 JOIN ingredientes i ON pi.ingrediente_id = i.id
+                 WHERE pi.producto_id = p.id
+               ), 0) + COALESCE((
+                 SELECT SUM(pi.cantidad_usada * cc.cantidad * i.costo_unitario)
+                 FROM combo_componentes cc
+                 JOIN producto_ingrediente pi ON pi.producto_id = cc.producto_id
+                 JOIN ingredientes i ON pi.ingrediente_id = i.id
+                 WHERE cc.combo_id = p.id
+               ), 0) AS costo
+        FROM productos p
+        JOIN categorias c ON p.categoria_id = c.id
+        WHERE p.deleted_at IS NULL
+      ) r
+    ) m
+  `;
+}
+
+export const LISTADO_MARGENES = {
+  filters: {
+    categoria_id: { column: 'm.categoria_id', type: 'int' },
+    margen_porcentaje_max: { column: 'm.margen_porcentaje', type: 'float', op: 'lte' },
+  },
+  sortable: {
+    producto: 'm.producto',
+    precio: 'm.precio',
+    costo: 'm.costo',
+    margen_bruto: 'm.margen_bruto',
+    margen_porcentaje: 'm.margen_porcentaje',
+  },
+  defaultSort: 'margen_porcentaje',
+  primaryKey: 'm.producto_id',
+};
+
+export function margenes(db, reqQuery) {
+  return listarPagina(db, {
+    columns: 'm.*',
+    from: margenesFrom(db.dialect),
+    list: buildListQuery(reqQuery, LISTADO_MARGENES, undefined, db.dialect),
+  });
+}
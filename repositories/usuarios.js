@@ -0,0 +1,39 @@
+// repositories/usuarios.js
+import { insertar, actualizarPorId } from './base.js';
+
+// Nunca incluye password_hash
+const COLUMNAS = 'id, usuario, rol, activo, created_at, updated_at';
+
+export async function listar(db) {
+  const [rows] = await db.query(`SELECT ${COLUMNAS} FROM usuarios ORDER BY id`);
+  return rows;
+}
+
+export async function buscar(db, id) {
+  const [rows] = await db.query(`SELECT ${COLUMNAS} FROM usuarios WHERE id = ?`, [id]);
+  return rows[0] ?? null;
+}
+
+/**
+ * Usuario con su hash de contraseña, para el login.
+ */
+export async function credenciales(db, usuario) {
+  const [rows] = await db.query(
+    'SELECT id, usuario, password_hash, rol, activo FROM usuarios WHERE usuario = ?',
+    [usuario]
+  );
+  return rows[0] ?? null;
+}
+
+export async function idPorUsuario(db, usuario) {
+  const [rows] = await db.query('SELECT id FROM usuarios WHERE usuario = ?', [usuario]);
+  return rows[0]?.id ?? null;
+}
+
+export function crear(db, { usuario, password_hash, rol }) {
+  return insertar(db, 'usuarios', { usuario, password_hash, rol });
+}
+
+export function actualizar(db, id, cambios) {
+  return actualizarPorId(db, 'usuarios', id, cambios);
+}
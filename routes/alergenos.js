@@ -0,0 +1,75 @@
+// routes/alergenos.js
+//
+// Códigos de alérgeno en el query string y en el cuerpo de los ingredientes.
+// Se comparan sin mayúsculas ni acentos: "Lácteos" es el código lacteos.
+import { body, query } from 'express-validator';
+import { getPool } from '../config/db.js';
+import * as alergenos from '../repositories/alergenos.js';
+
+export const CODIGO = /^[a-z0-9_]+$/;
+
+export function normalizarCodigo(valor) {
+  return String(valor)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, '_');
+}
+
+/**
+ * "gluten, Lácteos" → ['gluten', 'lacteos'].
+ */
+export function codigosDeQuery(valor) {
+  if (valor === undefined) return [];
+  return [...new Set(String(valor).split(',').map(normalizarCodigo).filter(Boolean))];
+}
+
+async function desconocidos(db, codigos) {
+  const ids = await alergenos.idsPorCodigo(db, codigos);
+  return codigos.filter((codigo) => !ids.has(codigo));
+}
+
+/**
+ * ?sin_alergenos=gluten,lacteos: cada código tiene que existir, para que un
+ * error de dedo no devuelva el menú completo como si fuera seguro.
+ */
+export const sinAlergenosValidator = query('sin_alergenos')
+  .optional()
+  .custom(async (value) => {
+    const codigos = codigosDeQuery(value);
+    if (codigos.length === 0) {
+      throw new Error('sin_alergenos debe ser una lista de códigos separados por coma');
+    }
+    const faltan = await desconocidos(await getPool(), codigos);
+    if (faltan.length > 0) {
+      throw new Error(`Alérgenos desconocidos: ${faltan.join(', ')}`);
+    }
+    return true;
+  });
+
+export const alergenosBodyValidators = [
+  body('alergenos').optional().isArray().withMessage('alergenos debe ser una lista de códigos'),
+  body('alergenos.*').isString().notEmpty(),
+];
+
+/**
+ * Ids de los códigos del cuerpo, o `invalida` con el cuerpo de la
+ * respuesta 422 si alguno no existe.
+ */
+export async function resolverAlergenos(db, valores) {
+  const codigos = [...new Set(valores.map(normalizarCodigo))];
+  const ids = await alergenos.idsPorCodigo(db, codigos);
+  const faltan = codigos.filter((codigo) => !ids.has(codigo));
+
+  if (faltan.length > 0) {
+    return {
+      invalida: {
+        ok: false,
+        message: 'Hay alérgenos que no existen',
+        errors: [{ path: 'alergenos', msg: `Alérgenos desconocidos: ${faltan.join(', ')}` }],
+      },
+    };
+  }
+  return { ids: codigos.map((codigo) => ids.get(codigo)) };
+}
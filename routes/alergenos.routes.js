@@ -0,0 +1,378 @@
+// routes/alergenos.routes.js
+import { Router } from 'express';
+import { body, param } from 'express-validator';
+import { getPool, withTransaction } from '../config/db.js';
+import { handleValidation } from './validators.js';
+import { requireRole } from './auth.js';
+import { registrarAuditoria } from './auditoria.js';
+import { CODIGO, normalizarCodigo } from './alergenos.js';
+import {
+  etagDe,
+  ifMatchRequerido,
+  cumpleIfMatch,
+  precondicionFallida,
+} from './concurrencia.js';
+import { cachePrivada, condicional, invalidarAlEscribir, listadoEnCache } from './cache.js';
+import { filaAuditable } from '../repositories/auditoria.js';
+import * as alergenos from '../repositories/alergenos.js';
+
+const router = Router();
+
+router.use(cachePrivada, invalidarAlEscribir('alergenos'));
+
+const codigoValidator = (chain) =>
+  chain
+    .customSanitizer(normalizarCodigo)
+    .matches(CODIGO)
+    .withMessage('codigo solo admite letras sin acento, números y guion bajo');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Alergenos
+ *   description: Lista de alérgenos que se asignan a los ingredientes
+ */
+
+/**
+ * @swagger
+ * /api/alergenos:
+ *   get:
+ *     summary: Lista los alérgenos
+ *     description: Los códigos son los que se usan en `alergenos` de ingredientes y productos y en `sin_alergenos`.
+ *     tags: [Alergenos]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IfNoneMatch'
+ *       - $ref: '#/components/parameters/IfModifiedSince'
+ *     responses:
+ *       200:
+ *         description: Alérgenos ordenados por nombre
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *           Last-Modified:
+ *             $ref: '#/components/headers/LastModified'
+ *           Cache-Control:
+ *             $ref: '#/components/headers/CacheControl'
+ *           X-Cache:
+ *             $ref: '#/components/headers/XCache'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Alergeno'
+ *       304:
+ *         $ref: '#/components/responses/NoModificado'
+ */
+router.get('/', listadoEnCache('alergenos'), async (_req, res, next) => {
+  try {
+    const rows = await alergenos.listar(await getPool());
+    res.json({ ok: true, message: 'Consulta realizada correctamente', data: rows });
+  } catch (err) {
+    next(err);
+  }
+});
+
+
+/**
+ * @swagger
+ * /api/alergenos/{id}:
+ *   get:
+ *     summary: Obtiene un alérgeno por ID
+ *     tags: [Alergenos]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: ID del alérgeno
+ *       - $ref: '#/components/parameters/IfNoneMatch'
+ *       - $ref: '#/components/parameters/IfModifiedSince'
+ *     responses:
+ *       200:
+ *         description: Alérgeno encontrado
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *           Last-Modified:
+ *             $ref: '#/components/headers/LastModified'
+ *           Cache-Control:
+ *             $ref: '#/components/headers/CacheControl'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Alergeno'
+ *       304:
+ *         $ref: '#/components/responses/NoModificado'
+ *       404:
+ *         description: Alérgeno no encontrado
+ */
+router.get(
+  '/:id',
+  condicional('alergenos'),
+  param('id').isInt(),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const alergeno = await alergenos.buscar(await getPool(), req.params.id);
+      if (!alergeno) {
+        return res.status(404).json({ ok: false, message: 'Alérgeno no encontrado' });
+      }
+      res.set('ETag', etagDe(alergeno));
+      res.json({ ok: true, message: 'Consulta realizada correctamente', data: alergeno });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+
+/**
+ * @swagger
+ * /api/alergenos:
+ *   post:
+ *     summary: Agrega un alérgeno
+ *     tags: [Alergenos]
+ *     description: "Requiere rol: admin. Sin `codigo`, se arma a partir del nombre."
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Alergeno'
+ *     responses:
+ *       201:
+ *         description: Alérgeno creado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Alergeno'
+ *       400:
+ *         description: Datos inválidos
+ *       401:
+ *         $ref: '#/components/responses/NoAutenticado'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
+ *       409:
+ *         $ref: '#/components/responses/Duplicado'
+ */
+router.post(
+  '/',
+  ...requireRole('admin'),
+  body('nombre').isString().trim().notEmpty(),
+  codigoValidator(body('codigo').optional()),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const nombre = req.body.nombre;
+      const codigo = req.body.codigo ?? normalizarCodigo(nombre);
+      if (!CODIGO.test(codigo)) {
+        return res.status(400).json({
+          ok: false,
+          code: 'VALIDACION',
+          message: 'Errores de validación',
+          errors: [{ path: 'codigo', msg: 'Indica un codigo; no se pudo armar a partir del nombre' }],
+        });
+      }
+
+      const alergeno = await withTransaction(async (conn) => {
+        const id = await alergenos.crear(conn, { codigo, nombre });
+
+        await registrarAuditoria(conn, {
+          entidad: 'alergenos',
+          entidadId: id,
+          accion: 'crear',
+          usuarioId: req.user.id,
+          despues: await filaAuditable(conn, 'alergenos', id),
+        });
+
+        return alergenos.buscar(conn, id);
+      });
+
+      res.status(201).json({ ok: true, message: 'Alérgeno creado', data: alergeno });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+
+/**
+ * @swagger
+ * /api/alergenos/{id}:
+ *   put:
+ *     summary: Cambia el nombre o el código de un alérgeno
+ *     tags: [Alergenos]
+ *     description: "Requiere rol: admin"
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: ID del alérgeno
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Alergeno'
+ *     responses:
+ *       200:
+ *         description: Alérgeno actualizado
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Alergeno'
+ *       404:
+ *         description: Alérgeno no encontrado
+ *       412:
+ *         $ref: '#/components/responses/PrecondicionFallida'
+ *       428:
+ *         $ref: '#/components/responses/IfMatchRequerido'
+ *       401:
+ *         $ref: '#/components/responses/NoAutenticado'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
+ *       409:
+ *         $ref: '#/components/responses/Duplicado'
+ */
+router.put(
+  '/:id',
+  ...requireRole('admin'),
+  ifMatchRequerido,
+  param('id').isInt(),
+  body('nombre').optional().isString().trim().notEmpty(),
+  codigoValidator(body('codigo').optional()),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const id = req.params.id;
+      const cambios = {};
+      for (const field of ['codigo', 'nombre']) {
+        if (req.body[field] !== undefined) cambios[field] = req.body[field];
+      }
+
+      if (Object.keys(cambios).length === 0) {
+        return res.status(400).json({ ok: false, message: 'Nada para actualizar' });
+      }
+
+      const result = await withTransaction(async (conn) => {
+        const antes = await filaAuditable(conn, 'alergenos', id, { bloquear: true });
+        if (!antes) return null;
+
+        const actual = await alergenos.buscar(conn, id);
+        if (!cumpleIfMatch(req, actual)) return { status: 412, data: actual };
+
+        await alergenos.actualizar(conn, id, cambios);
+
+        await registrarAuditoria(conn, {
+          entidad: 'alergenos',
+          entidadId: id,
+          accion: 'actualizar',
+          usuarioId: req.user.id,
+          antes,
+          despues: await filaAuditable(conn, 'alergenos', id),
+        });
+
+        return { status: 200, data: await alergenos.buscar(conn, id) };
+      });
+
+      if (!result) {
+        return res.status(404).json({ ok: false, message: 'Alérgeno no encontrado' });
+      }
+
+      res.set('ETag', etagDe(result.data));
+      if (result.status === 412) {
+        return res.status(412).json(precondicionFallida(result.data));
+      }
+
+      res.json({ ok: true, message: 'Alérgeno actualizado', data: result.data });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+
+/**
+ * @swagger
+ * /api/alergenos/{id}:
+ *   delete:
+ *     summary: Elimina un alérgeno
+ *     tags: [Alergenos]
+ *     description: >
+ *       Requiere rol: admin. El borrado es definitivo, así que no se permite
+ *       mientras algún ingrediente (aunque esté eliminado) lo tenga asignado.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: ID del alérgeno
+ *     responses:
+ *       200:
+ *         description: Alérgeno eliminado
+ *       404:
+ *         description: Alérgeno no encontrado
+ *       409:
+ *         description: Hay ingredientes con el alérgeno asignado
+ *       401:
+ *         $ref: '#/components/responses/NoAutenticado'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
+ */
+router.delete(
+  '/:id',
+  ...requireRole('admin'),
+  param('id').isInt(),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const id = req.params.id;
+
+      const result = await withTransaction(async (conn) => {
+        const antes = await filaAuditable(conn, 'alergenos', id, { bloquear: true });
+        if (!antes) {
+          return { status: 404, message: 'Alérgeno no encontrado' };
+        }
+
+        const ingredientes = await alergenos.ingredientesQueUsan(conn, id);
+        if (ingredientes.length > 0) {
+          return {
+            status: 409,
+            message: `El alérgeno está asignado a: ${ingredientes.join(', ')}`,
+          };
+        }
+
+        await alergenos.eliminar(conn, id);
+        await registrarAuditoria(conn, {
+          entidad: 'alergenos',
+          entidadId: id,
+          accion: 'eliminar',
+          usuarioId: req.user.id,
+          antes,
+        });
+        return { status: 200, message: 'Alérgeno eliminado' };
+      });
+
+      res.status(result.status).json({ ok: result.status === 200, message: result.message });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+export default router;
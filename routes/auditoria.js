@@ -0,0 +1,49 @@
+// routes/auditoria.js
+import { insertar } from '../repositories/auditoria.js';
+
+// Columnas que cambian solas y no aportan al historial
+const IGNORADAS = new Set(['id', 'created_at', 'updated_at']);
+
+function normalizar(value) {
+  if (value instanceof Date) return value.toISOString();
+  if (value === undefined) return null;
+  return value;
+}
+
+/**
+ * Diferencia campo a campo entre dos filas: { campo: { antes, despues } }.
+ * `antes` null es una creación y `despues` null un borrado definitivo.
+ * Las dos filas deben venir de la tabla (filaAuditable), así los DECIMAL
+ * llegan con la misma escala y se pueden comparar como texto.
+ */
+export function diffCampos(antes, despues) {
+  const campos = new Set([...Object.keys(antes ?? {}), ...Object.keys(despues ?? {})]);
+  const cambios = {};
+
+  for (const campo of campos) {
+    if (IGNORADAS.has(campo)) continue;
+    const a = normalizar(antes?.[campo]);
+    const d = normalizar(despues?.[campo]);
+    const cambio = a === null || d === null ? a !== d : String(a) !== String(d);
+    if (cambio) {
+      cambios[campo] = { antes: a, despues: d };
+    }
+  }
+
+  return cambios;
+}
+
+/**
+ * Escribe una entrada en la bitácora. Conviene llamarla con la misma
+ * conexión de la transacción del cambio, para que ambos se confirmen o
+ * se descarten juntos. Una actualización sin cambios reales no se anota.
+ */
+export async function registrarAuditoria(
+  db,
+  { entidad, entidadId, accion, usuarioId = null, antes = null, despues = null }
+) {
+  const cambios = diffCampos(antes, despues);
+  if (accion === 'actualizar' && Object.keys(cambios).length === 0) return;
+
+  await insertar(db, { entidad, entidadId, accion, usuarioId, cambios });
+}
@@ -0,0 +1,146 @@
+// routes/auditoria.routes.js
+import { Router } from 'express';
+import { getPool } from '../config/db.js';
+import { handleValidation } from './validators.js';
+import { requireRole } from './auth.js';
+import { listValidators, pageMeta } from './listing.js';
+import * as auditoria from '../repositories/auditoria.js';
+
+const router = Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Auditoria
+ *   description: Historial de cambios del catálogo
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     EntradaAuditoria:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         entidad:
+ *           type: string
+ *           enum: [categorias, productos, ingredientes, producto_ingrediente, alergenos, producto_precios, modificador_grupos, modificador_opciones, combo_componentes]
+ *         entidad_id:
+ *           type: integer
+ *           example: 10
+ *         accion:
+ *           type: string
+ *           enum: [crear, actualizar, eliminar, restaurar, purgar]
+ *         usuario_id:
+ *           type: integer
+ *           nullable: true
+ *         usuario:
+ *           type: string
+ *           nullable: true
+ *           example: admin
+ *         cambios:
+ *           type: object
+ *           description: Valor anterior y nuevo de cada campo que cambió
+ *           additionalProperties:
+ *             type: object
+ *             properties:
+ *               antes: {}
+ *               despues: {}
+ *           example:
+ *             precio:
+ *               antes: "45.50"
+ *               despues: "47.00"
+ *         created_at:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /api/auditoria:
+ *   get:
+ *     summary: Historial de cambios de categorías, productos, ingredientes y recetas
+ *     description: >
+ *       Requiere rol: admin. Siempre paginado (por defecto 20 por página), de
+ *       lo más reciente a lo más antiguo.
+ *     tags: [Auditoria]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - in: query
+ *         name: entidad
+ *         schema:
+ *           type: string
+ *           enum: [categorias, productos, ingredientes, producto_ingrediente, alergenos, producto_precios, modificador_grupos, modificador_opciones, combo_componentes]
+ *       - in: query
+ *         name: entidad_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: accion
+ *         schema:
+ *           type: string
+ *           enum: [crear, actualizar, eliminar, restaurar, purgar]
+ *       - in: query
+ *         name: usuario_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: desde
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: hasta
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Entradas de auditoría
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 ok:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/EntradaAuditoria'
+ *                 meta:
+ *                   $ref: '#/components/schemas/PageMeta'
+ *       401:
+ *         $ref: '#/components/responses/NoAutenticado'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
+ */
+router.get(
+  '/',
+  ...requireRole('admin'),
+  listValidators(auditoria.LISTADO),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const { rows, total, pagination } = await auditoria.listar(await getPool(), req.query);
+
+      res.json({
+        ok: true,
+        message: 'Consulta realizada correctamente',
+        data: rows,
+        meta: pageMeta(total, pagination),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+export default router;
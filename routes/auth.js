@@ -0,0 +1,101 @@
+// routes/auth.js
+import jwt from 'jsonwebtoken';
+import bcrypt from 'bcryptjs';
+import { getPool } from '../config/db.js';
+import * as usuarios from '../repositories/usuarios.js';
+
+export const ROLES = ['admin', 'cocina', 'mesero'];
+
+const BCRYPT_ROUNDS = 10;
+
+function jwtSecret() {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('JWT_SECRET no está configurado');
+  }
+  return secret;
+}
+
+export function hashPassword(password) {
+  return bcrypt.hash(password, BCRYPT_ROUNDS);
+}
+
+export function verifyPassword(password, hash) {
+  return bcrypt.compare(password, hash);
+}
+
+export function signToken(user) {
+  return jwt.sign({ sub: user.id, usuario: user.usuario, rol: user.rol }, jwtSecret(), {
+    expiresIn: process.env.JWT_EXPIRES_IN || '8h',
+  });
+}
+
+/**
+ * Exige un token Bearer válido y deja el usuario en req.user. El rol y si
+ * sigue activo se leen de la base en cada petición, así que desactivar un
+ * usuario o cambiarle el rol vale en el acto y no hasta que venza el token.
+ */
+export async function requireAuth(req, res, next) {
+  const header = req.get('Authorization') ?? '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ ok: false, message: 'Se requiere autenticación' });
+  }
+
+  try {
+    const payload = jwt.verify(token, jwtSecret());
+    const user = await usuarios.buscar(await getPool(), payload.sub);
+    if (!user || !user.activo) {
+      return res.status(401).json({ ok: false, message: 'El usuario no existe o está desactivado' });
+    }
+    req.user = { id: user.id, usuario: user.usuario, rol: user.rol };
+    next();
+  } catch (err) {
+    if (err instanceof jwt.JsonWebTokenError) {
+      return res.status(401).json({ ok: false, message: 'Token inválido o expirado' });
+    }
+    next(err);
+  }
+}
+
+/**
+ * Exige autenticación y que el usuario tenga alguno de los roles indicados.
+ * Se usa directamente en la ruta: router.post('/', ...requireRole('admin'), ...)
+ */
+export function requireRole(...roles) {
+  return [
+    requireAuth,
+    (req, res, next) => {
+      if (!roles.includes(req.user.rol)) {
+        return res.status(403).json({
+          ok: false,
+          message: `Acción permitida solo para: ${roles.join(', ')}`,
+        });
+      }
+      next();
+    },
+  ];
+}
+
+/**
+ * Limita los campos del body que puede enviar cada rol. Los roles que no
+ * aparecen en `fieldsByRole` no tienen restricción.
+ *
+ *   limitFieldsByRole({ cocina: ['disponible'] })
+ */
+export function limitFieldsByRole(fieldsByRole) {
+  return (req, res, next) => {
+    const allowed = fieldsByRole[req.user?.rol];
+    if (!allowed) return next();
+
+    const forbidden = Object.keys(req.body ?? {}).filter((field) => !allowed.includes(field));
+    if (forbidden.length > 0) {
+      return res.status(403).json({
+        ok: false,
+        message: `El rol ${req.user.rol} no puede modificar: ${forbidden.join(', ')}`,
+      });
+    }
+    next();
+  };
+}
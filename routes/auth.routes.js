@@ -0,0 +1,110 @@
+// routes/auth.routes.js
+import { Router } from 'express';
+import { body } from 'express-validator';
+import { getPool } from '../config/db.js';
+import { handleValidation } from './validators.js';
+import { requireAuth, signToken, verifyPassword } from './auth.js';
+import * as usuarios from '../repositories/usuarios.js';
+
+const router = Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Auth
+ *   description: Inicio de sesión y datos del usuario autenticado
+ */
+
+/**
+ * @swagger
+ * /api/auth/login:
+ *   post:
+ *     summary: Inicia sesión y devuelve un token firmado
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [usuario, password]
+ *             properties:
+ *               usuario:
+ *                 type: string
+ *                 example: admin
+ *               password:
+ *                 type: string
+ *                 example: secreto123
+ *     responses:
+ *       200:
+ *         description: Sesión iniciada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 ok:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     token:
+ *                       type: string
+ *                     usuario:
+ *                       $ref: '#/components/schemas/Usuario'
+ *       401:
+ *         description: Credenciales inválidas
+ */
+router.post(
+  '/login',
+  body('usuario').isString().notEmpty(),
+  body('password').isString().notEmpty(),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const { usuario, password } = req.body;
+      const user = await usuarios.credenciales(await getPool(), usuario);
+      if (!user || !user.activo || !(await verifyPassword(password, user.password_hash))) {
+        return res.status(401).json({ ok: false, message: 'Usuario o contraseña incorrectos' });
+      }
+
+      res.json({
+        ok: true,
+        message: 'Sesión iniciada',
+        data: {
+          token: signToken(user),
+          usuario: { id: user.id, usuario: user.usuario, rol: user.rol },
+        },
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+
+/**
+ * @swagger
+ * /api/auth/me:
+ *   get:
+ *     summary: Devuelve el usuario del token
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Usuario autenticado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Usuario'
+ *       401:
+ *         $ref: '#/components/responses/NoAutenticado'
+ */
+router.get('/me', requireAuth, (req, res) => {
+  res.json({ ok: true, message: 'Consulta realizada correctamente', data: req.user });
+});
+
+export default router;
@@ -0,0 +1,162 @@
+// routes/cache.js
+//
+// Caché HTTP de los GET del catálogo.
+//
+// Cada tabla lleva una versión y la hora de su último cambio. Los routers que
+// escriben las suben al terminar bien cualquier request que no sea GET
+// (invalidarAlEscribir), y los GET declaran qué tablas leen:
+//   - condicional: Cache-Control público y Last-Modified; el ETag lo pone la
+//     ruta o Express, y Express responde 304 si el request ya está al día.
+//   - listadoEnCache: además guarda la respuesta en memoria por URL. Una
+//     entrada sólo sirve mientras no cambie ninguna de sus tablas.
+// Lo que cambia con la hora y no con una escritura (precios programados) se
+// anota con programarCambio.
+//
+// Todo vive en el proceso: con varias instancias, o si otro proceso escribe
+// en la base (seeds, importaciones por consola), conviene CACHE_LISTADOS=false.
+import crypto from 'crypto';
+
+const MAX_LISTADOS = 200;
+
+const tablas = new Map();
+const listados = new Map();
+const arranque = Math.ceil(Date.now() / 1000) * 1000;
+
+/**
+ * Last-Modified tiene precisión de segundos, así que cada cambio cae en un
+ * segundo posterior al anterior: con dos escrituras en el mismo segundo un
+ * If-Modified-Since no puede confundir la segunda con la primera.
+ */
+function marcarCambio(tabla, cuando) {
+  tabla.version += 1;
+  tabla.modificado = Math.max(Math.ceil(cuando / 1000) * 1000, tabla.modificado + 1000);
+}
+
+function estado(nombre) {
+  if (!tablas.has(nombre)) {
+    tablas.set(nombre, { version: 0, modificado: arranque, programados: [] });
+  }
+  const tabla = tablas.get(nombre);
+
+  // Los cambios programados que ya llegaron cuentan como escrituras
+  while (tabla.programados.length > 0 && tabla.programados[0] <= Date.now()) {
+    marcarCambio(tabla, tabla.programados.shift());
+  }
+  return tabla;
+}
+
+/**
+ * Marca las tablas como modificadas.
+ */
+export function invalidarTablas(...nombres) {
+  for (const nombre of nombres) {
+    marcarCambio(estado(nombre), Date.now());
+  }
+}
+
+/**
+ * Anota que el contenido de la tabla cambia solo en `cuando` (un Date), sin
+ * que nadie escriba: por ejemplo, un precio programado que entra en vigor.
+ * Desde ese momento la tabla cuenta como modificada.
+ */
+export function programarCambio(nombre, cuando) {
+  const tabla = estado(nombre);
+  const ms = cuando.getTime();
+  if (ms <= Date.now() || tabla.programados.includes(ms)) return;
+  tabla.programados.push(ms);
+  tabla.programados.sort((a, b) => a - b);
+}
+
+/**
+ * Para router.use: cuando un POST/PUT/PATCH/DELETE del router responde sin
+ * error, invalida las tablas que ese router modifica.
+ */
+export function invalidarAlEscribir(...nombres) {
+  return (req, res, next) => {
+    if (!['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
+      res.on('finish', () => {
+        if (res.statusCode < 400) invalidarTablas(...nombres);
+      });
+    }
+    next();
+  };
+}
+
+/**
+ * Para router.use: los GET del router no se guardan en caches compartidas
+ * salvo que la ruta use `condicional` o `listadoEnCache`. Las rutas con
+ * rol quedan así, porque su respuesta depende del token.
+ */
+export function cachePrivada(req, res, next) {
+  if (req.method === 'GET' || req.method === 'HEAD') {
+    res.set('Cache-Control', 'private, no-cache');
+  }
+  next();
+}
+
+function ultimoCambio(nombres) {
+  return Math.max(...nombres.map((nombre) => estado(nombre).modificado));
+}
+
+/**
+ * Cache-Control público y Last-Modified según las tablas que lee la ruta.
+ * CACHE_MAX_AGE (segundos, 0 por defecto) es cuánto puede usar el navegador
+ * su copia sin revalidarla.
+ */
+export function condicional(...nombres) {
+  return (req, res, next) => {
+    const maxAge = Number.parseInt(process.env.CACHE_MAX_AGE ?? '0', 10) || 0;
+    res.set('Cache-Control', `public, max-age=${maxAge}, must-revalidate`);
+    res.set('Last-Modified', new Date(ultimoCambio(nombres)).toUTCString());
+    next();
+  };
+}
+
+/**
+ * ETag fuerte de un cuerpo ya serializado.
+ */
+export function etagTexto(texto) {
+  return `"${crypto.createHash('sha1').update(texto).digest('base64url')}"`;
+}
+
+function enviar(res, entrada, resultado) {
+  res.set('ETag', entrada.etag);
+  res.set('X-Cache', resultado);
+  res.type('json');
+  return res.send(entrada.texto);
+}
+
+/**
+ * `condicional` más la caché de resultados: una respuesta 200 se guarda por
+ * URL junto con las versiones de sus tablas, y se reutiliza mientras sigan
+ * iguales. Si una escritura termina mientras se arma el listado, la entrada
+ * queda con versiones viejas y se descarta en la siguiente lectura.
+ */
+export function listadoEnCache(...nombres) {
+  const cabeceras = condicional(...nombres);
+
+  return (req, res, next) => {
+    cabeceras(req, res, () => {
+      if (process.env.CACHE_LISTADOS === 'false') return next();
+
+      const clave = req.originalUrl;
+      const firma = nombres.map((nombre) => estado(nombre).version).join('.');
+      const guardada = listados.get(clave);
+      if (guardada?.firma === firma) return enviar(res, guardada, 'HIT');
+
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        if (res.statusCode !== 200) return json(body);
+
+        const texto = JSON.stringify(body);
+        const entrada = { firma, texto, etag: etagTexto(texto) };
+        listados.delete(clave);
+        listados.set(clave, entrada);
+        if (listados.size > MAX_LISTADOS) listados.delete(listados.keys().next().value);
+
+        return enviar(res, entrada, 'MISS');
+      };
+      next();
+    });
+  };
+}
@@ -0,0 +1,105 @@
+// routes/categorias.js
+//
+// Árbol de categorías. Las categorías son pocas, así que el árbol se arma
+// en memoria a partir de jerarquia() en lugar de con consultas recursivas,
+// que cada motor escribe distinto.
+import { body, query } from 'express-validator';
+import { filaAuditable } from '../repositories/auditoria.js';
+import * as categorias from '../repositories/categorias.js';
+
+export const padreValidator = body('padre_id').optional({ values: 'null' }).isInt().toInt();
+
+export const ordenValidators = [
+  body('padre_id').optional({ values: 'null' }).isInt().toInt(),
+  body('orden')
+    .isArray({ min: 1 })
+    .withMessage('orden debe ser la lista de ids de las categorías hermanas')
+    .bail()
+    .custom((ids) => new Set(ids.map(Number)).size === ids.length)
+    .withMessage('orden tiene ids repetidos'),
+  body('orden.*').isInt().toInt(),
+];
+
+export const incluirSubcategoriasValidator = query('incluir_subcategorias')
+  .optional()
+  .isBoolean({ loose: true });
+
+/**
+ * Categorías anidadas: [{ id, nombre, posicion, hijas: [...] }] con las
+ * hermanas en orden.
+ */
+export function armarArbol(filas) {
+  const nodos = new Map(
+    filas.map((c) => [c.id, { id: c.id, nombre: c.nombre, posicion: c.posicion, hijas: [] }])
+  );
+  const raices = [];
+  for (const fila of filas) {
+    const padre = fila.padre_id === null ? null : nodos.get(fila.padre_id);
+    (padre ? padre.hijas : raices).push(nodos.get(fila.id));
+  }
+  return raices;
+}
+
+/**
+ * Ids de la categoría y de todas sus descendientes.
+ */
+export function conDescendientes(filas, id) {
+  const ids = [id];
+  for (let i = 0; i < ids.length; i++) {
+    for (const fila of filas) {
+      if (fila.padre_id === ids[i]) ids.push(fila.id);
+    }
+  }
+  return ids;
+}
+
+/**
+ * Posición de cada categoría recorriendo el árbol de arriba abajo (cada
+ * padre antes que sus hijas): Map id → índice.
+ */
+export function ordenDeArbol(filas) {
+  const orden = new Map();
+  const visitar = (nodos) => {
+    for (const nodo of nodos) {
+      orden.set(nodo.id, orden.size);
+      visitar(nodo.hijas);
+    }
+  };
+  visitar(armarArbol(filas));
+  return orden;
+}
+
+/**
+ * Ids de `categoriaId` con sus subcategorías activas.
+ */
+export async function categoriaConSubcategorias(db, categoriaId) {
+  return conDescendientes(await categorias.jerarquia(db), categoriaId);
+}
+
+/**
+ * Mensaje de error si `padreId` no sirve como padre de la categoría `id`
+ * (null al crear): no existe, está eliminada, o es la misma categoría o una
+ * de sus descendientes, lo que cerraría un ciclo. null si se puede usar.
+ *
+ * Recorre la cadena de padres de `padreId` bloqueando cada fila: dos
+ * movimientos cruzados ("A bajo B" y "B bajo A") o un borrado del padre al
+ * mismo tiempo esperan a que termine el otro en lugar de pasar los dos la
+ * comprobación.
+ */
+export async function padreInvalido(db, id, padreId) {
+  if (padreId === null) return null;
+
+  const padre = await filaAuditable(db, 'categorias', padreId, { bloquear: true });
+  if (!padre || padre.deleted_at !== null) return 'La categoría padre no existe o está eliminada';
+
+  const vistas = new Set();
+  for (let actual = padre; actual; ) {
+    if (id !== null && actual.id === Number(id)) {
+      return 'Una categoría no puede quedar dentro de sí misma ni de sus subcategorías';
+    }
+    vistas.add(actual.id);
+    if (actual.padre_id === null || vistas.has(actual.padre_id)) break;
+    actual = await filaAuditable(db, 'categorias', actual.padre_id, { bloquear: true });
+  }
+  return null;
+}
@@ -1,11 +1,27 @@
 // routes/categorias.routes.js
 import { Router } from 'express';
 import { body, param } from 'express-validator';
-import { getPool } from '../config/db.js';
+import { getPool, withTransaction } from '../config/db.js';
 import { handleValidation } from './validators.js';
+import { requireRole } from './auth.js';
+import { listValidators, pageMeta } from './listing.js';
+import { incluirEliminadosValidator, incluirEliminados } from './papelera.js';
+import { registrarAuditoria } from './auditoria.js';
+import {
+  etagDe,
+  ifMatchRequerido,
+  cumpleIfMatch,
+  precondicionFallida,
+} from './concurrencia.js';
+import { cachePrivada, condicional, invalidarAlEscribir, listadoEnCache } from './cache.js';
+import { armarArbol, ordenValidators, padreInvalido, padreValidator } from './categorias.js';
+import { filaAuditable } from '../repositories/auditoria.js';
+import * as categorias from '../repositories/categorias.js';
 
 const router = Router();
 
+router.use(cachePrivada, invalidarAlEscribir('categorias'));
+
 /**
  * @swagger
  * tags:
@@ -26,40 +42,270 @@ const router = Router();
  *         nombre:
  *           type: string
  *           example: Hamburguesas
+ *         padre_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Categoría padre; null para una categoría principal
+ *         posicion:
+ *           type: integer
+ *           readOnly: true
+ *           description: Orden entre sus hermanas; se cambia con PATCH /api/categorias/orden
+ *     CategoriaNodo:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         nombre:
+ *           type: string
+ *           example: Bebidas
+ *         posicion:
+ *           type: integer
+ *         hijas:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/CategoriaNodo'
+ */
+
+/**
+ * Respuesta 422 si el padre no sirve; null si se puede usar.
  */
+async function errorPadre(db, id, padreId) {
+  const msg = await padreInvalido(db, id, padreId);
+  if (!msg) return null;
+  return { ok: false, message: msg, errors: [{ path: 'padre_id', msg }] };
+}
 
 /**
  * @swagger
  * /api/categorias:
  *   get:
- *     summary: Lista todas las categorías
+ *     summary: Lista categorías con filtros, orden y paginación
+ *     description: Sin `page` ni `limit` se devuelven todos los registros que cumplan los filtros.
  *     tags: [Categorias]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - $ref: '#/components/parameters/IncluirEliminados'
+ *       - in: query
+ *         name: nombre
+ *         schema:
+ *           type: string
+ *         description: Coincidencia parcial por nombre
+ *       - in: query
+ *         name: padre_id
+ *         schema:
+ *           type: integer
+ *         description: Solo las subcategorías directas de esa categoría
+ *       - $ref: '#/components/parameters/IfNoneMatch'
+ *       - $ref: '#/components/parameters/IfModifiedSince'
  *     responses:
  *       200:
  *         description: Listado de categorías
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *           Last-Modified:
+ *             $ref: '#/components/headers/LastModified'
+ *           Cache-Control:
+ *             $ref: '#/components/headers/CacheControl'
+ *           X-Cache:
+ *             $ref: '#/components/headers/XCache'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 ok:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Categoria'
+ *                 meta:
+ *                   $ref: '#/components/schemas/PageMeta'
+ *       304:
+ *         $ref: '#/components/responses/NoModificado'
+ *       400:
+ *         description: Parámetros de consulta inválidos
+ */
+router.get(
+  '/',
+  listadoEnCache('categorias'),
+  listValidators(categorias.LISTADO),
+  incluirEliminadosValidator,
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const { rows, total, pagination } = await categorias.listar(await getPool(), req.query, {
+        incluirEliminados: incluirEliminados(req),
+      });
+
+      res.json({
+        ok: true,
+        message: 'Consulta realizada correctamente',
+        data: rows,
+        meta: pageMeta(total, pagination),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+
+/**
+ * @swagger
+ * /api/categorias/arbol:
+ *   get:
+ *     summary: Categorías activas anidadas, en el orden en que se muestran
+ *     tags: [Categorias]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IfNoneMatch'
+ *       - $ref: '#/components/parameters/IfModifiedSince'
+ *     responses:
+ *       200:
+ *         description: Categorías principales con sus subcategorías
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *           Last-Modified:
+ *             $ref: '#/components/headers/LastModified'
+ *           Cache-Control:
+ *             $ref: '#/components/headers/CacheControl'
+ *           X-Cache:
+ *             $ref: '#/components/headers/XCache'
  *         content:
  *           application/json:
  *             schema:
  *               type: array
  *               items:
- *                 $ref: '#/components/schemas/Categoria'
+ *                 $ref: '#/components/schemas/CategoriaNodo'
+ *       304:
+ *         $ref: '#/components/responses/NoModificado'
  */
-router.get('/', async (_req, res) => {
+router.get('/arbol', listadoEnCache('categorias'), async (_req, res, next) => {
   try {
-    const pool = await getPool();
-    const [rows] = await pool.query(`
-      SELECT id, nombre, created_at, updated_at
-      FROM categorias
-      ORDER BY id DESC
-    `);
-    res.json({ ok: true, message: 'Consulta realizada correctamente', data: rows });
+    const filas = await categorias.jerarquia(await getPool());
+    res.json({ ok: true, message: 'Consulta realizada correctamente', data: armarArbol(filas) });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ ok: false, message: 'Error listando categorías' });
+    next(err);
   }
 });
 
 
+/**
+ * @swagger
+ * /api/categorias/orden:
+ *   patch:
+ *     summary: Reordena las subcategorías de una categoría
+ *     tags: [Categorias]
+ *     description: >
+ *       Requiere rol: admin. `orden` debe traer exactamente las hermanas
+ *       activas bajo `padre_id` (sin `padre_id` o con null, las categorías
+ *       principales); quedan numeradas en ese orden en una sola transacción.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [orden]
+ *             properties:
+ *               padre_id:
+ *                 type: integer
+ *                 nullable: true
+ *               orden:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 example: [7, 5, 6]
+ *     responses:
+ *       200:
+ *         description: Hermanas en su nuevo orden
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Categoria'
+ *       400:
+ *         description: Datos inválidos
+ *       404:
+ *         description: Categoría padre no encontrada
+ *       422:
+ *         description: orden no coincide con las subcategorías actuales
+ *       401:
+ *         $ref: '#/components/responses/NoAutenticado'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
+ */
+router.patch(
+  '/orden',
+  ...requireRole('admin'),
+  ...ordenValidators,
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const { orden } = req.body;
+      const padreId = req.body.padre_id ?? null;
+
+      const result = await withTransaction(async (conn) => {
+        if (padreId !== null) {
+          const padre = await filaAuditable(conn, 'categorias', padreId, { bloquear: true });
+          if (!padre || padre.deleted_at !== null) {
+            return { status: 404, body: { ok: false, message: 'Categoría padre no encontrada' } };
+          }
+        }
+
+        // Todas las hermanas bloqueadas antes de validar: ninguna se puede
+        // mover ni eliminar mientras se reordenan
+        const hermanas = await categorias.hijas(conn, padreId, { bloquear: true });
+        const actuales = new Set(hermanas.map((c) => c.id));
+        const noCoincide = () => {
+          const msg = `orden debe traer exactamente estas categorías: ${[...actuales].join(', ') || 'ninguna'}`;
+          return {
+            status: 422,
+            body: { ok: false, message: msg, errors: [{ path: 'orden', msg }] },
+          };
+        };
+        if (orden.length !== actuales.size || !orden.every((id) => actuales.has(id))) {
+          return noCoincide();
+        }
+
+        for (const [i, id] of orden.entries()) {
+          const antes = await filaAuditable(conn, 'categorias', id, { bloquear: true });
+          if (!antes || antes.deleted_at !== null || (antes.padre_id ?? null) !== padreId) {
+            return noCoincide();
+          }
+          if (antes.posicion === i + 1) continue;
+
+          await categorias.actualizar(conn, id, { posicion: i + 1 });
+          await registrarAuditoria(conn, {
+            entidad: 'categorias',
+            entidadId: id,
+            accion: 'actualizar',
+            usuarioId: req.user.id,
+            antes,
+            despues: await filaAuditable(conn, 'categorias', id),
+          });
+        }
+
+        const data = await categorias.hijas(conn, padreId);
+        return { status: 200, body: { ok: true, message: 'Orden actualizado', data } };
+      });
+
+      res.status(result.status).json(result.body);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
 /**
  * @swagger
  * /api/categorias/{id}:
@@ -73,34 +319,46 @@ router.get('/', async (_req, res) => {
  *           type: integer
  *         required: true
  *         description: ID de la categoría
+ *       - $ref: '#/components/parameters/IncluirEliminados'
+ *       - $ref: '#/components/parameters/IfNoneMatch'
+ *       - $ref: '#/components/parameters/IfModifiedSince'
  *     responses:
  *       200:
  *         description: Categoría encontrada
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *           Last-Modified:
+ *             $ref: '#/components/headers/LastModified'
+ *           Cache-Control:
+ *             $ref: '#/components/headers/CacheControl'
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Categoria'
+ *       304:
+ *         $ref: '#/components/responses/NoModificado'
  *       404:
  *         description: Categoría no encontrada
  */
 router.get(
   '/:id',
+  condicional('categorias'),
   param('id').isInt(),
+  incluirEliminadosValidator,
   handleValidation,
-  async (req, res) => {
+  async (req, res, next) => {
     try {
-      const pool = await getPool();
-      const [rows] = await pool.query(
-        'SELECT id, nombre, created_at, updated_at FROM categorias WHERE id = ?',
-        [req.params.id]
-      );
-      if (rows.length === 0) {
+      const categoria = await categorias.buscar(await getPool(), req.params.id, {
+        incluirEliminados: incluirEliminados(req),
+      });
+      if (!categoria) {
         return res.status(404).json({ ok: false, message: 'Categoría no encontrada' });
       }
-      res.json({ ok: true, message: 'Consulta realizada correctamente', data: rows[0] });
+      res.set('ETag', etagDe(categoria));
+      res.json({ ok: true, message: 'Consulta realizada correctamente', data: categoria });
     } catch (err) {
-      console.error(err);
-      res.status(500).json({ ok: false, message: 'Error obteniendo categoría' });
+      next(err);
     }
   }
 );
@@ -112,6 +370,9 @@ router.get(
  *   post:
  *     summary: Crea una nueva categoría
  *     tags: [Categorias]
+ *     description: "Requiere rol: admin. Queda al final de sus hermanas."
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -125,29 +386,51 @@ router.get(
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Categoria'
+ *       422:
+ *         description: La categoría padre no existe
+ *       401:
+ *         $ref: '#/components/responses/NoAutenticado'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
+ *       409:
+ *         $ref: '#/components/responses/Duplicado'
  */
 router.post(
   '/',
+  ...requireRole('admin'),
   body('nombre').isString().notEmpty(),
+  padreValidator,
   handleValidation,
-  async (req, res) => {
+  async (req, res, next) => {
     try {
       const { nombre } = req.body;
-      const pool = await getPool();
-      const [result] = await pool.query(
-        'INSERT INTO categorias (nombre) VALUES (?)',
-        [nombre]
-      );
-
-      const [rows] = await pool.query(
-        'SELECT id, nombre, created_at, updated_at FROM categorias WHERE id = ?',
-        [result.insertId]
-      );
-
-      res.status(201).json({ ok: true, message: 'Categoría creada', data: rows[0] });
+      const padreId = req.body.padre_id ?? null;
+
+      const result = await withTransaction(async (conn) => {
+        const invalido = await errorPadre(conn, null, padreId);
+        if (invalido) return { status: 422, body: invalido };
+
+        const id = await categorias.crear(conn, {
+          nombre,
+          padre_id: padreId,
+          posicion: await categorias.siguientePosicion(conn, padreId),
+        });
+
+        await registrarAuditoria(conn, {
+          entidad: 'categorias',
+          entidadId: id,
+          accion: 'crear',
+          usuarioId: req.user.id,
+          despues: await filaAuditable(conn, 'categorias', id),
+        });
+
+        const categoria = await categorias.buscar(conn, id);
+        return { status: 201, body: { ok: true, message: 'Categoría creada', data: categoria } };
+      });
+
+      res.status(result.status).json(result.body);
     } catch (err) {
-      console.error(err);
-      res.status(500).json({ ok: false, message: 'Error insertando categoría' });
+      next(err);
     }
   }
 );
@@ -159,6 +442,12 @@ router.post(
  *   put:
  *     summary: Actualiza una categoría
  *     tags: [Categorias]
+ *     description: >
+ *       Requiere rol: admin. Con `padre_id` la categoría se mueve (con sus
+ *       subcategorías) al final de sus nuevas hermanas; no puede quedar dentro
+ *       de sí misma ni de una de sus subcategorías.
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -166,6 +455,7 @@ router.post(
  *           type: integer
  *         required: true
  *         description: ID de la categoría
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
  *       content:
@@ -175,46 +465,91 @@ router.post(
  *     responses:
  *       200:
  *         description: Categoría actualizada
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Categoria'
  *       404:
  *         description: Categoría no encontrada
+ *       422:
+ *         description: La categoría padre no existe o formaría un ciclo
+ *       412:
+ *         $ref: '#/components/responses/PrecondicionFallida'
+ *       428:
+ *         $ref: '#/components/responses/IfMatchRequerido'
+ *       401:
+ *         $ref: '#/components/responses/NoAutenticado'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
  */
 router.put(
   '/:id',
+  ...requireRole('admin'),
+  ifMatchRequerido,
   param('id').isInt(),
   body('nombre').optional().isString().notEmpty(),
+  padreValidator,
   handleValidation,
-  async (req, res) => {
+  async (req, res, next) => {
     try {
       const id = req.params.id;
-      const { nombre } = req.body;
+      const { nombre, padre_id: padreId } = req.body;
 
-      if (nombre === undefined) {
+      if (nombre === undefined && padreId === undefined) {
         return res.status(400).json({ ok: false, message: 'Nada para actualizar' });
       }
 
-      const pool = await getPool();
-      const [result] = await pool.query(
-        'UPDATE categorias SET nombre = ? WHERE id = ?',
-        [nombre, id]
-      );
+      const result = await withTransaction(async (conn) => {
+        const antes = await filaAuditable(conn, 'categorias', id, { bloquear: true });
+        if (!antes || antes.deleted_at !== null) return null;
+
+        const actual = await categorias.buscar(conn, id);
+        if (!cumpleIfMatch(req, actual)) return { status: 412, data: actual };
+
+        const cambios = {};
+        if (nombre !== undefined) cambios.nombre = nombre;
+        // Al cambiar de padre pasa al final de sus nuevas hermanas
+        if (padreId !== undefined && padreId !== antes.padre_id) {
+          const invalido = await errorPadre(conn, id, padreId);
+          if (invalido) return { status: 422, body: invalido };
+          cambios.padre_id = padreId;
+          cambios.posicion = await categorias.siguientePosicion(conn, padreId);
+        }
 
-      if (result.affectedRows === 0) {
+        await categorias.actualizar(conn, id, cambios);
+
+        const despues = await filaAuditable(conn, 'categorias', id);
+        await registrarAuditoria(conn, {
+          entidad: 'categorias',
+          entidadId: id,
+          accion: 'actualizar',
+          usuarioId: req.user.id,
+          antes,
+          despues,
+        });
+
+        return { status: 200, data: await categorias.buscar(conn, id) };
+      });
+
+      if (!result) {
         return res.status(404).json({ ok: false, message: 'Categoría no encontrada' });
       }
 
-      const [rows] = await pool.query(
-        'SELECT id, nombre, created_at, updated_at FROM categorias WHERE id = ?',
-        [id]
-      );
+      if (result.status === 422) {
+        return res.status(422).json(result.body);
+      }
+
+      res.set('ETag', etagDe(result.data));
+      if (result.status === 412) {
+        return res.status(412).json(precondicionFallida(result.data));
+      }
 
-      res.json({ ok: true, message: 'Categoría actualizada', data: rows[0] });
+      res.json({ ok: true, message: 'Categoría actualizada', data: result.data });
     } catch (err) {
-      console.error(err);
-      res.status(500).json({ ok: false, message: 'Error actualizando categoría' });
+      next(err);
     }
   }
 );
@@ -224,8 +559,14 @@ router.put(
  * @swagger
  * /api/categorias/{id}:
  *   delete:
- *     summary: Elimina una categoría
+ *     summary: Elimina una categoría (borrado lógico)
  *     tags: [Categorias]
+ *     description: >
+ *       Requiere rol: admin. La categoría queda marcada con `deleted_at` y se
+ *       puede restaurar. No se puede eliminar mientras tenga productos activos o
+ *       subcategorías.
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -238,26 +579,137 @@ router.put(
  *         description: Categoría eliminada
  *       404:
  *         description: Categoría no encontrada
+ *       409:
+ *         description: La categoría tiene productos activos o subcategorías
+ *       401:
+ *         $ref: '#/components/responses/NoAutenticado'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
  */
 router.delete(
   '/:id',
+  ...requireRole('admin'),
   param('id').isInt(),
   handleValidation,
-  async (req, res) => {
+  async (req, res, next) => {
     try {
-      const pool = await getPool();
-      const [result] = await pool.query('DELETE FROM categorias WHERE id = ?', [
-        req.params.id,
-      ]);
+      const id = req.params.id;
 
-      if (result.affectedRows === 0) {
-        return res.status(404).json({ ok: false, message: 'Categoría no encontrada' });
-      }
+      const result = await withTransaction(async (conn) => {
+        const antes = await filaAuditable(conn, 'categorias', id, { bloquear: true });
+        if (!antes || antes.deleted_at !== null) {
+          return { status: 404, message: 'Categoría no encontrada' };
+        }
+
+        const productos = await categorias.contarProductosActivos(conn, id);
+        if (productos > 0) {
+          return {
+            status: 409,
+            message: `La categoría tiene ${productos} producto(s) activo(s); elimínalos o muévelos primero`,
+          };
+        }
+
+        const hijas = await categorias.hijas(conn, Number(id));
+        if (hijas.length > 0) {
+          return {
+            status: 409,
+            message: `La categoría tiene subcategorías: ${hijas.map((c) => c.nombre).join(', ')}; elimínalas o muévelas primero`,
+          };
+        }
+
+        await categorias.eliminar(conn, id);
+        await registrarAuditoria(conn, {
+          entidad: 'categorias',
+          entidadId: id,
+          accion: 'eliminar',
+          usuarioId: req.user.id,
+          antes,
+          despues: await filaAuditable(conn, 'categorias', id),
+        });
+        return { status: 200, message: 'Categoría eliminada' };
+      });
+
+      res.status(result.status).json({ ok: result.status === 200, message: result.message });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+
+/**
+ * @swagger
+ * /api/categorias/{id}/restaurar:
+ *   post:
+ *     summary: Restaura una categoría eliminada
+ *     tags: [Categorias]
+ *     description: "Requiere rol: admin"
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: ID de la categoría
+ *     responses:
+ *       200:
+ *         description: Categoría restaurada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Categoria'
+ *       404:
+ *         description: Categoría no encontrada
+ *       409:
+ *         description: La categoría no está eliminada o su categoría padre sí lo está
+ *       401:
+ *         $ref: '#/components/responses/NoAutenticado'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
+ */
+router.post(
+  '/:id/restaurar',
+  ...requireRole('admin'),
+  param('id').isInt(),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const id = req.params.id;
+
+      const result = await withTransaction(async (conn) => {
+        const antes = await filaAuditable(conn, 'categorias', id, { bloquear: true });
+        if (!antes) {
+          return { status: 404, body: { ok: false, message: 'Categoría no encontrada' } };
+        }
+        if (antes.deleted_at === null) {
+          return { status: 409, body: { ok: false, message: 'La categoría no está eliminada' } };
+        }
+        if (antes.padre_id !== null && !(await categorias.buscar(conn, antes.padre_id))) {
+          return {
+            status: 409,
+            body: { ok: false, message: 'La categoría padre está eliminada; restáurala primero' },
+          };
+        }
+
+        await categorias.restaurar(conn, id);
+        await registrarAuditoria(conn, {
+          entidad: 'categorias',
+          entidadId: id,
+          accion: 'restaurar',
+          usuarioId: req.user.id,
+          antes,
+          despues: await filaAuditable(conn, 'categorias', id),
+        });
+
+        const categoria = await categorias.buscar(conn, id);
+        return { status: 200, body: { ok: true, message: 'Categoría restaurada', data: categoria } };
+      });
 
-      res.json({ ok: true, message: 'Categoría eliminada' });
+      res.status(result.status).json(result.body);
     } catch (err) {
-      console.error(err);
-      res.status(500).json({ ok: false, message: 'Error eliminando categoría' });
+      next(err);
     }
   }
 );
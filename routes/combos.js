@@ -0,0 +1,213 @@
+// routes/combos.js
+//
+// Combos: productos hechos de otros productos. El combo tiene su propio
+// precio; el de los componentes solo sirve para mostrar cuánto se ahorra.
+import { body } from 'express-validator';
+import { HttpError } from './errores.js';
+import { registrarAuditoria } from './auditoria.js';
+import { recetaEfectiva, round } from './costeo.js';
+import { formatDisponibilidad } from './disponibilidad.js';
+import { filaAuditable } from '../repositories/auditoria.js';
+import * as combos from '../repositories/combos.js';
+import * as productos from '../repositories/productos.js';
+import * as categorias from '../repositories/categorias.js';
+
+export const MAX_CANTIDAD = 20;
+
+// Un componente se identifica por su producto fijo o por la categoría de
+// la elección
+const clave = (c) =>
+  c?.producto_id !== undefined && c?.producto_id !== null
+    ? `producto:${c.producto_id}`
+    : `categoria:${c?.categoria_id}`;
+
+export const componentesValidators = [
+  body('componentes')
+    .isArray()
+    .withMessage('componentes debe ser una lista (vacía para que deje de ser combo)')
+    .bail()
+    .custom((componentes) => {
+      const claves = componentes.map(clave);
+      if (new Set(claves).size !== claves.length) {
+        throw new Error('Hay componentes repetidos; usa cantidad');
+      }
+      return true;
+    }),
+  body('componentes.*')
+    .custom((c) => (c?.producto_id === undefined) !== (c?.categoria_id === undefined))
+    .withMessage('Cada componente lleva producto_id o categoria_id, no los dos'),
+  body('componentes.*.producto_id').optional().isInt().toInt(),
+  body('componentes.*.categoria_id').optional().isInt().toInt(),
+  body('componentes.*.cantidad').optional().isInt({ min: 1, max: MAX_CANTIDAD }).toInt(),
+];
+
+/**
+ * Componentes, precio por separado y ahorro de los combos entre `filas`
+ * (productos con id y precio): Map id → resumen; los que no son combo no
+ * aparecen. Una elección se cuenta con su producto disponible más barato,
+ * así que el ahorro es el mínimo que se lleva el cliente.
+ */
+export async function resumenes(db, filas) {
+  const ids = filas.map((f) => f.id);
+  const todos = await combos.componentes(db, ids);
+  const opciones = await combos.opcionesDeElecciones(db, ids);
+
+  const resultado = new Map();
+  for (const fila of filas) {
+    const propios = todos.filter((c) => c.combo_id === fila.id);
+    if (propios.length === 0) continue;
+
+    let porSeparado = 0;
+    const componentes = propios.map((c) => {
+      const cantidad = Number(c.cantidad);
+      const componente = {
+        id: c.id,
+        producto_id: c.producto_id,
+        producto: c.producto,
+        categoria_id: c.categoria_id,
+        categoria: c.categoria,
+        cantidad,
+      };
+
+      if (c.producto_id !== null) {
+        const precio = Number(c.precio);
+        porSeparado += precio * cantidad;
+        return { ...componente, precio, disponible: Boolean(Number(c.disponible)), opciones: null };
+      }
+
+      const deLaEleccion = opciones
+        .filter((o) => o.componente_id === c.id)
+        .map((o) => ({
+          id: o.id,
+          nombre: o.nombre,
+          precio: Number(o.precio),
+          disponible: Boolean(Number(o.disponible)),
+        }));
+      const disponibles = deLaEleccion.filter((o) => o.disponible);
+      const precios = (disponibles.length > 0 ? disponibles : deLaEleccion).map((o) => o.precio);
+      const precio = precios.length > 0 ? Math.min(...precios) : null;
+      porSeparado += (precio ?? 0) * cantidad;
+      return { ...componente, precio, disponible: disponibles.length > 0, opciones: deLaEleccion };
+    });
+
+    porSeparado = round(porSeparado, 2);
+    resultado.set(fila.id, {
+      componentes,
+      precio_por_separado: porSeparado,
+      ahorro: round(porSeparado - Number(fila.precio), 2),
+    });
+  }
+  return resultado;
+}
+
+/**
+ * Respuesta de GET /api/productos/{id}/componentes. Un producto que no es
+ * combo sale con la lista vacía y sin ahorro.
+ */
+export async function detalleCombo(db, producto) {
+  const { disponible, motivo_no_disponible } = formatDisponibilidad(producto);
+  const resumen = (await resumenes(db, [producto])).get(producto.id);
+  return {
+    producto_id: producto.id,
+    producto: producto.nombre,
+    precio: Number(producto.precio),
+    precio_por_separado: resumen?.precio_por_separado ?? null,
+    ahorro: resumen?.ahorro ?? null,
+    disponible,
+    motivo_no_disponible,
+    componentes: resumen?.componentes ?? [],
+    ingredientes: await recetaEfectiva(db, producto.id),
+  };
+}
+
+/**
+ * Errores de `componentes` para el combo `comboId`: productos que no
+ * existen, que son combos o que son el mismo combo, y categorías que no
+ * existen. Un producto que ya es componente de otro combo no puede volverse
+ * combo.
+ */
+async function erroresComponentes(db, comboId, componentes) {
+  const errors = [];
+  if (componentes.length === 0) return errors;
+
+  const usadoEn = await combos.combosQueUsan(db, comboId);
+  if (usadoEn.length > 0) {
+    errors.push({
+      path: 'componentes',
+      msg: `El producto es componente de: ${usadoEn.join(', ')}; un combo no puede ser parte de otro`,
+    });
+  }
+
+  const productoIds = componentes.map((c) => c.producto_id).filter((id) => id !== undefined);
+  const sonCombo = await combos.combosEntre(db, productoIds);
+  for (const [i, c] of componentes.entries()) {
+    if (c.producto_id !== undefined) {
+      const path = `componentes[${i}].producto_id`;
+      if (c.producto_id === Number(comboId)) {
+        errors.push({ path, msg: 'Un combo no puede incluirse a sí mismo' });
+      } else if (!(await productos.existe(db, c.producto_id))) {
+        errors.push({ path, msg: 'El producto no existe' });
+      } else if (sonCombo.has(c.producto_id)) {
+        errors.push({ path, msg: 'Un combo no puede ser parte de otro' });
+      }
+    } else if (!(await categorias.buscar(db, c.categoria_id))) {
+      errors.push({
+        path: `componentes[${i}].categoria_id`,
+        msg: 'La categoría no existe o está eliminada',
+      });
+    }
+  }
+  return errors;
+}
+
+/**
+ * Deja los componentes del combo como en `componentes`, con cada cambio en
+ * la auditoría. Lanza un 422 si alguno no se puede usar.
+ */
+export async function guardarComponentes(conn, comboId, componentes, usuarioId) {
+  const errors = await erroresComponentes(conn, comboId, componentes);
+  if (errors.length > 0) {
+    throw new HttpError(422, 'Hay componentes que no se pueden usar', {
+      code: 'COMPONENTE_INVALIDO',
+      errors,
+    });
+  }
+
+  const actuales = await combos.lineas(conn, comboId);
+  const porClave = new Map(actuales.map((row) => [clave(row), row]));
+  const nuevas = new Set(componentes.map(clave));
+
+  const auditar = (entidadId, accion, antes, despues) =>
+    registrarAuditoria(conn, {
+      entidad: 'combo_componentes',
+      entidadId,
+      accion,
+      usuarioId,
+      antes,
+      despues,
+    });
+
+  for (const actual of actuales) {
+    if (!nuevas.has(clave(actual))) {
+      await combos.eliminar(conn, actual.id);
+      await auditar(actual.id, 'eliminar', actual, null);
+    }
+  }
+
+  for (const componente of componentes) {
+    const cantidad = componente.cantidad ?? 1;
+    const actual = porClave.get(clave(componente));
+    if (!actual) {
+      const id = await combos.crear(conn, { combo_id: comboId, ...componente, cantidad });
+      await auditar(id, 'crear', null, await filaAuditable(conn, 'combo_componentes', id));
+    } else if (Number(actual.cantidad) !== cantidad) {
+      await combos.actualizar(conn, actual.id, { cantidad });
+      await auditar(
+        actual.id,
+        'actualizar',
+        actual,
+        await filaAuditable(conn, 'combo_componentes', actual.id)
+      );
+    }
+  }
+}
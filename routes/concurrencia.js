@@ -0,0 +1,58 @@
+// routes/concurrencia.js
+//
+// Control de concurrencia optimista con ETag / If-Match en los PUT /:id.
+// El ETag es un hash de la representación que devuelve GET /:id (el `data`
+// de la respuesta), no de la fila: un producto cambia también cuando se
+// renombra su categoría o se acaba un ingrediente de su receta, y un 304
+// con el ETag de la fila devolvería esos datos viejos.
+import { etagTexto } from './cache.js';
+
+/**
+ * ETag de la representación de un recurso.
+ */
+export function etagDe(data) {
+  return etagTexto(JSON.stringify(data));
+}
+
+/**
+ * Con REQUIRE_IF_MATCH=true los PUT sin If-Match responden 428: el cliente
+ * tiene que leer el recurso antes de modificarlo.
+ */
+export function ifMatchRequerido(req, res, next) {
+  if (process.env.REQUIRE_IF_MATCH === 'true' && req.get('If-Match') === undefined) {
+    return res.status(428).json({
+      ok: false,
+      code: 'IF_MATCH_REQUERIDO',
+      message: 'Envía el ETag del recurso en el encabezado If-Match',
+    });
+  }
+  next();
+}
+
+/**
+ * Si el If-Match del request corresponde a la versión actual del recurso.
+ * Se llama con la fila ya bloqueada, dentro de la transacción del cambio, y
+ * con `data` armado igual que en el GET /:id.
+ * Sin encabezado no hay nada que comparar y se acepta.
+ */
+export function cumpleIfMatch(req, data) {
+  const header = req.get('If-Match');
+  if (header === undefined || header.trim() === '*') return true;
+
+  // If-Match compara en forma fuerte, pero se toleran ETags marcados como débiles
+  const etag = etagDe(data);
+  return header.split(',').some((valor) => valor.trim().replace(/^W\//, '') === etag);
+}
+
+/**
+ * Cuerpo del 412: incluye la versión actual para que el cliente pueda
+ * mostrar las diferencias y reintentar con su ETag.
+ */
+export function precondicionFallida(data) {
+  return {
+    ok: false,
+    code: 'PRECONDICION_FALLIDA',
+    message: 'El recurso cambió desde que se leyó; revisa la versión actual',
+    data,
+  };
+}
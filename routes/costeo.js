@@ -0,0 +1,105 @@
+// routes/costeo.js
+import * as productos from '../repositories/productos.js';
+import * as productoIngrediente from '../repositories/producto_ingrediente.js';
+import * as combos from '../repositories/combos.js';
+import * as ingredientes from '../repositories/ingredientes.js';
+
+export const round = (value, decimals) => {
+  const factor = 10 ** decimals;
+  return Math.round(Number(value) * factor) / factor;
+};
+
+/**
+ * Margen bruto y porcentaje sobre el precio de venta.
+ * Con precio 0 el porcentaje no está definido y se devuelve null.
+ */
+export function calcularMargen(precio, costo) {
+  const margen = round(precio - costo, 2);
+  return {
+    margen_bruto: margen,
+    margen_porcentaje: precio > 0 ? round((margen / precio) * 100, 2) : null,
+  };
+}
+
+/**
+ * Receta de un producto contando la de sus componentes fijos si es combo:
+ * [{ ingrediente_id, ingrediente, unidad, cantidad }] por nombre.
+ */
+export async function recetaEfectiva(db, productoId) {
+  const lineas = new Map();
+  const sumar = (linea, cantidad) => {
+    const actual = lineas.get(linea.ingrediente_id) ?? {
+      ingrediente_id: linea.ingrediente_id,
+      ingrediente: linea.ingrediente,
+      unidad: linea.unidad,
+      cantidad: 0,
+    };
+    actual.cantidad += cantidad;
+    lineas.set(linea.ingrediente_id, actual);
+  };
+
+  for (const l of await productoIngrediente.receta(db, productoId)) {
+    sumar(l, Number(l.cantidad_usada));
+  }
+  for (const l of await combos.recetaComponentes(db, productoId)) {
+    sumar(l, Number(l.cantidad));
+  }
+
+  return [...lineas.values()]
+    .map((l) => ({ ...l, cantidad: round(l.cantidad, 3) }))
+    .sort((a, b) => a.ingrediente.localeCompare(b.ingrediente));
+}
+
+/**
+ * Costo de la receta de un producto (la efectiva, en un combo) con el
+ * desglose por ingrediente. Devuelve null si el producto no existe o está
+ * eliminado.
+ */
+export async function costoProducto(db, productoId) {
+  const producto = await productos.buscar(db, productoId);
+  if (!producto) return null;
+
+  const receta = await recetaEfectiva(db, productoId);
+  const costos = await ingredientes.costosUnitarios(
+    db,
+    receta.map((l) => l.ingrediente_id)
+  );
+
+  const lineas = receta.map((l) => ({
+    ingrediente_id: l.ingrediente_id,
+    ingrediente: l.ingrediente,
+    unidad: l.unidad,
+    cantidad_usada: l.cantidad,
+    costo_unitario: costos.get(l.ingrediente_id),
+    costo: round(l.cantidad * costos.get(l.ingrediente_id), 4),
+  }));
+
+  const precio = Number(producto.precio);
+  const costo = round(lineas.reduce((sum, i) => sum + i.costo, 0), 4);
+
+  return {
+    producto_id: producto.id,
+    producto: producto.nombre,
+    precio,
+    costo,
+    ...calcularMargen(precio, costo),
+    ingredientes: lineas,
+  };
+}
+
+/**
+ * Normaliza una fila de reportes.margenes() (DECIMAL llega como string).
+ */
+export function formatMargen(row) {
+  const precio = Number(row.precio);
+  const costo = round(row.costo, 4);
+  return {
+    producto_id: row.producto_id,
+    producto: row.producto,
+    categoria_id: row.categoria_id,
+    categoria: row.categoria,
+    precio,
+    costo,
+    ...calcularMargen(precio, costo),
+  };
+}
@@ -0,0 +1,73 @@
+// routes/disponibilidad.js
+//
+// Disponibilidad efectiva de un producto. La consulta está en
+// repositories/productos.js (DISPONIBLE_SQL y disponibilidadColumns).
+
+/**
+ * Columnas de disponibilidad que cambia una edición del producto `actual`
+ * (su fila, con disponibilidad_auto). En modo automático `disponible` fija
+ * el override; en modo manual, la columna disponible. Cambiar de modo
+ * descarta el override anterior.
+ */
+export function cambiosDisponibilidad(
+  actual,
+  { disponible, disponibilidad_auto, disponible_override }
+) {
+  const cambios = {};
+  const auto = disponibilidad_auto ?? Boolean(actual.disponibilidad_auto);
+  let override;
+
+  if (disponibilidad_auto !== undefined) {
+    cambios.disponibilidad_auto = auto ? 1 : 0;
+    if (auto !== Boolean(actual.disponibilidad_auto)) override = null;
+  }
+  if (disponible !== undefined) {
+    if (auto) {
+      override = disponible;
+    } else {
+      cambios.disponible = disponible ? 1 : 0;
+    }
+  }
+  if (disponible_override !== undefined) {
+    override = disponible_override;
+  }
+  if (override !== undefined) {
+    cambios.disponible_override = override === null ? null : override ? 1 : 0;
+  }
+  return cambios;
+}
+
+/**
+ * Convierte los flags a booleanos y agrega `motivo_no_disponible`.
+ */
+export function formatDisponibilidad(row) {
+  const auto = Boolean(row.disponibilidad_auto);
+  const override = row.disponible_override === null ? null : Boolean(row.disponible_override);
+  const faltantes = row.ingredientes_faltantes ? row.ingredientes_faltantes.split('\n') : [];
+  const componentes = row.componentes_faltantes ? row.componentes_faltantes.split('\n') : [];
+  const disponible = Boolean(Number(row.disponible));
+
+  // Las listas de faltantes solo vienen cuando el modo del producto deja
+  // que cuenten. Un componente que no se puede servir también deja sus
+  // ingredientes en la lista de stock, así que se nombra primero
+  let motivo = null;
+  if (!disponible) {
+    if (componentes.length > 0) {
+      motivo = `Componentes del combo no disponibles: ${componentes.join(', ')}`;
+    } else if (faltantes.length > 0) {
+      motivo = `Sin stock suficiente de: ${faltantes.join(', ')}`;
+    } else if (!auto || override === false) {
+      motivo = 'Marcado como no disponible';
+    }
+  }
+
+  return {
+    ...row,
+    disponible,
+    disponibilidad_auto: auto,
+    disponible_override: auto ? override : null,
+    ingredientes_faltantes: faltantes,
+    componentes_faltantes: componentes,
+    motivo_no_disponible: motivo,
+  };
+}
@@ -0,0 +1,350 @@
+// routes/errores.js
+//
+// Manejo centralizado de errores. Los handlers hacen `next(err)` en su catch
+// y este middleware decide la respuesta: errores de la API (HttpError),
+// errores de la base (MySQL, SQL Server o SQLite) que en realidad son del
+// cliente (duplicados, referencias que no existen, filas en uso, valores
+// inválidos) y, para todo lo demás, un 500 que no expone detalles internos.
+
+/**
+ * Error con status HTTP y código para el cliente. Se puede lanzar desde
+ * cualquier handler o helper.
+ */
+export class HttpError extends Error {
+  constructor(status, message, { code = 'ERROR', field, errors } = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.code = code;
+    this.field = field;
+    this.errors = errors;
+  }
+}
+
+// Campo de cada índice único, para los que no siguen el patrón uq_<tabla>_<campo>
+const CAMPOS_UNICOS = {
+  uq_producto_ingrediente: 'ingrediente_id',
+  uq_modificador_grupos_nombre: 'nombre',
+  uq_modificador_opciones_nombre: 'nombre',
+};
+
+// Primer grupo de `regex` dentro del mensaje del error
+function extraer(mensaje, regex) {
+  return mensaje?.match(regex)?.[1];
+}
+
+function campoUnico(indice) {
+  // MySQL 8 antepone la tabla: 'productos.uq_productos_nombre'
+  const nombre = indice?.split('.').pop();
+  if (!nombre) return undefined;
+  if (CAMPOS_UNICOS[nombre]) return CAMPOS_UNICOS[nombre];
+  return nombre.match(/^uq_[a-z]+_(.+)$/)?.[1];
+}
+
+const CONFLICTO_CONCURRENTE = {
+  status: 409,
+  code: 'CONFLICTO_CONCURRENTE',
+  message: 'Otro cambio sobre los mismos datos estaba en curso; intenta de nuevo',
+};
+
+const BD_NO_DISPONIBLE = {
+  status: 503,
+  code: 'BD_NO_DISPONIBLE',
+  message: 'La base de datos no está disponible',
+};
+
+/**
+ * Traduce un error de MySQL a { status, code, message, field }, o null si
+ * no es un error que se pueda atribuir al cliente.
+ */
+export function mapMysqlError(err) {
+  const msg = err.sqlMessage ?? err.message;
+
+  switch (err.code) {
+    case 'ER_DUP_ENTRY': {
+      const field = campoUnico(extraer(msg, /for key '([^']+)'/));
+      return {
+        status: 409,
+        code: 'DUPLICADO',
+        field,
+        message: field ? `Ya existe un registro con ese ${field}` : 'El registro ya existe',
+      };
+    }
+
+    case 'ER_NO_REFERENCED_ROW':
+    case 'ER_NO_REFERENCED_ROW_2': {
+      const field = extraer(msg, /FOREIGN KEY \(`([^`]+)`\)/);
+      const tabla = extraer(msg, /REFERENCES `([^`]+)`/);
+      return {
+        status: 422,
+        code: 'REFERENCIA_INEXISTENTE',
+        field,
+        message: tabla
+          ? `${field ?? 'La referencia'} no corresponde a ningún registro de ${tabla}`
+          : 'La referencia no existe',
+      };
+    }
+
+    case 'ER_ROW_IS_REFERENCED':
+    case 'ER_ROW_IS_REFERENCED_2': {
+      const tabla = extraer(msg, /fails \(`[^`]+`\.`([^`]+)`/);
+      return {
+        status: 409,
+        code: 'EN_USO',
+        field: 'id',
+        message: tabla
+          ? `No se puede eliminar: está en uso en ${tabla}`
+          : 'No se puede eliminar: está en uso',
+      };
+    }
+
+    case 'ER_DATA_TOO_LONG': {
+      const field = extraer(msg, /column '([^']+)'/);
+      return {
+        status: 422,
+        code: 'VALOR_DEMASIADO_LARGO',
+        field,
+        message: `${field ?? 'Un campo'} excede el largo permitido`,
+      };
+    }
+
+    case 'ER_BAD_NULL_ERROR': {
+      const field = extraer(msg, /Column '([^']+)'/);
+      return {
+        status: 422,
+        code: 'CAMPO_REQUERIDO',
+        field,
+        message: `${field ?? 'Un campo'} es requerido`,
+      };
+    }
+
+    case 'ER_WARN_DATA_OUT_OF_RANGE':
+    case 'ER_TRUNCATED_WRONG_VALUE':
+    case 'ER_TRUNCATED_WRONG_VALUE_FOR_FIELD':
+    case 'WARN_DATA_TRUNCATED': {
+      const field = extraer(msg, /column '([^']+)'/);
+      return {
+        status: 422,
+        code: 'VALOR_INVALIDO',
+        field,
+        message: `Valor inválido para ${field ?? 'un campo'}`,
+      };
+    }
+
+    case 'ER_LOCK_DEADLOCK':
+    case 'ER_LOCK_WAIT_TIMEOUT':
+      return CONFLICTO_CONCURRENTE;
+
+    case 'ECONNREFUSED':
+    case 'PROTOCOL_CONNECTION_LOST':
+    case 'ER_CON_COUNT_ERROR':
+      return BD_NO_DISPONIBLE;
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Lo mismo que mapMysqlError para SQL Server, que identifica los errores
+ * por `number` y nombra la restricción en el mensaje.
+ */
+export function mapMssqlError(err) {
+  const msg = err.message;
+
+  switch (err.number) {
+    case 2627:
+    case 2601: {
+      const field = campoUnico(extraer(msg, /(?:constraint|index) '([^']+)'/));
+      return {
+        status: 409,
+        code: 'DUPLICADO',
+        field,
+        message: field ? `Ya existe un registro con ese ${field}` : 'El registro ya existe',
+      };
+    }
+
+    case 547: {
+      const tabla = extraer(msg, /table "(?:\w+\.)?([^"]+)"/);
+
+      // Borrar una fila que otra tabla todavía referencia
+      if (/REFERENCE constraint/.test(msg)) {
+        return {
+          status: 409,
+          code: 'EN_USO',
+          field: 'id',
+          message: tabla
+            ? `No se puede eliminar: está en uso en ${tabla}`
+            : 'No se puede eliminar: está en uso',
+        };
+      }
+
+      // fk_<tabla>_<entidad> apunta a la columna <entidad>_id
+      const fk = extraer(msg, /FOREIGN KEY constraint "([^"]+)"/);
+      if (fk) {
+        const field = `${fk.split('_').pop()}_id`;
+        return {
+          status: 422,
+          code: 'REFERENCIA_INEXISTENTE',
+          field,
+          message: tabla
+            ? `${field} no corresponde a ningún registro de ${tabla}`
+            : 'La referencia no existe',
+        };
+      }
+
+      const field =
+        extraer(msg, /column '([^']+)'/) ?? extraer(msg, /CHECK constraint "ck_[a-z]+_([^"]+)"/);
+      return {
+        status: 422,
+        code: 'VALOR_INVALIDO',
+        field,
+        message: `Valor inválido para ${field ?? 'un campo'}`,
+      };
+    }
+
+    case 2628:
+    case 8152: {
+      const field = extraer(msg, /column '([^']+)'/);
+      return {
+        status: 422,
+        code: 'VALOR_DEMASIADO_LARGO',
+        field,
+        message: `${field ?? 'Un campo'} excede el largo permitido`,
+      };
+    }
+
+    case 515: {
+      const field = extraer(msg, /column '([^']+)'/);
+      return {
+        status: 422,
+        code: 'CAMPO_REQUERIDO',
+        field,
+        message: `${field ?? 'Un campo'} es requerido`,
+      };
+    }
+
+    case 220:
+    case 245:
+    case 8114:
+    case 8115:
+      return { status: 422, code: 'VALOR_INVALIDO', message: 'Valor inválido para un campo' };
+
+    case 1205:
+    case 1222:
+      return CONFLICTO_CONCURRENTE;
+  }
+
+  // Errores de conexión del driver (ConnectionError)
+  switch (err.code) {
+    case 'ESOCKET':
+    case 'ELOGIN':
+    case 'ETIMEOUT':
+    case 'ECONNCLOSED':
+    case 'ENOTOPEN':
+      return BD_NO_DISPONIBLE;
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Lo mismo para SQLite. El driver pone en `code` el tipo de restricción
+ * (el mensaje solo nombra columnas) y en `statement` la sentencia que falló.
+ */
+export function mapSqliteError(err) {
+  const msg = err.message;
+
+  switch (err.code) {
+    case 'SQLITE_CONSTRAINT_UNIQUE': {
+      // 'UNIQUE constraint failed: tabla.a, tabla.b': la última columna
+      const field = extraer(msg, /\.(\w+)$/);
+      return {
+        status: 409,
+        code: 'DUPLICADO',
+        field,
+        message: field ? `Ya existe un registro con ese ${field}` : 'El registro ya existe',
+      };
+    }
+
+    case 'SQLITE_CONSTRAINT_FOREIGNKEY':
+      // SQLite no dice qué referencia falló
+      return err.statement === 'DELETE'
+        ? {
+            status: 409,
+            code: 'EN_USO',
+            field: 'id',
+            message: 'No se puede eliminar: está en uso',
+          }
+        : { status: 422, code: 'REFERENCIA_INEXISTENTE', message: 'La referencia no existe' };
+
+    case 'SQLITE_CONSTRAINT_NOTNULL': {
+      const field = extraer(msg, /\.(\w+)$/);
+      return {
+        status: 422,
+        code: 'CAMPO_REQUERIDO',
+        field,
+        message: `${field ?? 'Un campo'} es requerido`,
+      };
+    }
+
+    case 'SQLITE_CONSTRAINT_CHECK': {
+      const field = extraer(msg, /ck_[a-z]+_(\w+)$/);
+      return {
+        status: 422,
+        code: 'VALOR_INVALIDO',
+        field,
+        message: `Valor inválido para ${field ?? 'un campo'}`,
+      };
+    }
+
+    default:
+      return null;
+  }
+}
+
+function cuerpo({ code, message, field, errors }) {
+  return {
+    ok: false,
+    code,
+    message,
+    ...(field ? { field } : {}),
+    ...(errors ? { errors } : field ? { errors: [{ path: field, msg: message }] } : {}),
+  };
+}
+
+/**
+ * Middleware final de errores. Va después de todas las rutas; Express lo
+ * reconoce como manejador de errores por sus cuatro parámetros.
+ */
+export function errorHandler(err, req, res, next) {
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  if (err instanceof HttpError) {
+    return res.status(err.status).json(cuerpo(err));
+  }
+
+  // Errores de body-parser (JSON mal formado, body demasiado grande)
+  if (err.type === 'entity.parse.failed') {
+    return res
+      .status(400)
+      .json(cuerpo({ code: 'JSON_INVALIDO', message: 'El body no es JSON válido' }));
+  }
+  if (err.type === 'entity.too.large') {
+    return res
+      .status(413)
+      .json(cuerpo({ code: 'BODY_DEMASIADO_GRANDE', message: 'El body excede el tamaño permitido' }));
+  }
+
+  const mapped = mapMysqlError(err) ?? mapMssqlError(err) ?? mapSqliteError(err);
+  if (mapped) {
+    if (mapped.status >= 500) console.error(err);
+    return res.status(mapped.status).json(cuerpo(mapped));
+  }
+
+  console.error(err);
+  res.status(500).json(cuerpo({ code: 'ERROR_INTERNO', message: 'Error interno del servidor' }));
+}
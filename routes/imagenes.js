@@ -0,0 +1,124 @@
+// routes/imagenes.js
+//
+// Imágenes de productos. El archivo llega por multipart y se queda en
+// memoria hasta validarlo; el formato se decide por los primeros bytes y no
+// solo por el Content-Type que manda el cliente. El nombre con que se guarda
+// lleva el hash del contenido, así que una imagen nueva siempre tiene URL
+// nueva y las viejas se pueden cachear sin revalidar.
+import crypto from 'crypto';
+import multer from 'multer';
+import { HttpError } from './errores.js';
+import { getAlmacenamiento } from '../config/almacenamiento.js';
+
+// Tipo MIME → extensión del archivo guardado
+export const TIPOS_IMAGEN = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+};
+
+export const MAX_BYTES_IMAGEN = Number(process.env.IMAGEN_MAX_BYTES) || 2 * 1024 * 1024;
+
+const recibir = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_BYTES_IMAGEN, files: 1 },
+}).single('imagen');
+
+/**
+ * Tipo MIME según la firma del archivo, o null si no es un formato aceptado.
+ */
+function tipoPorContenido(datos) {
+  if (datos.length >= 3 && datos[0] === 0xff && datos[1] === 0xd8 && datos[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (datos.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'image/png';
+  }
+  if (
+    datos.subarray(0, 4).toString('latin1') === 'RIFF' &&
+    datos.subarray(8, 12).toString('latin1') === 'WEBP'
+  ) {
+    return 'image/webp';
+  }
+  return null;
+}
+
+/**
+ * Middleware: deja en req.file el campo `imagen` del multipart ya validado
+ * (con `tipo`, el MIME detectado). Errores: 400 si falta o el multipart está
+ * mal formado, 413 si pasa del tamaño máximo y 415 si no es JPEG, PNG ni
+ * WebP o no es lo que dice su Content-Type.
+ */
+export function recibirImagen(req, res, next) {
+  recibir(req, res, (err) => {
+    if (err?.code === 'LIMIT_FILE_SIZE') {
+      return next(
+        new HttpError(413, `La imagen excede el tamaño máximo de ${MAX_BYTES_IMAGEN} bytes`, {
+          code: 'IMAGEN_DEMASIADO_GRANDE',
+          field: 'imagen',
+        })
+      );
+    }
+    if (err) {
+      // Campos de más o un body que no se puede leer como multipart
+      return next(new HttpError(400, err.message, { code: 'VALIDACION', field: 'imagen' }));
+    }
+    if (!req.file) {
+      return next(
+        new HttpError(400, 'Falta el archivo `imagen` (multipart/form-data)', {
+          code: 'VALIDACION',
+          field: 'imagen',
+        })
+      );
+    }
+
+    const tipo = tipoPorContenido(req.file.buffer);
+    if (!tipo || tipo !== req.file.mimetype) {
+      return next(
+        new HttpError(
+          415,
+          `La imagen debe ser ${Object.keys(TIPOS_IMAGEN).join(', ')} y coincidir con su Content-Type`,
+          { code: 'TIPO_NO_SOPORTADO', field: 'imagen' }
+        )
+      );
+    }
+    req.file.tipo = tipo;
+    next();
+  });
+}
+
+/**
+ * Nombre del archivo de la imagen de un producto: el id más el hash del
+ * contenido, con la extensión de su tipo.
+ */
+export function nombreImagen(productoId, { buffer, tipo }) {
+  const hash = crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 16);
+  return `producto-${productoId}-${hash}.${TIPOS_IMAGEN[tipo]}`;
+}
+
+export function imagenUrl(nombre) {
+  return nombre ? getAlmacenamiento().url(nombre) : null;
+}
+
+/**
+ * Cambia la columna `imagen` de la fila por su `imagen_url` pública.
+ */
+export function conImagenUrl({ imagen, ...row }) {
+  return { ...row, imagen_url: imagenUrl(imagen) };
+}
+
+/**
+ * Borra archivos que ya no usa ninguna fila. Se llama después del commit;
+ * si falla, el archivo solo queda huérfano, así que no se interrumpe la
+ * respuesta.
+ */
+export async function descartarImagenes(nombres) {
+  for (const nombre of nombres) {
+    if (!nombre) continue;
+    try {
+      await getAlmacenamiento().eliminar(nombre);
+    } catch (err) {
+      console.error(err);
+    }
+  }
+}
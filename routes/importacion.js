@@ -0,0 +1,120 @@
+// routes/importacion.js
+import express from 'express';
+import { query, validationResult } from 'express-validator';
+import { parse } from 'csv-parse/sync';
+import { stringify } from 'csv-stringify/sync';
+import { HttpError } from './errores.js';
+
+export const FORMATOS = ['csv', 'json'];
+
+// Rutas de importación: el parser JSON global no las toca, para que el body
+// llegue entero a importBodyParsers (ver app.js)
+export const RUTA_IMPORTACION = /^\/api\/[\w-]+\/import\/?$/i;
+
+/**
+ * Parsers de body para la importación: JSON (array de filas u objeto con
+ * `filas`) o CSV con encabezados. Van en la ruta, después de requireRole,
+ * para no leer un body grande sin token.
+ */
+export const importBodyParsers = [
+  express.json({ limit: '2mb' }),
+  express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }),
+];
+
+export const exportValidators = [
+  query('format').optional().isIn(FORMATOS).withMessage(`format debe ser: ${FORMATOS.join(', ')}`),
+];
+
+export const importValidators = [query('dry_run').optional().isBoolean()];
+
+export function isDryRun(req) {
+  return req.query.dry_run === 'true' || req.query.dry_run === '1';
+}
+
+/**
+ * Interpreta los booleanos que acepta isBoolean({ loose: true }).
+ */
+export function toBool(value) {
+  return ['true', '1', 'yes'].includes(String(value).toLowerCase());
+}
+
+/**
+ * Devuelve las filas del body como objetos. Las celdas vacías del CSV se
+ * tratan como ausentes. Lanza un HttpError 400 si el body no se puede
+ * interpretar.
+ */
+export function parseImportBody(req) {
+  let rows;
+
+  if (typeof req.body === 'string') {
+    try {
+      rows = parse(req.body, { columns: true, skip_empty_lines: true, trim: true, bom: true });
+    } catch (err) {
+      throw new HttpError(400, `CSV inválido: ${err.message}`, { code: 'CSV_INVALIDO' });
+    }
+    rows = rows.map((row) =>
+      Object.fromEntries(Object.entries(row).filter(([, value]) => value !== ''))
+    );
+  } else if (Array.isArray(req.body)) {
+    rows = req.body;
+  } else if (Array.isArray(req.body?.filas)) {
+    rows = req.body.filas;
+  } else {
+    throw new HttpError(400, 'Se esperaba un CSV o un array JSON de filas', {
+      code: 'CUERPO_INVALIDO',
+    });
+  }
+
+  return rows;
+}
+
+/**
+ * Corre cadenas de express-validator (body('campo')...) contra una fila
+ * suelta y devuelve los errores en el mismo formato que handleValidation.
+ */
+export async function validateRow(row, chains) {
+  const fakeReq = { body: row };
+  for (const chain of chains) {
+    await chain.run(fakeReq);
+  }
+  return validationResult(fakeReq).array();
+}
+
+/**
+ * Error de fila con la misma forma que los de express-validator, para
+ * validaciones que dependen de la base (nombres repetidos, referencias).
+ */
+export function rowError(path, value, msg) {
+  return { type: 'field', value, msg, path, location: 'body' };
+}
+
+/**
+ * Resume el resultado fila por fila de una importación.
+ */
+export function importSummary(filas) {
+  const resumen = { crear: 0, actualizar: 0, rechazar: 0 };
+  for (const fila of filas) resumen[fila.accion] += 1;
+  return resumen;
+}
+
+/**
+ * Envía `rows` como descarga CSV o JSON con las columnas indicadas.
+ */
+export function sendExport(res, format, filename, columns, rows) {
+  const data = rows.map((row) => Object.fromEntries(columns.map((col) => [col, row[col]])));
+
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+    return res.send(
+      stringify(data, {
+        header: true,
+        columns,
+        cast: { boolean: (value) => (value ? 'true' : 'false') },
+      })
+    );
+  }
+
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.json"`);
+  res.json(data);
+}
@@ -1,11 +1,43 @@
 // routes/ingredientes.routes.js
 import { Router } from 'express';
 import { body, param } from 'express-validator';
-import { getPool } from '../config/db.js';
+import { getPool, withTransaction } from '../config/db.js';
 import { handleValidation } from './validators.js';
+import { requireRole } from './auth.js';
+import { listValidators, pageMeta } from './listing.js';
+import { incluirEliminadosValidator, incluirEliminados } from './papelera.js';
+import { registrarAuditoria } from './auditoria.js';
+import { UNIDADES, TIPOS_MOVIMIENTO, registrarMovimiento } from './inventario.js';
+import { alergenosBodyValidators, resolverAlergenos } from './alergenos.js';
+import {
+  etagDe,
+  ifMatchRequerido,
+  cumpleIfMatch,
+  precondicionFallida,
+} from './concurrencia.js';
+import { cachePrivada, condicional, invalidarAlEscribir, listadoEnCache } from './cache.js';
+import { filaAuditable } from '../repositories/auditoria.js';
+import * as ingredientes from '../repositories/ingredientes.js';
+import * as alergenos from '../repositories/alergenos.js';
+import {
+  importBodyParsers,
+  exportValidators,
+  importValidators,
+  isDryRun,
+  parseImportBody,
+  validateRow,
+  rowError,
+  toBool,
+  importSummary,
+  sendExport,
+} from './importacion.js';
 
 const router = Router();
 
+// Los movimientos de inventario también cambian la fila (stock), y los
+// alérgenos asignados son parte del ingrediente
+router.use(cachePrivada, invalidarAlEscribir('ingredientes'));
+
 /**
  * @swagger
  * tags:
@@ -17,34 +49,349 @@ const router = Router();
  * @swagger
  * /api/ingredientes:
  *   get:
- *     summary: Lista todos los ingredientes
+ *     summary: Lista ingredientes con filtros, orden y paginación
+ *     description: Sin `page` ni `limit` se devuelven todos los registros que cumplan los filtros.
  *     tags: [Ingredientes]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - $ref: '#/components/parameters/IncluirEliminados'
+ *       - in: query
+ *         name: nombre
+ *         schema:
+ *           type: string
+ *         description: Coincidencia parcial por nombre
+ *       - in: query
+ *         name: perecedero
+ *         schema:
+ *           type: boolean
+ *       - $ref: '#/components/parameters/IfNoneMatch'
+ *       - $ref: '#/components/parameters/IfModifiedSince'
  *     responses:
  *       200:
  *         description: Listado de ingredientes
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *           Last-Modified:
+ *             $ref: '#/components/headers/LastModified'
+ *           Cache-Control:
+ *             $ref: '#/components/headers/CacheControl'
+ *           X-Cache:
+ *             $ref: '#/components/headers/XCache'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 ok:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Ingrediente'
+ *                 meta:
+ *                   $ref: '#/components/schemas/PageMeta'
+ *       304:
+ *         $ref: '#/components/responses/NoModificado'
+ *       400:
+ *         description: Parámetros de consulta inválidos
+ */
+router.get(
+  '/',
+  listadoEnCache('ingredientes', 'alergenos'),
+  listValidators(ingredientes.LISTADO),
+  incluirEliminadosValidator,
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const { rows, total, pagination } = await ingredientes.listar(await getPool(), req.query, {
+        incluirEliminados: incluirEliminados(req),
+      });
+
+      res.json({
+        ok: true,
+        message: 'Consulta realizada correctamente',
+        data: rows,
+        meta: pageMeta(total, pagination),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+
+/**
+ * @swagger
+ * /api/ingredientes/bajo-stock:
+ *   get:
+ *     summary: Ingredientes con stock en o por debajo del mínimo
+ *     description: "Requiere rol: admin, cocina. Ordenado por el faltante más grande primero."
+ *     tags: [Ingredientes]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Ingredientes a reponer
  *         content:
  *           application/json:
  *             schema:
  *               type: array
  *               items:
- *                 $ref: '#/components/schemas/Ingrediente'
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/Ingrediente'
+ *                   - type: object
+ *                     properties:
+ *                       faltante:
+ *                         type: number
+ *                         description: Cantidad necesaria para llegar al mínimo
+ *       401:
+ *         $ref: '#/components/responses/NoAutenticado'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
  */
-router.get('/', async (_req, res) => {
+router.get('/bajo-stock', ...requireRole('admin', 'cocina'), async (_req, res, next) => {
   try {
-    const pool = await getPool();
-    const [rows] = await pool.query(`
-      SELECT id, nombre, perecedero, created_at, updated_at
-      FROM ingredientes
-      ORDER BY id DESC
-    `);
+    const rows = await ingredientes.bajoStock(await getPool());
     res.json({ ok: true, message: 'Consulta realizada correctamente', data: rows });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ ok: false, message: 'Error listando ingredientes' });
+    next(err);
   }
 });
 
 
+const EXPORT_COLUMNS = [
+  'nombre',
+  'perecedero',
+  'unidad',
+  'stock',
+  'stock_minimo',
+  'costo_unitario',
+];
+
+// El stock no se importa: solo cambia con movimientos
+const IMPORT_ROW_CHAINS = () => [
+  body('nombre').isString().trim().notEmpty().isLength({ max: 150 }),
+  body('perecedero').optional().isBoolean({ loose: true }),
+  body('unidad').optional().isIn(UNIDADES).withMessage(`unidad debe ser: ${UNIDADES.join(', ')}`),
+  body('stock_minimo').optional().isFloat({ min: 0 }),
+  body('costo_unitario').optional().isFloat({ min: 0 }),
+];
+
+/**
+ * @swagger
+ * /api/ingredientes/export:
+ *   get:
+ *     summary: Exporta los ingredientes
+ *     description: "Requiere rol: admin, cocina. Incluye el stock actual solo como referencia: la importación lo ignora."
+ *     tags: [Ingredientes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json]
+ *           default: csv
+ *     responses:
+ *       200:
+ *         description: Archivo con los ingredientes
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/IngredienteImport'
+ *       401:
+ *         $ref: '#/components/responses/NoAutenticado'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
+ */
+router.get(
+  '/export',
+  ...requireRole('admin', 'cocina'),
+  exportValidators,
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const rows = await ingredientes.paraExportar(await getPool());
+
+      const data = rows.map((row) => ({
+        ...row,
+        perecedero: Boolean(row.perecedero),
+        stock: Number(row.stock),
+        stock_minimo: Number(row.stock_minimo),
+        costo_unitario: Number(row.costo_unitario),
+      }));
+
+      sendExport(res, req.query.format ?? 'csv', 'ingredientes', EXPORT_COLUMNS, data);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+
+/**
+ * @swagger
+ * /api/ingredientes/import:
+ *   post:
+ *     summary: Importa ingredientes desde CSV o JSON
+ *     description: >
+ *       Requiere rol: admin, cocina. Cada fila se identifica por `nombre`: si
+ *       existe se actualiza y si no se crea. La columna `stock` se ignora; el
+ *       stock se cambia con movimientos. Con `dry_run=true` solo se informa
+ *       qué pasaría con cada fila. Sin dry run la importación es todo o nada.
+ *     tags: [Ingredientes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dry_run
+ *         schema:
+ *           type: boolean
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *             example: |
+ *               nombre,perecedero,unidad,stock_minimo,costo_unitario
+ *               Pepinillos,true,g,200,0.05
+ *         application/json:
+ *           schema:
+ *             type: array
+ *             items:
+ *               $ref: '#/components/schemas/IngredienteImport'
+ *     responses:
+ *       200:
+ *         description: Resultado por fila (aplicado o simulado)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ResultadoImportacion'
+ *       422:
+ *         description: Hay filas rechazadas; no se guardó nada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ResultadoImportacion'
+ *       401:
+ *         $ref: '#/components/responses/NoAutenticado'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
+ */
+router.post(
+  '/import',
+  ...requireRole('admin', 'cocina'),
+  importBodyParsers,
+  importValidators,
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const rows = parseImportBody(req);
+      const ingredientePorNombre = await ingredientes.porNombre(await getPool());
+
+      const vistos = new Set();
+      const filas = [];
+
+      for (const [i, row] of rows.entries()) {
+        const errors = await validateRow(row, IMPORT_ROW_CHAINS());
+        const nombre = typeof row.nombre === 'string' ? row.nombre.trim() : row.nombre;
+
+        const clave = String(nombre ?? '').toLowerCase();
+        if (clave && vistos.has(clave)) {
+          errors.push(rowError('nombre', nombre, 'Ingrediente repetido en el archivo'));
+        }
+        vistos.add(clave);
+
+        const existente = ingredientePorNombre.get(clave);
+        if (existente?.deleted_at) {
+          errors.push(
+            rowError('nombre', nombre, 'El ingrediente está eliminado; restáuralo antes de importarlo')
+          );
+        }
+
+        const id = existente?.id;
+        const datos = {};
+        if (row.perecedero !== undefined) {
+          datos.perecedero = toBool(row.perecedero) ? 1 : 0;
+        }
+        for (const campo of ['unidad', 'stock_minimo', 'costo_unitario']) {
+          if (row[campo] !== undefined) datos[campo] = row[campo];
+        }
+
+        filas.push({
+          fila: i + 1,
+          nombre,
+          accion: errors.length > 0 ? 'rechazar' : id ? 'actualizar' : 'crear',
+          id: id ?? null,
+          errors,
+          datos,
+        });
+      }
+
+      const resumen = importSummary(filas);
+      const reporte = () => filas.map(({ datos, ...fila }) => fila);
+
+      if (isDryRun(req)) {
+        return res.json({
+          ok: true,
+          message: 'Simulación de importación',
+          data: { dry_run: true, resumen, filas: reporte() },
+        });
+      }
+
+      if (resumen.rechazar > 0) {
+        return res.status(422).json({
+          ok: false,
+          message: 'Hay filas rechazadas; no se importó nada',
+          data: { dry_run: false, resumen, filas: reporte() },
+        });
+      }
+
+      await withTransaction(async (conn) => {
+        for (const fila of filas) {
+          const antes = fila.id ? await filaAuditable(conn, 'ingredientes', fila.id) : null;
+
+          if (fila.accion === 'actualizar') {
+            await ingredientes.actualizar(conn, fila.id, fila.datos);
+          } else {
+            fila.id = await ingredientes.crear(conn, { nombre: fila.nombre, ...fila.datos });
+          }
+
+          await registrarAuditoria(conn, {
+            entidad: 'ingredientes',
+            entidadId: fila.id,
+            accion: fila.accion,
+            usuarioId: req.user.id,
+            antes,
+            despues: await filaAuditable(conn, 'ingredientes', fila.id),
+          });
+        }
+      });
+
+      res.json({
+        ok: true,
+        message: 'Importación completada',
+        data: { dry_run: false, resumen, filas: reporte() },
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+
 /**
  * @swagger
  * /api/ingredientes/{id}:
@@ -58,36 +405,48 @@ router.get('/', async (_req, res) => {
  *           type: integer
  *         required: true
  *         description: ID del ingrediente
+ *       - $ref: '#/components/parameters/IncluirEliminados'
+ *       - $ref: '#/components/parameters/IfNoneMatch'
+ *       - $ref: '#/components/parameters/IfModifiedSince'
  *     responses:
  *       200:
  *         description: Ingrediente encontrado
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *           Last-Modified:
+ *             $ref: '#/components/headers/LastModified'
+ *           Cache-Control:
+ *             $ref: '#/components/headers/CacheControl'
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Ingrediente'
+ *       304:
+ *         $ref: '#/components/responses/NoModificado'
  *       404:
  *         description: Ingrediente no encontrado
  */
 router.get(
   '/:id',
+  condicional('ingredientes', 'alergenos'),
   param('id').isInt(),
+  incluirEliminadosValidator,
   handleValidation,
-  async (req, res) => {
+  async (req, res, next) => {
     try {
-      const pool = await getPool();
-      const [rows] = await pool.query(
-        'SELECT id, nombre, perecedero, created_at, updated_at FROM ingredientes WHERE id = ?',
-        [req.params.id]
-      );
+      const ingrediente = await ingredientes.buscar(await getPool(), req.params.id, {
+        incluirEliminados: incluirEliminados(req),
+      });
 
-      if (rows.length === 0) {
+      if (!ingrediente) {
         return res.status(404).json({ ok: false, message: 'Ingrediente no encontrado' });
       }
 
-      res.json({ ok: true, message: 'Consulta realizada correctamente', data: rows[0] });
+      res.set('ETag', etagDe(ingrediente));
+      res.json({ ok: true, message: 'Consulta realizada correctamente', data: ingrediente });
     } catch (err) {
-      console.error(err);
-      res.status(500).json({ ok: false, message: 'Error obteniendo ingrediente' });
+      next(err);
     }
   }
 );
@@ -99,6 +458,9 @@ router.get(
  *   post:
  *     summary: Crea un nuevo ingrediente
  *     tags: [Ingredientes]
+ *     description: "Requiere rol: admin, cocina"
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -112,31 +474,70 @@ router.get(
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Ingrediente'
+ *       401:
+ *         $ref: '#/components/responses/NoAutenticado'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
+ *       409:
+ *         $ref: '#/components/responses/Duplicado'
  */
 router.post(
   '/',
+  ...requireRole('admin', 'cocina'),
   body('nombre').isString().notEmpty(),
   body('perecedero').optional().isBoolean(),
+  body('unidad').optional().isIn(UNIDADES),
+  body('stock_minimo').optional().isFloat({ min: 0 }),
+  body('costo_unitario').optional().isFloat({ min: 0 }),
+  body('stock').optional().isFloat({ min: 0 }),
+  ...alergenosBodyValidators,
   handleValidation,
-  async (req, res) => {
+  async (req, res, next) => {
     try {
-      const { nombre, perecedero } = req.body;
-      const pool = await getPool();
+      const { nombre, perecedero, unidad, stock_minimo, costo_unitario, stock } = req.body;
 
-      const [result] = await pool.query(
-        'INSERT INTO ingredientes (nombre, perecedero) VALUES (?, ?)',
-        [nombre, perecedero !== undefined ? (perecedero ? 1 : 0) : 1]
-      );
+      let alergenoIds = [];
+      if (req.body.alergenos !== undefined) {
+        const { ids, invalida } = await resolverAlergenos(await getPool(), req.body.alergenos);
+        if (invalida) return res.status(422).json(invalida);
+        alergenoIds = ids;
+      }
 
-      const [rows] = await pool.query(
-        'SELECT id, nombre, perecedero, created_at, updated_at FROM ingredientes WHERE id = ?',
-        [result.insertId]
-      );
+      const ingrediente = await withTransaction(async (conn) => {
+        const id = await ingredientes.crear(conn, {
+          nombre,
+          perecedero: perecedero !== undefined ? (perecedero ? 1 : 0) : 1,
+          unidad: unidad ?? 'unidad',
+          stock_minimo: stock_minimo ?? 0,
+          costo_unitario: costo_unitario ?? 0,
+        });
+        await alergenos.asignar(conn, id, alergenoIds);
+
+        // El stock inicial también queda en el libro de movimientos
+        if (Number(stock) > 0) {
+          await registrarMovimiento(conn, id, {
+            tipo: 'ajuste',
+            cantidad: stock,
+            nota: 'Stock inicial',
+            usuarioId: req.user.id,
+          });
+        }
+
+        const creado = await ingredientes.buscar(conn, id);
+        await registrarAuditoria(conn, {
+          entidad: 'ingredientes',
+          entidadId: id,
+          accion: 'crear',
+          usuarioId: req.user.id,
+          despues: { ...(await filaAuditable(conn, 'ingredientes', id)), alergenos: creado.alergenos },
+        });
+
+        return creado;
+      });
 
-      res.status(201).json({ ok: true, message: 'Ingrediente creado', data: rows[0] });
+      res.status(201).json({ ok: true, message: 'Ingrediente creado', data: ingrediente });
     } catch (err) {
-      console.error(err);
-      res.status(500).json({ ok: false, message: 'Error insertando ingrediente' });
+      next(err);
     }
   }
 );
@@ -148,6 +549,9 @@ router.post(
  *   put:
  *     summary: Actualiza un ingrediente
  *     tags: [Ingredientes]
+ *     description: "Requiere rol: admin, cocina"
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -155,6 +559,7 @@ router.post(
  *           type: integer
  *         required: true
  *         description: ID del ingrediente
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
  *       content:
@@ -164,60 +569,99 @@ router.post(
  *     responses:
  *       200:
  *         description: Ingrediente actualizado
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Ingrediente'
  *       404:
  *         description: Ingrediente no encontrado
+ *       412:
+ *         $ref: '#/components/responses/PrecondicionFallida'
+ *       428:
+ *         $ref: '#/components/responses/IfMatchRequerido'
+ *       401:
+ *         $ref: '#/components/responses/NoAutenticado'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
  */
 router.put(
   '/:id',
+  ...requireRole('admin', 'cocina'),
+  ifMatchRequerido,
   param('id').isInt(),
   body('nombre').optional().isString().notEmpty(),
   body('perecedero').optional().isBoolean(),
+  body('unidad').optional().isIn(UNIDADES),
+  body('stock_minimo').optional().isFloat({ min: 0 }),
+  body('costo_unitario').optional().isFloat({ min: 0 }),
+  body('stock')
+    .not()
+    .exists()
+    .withMessage('El stock se modifica registrando un movimiento en /api/ingredientes/{id}/movimientos'),
+  ...alergenosBodyValidators,
   handleValidation,
-  async (req, res) => {
+  async (req, res, next) => {
     try {
       const id = req.params.id;
       const bodyData = req.body;
-      const sets = [];
-      const values = [];
+      const cambios = {};
 
-      if (bodyData.nombre !== undefined) {
-        sets.push('nombre = ?');
-        values.push(bodyData.nombre);
+      for (const field of ['nombre', 'unidad', 'stock_minimo', 'costo_unitario']) {
+        if (bodyData[field] !== undefined) cambios[field] = bodyData[field];
       }
       if (bodyData.perecedero !== undefined) {
-        sets.push('perecedero = ?');
-        values.push(bodyData.perecedero ? 1 : 0);
+        cambios.perecedero = bodyData.perecedero ? 1 : 0;
       }
 
-      if (sets.length === 0) {
+      if (Object.keys(cambios).length === 0 && bodyData.alergenos === undefined) {
         return res.status(400).json({ ok: false, message: 'Nada para actualizar' });
       }
 
-      values.push(id);
+      let alergenoIds;
+      if (bodyData.alergenos !== undefined) {
+        const { ids, invalida } = await resolverAlergenos(await getPool(), bodyData.alergenos);
+        if (invalida) return res.status(422).json(invalida);
+        alergenoIds = ids;
+      }
 
-      const pool = await getPool();
-      const [result] = await pool.query(
-        `UPDATE ingredientes SET ${sets.join(', ')} WHERE id = ?`,
-        values
-      );
+      const result = await withTransaction(async (conn) => {
+        const antes = await filaAuditable(conn, 'ingredientes', id, { bloquear: true });
+        if (!antes || antes.deleted_at !== null) return null;
+
+        const actual = await ingredientes.buscar(conn, id);
+        if (!cumpleIfMatch(req, actual)) return { status: 412, data: actual };
+
+        await ingredientes.actualizar(conn, id, cambios);
+        if (alergenoIds) await alergenos.asignar(conn, id, alergenoIds);
+
+        const data = await ingredientes.buscar(conn, id);
+        await registrarAuditoria(conn, {
+          entidad: 'ingredientes',
+          entidadId: id,
+          accion: 'actualizar',
+          usuarioId: req.user.id,
+          antes: { ...antes, alergenos: actual.alergenos },
+          despues: { ...(await filaAuditable(conn, 'ingredientes', id)), alergenos: data.alergenos },
+        });
+
+        return { status: 200, data };
+      });
 
-      if (result.affectedRows === 0) {
+      if (!result) {
         return res.status(404).json({ ok: false, message: 'Ingrediente no encontrado' });
       }
 
-      const [rows] = await pool.query(
-        'SELECT id, nombre, perecedero, created_at, updated_at FROM ingredientes WHERE id = ?',
-        [id]
-      );
+      res.set('ETag', etagDe(result.data));
+      if (result.status === 412) {
+        return res.status(412).json(precondicionFallida(result.data));
+      }
 
-      res.json({ ok: true, message: 'Ingrediente actualizado', data: rows[0] });
+      res.json({ ok: true, message: 'Ingrediente actualizado', data: result.data });
     } catch (err) {
-      console.error(err);
-      res.status(500).json({ ok: false, message: 'Error actualizando ingrediente' });
+      next(err);
     }
   }
 );
@@ -227,8 +671,14 @@ router.put(
  * @swagger
  * /api/ingredientes/{id}:
  *   delete:
- *     summary: Elimina un ingrediente
+ *     summary: Elimina un ingrediente (borrado lógico)
  *     tags: [Ingredientes]
+ *     description: >
+ *       Requiere rol: admin, cocina. El ingrediente y su historial de
+ *       movimientos se conservan y se puede restaurar. No se puede eliminar
+ *       mientras esté en la receta de algún producto activo.
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -241,28 +691,314 @@ router.put(
  *         description: Ingrediente eliminado
  *       404:
  *         description: Ingrediente no encontrado
+ *       409:
+ *         description: El ingrediente se usa en recetas de productos activos
+ *       401:
+ *         $ref: '#/components/responses/NoAutenticado'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
  */
 router.delete(
   '/:id',
+  ...requireRole('admin', 'cocina'),
+  param('id').isInt(),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const id = req.params.id;
+
+      const result = await withTransaction(async (conn) => {
+        const antes = await filaAuditable(conn, 'ingredientes', id, { bloquear: true });
+        if (!antes || antes.deleted_at !== null) {
+          return { status: 404, message: 'Ingrediente no encontrado' };
+        }
+
+        const productos = await ingredientes.productosQueUsan(conn, id);
+        if (productos.length > 0) {
+          return {
+            status: 409,
+            message: `El ingrediente se usa en: ${productos.join(', ')}`,
+          };
+        }
+
+        await ingredientes.eliminar(conn, id);
+        await registrarAuditoria(conn, {
+          entidad: 'ingredientes',
+          entidadId: id,
+          accion: 'eliminar',
+          usuarioId: req.user.id,
+          antes,
+          despues: await filaAuditable(conn, 'ingredientes', id),
+        });
+        return { status: 200, message: 'Ingrediente eliminado' };
+      });
+
+      res.status(result.status).json({ ok: result.status === 200, message: result.message });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+
+/**
+ * @swagger
+ * /api/ingredientes/{id}/restaurar:
+ *   post:
+ *     summary: Restaura un ingrediente eliminado
+ *     tags: [Ingredientes]
+ *     description: "Requiere rol: admin, cocina"
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: ID del ingrediente
+ *     responses:
+ *       200:
+ *         description: Ingrediente restaurado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Ingrediente'
+ *       404:
+ *         description: Ingrediente no encontrado
+ *       409:
+ *         description: El ingrediente no está eliminado
+ *       401:
+ *         $ref: '#/components/responses/NoAutenticado'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
+ */
+router.post(
+  '/:id/restaurar',
+  ...requireRole('admin', 'cocina'),
+  param('id').isInt(),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const id = req.params.id;
+
+      const result = await withTransaction(async (conn) => {
+        const antes = await filaAuditable(conn, 'ingredientes', id, { bloquear: true });
+        if (!antes) {
+          return { status: 404, body: { ok: false, message: 'Ingrediente no encontrado' } };
+        }
+        if (antes.deleted_at === null) {
+          return { status: 409, body: { ok: false, message: 'El ingrediente no está eliminado' } };
+        }
+
+        await ingredientes.restaurar(conn, id);
+        await registrarAuditoria(conn, {
+          entidad: 'ingredientes',
+          entidadId: id,
+          accion: 'restaurar',
+          usuarioId: req.user.id,
+          antes,
+          despues: await filaAuditable(conn, 'ingredientes', id),
+        });
+
+        const ingrediente = await ingredientes.buscar(conn, id);
+        return {
+          status: 200,
+          body: { ok: true, message: 'Ingrediente restaurado', data: ingrediente },
+        };
+      });
+
+      res.status(result.status).json(result.body);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/ingredientes/{id}/movimientos:
+ *   get:
+ *     summary: Historial de movimientos de stock de un ingrediente
+ *     description: "Requiere rol: admin, cocina"
+ *     tags: [Ingredientes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - in: query
+ *         name: tipo
+ *         schema:
+ *           type: string
+ *           enum: [compra, merma, ajuste, consumo]
+ *       - in: query
+ *         name: desde
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: hasta
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Movimientos del ingrediente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 ok:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/MovimientoStock'
+ *                 meta:
+ *                   $ref: '#/components/schemas/PageMeta'
+ *       404:
+ *         description: Ingrediente no encontrado
+ *       401:
+ *         $ref: '#/components/responses/NoAutenticado'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
+ */
+router.get(
+  '/:id/movimientos',
+  ...requireRole('admin', 'cocina'),
   param('id').isInt(),
+  listValidators(ingredientes.LISTADO_MOVIMIENTOS),
   handleValidation,
-  async (req, res) => {
+  async (req, res, next) => {
     try {
       const pool = await getPool();
-      const [result] = await pool.query('DELETE FROM ingredientes WHERE id = ?', [
+      if (!(await ingredientes.existe(pool, req.params.id))) {
+        return res.status(404).json({ ok: false, message: 'Ingrediente no encontrado' });
+      }
+
+      const { rows, total, pagination } = await ingredientes.listarMovimientos(
+        pool,
         req.params.id,
-      ]);
+        req.query
+      );
 
-      if (result.affectedRows === 0) {
-        return res.status(404).json({ ok: false, message: 'Ingrediente no encontrado' });
+      res.json({
+        ok: true,
+        message: 'Consulta realizada correctamente',
+        data: rows,
+        meta: pageMeta(total, pagination),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+
+/**
+ * @swagger
+ * /api/ingredientes/{id}/movimientos:
+ *   post:
+ *     summary: Registra un movimiento de stock
+ *     description: >
+ *       Requiere rol: admin, cocina.
+ *       compra suma `cantidad`; merma y consumo la restan; ajuste aplica
+ *       `cantidad` con su signo (positiva o negativa). Se rechaza si el
+ *       stock quedaría negativo.
+ *     tags: [Ingredientes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [tipo, cantidad]
+ *             properties:
+ *               tipo:
+ *                 type: string
+ *                 enum: [compra, merma, ajuste, consumo]
+ *               cantidad:
+ *                 type: number
+ *                 example: 2.5
+ *               nota:
+ *                 type: string
+ *                 example: Factura 1234
+ *     responses:
+ *       201:
+ *         description: Movimiento registrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MovimientoStock'
+ *       404:
+ *         description: Ingrediente no encontrado
+ *       409:
+ *         description: Stock insuficiente
+ *       401:
+ *         $ref: '#/components/responses/NoAutenticado'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
+ */
+router.post(
+  '/:id/movimientos',
+  ...requireRole('admin', 'cocina'),
+  param('id').isInt(),
+  body('tipo').isIn(TIPOS_MOVIMIENTO),
+  body('cantidad')
+    .isFloat()
+    .custom((value, { req }) => {
+      const cantidad = Number(value);
+      if (req.body.tipo === 'ajuste' ? cantidad === 0 : cantidad <= 0) {
+        throw new Error(
+          req.body.tipo === 'ajuste'
+            ? 'cantidad no puede ser 0'
+            : 'cantidad debe ser mayor que 0'
+        );
+      }
+      return true;
+    }),
+  body('nota').optional({ values: 'null' }).isString().isLength({ max: 255 }),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const { tipo, cantidad, nota } = req.body;
+
+      const result = await withTransaction((conn) =>
+        registrarMovimiento(conn, req.params.id, {
+          tipo,
+          cantidad,
+          nota,
+          usuarioId: req.user.id,
+        })
+      );
+
+      if (!result.movimiento) {
+        return res.status(result.status).json({ ok: false, message: result.message });
       }
 
-      res.json({ ok: true, message: 'Ingrediente eliminado' });
+      res.status(201).json({ ok: true, message: 'Movimiento registrado', data: result.movimiento });
     } catch (err) {
-      console.error(err);
-      res.status(500).json({ ok: false, message: 'Error eliminando ingrediente' });
+      next(err);
     }
   }
 );
 
-export default router;
\ No newline at end of file
+export default router;
@@ -0,0 +1,44 @@
+// routes/inventario.js
+import * as ingredientes from '../repositories/ingredientes.js';
+
+export { UNIDADES, TIPOS_MOVIMIENTO } from '../repositories/ingredientes.js';
+
+// compra suma, merma y consumo restan; ajuste se aplica con su signo
+const SIGNO = { compra: 1, merma: -1, consumo: -1, ajuste: 1 };
+
+/**
+ * Registra un movimiento y actualiza el stock del ingrediente. Debe
+ * llamarse dentro de una transacción (`conn` de withTransaction): bloquea
+ * la fila del ingrediente hasta el commit.
+ *
+ * Devuelve { status, message } si no se puede aplicar, o { movimiento }.
+ */
+export async function registrarMovimiento(conn, ingredienteId, { tipo, cantidad, nota, usuarioId }) {
+  const ingrediente = await ingredientes.bloquearStock(conn, ingredienteId);
+  if (!ingrediente) {
+    return { status: 404, message: 'Ingrediente no encontrado' };
+  }
+
+  const delta = SIGNO[tipo] * Number(cantidad);
+  // Redondeo a la escala de la columna para no acumular error de punto flotante
+  const nuevoStock = Math.round((Number(ingrediente.stock) + delta) * 1000) / 1000;
+
+  if (nuevoStock < 0) {
+    return {
+      status: 409,
+      message: `Stock insuficiente: hay ${Number(ingrediente.stock)} y el movimiento resta ${-delta}`,
+    };
+  }
+
+  await ingredientes.guardarStock(conn, ingredienteId, nuevoStock);
+
+  const movimiento = await ingredientes.crearMovimiento(conn, {
+    ingrediente_id: ingredienteId,
+    tipo,
+    cantidad: delta,
+    stock_resultante: nuevoStock,
+    nota: nota ?? null,
+    usuario_id: usuarioId ?? null,
+  });
+  return { movimiento };
+}
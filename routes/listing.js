@@ -0,0 +1,213 @@
+// routes/listing.js
+import { query } from 'express-validator';
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+const OPERATORS = {
+  eq: '=',
+  gte: '>=',
+  lte: '<=',
+};
+
+/**
+ * Convierte el valor crudo del query string al tipo declarado en el filtro.
+ */
+function castValue(type, value) {
+  switch (type) {
+    case 'int':
+      return parseInt(value, 10);
+    case 'float':
+      return parseFloat(value);
+    case 'bool':
+      return value === true || value === 'true' || value === '1' ? 1 : 0;
+    case 'date':
+      return String(value);
+    default:
+      return String(value);
+  }
+}
+
+function nextDay(date) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + 1);
+  return d.toISOString().slice(0, 10);
+}
+
+function columnSql(column, dialect) {
+  return typeof column === 'function' ? column(dialect) : column;
+}
+
+function parseSort(raw, sortable) {
+  if (raw === undefined || raw === '') return [];
+  return String(raw)
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((token) => {
+      const desc = token.startsWith('-');
+      const field = desc ? token.slice(1) : token;
+      return { field, column: sortable[field], desc };
+    });
+}
+
+/**
+ * Validadores de ?page y ?limit.
+ */
+export function paginationValidators() {
+  return [
+    query('page').optional().isInt({ min: 1 }).withMessage('page debe ser un entero >= 1'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: MAX_LIMIT })
+      .withMessage(`limit debe ser un entero entre 1 y ${MAX_LIMIT}`),
+  ];
+}
+
+/**
+ * Validadores de express-validator para ?page, ?limit, ?sort y los filtros
+ * declarados en `options.filters`.
+ *
+ * options = {
+ *   filters:  { nombre_param: { column, type: 'int'|'float'|'bool'|'string'|'date',
+ *                               op: 'eq'|'gte'|'lte'|'like', values: [...] } },
+ *   sortable: { nombre_param: 'columna_sql' },
+ *   defaultSort: '-id',
+ *   primaryKey: 'columna_sql',  // por defecto sortable.id
+ * }
+ *
+ * Una columna también puede ser una función (dialect) => 'sql', para las
+ * expresiones que cambian entre motores.
+ */
+export function listValidators(options) {
+  const { filters = {}, sortable = {} } = options;
+
+  const chains = [
+    ...paginationValidators(),
+    query('sort')
+      .optional()
+      .custom((value) => {
+        const invalid = parseSort(value, sortable).filter((s) => !s.column);
+        if (invalid.length > 0) {
+          throw new Error(
+            `Campos de orden no permitidos: ${invalid.map((s) => s.field).join(', ')}. ` +
+              `Permitidos: ${Object.keys(sortable).join(', ')}`
+          );
+        }
+        return true;
+      }),
+  ];
+
+  for (const [name, def] of Object.entries(filters)) {
+    const chain = query(name).optional();
+    switch (def.type) {
+      case 'int':
+        chains.push(chain.isInt());
+        break;
+      case 'float':
+        chains.push(chain.isFloat());
+        break;
+      case 'bool':
+        chains.push(chain.isBoolean());
+        break;
+      case 'date':
+        chains.push(chain.isISO8601().withMessage(`${name} debe ser una fecha (YYYY-MM-DD)`));
+        break;
+      default:
+        chains.push(
+          def.values
+            ? chain.isIn(def.values).withMessage(`${name} debe ser: ${def.values.join(', ')}`)
+            : chain.isString().notEmpty()
+        );
+    }
+  }
+
+  return chains;
+}
+
+/**
+ * Lee ?page y ?limit. La paginación es opcional: sin ninguno de los dos
+ * devuelve null (listado completo), salvo que `always` sea true.
+ */
+export function parsePagination(reqQuery, always = false) {
+  if (!always && reqQuery.page === undefined && reqQuery.limit === undefined) {
+    return null;
+  }
+  const page = Math.max(parseInt(reqQuery.page ?? 1, 10) || 1, 1);
+  const limit = Math.min(parseInt(reqQuery.limit ?? DEFAULT_LIMIT, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+  return { page, limit, offset: (page - 1) * limit };
+}
+
+/**
+ * Arma las piezas SQL (WHERE, ORDER BY) y la paginación pedida a partir de
+ * req.query; listarPagina (repositories/base.js) agrega el LIMIT de cada
+ * motor. Los valores siempre viajan como parámetros; los nombres de columna
+ * solo salen de las listas blancas declaradas en `options`.
+ *
+ * `baseWhere` permite anteponer condiciones fijas del endpoint. `dialect`
+ * es el del pool (db.dialect), para el LIKE y las columnas que dependen del
+ * motor.
+ */
+export function buildListQuery(
+  reqQuery,
+  options,
+  baseWhere = { conditions: [], params: [] },
+  dialect
+) {
+  const { filters = {}, sortable = {}, defaultSort = '-id', primaryKey = sortable.id } = options;
+
+  const conditions = [...baseWhere.conditions];
+  const params = [...baseWhere.params];
+
+  for (const [name, def] of Object.entries(filters)) {
+    const raw = reqQuery[name];
+    if (raw === undefined || raw === '') continue;
+    const column = columnSql(def.column, dialect);
+
+    if (def.op === 'like') {
+      conditions.push(dialect.like(column));
+      params.push(`%${dialect.escapeLike(raw)}%`);
+    } else if (def.type === 'date' && def.op === 'lte' && DATE_ONLY.test(raw)) {
+      // "hasta=2025-02-14" incluye todo ese día
+      conditions.push(`${column} < ?`);
+      params.push(nextDay(raw));
+    } else {
+      conditions.push(`${column} ${OPERATORS[def.op ?? 'eq']} ?`);
+      params.push(castValue(def.type, raw));
+    }
+  }
+
+  let sort = parseSort(reqQuery.sort, sortable).filter((s) => s.column);
+  if (sort.length === 0) sort = parseSort(defaultSort, sortable).filter((s) => s.column);
+  // Con empates el motor puede devolver las filas en cualquier orden y una
+  // fila saltar de una página a otra; la clave primaria al final lo fija
+  if (primaryKey && !sort.some((s) => s.column === primaryKey)) {
+    sort.push({ column: primaryKey, desc: false });
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const orderBy = sort.length > 0
+    ? `ORDER BY ${sort
+        .map((s) => `${columnSql(s.column, dialect)} ${s.desc ? 'DESC' : 'ASC'}`)
+        .join(', ')}`
+    : '';
+
+  return { where, params, orderBy, pagination: parsePagination(reqQuery) };
+}
+
+/**
+ * Metadatos de paginación que acompañan a `data` en las respuestas de listado.
+ */
+export function pageMeta(total, pagination) {
+  if (!pagination) {
+    return { total, page: 1, limit: null, pages: 1 };
+  }
+  return {
+    total,
+    page: pagination.page,
+    limit: pagination.limit,
+    pages: Math.max(Math.ceil(total / pagination.limit), 1),
+  };
+}
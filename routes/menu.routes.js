@@ -0,0 +1,236 @@
+// routes/menu.routes.js
+//
+// Menú público de solo lectura: categorías con sus productos disponibles y
+// los ingredientes de cada uno, en una sola llamada.
+import { Router } from 'express';
+import { query } from 'express-validator';
+import { getPool } from '../config/db.js';
+import { handleValidation } from './validators.js';
+import { toBool } from './importacion.js';
+import { codigosDeQuery, sinAlergenosValidator } from './alergenos.js';
+import { listadoEnCache } from './cache.js';
+import { preciosProgramados } from './precios.js';
+import { resumenes } from './combos.js';
+import { imagenUrl } from './imagenes.js';
+import { conDescendientes, incluirSubcategoriasValidator, ordenDeArbol } from './categorias.js';
+import * as categorias from '../repositories/categorias.js';
+import * as productos from '../repositories/productos.js';
+import * as productoIngrediente from '../repositories/producto_ingrediente.js';
+
+const router = Router();
+
+router.use(preciosProgramados);
+
+/**
+ * @swagger
+ * tags:
+ *   name: Menu
+ *   description: Menú público agrupado por categoría
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     MenuProducto:
+ *       type: object
+ *       description: En modo compacto solo vienen id, nombre y precio.
+ *       properties:
+ *         id:
+ *           type: integer
+ *         nombre:
+ *           type: string
+ *           example: Hamburguesa clásica
+ *         descripcion:
+ *           type: string
+ *           nullable: true
+ *         imagen_url:
+ *           type: string
+ *           nullable: true
+ *           example: /imagenes/producto-10-3f9a2c1d8e7b6a54.webp
+ *         precio:
+ *           type: number
+ *           example: 45.5
+ *         alergenos:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: [gluten, lacteos]
+ *         ingredientes:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: [Carne de res, Pan de hamburguesa, Queso amarillo]
+ *         ahorro:
+ *           type: number
+ *           example: 16
+ *           description: Solo en combos; lo que se ahorra frente a pedir los componentes por separado
+ *     MenuCategoria:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         nombre:
+ *           type: string
+ *           example: Hamburguesas
+ *         padre_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Categoría padre, para anidar las subcategorías en pantalla
+ *         productos:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/MenuProducto'
+ */
+
+/**
+ * Agrupa las filas (ya juntas por categoría) en categorías con sus
+ * productos, en el orden del árbol de categorías. Los combos llevan lo que
+ * se ahorra frente a sus componentes.
+ */
+function agrupar(filas, arbol, ingredientes, combos, compacto) {
+  const menu = [];
+  for (const fila of filas) {
+    let categoria = menu[menu.length - 1];
+    if (categoria?.id !== fila.categoria_id) {
+      categoria = {
+        id: fila.categoria_id,
+        nombre: fila.categoria,
+        padre_id: arbol.find((c) => c.id === fila.categoria_id).padre_id,
+        productos: [],
+      };
+      menu.push(categoria);
+    }
+
+    const producto = { id: fila.id, nombre: fila.nombre, precio: Number(fila.precio) };
+    if (!compacto) {
+      producto.descripcion = fila.descripcion;
+      producto.imagen_url = imagenUrl(fila.imagen);
+      producto.alergenos = fila.alergenos;
+      producto.ingredientes = ingredientes.get(fila.id);
+      if (combos.has(fila.id)) producto.ahorro = combos.get(fila.id).ahorro;
+    }
+    categoria.productos.push(producto);
+  }
+
+  const orden = ordenDeArbol(arbol);
+  return menu.sort((a, b) => orden.get(a.id) - orden.get(b.id));
+}
+
+/**
+ * @swagger
+ * /api/menu:
+ *   get:
+ *     summary: Menú con los productos disponibles por categoría
+ *     description: >
+ *       No requiere autenticación. Solo incluye productos disponibles en este
+ *       momento y categorías que tengan alguno. Las categorías siguen el orden
+ *       del árbol (cada una antes que sus subcategorías) y los productos van
+ *       por nombre. La respuesta se guarda en caché hasta que cambie el
+ *       catálogo o el stock, o hasta que entre en vigor un precio programado.
+ *     tags: [Menu]
+ *     parameters:
+ *       - in: query
+ *         name: categoria_id
+ *         schema:
+ *           type: integer
+ *         description: Solo esa categoría
+ *       - in: query
+ *         name: incluir_subcategorias
+ *         schema:
+ *           type: boolean
+ *         description: Con `categoria_id`, incluye también sus subcategorías
+ *       - in: query
+ *         name: compacto
+ *         schema:
+ *           type: boolean
+ *         description: Solo id, nombre y precio de cada producto, para pantallas con poca conexión
+ *       - in: query
+ *         name: sin_alergenos
+ *         schema:
+ *           type: string
+ *         description: Códigos de alérgeno separados por coma; oculta los productos que tengan alguno
+ *       - $ref: '#/components/parameters/IfNoneMatch'
+ *       - $ref: '#/components/parameters/IfModifiedSince'
+ *     responses:
+ *       200:
+ *         description: Categorías con sus productos
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *           Last-Modified:
+ *             $ref: '#/components/headers/LastModified'
+ *           Cache-Control:
+ *             $ref: '#/components/headers/CacheControl'
+ *           X-Cache:
+ *             $ref: '#/components/headers/XCache'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/MenuCategoria'
+ *       304:
+ *         $ref: '#/components/responses/NoModificado'
+ *       400:
+ *         description: Parámetros inválidos
+ *       404:
+ *         description: Categoría no encontrada
+ */
+router.get(
+  '/',
+  listadoEnCache(
+    'categorias',
+    'productos',
+    'producto_ingrediente',
+    'ingredientes',
+    'alergenos',
+    'producto_precios',
+    'combo_componentes'
+  ),
+  query('categoria_id').optional().isInt({ min: 1 }).toInt(),
+  query('compacto').optional().isBoolean({ loose: true }),
+  incluirSubcategoriasValidator,
+  sinAlergenosValidator,
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const db = await getPool();
+      const arbol = await categorias.jerarquia(db);
+      const categoriaId = req.query.categoria_id;
+      if (categoriaId !== undefined && !arbol.some((c) => c.id === categoriaId)) {
+        return res.status(404).json({ ok: false, message: 'Categoría no encontrada' });
+      }
+
+      let categoriaIds;
+      if (categoriaId !== undefined) {
+        categoriaIds = toBool(req.query.incluir_subcategorias)
+          ? conDescendientes(arbol, categoriaId)
+          : [categoriaId];
+      }
+
+      const compacto = toBool(req.query.compacto);
+      const filas = await productos.paraMenu(db, {
+        categoriaIds,
+        sinAlergenos: codigosDeQuery(req.query.sin_alergenos),
+      });
+      const ingredientes = compacto
+        ? null
+        : await productoIngrediente.nombresPorProducto(
+            db,
+            filas.map((p) => p.id)
+          );
+      const combos = compacto ? null : await resumenes(db, filas);
+
+      res.json({
+        ok: true,
+        message: 'Consulta realizada correctamente',
+        data: agrupar(filas, arbol, ingredientes, combos, compacto),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+export default router;
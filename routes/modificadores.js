@@ -0,0 +1,339 @@
+// routes/modificadores.js
+//
+// Grupos de modificadores de un producto (tamaño, extras, "sin cebolla") y
+// la configuración de un producto: precio final y receta efectiva según las
+// opciones elegidas.
+import { body, query } from 'express-validator';
+import { HttpError } from './errores.js';
+import { registrarAuditoria } from './auditoria.js';
+import { recetaEfectiva, round } from './costeo.js';
+import { filaAuditable } from '../repositories/auditoria.js';
+import * as modificadores from '../repositories/modificadores.js';
+import * as productos from '../repositories/productos.js';
+import * as ingredientes from '../repositories/ingredientes.js';
+import * as alergenos from '../repositories/alergenos.js';
+
+export const TIPOS = ['unica', 'multiple'];
+
+// Lo que leen las rutas de modificadores, para la caché
+export const TABLAS_MODIFICADORES = [
+  'modificador_grupos',
+  'modificador_opciones',
+  'modificador_opcion_ingredientes',
+];
+
+function validacion(errors) {
+  return new HttpError(400, 'Errores de validación', { code: 'VALIDACION', errors });
+}
+
+function repetidos(valores) {
+  return [...new Set(valores.filter((v, i) => valores.indexOf(v) !== i))];
+}
+
+/**
+ * Validaciones del cuerpo de un grupo; en un PUT (`crear` false) todo es
+ * opcional. La coherencia entre tipo, obligatorio y min/max la revisa
+ * resolverReglas() con el grupo completo.
+ */
+export function grupoValidators({ crear }) {
+  const opcional = (chain) => (crear ? chain : chain.optional());
+  return [
+    crear
+      ? body('producto_id').isInt()
+      : body('producto_id').not().exists().withMessage('producto_id no se puede cambiar'),
+    opcional(body('nombre')).isString().trim().notEmpty(),
+    opcional(body('tipo')).isIn(TIPOS).withMessage(`tipo debe ser: ${TIPOS.join(', ')}`),
+    body('obligatorio').optional().isBoolean(),
+    body('min_selecciones').optional().isInt({ min: 0 }).toInt(),
+    body('max_selecciones').optional({ values: 'null' }).isInt({ min: 1 }).toInt(),
+    opcional(body('opciones'))
+      .isArray({ min: 1 })
+      .withMessage('opciones debe ser una lista con al menos una opción')
+      .bail()
+      .custom((opciones) => {
+        const nombres = opciones.map((o) => String(o?.nombre ?? '').trim().toLowerCase());
+        const ids = opciones.map((o) => o?.id).filter((id) => id !== undefined);
+        if (repetidos(nombres).length > 0) throw new Error('Hay opciones con el mismo nombre');
+        if (repetidos(ids).length > 0) throw new Error('Hay opciones con el mismo id');
+        return true;
+      }),
+    body('opciones.*.id').optional().isInt().toInt(),
+    body('opciones.*.nombre').isString().trim().notEmpty(),
+    body('opciones.*.precio_delta').optional().isFloat(),
+    body('opciones.*.ingredientes')
+      .optional()
+      .isArray()
+      .bail()
+      .custom((lineas) => {
+        const ids = repetidos(lineas.map((l) => Number(l?.ingrediente_id)));
+        if (ids.length > 0) throw new Error(`Ingredientes repetidos: ${ids.join(', ')}`);
+        return true;
+      }),
+    body('opciones.*.ingredientes.*.ingrediente_id').isInt().toInt(),
+    body('opciones.*.ingredientes.*.cantidad')
+      .isFloat()
+      .bail()
+      .custom((cantidad) => Number(cantidad) !== 0)
+      .withMessage('cantidad no puede ser 0: positiva agrega, negativa quita'),
+  ];
+}
+
+/**
+ * Tipo y límites de selección del grupo a partir del cuerpo y, en un PUT,
+ * del grupo `actual`. `obligatorio` es un atajo para min_selecciones 1 o 0;
+ * en un grupo de elección única max_selecciones es siempre 1 y al pasarlo a
+ * múltiple queda sin límite si no se indica otro. Lanza un 400 si la
+ * combinación no tiene sentido o si el grupo pide más opciones de las que
+ * tiene.
+ */
+export function resolverReglas(cuerpo, actual, numOpciones) {
+  const tipo = cuerpo.tipo ?? actual?.tipo;
+
+  let min = cuerpo.min_selecciones ?? Number(actual?.min_selecciones ?? 0);
+  if (cuerpo.min_selecciones === undefined && cuerpo.obligatorio !== undefined) {
+    min = cuerpo.obligatorio ? Math.max(min, 1) : 0;
+  }
+
+  let max = actual ? actual.max_selecciones : null;
+  if (cuerpo.max_selecciones !== undefined) max = cuerpo.max_selecciones;
+  else if (tipo === 'unica') max = 1;
+  else if (actual?.tipo === 'unica') max = null;
+  max = max === null ? null : Number(max);
+
+  const error = (path, msg) => validacion([{ path, msg }]);
+  if (cuerpo.obligatorio !== undefined && Boolean(cuerpo.obligatorio) !== min > 0) {
+    throw error('obligatorio', 'obligatorio no coincide con min_selecciones');
+  }
+  if (tipo === 'unica' && (max !== 1 || min > 1)) {
+    throw error('max_selecciones', 'Un grupo de elección única admite una sola opción');
+  }
+  if (max !== null && min > max) {
+    throw error('min_selecciones', 'min_selecciones no puede ser mayor que max_selecciones');
+  }
+  if (min > numOpciones) {
+    throw error('min_selecciones', `El grupo pide al menos ${min} opciones y tiene ${numOpciones}`);
+  }
+
+  return { tipo, min_selecciones: min, max_selecciones: max };
+}
+
+/**
+ * Grupos con sus opciones y los cambios de receta de cada opción.
+ */
+export async function conOpciones(db, grupos) {
+  const opciones = await modificadores.opcionesDeGrupos(
+    db,
+    grupos.map((g) => g.id)
+  );
+  const cambios = await modificadores.ingredientesDeOpciones(
+    db,
+    opciones.map((o) => o.id)
+  );
+
+  return grupos.map((grupo) => ({
+    ...grupo,
+    obligatorio: Number(grupo.min_selecciones) > 0,
+    opciones: opciones
+      .filter((o) => o.grupo_id === grupo.id)
+      .map((opcion) => ({
+        ...opcion,
+        ingredientes: cambios
+          .filter((c) => c.opcion_id === opcion.id)
+          .map(({ opcion_id: _opcionId, ...cambio }) => cambio),
+      })),
+  }));
+}
+
+export async function buscarGrupo(db, id) {
+  const grupo = await modificadores.buscarGrupo(db, id);
+  return grupo ? (await conOpciones(db, [grupo]))[0] : null;
+}
+
+/**
+ * Fila de la opción con sus cambios de receta ("ingrediente_id:cantidad"),
+ * para la auditoría.
+ */
+async function opcionAuditable(db, id) {
+  const fila = await filaAuditable(db, 'modificador_opciones', id);
+  const cambios = await modificadores.ingredientesDeOpciones(db, [id]);
+  return {
+    ...fila,
+    ingredientes: cambios.map((c) => `${c.ingrediente_id}:${Number(c.cantidad)}`),
+  };
+}
+
+/**
+ * Deja las opciones del grupo como en `opciones`: las que traen `id` se
+ * actualizan, las que no se crean y las que faltan se eliminan. Cada cambio
+ * queda en la auditoría. Lanza un 422 si un id no es del grupo o si algún
+ * ingrediente no existe.
+ */
+export async function guardarOpciones(conn, grupoId, opciones, usuarioId) {
+  const actuales = await modificadores.opcionesDeGrupos(conn, [grupoId]);
+  const porId = new Map(actuales.map((o) => [o.id, o]));
+
+  const ingredienteIds = opciones.flatMap((o) => (o.ingredientes ?? []).map((l) => l.ingrediente_id));
+  const activos = await ingredientes.idsActivos(conn, [...new Set(ingredienteIds)]);
+
+  const errors = [];
+  opciones.forEach((opcion, i) => {
+    if (opcion.id !== undefined && !porId.has(opcion.id)) {
+      errors.push({ path: `opciones[${i}].id`, msg: 'La opción no es de este grupo' });
+    }
+    (opcion.ingredientes ?? []).forEach((linea, j) => {
+      if (!activos.has(linea.ingrediente_id)) {
+        errors.push({
+          path: `opciones[${i}].ingredientes[${j}].ingrediente_id`,
+          msg: 'El ingrediente no existe',
+        });
+      }
+    });
+  });
+  if (errors.length > 0) {
+    throw new HttpError(422, 'Hay opciones o ingredientes que no existen', {
+      code: 'REFERENCIA_INEXISTENTE',
+      errors,
+    });
+  }
+
+  const auditar = (entidadId, accion, antes, despues) =>
+    registrarAuditoria(conn, {
+      entidad: 'modificador_opciones',
+      entidadId,
+      accion,
+      usuarioId,
+      antes,
+      despues,
+    });
+
+  const conservadas = new Set(opciones.map((o) => o.id).filter((id) => id !== undefined));
+  for (const actual of actuales) {
+    if (!conservadas.has(actual.id)) {
+      const antes = await opcionAuditable(conn, actual.id);
+      await modificadores.eliminarOpcion(conn, actual.id);
+      await auditar(actual.id, 'eliminar', antes, null);
+    }
+  }
+
+  for (const opcion of opciones) {
+    const datos = { nombre: opcion.nombre };
+    if (opcion.precio_delta !== undefined) datos.precio_delta = opcion.precio_delta;
+
+    if (opcion.id === undefined) {
+      const id = await modificadores.crearOpcion(conn, { grupo_id: grupoId, ...datos });
+      await modificadores.asignarIngredientes(conn, id, opcion.ingredientes ?? []);
+      await auditar(id, 'crear', null, await opcionAuditable(conn, id));
+    } else {
+      const antes = await opcionAuditable(conn, opcion.id);
+      await modificadores.actualizarOpcion(conn, opcion.id, datos);
+      if (opcion.ingredientes !== undefined) {
+        await modificadores.asignarIngredientes(conn, opcion.id, opcion.ingredientes);
+      }
+      await auditar(opcion.id, 'actualizar', antes, await opcionAuditable(conn, opcion.id));
+    }
+  }
+}
+
+/**
+ * ?opciones=3,7: ids de opción separados por coma, sin repetir.
+ */
+export const opcionesQueryValidator = query('opciones')
+  .optional()
+  .custom((valor) => {
+    const partes = String(valor).split(',');
+    if (!partes.every((p) => /^\d+$/.test(p.trim()))) {
+      throw new Error('opciones debe ser una lista de ids separados por coma');
+    }
+    if (repetidos(partes.map(Number)).length > 0) {
+      throw new Error('opciones tiene ids repetidos');
+    }
+    return true;
+  });
+
+export function opcionesDeQuery(valor) {
+  return valor === undefined ? [] : String(valor).split(',').map(Number);
+}
+
+/**
+ * Precio final, receta efectiva y alérgenos del producto con las opciones
+ * `opcionIds`. Cada cambio de receta se suma a la cantidad de la receta,
+ * que en un combo incluye la de sus componentes (un ingrediente que no
+ * estaba se agrega), y los que quedan en 0 o menos salen. Con descuentos
+ * (precio_delta negativo) el precio no baja de 0. Devuelve null si el
+ * producto no existe; lanza un 422 si la selección no respeta los grupos
+ * del producto.
+ */
+export async function configurar(db, productoId, opcionIds) {
+  const producto = await productos.buscar(db, productoId);
+  if (!producto) return null;
+
+  const grupos = await modificadores.gruposDeProducto(db, productoId);
+  const elegidas = await modificadores.opcionesDeProducto(db, productoId, opcionIds);
+
+  const errors = [];
+  const encontradas = new Set(elegidas.map((o) => o.id));
+  for (const id of opcionIds) {
+    if (!encontradas.has(id)) {
+      errors.push({ path: 'opciones', msg: `La opción ${id} no es de este producto` });
+    }
+  }
+  for (const grupo of grupos) {
+    const n = elegidas.filter((o) => o.grupo_id === grupo.id).length;
+    const min = Number(grupo.min_selecciones);
+    const max = grupo.max_selecciones === null ? null : Number(grupo.max_selecciones);
+    if (n < min) {
+      errors.push({ path: 'opciones', msg: `${grupo.nombre}: elige al menos ${min}` });
+    }
+    if (max !== null && n > max) {
+      errors.push({ path: 'opciones', msg: `${grupo.nombre}: elige como máximo ${max}` });
+    }
+  }
+  if (errors.length > 0) {
+    throw new HttpError(422, 'La selección no es válida para este producto', {
+      code: 'SELECCION_INVALIDA',
+      errors,
+    });
+  }
+
+  const lineas = new Map();
+  for (const l of await recetaEfectiva(db, productoId)) {
+    lineas.set(l.ingrediente_id, l);
+  }
+  for (const cambio of await modificadores.ingredientesDeOpciones(db, opcionIds)) {
+    const linea = lineas.get(cambio.ingrediente_id) ?? {
+      ingrediente_id: cambio.ingrediente_id,
+      ingrediente: cambio.ingrediente,
+      unidad: cambio.unidad,
+      cantidad: 0,
+    };
+    linea.cantidad += Number(cambio.cantidad);
+    lineas.set(cambio.ingrediente_id, linea);
+  }
+
+  const receta = [...lineas.values()]
+    .map((l) => ({ ...l, cantidad: round(l.cantidad, 3) }))
+    .filter((l) => l.cantidad > 0)
+    .sort((a, b) => a.ingrediente.localeCompare(b.ingrediente));
+
+  const precioBase = Number(producto.precio);
+  const extra = elegidas.reduce((sum, o) => sum + Number(o.precio_delta), 0);
+
+  return {
+    producto_id: producto.id,
+    producto: producto.nombre,
+    precio_base: precioBase,
+    precio: round(Math.max(precioBase + extra, 0), 2),
+    opciones: elegidas.map((o) => ({
+      id: o.id,
+      grupo_id: o.grupo_id,
+      grupo: o.grupo,
+      nombre: o.nombre,
+      precio_delta: Number(o.precio_delta),
+    })),
+    ingredientes: receta,
+    alergenos: await alergenos.deIngredientes(
+      db,
+      receta.map((l) => l.ingrediente_id)
+    ),
+  };
+}
@@ -0,0 +1,422 @@
+// routes/modificadores.routes.js
+import { Router } from 'express';
+import { param } from 'express-validator';
+import { getPool, withTransaction } from '../config/db.js';
+import { handleValidation } from './validators.js';
+import { requireRole } from './auth.js';
+import { registrarAuditoria } from './auditoria.js';
+import {
+  TABLAS_MODIFICADORES,
+  grupoValidators,
+  resolverReglas,
+  buscarGrupo,
+  guardarOpciones,
+} from './modificadores.js';
+import {
+  etagDe,
+  ifMatchRequerido,
+  cumpleIfMatch,
+  precondicionFallida,
+} from './concurrencia.js';
+import { cachePrivada, condicional, invalidarAlEscribir } from './cache.js';
+import { filaAuditable } from '../repositories/auditoria.js';
+import * as modificadores from '../repositories/modificadores.js';
+import * as productos from '../repositories/productos.js';
+
+const router = Router();
+
+router.use(cachePrivada, invalidarAlEscribir(...TABLAS_MODIFICADORES));
+
+/**
+ * @swagger
+ * tags:
+ *   name: Modificadores
+ *   description: Grupos de opciones de un producto (tamaño, extras, ingredientes que se quitan)
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ModificadorOpcion:
+ *       type: object
+ *       required: [nombre]
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: En un PUT, las opciones con id se actualizan, las nuevas van sin id y las que no vienen se eliminan.
+ *         nombre:
+ *           type: string
+ *           example: Queso extra
+ *         precio_delta:
+ *           type: number
+ *           example: 8
+ *           description: Lo que suma (o resta, si es negativo) al precio del producto; el precio final no baja de 0
+ *         ingredientes:
+ *           type: array
+ *           description: >
+ *             Cambios a la receta del producto. Una cantidad positiva agrega y
+ *             una negativa quita; un ingrediente que no está en la receta se
+ *             agrega.
+ *           items:
+ *             type: object
+ *             required: [ingrediente_id, cantidad]
+ *             properties:
+ *               ingrediente_id:
+ *                 type: integer
+ *               ingrediente:
+ *                 type: string
+ *                 readOnly: true
+ *               unidad:
+ *                 type: string
+ *                 readOnly: true
+ *               cantidad:
+ *                 type: number
+ *                 example: 0.03
+ *     ModificadorGrupo:
+ *       type: object
+ *       required: [producto_id, nombre, tipo, opciones]
+ *       properties:
+ *         id:
+ *           type: integer
+ *           readOnly: true
+ *         producto_id:
+ *           type: integer
+ *           description: No se puede cambiar en un PUT
+ *         nombre:
+ *           type: string
+ *           example: Extras
+ *         tipo:
+ *           type: string
+ *           enum: [unica, multiple]
+ *           description: En un grupo `unica` se elige como máximo una opción
+ *         obligatorio:
+ *           type: boolean
+ *           description: Atajo para min_selecciones 1 (true) o 0 (false)
+ *         min_selecciones:
+ *           type: integer
+ *           minimum: 0
+ *         max_selecciones:
+ *           type: integer
+ *           nullable: true
+ *           minimum: 1
+ *           description: null es sin límite; en un grupo `unica` es siempre 1
+ *         opciones:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ModificadorOpcion'
+ */
+
+function grupoNoEncontrado(res) {
+  return res.status(404).json({ ok: false, message: 'Grupo de modificadores no encontrado' });
+}
+
+/**
+ * @swagger
+ * /api/modificadores/{id}:
+ *   get:
+ *     summary: Obtiene un grupo de modificadores con sus opciones
+ *     tags: [Modificadores]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: ID del grupo
+ *       - $ref: '#/components/parameters/IfNoneMatch'
+ *       - $ref: '#/components/parameters/IfModifiedSince'
+ *     responses:
+ *       200:
+ *         description: Grupo encontrado
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *           Last-Modified:
+ *             $ref: '#/components/headers/LastModified'
+ *           Cache-Control:
+ *             $ref: '#/components/headers/CacheControl'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ModificadorGrupo'
+ *       304:
+ *         $ref: '#/components/responses/NoModificado'
+ *       404:
+ *         description: Grupo no encontrado
+ */
+router.get(
+  '/:id',
+  condicional(...TABLAS_MODIFICADORES, 'ingredientes'),
+  param('id').isInt(),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const grupo = await buscarGrupo(await getPool(), req.params.id);
+      if (!grupo) return grupoNoEncontrado(res);
+
+      res.set('ETag', etagDe(grupo));
+      res.json({ ok: true, message: 'Consulta realizada correctamente', data: grupo });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+
+/**
+ * @swagger
+ * /api/modificadores:
+ *   post:
+ *     summary: Crea un grupo de modificadores con sus opciones
+ *     tags: [Modificadores]
+ *     description: "Requiere rol: admin"
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ModificadorGrupo'
+ *           example:
+ *             producto_id: 1
+ *             nombre: Extras
+ *             tipo: multiple
+ *             max_selecciones: 3
+ *             opciones:
+ *               - nombre: Queso extra
+ *                 precio_delta: 8
+ *                 ingredientes: [{ ingrediente_id: 4, cantidad: 0.03 }]
+ *               - nombre: Sin cebolla
+ *                 ingredientes: [{ ingrediente_id: 6, cantidad: -0.02 }]
+ *     responses:
+ *       201:
+ *         description: Grupo creado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ModificadorGrupo'
+ *       400:
+ *         description: Datos inválidos o límites de selección incoherentes
+ *       401:
+ *         $ref: '#/components/responses/NoAutenticado'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
+ *       409:
+ *         $ref: '#/components/responses/Duplicado'
+ *       422:
+ *         description: El producto o algún ingrediente no existe
+ */
+router.post(
+  '/',
+  ...requireRole('admin'),
+  ...grupoValidators({ crear: true }),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const { producto_id: productoId, nombre, opciones } = req.body;
+      const reglas = resolverReglas(req.body, null, opciones.length);
+
+      const result = await withTransaction(async (conn) => {
+        if (!(await productos.buscar(conn, productoId))) {
+          return { status: 422, message: 'El producto no existe' };
+        }
+
+        const id = await modificadores.crearGrupo(conn, {
+          producto_id: productoId,
+          nombre,
+          ...reglas,
+        });
+        await registrarAuditoria(conn, {
+          entidad: 'modificador_grupos',
+          entidadId: id,
+          accion: 'crear',
+          usuarioId: req.user.id,
+          despues: await filaAuditable(conn, 'modificador_grupos', id),
+        });
+        await guardarOpciones(conn, id, opciones, req.user.id);
+
+        return { status: 201, data: await buscarGrupo(conn, id) };
+      });
+
+      if (result.status !== 201) {
+        return res.status(result.status).json({ ok: false, message: result.message });
+      }
+      res.status(201).json({ ok: true, message: 'Grupo de modificadores creado', data: result.data });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+
+/**
+ * @swagger
+ * /api/modificadores/{id}:
+ *   put:
+ *     summary: Actualiza un grupo de modificadores y, si vienen, sus opciones
+ *     tags: [Modificadores]
+ *     description: >
+ *       Requiere rol: admin. Con `opciones`, el grupo queda con exactamente
+ *       esas opciones. Los límites de selección se revisan contra el grupo
+ *       resultante.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: ID del grupo
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ModificadorGrupo'
+ *     responses:
+ *       200:
+ *         description: Grupo actualizado
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ModificadorGrupo'
+ *       400:
+ *         description: Datos inválidos o límites de selección incoherentes
+ *       404:
+ *         description: Grupo no encontrado
+ *       409:
+ *         $ref: '#/components/responses/Duplicado'
+ *       412:
+ *         $ref: '#/components/responses/PrecondicionFallida'
+ *       422:
+ *         description: Alguna opción no es del grupo o algún ingrediente no existe
+ *       428:
+ *         $ref: '#/components/responses/IfMatchRequerido'
+ *       401:
+ *         $ref: '#/components/responses/NoAutenticado'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
+ */
+router.put(
+  '/:id',
+  ...requireRole('admin'),
+  ifMatchRequerido,
+  param('id').isInt(),
+  ...grupoValidators({ crear: false }),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const id = req.params.id;
+      const campos = ['nombre', 'tipo', 'obligatorio', 'min_selecciones', 'max_selecciones'];
+      if (!campos.some((c) => req.body[c] !== undefined) && req.body.opciones === undefined) {
+        return res.status(400).json({ ok: false, message: 'Nada para actualizar' });
+      }
+
+      const result = await withTransaction(async (conn) => {
+        const antes = await filaAuditable(conn, 'modificador_grupos', id, { bloquear: true });
+        if (!antes) return null;
+
+        const actual = await buscarGrupo(conn, id);
+        if (!cumpleIfMatch(req, actual)) return { status: 412, data: actual };
+
+        const numOpciones = req.body.opciones?.length ?? actual.opciones.length;
+        const cambios = resolverReglas(req.body, antes, numOpciones);
+        if (req.body.nombre !== undefined) cambios.nombre = req.body.nombre;
+
+        await modificadores.actualizarGrupo(conn, id, cambios);
+        await registrarAuditoria(conn, {
+          entidad: 'modificador_grupos',
+          entidadId: id,
+          accion: 'actualizar',
+          usuarioId: req.user.id,
+          antes,
+          despues: await filaAuditable(conn, 'modificador_grupos', id),
+        });
+        if (req.body.opciones !== undefined) {
+          await guardarOpciones(conn, antes.id, req.body.opciones, req.user.id);
+        }
+
+        return { status: 200, data: await buscarGrupo(conn, id) };
+      });
+
+      if (!result) return grupoNoEncontrado(res);
+
+      res.set('ETag', etagDe(result.data));
+      if (result.status === 412) {
+        return res.status(412).json(precondicionFallida(result.data));
+      }
+
+      res.json({ ok: true, message: 'Grupo de modificadores actualizado', data: result.data });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+
+/**
+ * @swagger
+ * /api/modificadores/{id}:
+ *   delete:
+ *     summary: Elimina un grupo de modificadores con sus opciones
+ *     tags: [Modificadores]
+ *     description: "Requiere rol: admin. El borrado es definitivo."
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: ID del grupo
+ *     responses:
+ *       200:
+ *         description: Grupo eliminado
+ *       404:
+ *         description: Grupo no encontrado
+ *       401:
+ *         $ref: '#/components/responses/NoAutenticado'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
+ */
+router.delete(
+  '/:id',
+  ...requireRole('admin'),
+  param('id').isInt(),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const id = req.params.id;
+
+      const eliminado = await withTransaction(async (conn) => {
+        const antes = await filaAuditable(conn, 'modificador_grupos', id, { bloquear: true });
+        if (!antes) return false;
+
+        await modificadores.eliminarGrupo(conn, id);
+        await registrarAuditoria(conn, {
+          entidad: 'modificador_grupos',
+          entidadId: id,
+          accion: 'eliminar',
+          usuarioId: req.user.id,
+          antes,
+        });
+        return true;
+      });
+
+      if (!eliminado) return grupoNoEncontrado(res);
+      res.json({ ok: true, message: 'Grupo de modificadores eliminado' });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,49 @@
+// routes/papelera.js
+import { query } from 'express-validator';
+import { registrarAuditoria } from './auditoria.js';
+import * as papelera from '../repositories/papelera.js';
+
+export const incluirEliminadosValidator = query('incluir_eliminados').optional().isBoolean();
+
+export function incluirEliminados(req) {
+  return req.query.incluir_eliminados === 'true' || req.query.incluir_eliminados === '1';
+}
+
+/**
+ * Borra definitivamente las filas eliminadas hace más de `dias` días.
+ * Va en orden productos → ingredientes → categorías para que las recetas
+ * de los productos purgados no frenen a sus ingredientes. Las filas que
+ * siguen referenciadas (productos con pedidos, ingredientes en recetas de
+ * productos eliminados que se conservan, categorías con productos) se
+ * dejan en la papelera y se informan como omitidas. Cada fila purgada
+ * queda en la auditoría con su último estado. `imagenes` son los archivos
+ * de los productos purgados, para borrarlos una vez hecho el commit.
+ */
+export async function purgarEliminados(conn, dias, usuarioId = null) {
+  const limite = await papelera.fechaLimite(conn, dias);
+
+  const eliminados = {};
+  const omitidos = {};
+  let imagenes = [];
+
+  for (const tabla of ['productos', 'ingredientes', 'categorias']) {
+    const { rows, omitidas } = await papelera.purgables(conn, tabla, limite);
+    const ids = rows.map((row) => row.id);
+
+    await papelera.borrar(conn, tabla, ids);
+    for (const row of rows) {
+      await registrarAuditoria(conn, {
+        entidad: tabla,
+        entidadId: row.id,
+        accion: 'purgar',
+        usuarioId,
+        antes: row,
+      });
+    }
+    eliminados[tabla] = ids.length;
+    omitidos[tabla] = omitidas;
+    if (tabla === 'productos') imagenes = rows.map((row) => row.imagen).filter(Boolean);
+  }
+
+  return { limite, eliminados, omitidos, imagenes };
+}
@@ -0,0 +1,121 @@
+// routes/papelera.routes.js
+import { Router } from 'express';
+import { body } from 'express-validator';
+import { withTransaction } from '../config/db.js';
+import { handleValidation } from './validators.js';
+import { requireRole } from './auth.js';
+import { purgarEliminados } from './papelera.js';
+import { descartarImagenes } from './imagenes.js';
+import { invalidarAlEscribir } from './cache.js';
+import { TABLAS_MODIFICADORES } from './modificadores.js';
+
+const router = Router();
+
+// Purgar un producto se lleva en cascada sus componentes de combo y sus
+// modificadores
+router.use(
+  invalidarAlEscribir(
+    'categorias',
+    'productos',
+    'ingredientes',
+    'producto_ingrediente',
+    'combo_componentes',
+    ...TABLAS_MODIFICADORES
+  )
+);
+
+const DIAS_POR_DEFECTO = 30;
+
+/**
+ * @swagger
+ * tags:
+ *   name: Papelera
+ *   description: Categorías, productos e ingredientes eliminados
+ */
+
+/**
+ * @swagger
+ * /api/papelera/purgar:
+ *   post:
+ *     summary: Borra definitivamente lo eliminado hace más de N días
+ *     description: >
+ *       Requiere rol: admin. Purga categorías, productos e ingredientes con
+ *       `deleted_at` anterior a hoy menos `dias`. Lo que todavía está
+ *       referenciado (productos con pedidos, categorías con productos,
+ *       ingredientes usados en recetas) se conserva y se informa en `omitidos`.
+ *     tags: [Papelera]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               dias:
+ *                 type: integer
+ *                 minimum: 0
+ *                 default: 30
+ *     responses:
+ *       200:
+ *         description: Resultado de la purga
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 ok:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     dias:
+ *                       type: integer
+ *                       example: 30
+ *                     limite:
+ *                       type: string
+ *                       description: Se purgó lo eliminado antes de esta fecha
+ *                     eliminados:
+ *                       $ref: '#/components/schemas/ConteoPapelera'
+ *                     omitidos:
+ *                       $ref: '#/components/schemas/ConteoPapelera'
+ *       401:
+ *         $ref: '#/components/responses/NoAutenticado'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
+ *
+ * components:
+ *   schemas:
+ *     ConteoPapelera:
+ *       type: object
+ *       properties:
+ *         productos:
+ *           type: integer
+ *         ingredientes:
+ *           type: integer
+ *         categorias:
+ *           type: integer
+ */
+router.post(
+  '/purgar',
+  ...requireRole('admin'),
+  body('dias').optional().isInt({ min: 0 }).withMessage('dias debe ser un entero >= 0'),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const dias = Number(req.body.dias ?? DIAS_POR_DEFECTO);
+      const { imagenes, ...resultado } = await withTransaction((conn) =>
+        purgarEliminados(conn, dias, req.user.id)
+      );
+      await descartarImagenes(imagenes);
+
+      res.json({ ok: true, message: 'Papelera purgada', data: { dias, ...resultado } });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+export default router;
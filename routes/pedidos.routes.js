@@ -0,0 +1,499 @@
+// routes/pedidos.routes.js
+import { Router } from 'express';
+import { body, param } from 'express-validator';
+import { getPool, withTransaction } from '../config/db.js';
+import { handleValidation } from './validators.js';
+import { requireRole } from './auth.js';
+import { listValidators, pageMeta } from './listing.js';
+import { formatDisponibilidad } from './disponibilidad.js';
+import * as pedidos from '../repositories/pedidos.js';
+import * as productos from '../repositories/productos.js';
+
+const router = Router();
+
+const { ESTADOS } = pedidos;
+
+// Estado actual -> estados a los que puede pasar
+const TRANSICIONES = {
+  pendiente: ['en_preparacion', 'cancelado'],
+  en_preparacion: ['listo', 'cancelado'],
+  listo: ['entregado', 'cancelado'],
+  entregado: [],
+  cancelado: [],
+};
+
+const STAFF = ['admin', 'cocina', 'mesero'];
+
+/**
+ * @swagger
+ * tags:
+ *   name: Pedidos
+ *   description: Toma de pedidos y su flujo de estados
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PedidoItem:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         producto_id:
+ *           type: integer
+ *         producto_nombre:
+ *           type: string
+ *           description: Nombre del producto al momento del pedido
+ *         precio_unitario:
+ *           type: number
+ *           description: Precio del producto al momento del pedido
+ *         cantidad:
+ *           type: integer
+ *         subtotal:
+ *           type: number
+ *         notas:
+ *           type: string
+ *     Pedido:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         estado:
+ *           type: string
+ *           enum: [pendiente, en_preparacion, listo, entregado, cancelado]
+ *         mesa:
+ *           type: string
+ *         cliente:
+ *           type: string
+ *         notas:
+ *           type: string
+ *         total:
+ *           type: number
+ *         motivo_cancelacion:
+ *           type: string
+ *         items:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/PedidoItem'
+ */
+
+/**
+ * @swagger
+ * /api/pedidos:
+ *   get:
+ *     summary: Lista pedidos por estado y rango de fechas
+ *     description: "Requiere rol: admin, cocina, mesero. No incluye las líneas; usar GET /api/pedidos/{id}."
+ *     tags: [Pedidos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - in: query
+ *         name: estado
+ *         schema:
+ *           type: string
+ *           enum: [pendiente, en_preparacion, listo, entregado, cancelado]
+ *       - in: query
+ *         name: mesa
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: desde
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Fecha de creación mínima (inclusive)
+ *       - in: query
+ *         name: hasta
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Fecha de creación máxima (inclusive, todo el día)
+ *     responses:
+ *       200:
+ *         description: Listado de pedidos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 ok:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Pedido'
+ *                 meta:
+ *                   $ref: '#/components/schemas/PageMeta'
+ *       401:
+ *         $ref: '#/components/responses/NoAutenticado'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
+ */
+router.get(
+  '/',
+  ...requireRole(...STAFF),
+  listValidators(pedidos.LISTADO),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const { rows, total, pagination } = await pedidos.listar(await getPool(), req.query);
+
+      res.json({
+        ok: true,
+        message: 'Consulta realizada correctamente',
+        data: rows,
+        meta: pageMeta(total, pagination),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+
+/**
+ * @swagger
+ * /api/pedidos/{id}:
+ *   get:
+ *     summary: Obtiene un pedido con sus líneas
+ *     description: "Requiere rol: admin, cocina, mesero"
+ *     tags: [Pedidos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Pedido encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Pedido'
+ *       404:
+ *         description: Pedido no encontrado
+ *       401:
+ *         $ref: '#/components/responses/NoAutenticado'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
+ */
+router.get(
+  '/:id',
+  ...requireRole(...STAFF),
+  param('id').isInt(),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const pedido = await pedidos.buscar(await getPool(), req.params.id);
+      if (!pedido) {
+        return res.status(404).json({ ok: false, message: 'Pedido no encontrado' });
+      }
+      res.json({ ok: true, message: 'Consulta realizada correctamente', data: pedido });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+
+/**
+ * @swagger
+ * /api/pedidos:
+ *   post:
+ *     summary: Crea un pedido
+ *     description: >
+ *       Requiere rol: admin, mesero. Cada línea copia el nombre y el precio
+ *       vigentes del producto. Se rechaza el pedido si algún producto no
+ *       existe o no está disponible.
+ *     tags: [Pedidos]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [items]
+ *             properties:
+ *               mesa:
+ *                 type: string
+ *                 example: "4"
+ *               cliente:
+ *                 type: string
+ *               notas:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 minItems: 1
+ *                 items:
+ *                   type: object
+ *                   required: [producto_id, cantidad]
+ *                   properties:
+ *                     producto_id:
+ *                       type: integer
+ *                       example: 10
+ *                     cantidad:
+ *                       type: integer
+ *                       example: 2
+ *                     notas:
+ *                       type: string
+ *                       example: Sin cebolla
+ *     responses:
+ *       201:
+ *         description: Pedido creado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Pedido'
+ *       422:
+ *         description: Algún producto no existe o no está disponible
+ *       401:
+ *         $ref: '#/components/responses/NoAutenticado'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
+ */
+router.post(
+  '/',
+  ...requireRole('admin', 'mesero'),
+  body('mesa').optional({ values: 'null' }).isString().isLength({ max: 20 }),
+  body('cliente').optional({ values: 'null' }).isString().isLength({ max: 100 }),
+  body('notas').optional({ values: 'null' }).isString(),
+  body('items').isArray({ min: 1 }).withMessage('El pedido debe tener al menos un item'),
+  body('items.*.producto_id').isInt(),
+  body('items.*.cantidad').isInt({ min: 1 }),
+  body('items.*.notas').optional({ values: 'null' }).isString().isLength({ max: 255 }),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const { mesa, cliente, notas, items } = req.body;
+
+      const pedido = await withTransaction(async (conn) => {
+        const ids = [...new Set(items.map((item) => item.producto_id))];
+        const encontrados = await productos.paraPedido(conn, ids);
+        const byId = new Map(encontrados.map((p) => [p.id, formatDisponibilidad(p)]));
+
+        const errors = [];
+        items.forEach((item, i) => {
+          const producto = byId.get(Number(item.producto_id));
+          if (!producto) {
+            errors.push({ path: `items[${i}].producto_id`, msg: 'El producto no existe' });
+          } else if (!producto.disponible) {
+            errors.push({
+              path: `items[${i}].producto_id`,
+              msg: producto.motivo_no_disponible
+                ? `${producto.nombre} no está disponible (${producto.motivo_no_disponible})`
+                : `${producto.nombre} no está disponible`,
+            });
+          }
+        });
+        if (errors.length > 0) {
+          return { errors };
+        }
+
+        const lineas = items.map((item) => {
+          const producto = byId.get(Number(item.producto_id));
+          const precio = Number(producto.precio);
+          return {
+            producto_id: producto.id,
+            producto_nombre: producto.nombre,
+            precio_unitario: precio,
+            cantidad: item.cantidad,
+            subtotal: Math.round(precio * item.cantidad * 100) / 100,
+            notas: item.notas ?? null,
+          };
+        });
+        const total = lineas.reduce((sum, l) => sum + l.subtotal, 0);
+
+        const id = await pedidos.crear(
+          conn,
+          { mesa: mesa ?? null, cliente: cliente ?? null, notas: notas ?? null, total },
+          lineas
+        );
+
+        return { pedido: await pedidos.buscar(conn, id) };
+      });
+
+      if (pedido.errors) {
+        return res.status(422).json({
+          ok: false,
+          message: 'Hay productos que no se pueden pedir',
+          errors: pedido.errors,
+        });
+      }
+
+      res.status(201).json({ ok: true, message: 'Pedido creado', data: pedido.pedido });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+
+/**
+ * Cambia el estado validando la transición. El UPDATE compara contra el
+ * estado leído para no pisar un cambio concurrente.
+ */
+async function cambiarEstado(id, nuevo, extra = {}) {
+  const pool = await getPool();
+  const actual = await pedidos.estado(pool, id);
+  if (!actual) {
+    return { status: 404, body: { ok: false, message: 'Pedido no encontrado' } };
+  }
+
+  if (!TRANSICIONES[actual].includes(nuevo)) {
+    return {
+      status: 409,
+      body: {
+        ok: false,
+        message: `No se puede pasar de ${actual} a ${nuevo}`,
+        permitidos: TRANSICIONES[actual],
+      },
+    };
+  }
+
+  const cambiados = await pedidos.cambiarEstado(pool, id, actual, nuevo, extra);
+  if (cambiados === 0) {
+    return {
+      status: 409,
+      body: { ok: false, message: 'El pedido cambió de estado mientras se actualizaba' },
+    };
+  }
+
+  return {
+    status: 200,
+    body: { ok: true, message: 'Estado actualizado', data: await pedidos.buscar(pool, id) },
+  };
+}
+
+/**
+ * @swagger
+ * /api/pedidos/{id}/estado:
+ *   patch:
+ *     summary: Avanza el estado de un pedido
+ *     description: >
+ *       Requiere rol: admin, cocina, mesero.
+ *       Transiciones válidas: pendiente → en_preparacion → listo → entregado;
+ *       pendiente, en_preparacion y listo también pueden pasar a cancelado.
+ *     tags: [Pedidos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [estado]
+ *             properties:
+ *               estado:
+ *                 type: string
+ *                 enum: [en_preparacion, listo, entregado, cancelado]
+ *     responses:
+ *       200:
+ *         description: Estado actualizado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Pedido'
+ *       404:
+ *         description: Pedido no encontrado
+ *       409:
+ *         description: Transición no permitida desde el estado actual
+ *       401:
+ *         $ref: '#/components/responses/NoAutenticado'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
+ */
+router.patch(
+  '/:id/estado',
+  ...requireRole(...STAFF),
+  param('id').isInt(),
+  body('estado').isIn(ESTADOS),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const { status, body: payload } = await cambiarEstado(req.params.id, req.body.estado);
+      res.status(status).json(payload);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+
+/**
+ * @swagger
+ * /api/pedidos/{id}/cancelar:
+ *   post:
+ *     summary: Cancela un pedido
+ *     description: "Requiere rol: admin, mesero. Solo pedidos que todavía no fueron entregados."
+ *     tags: [Pedidos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               motivo:
+ *                 type: string
+ *                 example: El cliente se retiró
+ *     responses:
+ *       200:
+ *         description: Pedido cancelado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Pedido'
+ *       404:
+ *         description: Pedido no encontrado
+ *       409:
+ *         description: El pedido ya fue entregado o cancelado
+ *       401:
+ *         $ref: '#/components/responses/NoAutenticado'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
+ */
+router.post(
+  '/:id/cancelar',
+  ...requireRole('admin', 'mesero'),
+  param('id').isInt(),
+  body('motivo').optional({ values: 'null' }).isString().isLength({ max: 255 }),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const { status, body: payload } = await cambiarEstado(req.params.id, 'cancelado', {
+        motivo_cancelacion: req.body?.motivo ?? null,
+      });
+      if (status === 200) payload.message = 'Pedido cancelado';
+      res.status(status).json(payload);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+export default router;
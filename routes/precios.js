@@ -0,0 +1,56 @@
+// routes/precios.js
+//
+// Precios programados. Un precio a futuro cambia lo que devuelven los GET
+// del catálogo sin que nadie escriba en ese momento, así que la caché tiene
+// que saber cuándo entra en vigor cada uno (programarCambio).
+import { body } from 'express-validator';
+import { getPool } from '../config/db.js';
+import { programarCambio } from './cache.js';
+import * as precios from '../repositories/precios.js';
+
+/**
+ * MySQL y SQL Server devuelven un Date; SQLite, el texto UTC de
+ * CURRENT_TIMESTAMP.
+ */
+function aFecha(valor) {
+  if (valor instanceof Date) return valor;
+  return new Date(`${String(valor).replace(' ', 'T')}Z`);
+}
+
+let cargados = null;
+
+/**
+ * Para router.use en los routers que leen precios: la primera vez anota en
+ * la caché los precios programados que ya estaban en la base (los de antes
+ * de arrancar el proceso).
+ */
+export function preciosProgramados(_req, _res, next) {
+  cargados ??= getPool()
+    .then((db) => precios.fechasProgramadas(db))
+    .then((fechas) => {
+      for (const fecha of fechas) programarCambio('producto_precios', aFecha(fecha));
+    })
+    .catch((err) => {
+      cargados = null;
+      throw err;
+    });
+
+  cargados.then(() => next(), next);
+}
+
+/**
+ * `vigente_desde` de un precio programado: fecha ISO 8601 en el futuro. Se
+ * recorta a segundos, que es lo que guardan las tres bases.
+ */
+export const vigenteDesdeValidator = body('vigente_desde')
+  .isISO8601({ strict: true })
+  .withMessage('vigente_desde debe ser una fecha y hora ISO 8601')
+  .bail()
+  .toDate()
+  .custom((fecha) => {
+    if (fecha.getTime() <= Date.now()) {
+      throw new Error('vigente_desde debe ser una fecha futura; para cambiar el precio ahora usa PUT');
+    }
+    return true;
+  })
+  .customSanitizer((fecha) => new Date(Math.floor(fecha.getTime() / 1000) * 1000));
@@ -1,11 +1,28 @@
 // routes/producto_ingrediente.routes.js
 import { Router } from 'express';
 import { body, param } from 'express-validator';
-import { getPool } from '../config/db.js';
+import { getPool, withTransaction } from '../config/db.js';
 import { handleValidation } from './validators.js';
+import { requireRole } from './auth.js';
+import { listValidators, pageMeta } from './listing.js';
+import { registrarAuditoria } from './auditoria.js';
+import {
+  etagDe,
+  ifMatchRequerido,
+  cumpleIfMatch,
+  precondicionFallida,
+} from './concurrencia.js';
+import { cachePrivada, condicional, invalidarAlEscribir, listadoEnCache } from './cache.js';
+import { filaAuditable } from '../repositories/auditoria.js';
+import * as productoIngrediente from '../repositories/producto_ingrediente.js';
 
 const router = Router();
 
+// Las filas traen los nombres del producto y del ingrediente
+const TABLAS_LEIDAS = ['producto_ingrediente', 'productos', 'ingredientes'];
+
+router.use(cachePrivada, invalidarAlEscribir('producto_ingrediente'));
+
 /**
  * @swagger
  * tags:
@@ -17,41 +34,78 @@ const router = Router();
  * @swagger
  * /api/producto-ingrediente:
  *   get:
- *     summary: Lista todas las relaciones producto-ingrediente
+ *     summary: Lista relaciones producto-ingrediente con filtros, orden y paginación
+ *     description: Sin `page` ni `limit` se devuelven todos los registros que cumplan los filtros.
  *     tags: [ProductoIngrediente]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - in: query
+ *         name: producto_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: ingrediente_id
+ *         schema:
+ *           type: integer
+ *       - $ref: '#/components/parameters/IfNoneMatch'
+ *       - $ref: '#/components/parameters/IfModifiedSince'
  *     responses:
  *       200:
  *         description: Listado de relaciones
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *           Last-Modified:
+ *             $ref: '#/components/headers/LastModified'
+ *           Cache-Control:
+ *             $ref: '#/components/headers/CacheControl'
+ *           X-Cache:
+ *             $ref: '#/components/headers/XCache'
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/ProductoIngrediente'
+ *               type: object
+ *               properties:
+ *                 ok:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ProductoIngrediente'
+ *                 meta:
+ *                   $ref: '#/components/schemas/PageMeta'
+ *       304:
+ *         $ref: '#/components/responses/NoModificado'
+ *       400:
+ *         description: Parámetros de consulta inválidos
  */
-router.get('/', async (_req, res) => {
-  try {
-    const pool = await getPool();
-    const [rows] = await pool.query(`
-      SELECT pi.id,
-             pi.producto_id,
-             p.nombre AS producto,
-             pi.ingrediente_id,
-             i.nombre AS ingrediente,
-             pi.cantidad_usada,
-             pi.created_at,
-             pi.updated_at
-      FROM producto_ingrediente pi
-      JOIN productos p ON pi.producto_id = p.id
-      JOIN ingredientes i ON pi.ingrediente_id = i.id
-      ORDER BY pi.id DESC
-    `);
-    res.json({ ok: true, message: 'Consulta realizada correctamente', data: rows });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ ok: false, message: 'Error listando relaciones' });
+router.get(
+  '/',
+  listadoEnCache(...TABLAS_LEIDAS),
+  listValidators(productoIngrediente.LISTADO),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const { rows, total, pagination } = await productoIngrediente.listar(
+        await getPool(),
+        req.query
+      );
+
+      res.json({
+        ok: true,
+        message: 'Consulta realizada correctamente',
+        data: rows,
+        meta: pageMeta(total, pagination),
+      });
+    } catch (err) {
+      next(err);
+    }
   }
-});
+);
 
 
 /**
@@ -67,49 +121,46 @@ router.get('/', async (_req, res) => {
  *           type: integer
  *         required: true
  *         description: ID de la relación
+ *       - $ref: '#/components/parameters/IfNoneMatch'
+ *       - $ref: '#/components/parameters/IfModifiedSince'
  *     responses:
  *       200:
  *         description: Relación encontrada
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *           Last-Modified:
+ *             $ref: '#/components/headers/LastModified'
+ *           Cache-Control:
+ *             $ref: '#/components/headers/CacheControl'
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ProductoIngrediente'
+ *       304:
+ *         $ref: '#/components/responses/NoModificado'
  *       404:
  *         description: Relación no encontrada
  */
 router.get(
   '/:id',
+  condicional(...TABLAS_LEIDAS),
   param('id').isInt(),
   handleValidation,
-  async (req, res) => {
+  async (req, res, next) => {
     try {
-      const pool = await getPool();
-      const [rows] = await pool.query(
-        `
-        SELECT pi.id,
-               pi.producto_id,
-               p.nombre AS producto,
-               pi.ingrediente_id,
-               i.nombre AS ingrediente,
-               pi.cantidad_usada,
-               pi.created_at,
-               pi.updated_at
-        FROM producto_ingrediente pi
-        JOIN productos p ON pi.producto_id = p.id
-        JOIN ingredientes i ON pi.ingrediente_id = i.id
-        WHERE pi.id = ?
-        `,
-        [req.params.id]
-      );
+      const relacion = await productoIngrediente.buscar(await getPool(), req.params.id, {
+        soloActivos: true,
+      });
 
-      if (rows.length === 0) {
+      if (!relacion) {
         return res.status(404).json({ ok: false, message: 'Relación no encontrada' });
       }
 
-      res.json({ ok: true, message: 'Consulta realizada correctamente', data: rows[0] });
+      res.set('ETag', etagDe(relacion));
+      res.json({ ok: true, message: 'Consulta realizada correctamente', data: relacion });
     } catch (err) {
-      console.error(err);
-      res.status(500).json({ ok: false, message: 'Error obteniendo relación' });
+      next(err);
     }
   }
 );
@@ -121,6 +172,9 @@ router.get(
  *   post:
  *     summary: Crea una nueva relación producto-ingrediente
  *     tags: [ProductoIngrediente]
+ *     description: "Requiere rol: admin, cocina"
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -134,48 +188,43 @@ router.get(
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ProductoIngrediente'
+ *       401:
+ *         $ref: '#/components/responses/NoAutenticado'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
  */
 router.post(
   '/',
+  ...requireRole('admin', 'cocina'),
   body('producto_id').isInt(),
   body('ingrediente_id').isInt(),
   body('cantidad_usada').isFloat({ gt: 0 }),
   handleValidation,
-  async (req, res) => {
+  async (req, res, next) => {
     try {
       const { producto_id, ingrediente_id, cantidad_usada } = req.body;
-      const pool = await getPool();
-
-      const [result] = await pool.query(
-        `
-        INSERT INTO producto_ingrediente (producto_id, ingrediente_id, cantidad_usada)
-        VALUES (?, ?, ?)
-        `,
-        [producto_id, ingrediente_id, cantidad_usada]
-      );
 
-      const [rows] = await pool.query(
-        `
-        SELECT pi.id,
-               pi.producto_id,
-               p.nombre AS producto,
-               pi.ingrediente_id,
-               i.nombre AS ingrediente,
-               pi.cantidad_usada,
-               pi.created_at,
-               pi.updated_at
-        FROM producto_ingrediente pi
-        JOIN productos p ON pi.producto_id = p.id
-        JOIN ingredientes i ON pi.ingrediente_id = i.id
-        WHERE pi.id = ?
-        `,
-        [result.insertId]
-      );
+      const relacion = await withTransaction(async (conn) => {
+        const id = await productoIngrediente.crear(conn, {
+          producto_id,
+          ingrediente_id,
+          cantidad_usada,
+        });
+
+        await registrarAuditoria(conn, {
+          entidad: 'producto_ingrediente',
+          entidadId: id,
+          accion: 'crear',
+          usuarioId: req.user.id,
+          despues: await filaAuditable(conn, 'producto_ingrediente', id),
+        });
+
+        return productoIngrediente.buscar(conn, id);
+      });
 
-      res.status(201).json({ ok: true, message: 'Relación creada', data: rows[0] });
+      res.status(201).json({ ok: true, message: 'Relación creada', data: relacion });
     } catch (err) {
-      console.error(err);
-      res.status(500).json({ ok: false, message: 'Error insertando relación' });
+      next(err);
     }
   }
 );
@@ -187,6 +236,9 @@ router.post(
  *   put:
  *     summary: Actualiza una relación producto-ingrediente
  *     tags: [ProductoIngrediente]
+ *     description: "Requiere rol: admin, cocina"
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -194,6 +246,7 @@ router.post(
  *           type: integer
  *         required: true
  *         description: ID de la relación
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
  *       content:
@@ -203,82 +256,81 @@ router.post(
  *     responses:
  *       200:
  *         description: Relación actualizada
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ProductoIngrediente'
  *       404:
  *         description: Relación no encontrada
+ *       412:
+ *         $ref: '#/components/responses/PrecondicionFallida'
+ *       428:
+ *         $ref: '#/components/responses/IfMatchRequerido'
+ *       401:
+ *         $ref: '#/components/responses/NoAutenticado'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
  */
 router.put(
   '/:id',
+  ...requireRole('admin', 'cocina'),
+  ifMatchRequerido,
   param('id').isInt(),
   body('producto_id').optional().isInt(),
   body('ingrediente_id').optional().isInt(),
   body('cantidad_usada').optional().isFloat({ gt: 0 }),
   handleValidation,
-  async (req, res) => {
+  async (req, res, next) => {
     try {
       const id = req.params.id;
       const bodyData = req.body;
-      const sets = [];
-      const values = [];
+      const cambios = {};
 
-      if (bodyData.producto_id !== undefined) {
-        sets.push('producto_id = ?');
-        values.push(bodyData.producto_id);
-      }
-      if (bodyData.ingrediente_id !== undefined) {
-        sets.push('ingrediente_id = ?');
-        values.push(bodyData.ingrediente_id);
-      }
-      if (bodyData.cantidad_usada !== undefined) {
-        sets.push('cantidad_usada = ?');
-        values.push(bodyData.cantidad_usada);
+      for (const field of ['producto_id', 'ingrediente_id', 'cantidad_usada']) {
+        if (bodyData[field] !== undefined) cambios[field] = bodyData[field];
       }
 
-      if (sets.length === 0) {
+      if (Object.keys(cambios).length === 0) {
         return res.status(400).json({ ok: false, message: 'Nada para actualizar' });
       }
 
-      values.push(id);
+      const result = await withTransaction(async (conn) => {
+        const antes = await filaAuditable(conn, 'producto_ingrediente', id, { bloquear: true });
+        if (!antes) return null;
 
-      const pool = await getPool();
-      const [result] = await pool.query(
-        `
-        UPDATE producto_ingrediente
-        SET ${sets.join(', ')}
-        WHERE id = ?
-        `,
-        values
-      );
+        const actual = await productoIngrediente.buscar(conn, id);
+        if (!cumpleIfMatch(req, actual)) return { status: 412, data: actual };
+
+        await productoIngrediente.actualizar(conn, id, cambios);
 
-      if (result.affectedRows === 0) {
+        const despues = await filaAuditable(conn, 'producto_ingrediente', id);
+        await registrarAuditoria(conn, {
+          entidad: 'producto_ingrediente',
+          entidadId: id,
+          accion: 'actualizar',
+          usuarioId: req.user.id,
+          antes,
+          despues,
+        });
+
+        return { status: 200, data: await productoIngrediente.buscar(conn, id) };
+      });
+
+      if (!result) {
         return res.status(404).json({ ok: false, message: 'Relación no encontrada' });
       }
 
-      const [rows] = await pool.query(
-        `
-        SELECT pi.id,
-               pi.producto_id,
-               p.nombre AS producto,
-               pi.ingrediente_id,
-               i.nombre AS ingrediente,
-               pi.cantidad_usada,
-               pi.created_at,
-               pi.updated_at
-        FROM producto_ingrediente pi
-        JOIN productos p ON pi.producto_id = p.id
-        JOIN ingredientes i ON pi.ingrediente_id = i.id
-        WHERE pi.id = ?
-        `,
-        [id]
-      );
+      res.set('ETag', etagDe(result.data));
+      if (result.status === 412) {
+        return res.status(412).json(precondicionFallida(result.data));
+      }
 
-      res.json({ ok: true, message: 'Relación actualizada', data: rows[0] });
+      res.json({ ok: true, message: 'Relación actualizada', data: result.data });
     } catch (err) {
-      console.error(err);
-      res.status(500).json({ ok: false, message: 'Error actualizando relación' });
+      next(err);
     }
   }
 );
@@ -290,6 +342,9 @@ router.put(
  *   delete:
  *     summary: Elimina una relación producto-ingrediente
  *     tags: [ProductoIngrediente]
+ *     description: "Requiere rol: admin, cocina"
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -302,27 +357,42 @@ router.put(
  *         description: Relación eliminada
  *       404:
  *         description: Relación no encontrada
+ *       401:
+ *         $ref: '#/components/responses/NoAutenticado'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
  */
 router.delete(
   '/:id',
+  ...requireRole('admin', 'cocina'),
   param('id').isInt(),
   handleValidation,
-  async (req, res) => {
+  async (req, res, next) => {
     try {
-      const pool = await getPool();
-      const [result] = await pool.query(
-        'DELETE FROM producto_ingrediente WHERE id = ?',
-        [req.params.id]
-      );
+      const id = req.params.id;
+
+      const eliminada = await withTransaction(async (conn) => {
+        const antes = await filaAuditable(conn, 'producto_ingrediente', id, { bloquear: true });
+        if (!antes) return false;
+
+        await productoIngrediente.eliminar(conn, id);
+        await registrarAuditoria(conn, {
+          entidad: 'producto_ingrediente',
+          entidadId: id,
+          accion: 'eliminar',
+          usuarioId: req.user.id,
+          antes,
+        });
+        return true;
+      });
 
-      if (result.affectedRows === 0) {
+      if (!eliminada) {
         return res.status(404).json({ ok: false, message: 'Relación no encontrada' });
       }
 
       res.json({ ok: true, message: 'Relación eliminada' });
     } catch (err) {
-      console.error(err);
-      res.status(500).json({ ok: false, message: 'Error eliminando relación' });
+      next(err);
     }
   }
 );
@@ -1,11 +1,115 @@
 // routes/productos.routes.js
 import { Router } from 'express';
-import { body, param } from 'express-validator';
-import { getPool } from '../config/db.js';
+import { body, param, query } from 'express-validator';
+import { getPool, withTransaction } from '../config/db.js';
 import { handleValidation } from './validators.js';
+import { requireRole, limitFieldsByRole } from './auth.js';
+import { listValidators, pageMeta, paginationValidators, parsePagination } from './listing.js';
+import { costoProducto, recetaEfectiva } from './costeo.js';
+import { incluirEliminadosValidator, incluirEliminados } from './papelera.js';
+import { registrarAuditoria } from './auditoria.js';
+import {
+  importBodyParsers,
+  exportValidators,
+  importValidators,
+  isDryRun,
+  parseImportBody,
+  validateRow,
+  rowError,
+  toBool,
+  importSummary,
+  sendExport,
+} from './importacion.js';
+import { cambiosDisponibilidad, formatDisponibilidad } from './disponibilidad.js';
+import { sinAlergenosValidator, codigosDeQuery } from './alergenos.js';
+import {
+  etagDe,
+  ifMatchRequerido,
+  cumpleIfMatch,
+  precondicionFallida,
+} from './concurrencia.js';
+import {
+  cachePrivada,
+  condicional,
+  invalidarAlEscribir,
+  listadoEnCache,
+  programarCambio,
+} from './cache.js';
+import { preciosProgramados, vigenteDesdeValidator } from './precios.js';
+import {
+  componentesValidators,
+  detalleCombo,
+  guardarComponentes,
+  resumenes,
+} from './combos.js';
+import { categoriaConSubcategorias, incluirSubcategoriasValidator } from './categorias.js';
+import { conImagenUrl, descartarImagenes, nombreImagen, recibirImagen } from './imagenes.js';
+import { getAlmacenamiento } from '../config/almacenamiento.js';
+import {
+  TABLAS_MODIFICADORES,
+  conOpciones,
+  configurar,
+  opcionesDeQuery,
+  opcionesQueryValidator,
+} from './modificadores.js';
+import { filaAuditable } from '../repositories/auditoria.js';
+import * as productos from '../repositories/productos.js';
+import * as categorias from '../repositories/categorias.js';
+import * as ingredientes from '../repositories/ingredientes.js';
+import * as productoIngrediente from '../repositories/producto_ingrediente.js';
+import * as precios from '../repositories/precios.js';
+import * as modificadores from '../repositories/modificadores.js';
 
 const router = Router();
 
+// La disponibilidad y los alérgenos dependen de la receta y de sus
+// ingredientes (en un combo, también de sus componentes), y el precio del
+// historial de precios
+const TABLAS_LEIDAS = [
+  'productos',
+  'categorias',
+  'producto_ingrediente',
+  'ingredientes',
+  'alergenos',
+  'producto_precios',
+  'combo_componentes',
+];
+
+/**
+ * Productos tal como se responden: disponibilidad calculada, imagen_url y,
+ * en los combos, lo que costarían sus componentes por separado y el ahorro
+ * (null en los demás).
+ */
+async function formatProductos(db, rows) {
+  const combos = await resumenes(db, rows);
+  return rows.map((row) => ({
+    ...conImagenUrl(formatDisponibilidad(row)),
+    precio_por_separado: combos.get(row.id)?.precio_por_separado ?? null,
+    ahorro: combos.get(row.id)?.ahorro ?? null,
+  }));
+}
+
+async function formatProducto(db, row) {
+  const [producto] = await formatProductos(db, [row]);
+  return producto;
+}
+
+/**
+ * Descarta las imágenes `nombres` del producto salvo la que su fila usa
+ * ahora: con dos subidas de la misma imagen a la vez, el archivo que una
+ * daría por sobrante puede ser el que la otra acaba de guardar.
+ */
+async function descartarSinUso(db, id, nombres) {
+  const fila = await filaAuditable(db, 'productos', id);
+  await descartarImagenes(nombres.filter((nombre) => nombre !== fila?.imagen));
+}
+
+router.use(
+  cachePrivada,
+  preciosProgramados,
+  invalidarAlEscribir('productos', 'producto_ingrediente', 'producto_precios', 'combo_componentes')
+);
+
 /**
  * @swagger
  * tags:
@@ -17,66 +121,1467 @@ const router = Router();
  * @swagger
  * components:
  *   schemas:
- *     Producto:
+ *     Producto:
+ *       type: object
+ *       required: [categoria_id, nombre, precio]
+ *       properties:
+ *         id:
+ *           type: integer
+ *         categoria_id:
+ *           type: integer
+ *         nombre:
+ *           type: string
+ *         descripcion:
+ *           type: string
+ *         precio:
+ *           type: number
+ *           format: float
+ *         disponible:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/productos:
+ *   get:
+ *     summary: Lista productos con filtros, orden y paginación
+ *     description: Sin `page` ni `limit` se devuelven todos los productos que cumplan los filtros.
+ *     tags: [Productos]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - $ref: '#/components/parameters/IncluirEliminados'
+ *       - in: query
+ *         name: categoria_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: incluir_subcategorias
+ *         schema:
+ *           type: boolean
+ *         description: Con `categoria_id`, incluye también los productos de sus subcategorías
+ *       - in: query
+ *         name: disponible
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: precio_min
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: precio_max
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: nombre
+ *         schema:
+ *           type: string
+ *         description: Coincidencia parcial por nombre
+ *       - in: query
+ *         name: sin_alergenos
+ *         schema:
+ *           type: string
+ *         example: gluten,lacteos
+ *         description: >
+ *           Códigos de alérgeno separados por coma (ver /api/alergenos). Solo
+ *           devuelve productos cuya receta no tiene ninguno. Un código que no
+ *           existe responde 400.
+ *       - $ref: '#/components/parameters/IfNoneMatch'
+ *       - $ref: '#/components/parameters/IfModifiedSince'
+ *     responses:
+ *       200:
+ *         description: Listado de productos
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *           Last-Modified:
+ *             $ref: '#/components/headers/LastModified'
+ *           Cache-Control:
+ *             $ref: '#/components/headers/CacheControl'
+ *           X-Cache:
+ *             $ref: '#/components/headers/XCache'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 ok:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Producto'
+ *                 meta:
+ *                   $ref: '#/components/schemas/PageMeta'
+ *       304:
+ *         $ref: '#/components/responses/NoModificado'
+ *       400:
+ *         description: Parámetros de consulta inválidos
+ */
+router.get(
+  '/',
+  listadoEnCache(...TABLAS_LEIDAS),
+  listValidators(productos.LISTADO),
+  incluirEliminadosValidator,
+  sinAlergenosValidator,
+  incluirSubcategoriasValidator,
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const db = await getPool();
+      const { categoria_id: categoriaId, ...resto } = req.query;
+
+      // Con subcategorías, categoria_id pasa de filtro exacto a lista de ids
+      const conSubcategorias = categoriaId !== undefined && toBool(req.query.incluir_subcategorias);
+      const { rows, total, pagination } = await productos.listar(
+        db,
+        conSubcategorias ? resto : req.query,
+        {
+          incluirEliminados: incluirEliminados(req),
+          sinAlergenos: codigosDeQuery(req.query.sin_alergenos),
+          categoriaIds: conSubcategorias
+            ? await categoriaConSubcategorias(db, Number(categoriaId))
+            : undefined,
+        }
+      );
+
+      res.json({
+        ok: true,
+        message: 'Consulta realizada correctamente',
+        data: await formatProductos(db, rows),
+        meta: pageMeta(total, pagination),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+
+// Términos que se consideran de `q`; el resto se ignora
+const MAX_TERMINOS = 5;
+
+/**
+ * @swagger
+ * /api/productos/search:
+ *   get:
+ *     summary: Busca productos por nombre, descripción o ingredientes
+ *     description: >
+ *       La búsqueda no distingue mayúsculas ni acentos ("jamon" encuentra "jamón").
+ *       Los resultados se ordenan por relevancia: coincidencias en el nombre pesan
+ *       más que en ingredientes, y estas más que en la descripción.
+ *     tags: [Productos]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Texto a buscar (se separa en términos por espacios)
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/IfNoneMatch'
+ *       - $ref: '#/components/parameters/IfModifiedSince'
+ *     responses:
+ *       200:
+ *         description: Productos encontrados, de mayor a menor relevancia
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *           Last-Modified:
+ *             $ref: '#/components/headers/LastModified'
+ *           Cache-Control:
+ *             $ref: '#/components/headers/CacheControl'
+ *           X-Cache:
+ *             $ref: '#/components/headers/XCache'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 ok:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Producto'
+ *                       - type: object
+ *                         properties:
+ *                           ingredientes_coincidentes:
+ *                             type: string
+ *                             nullable: true
+ *                             example: Queso amarillo
+ *                           relevancia:
+ *                             type: number
+ *                             example: 5
+ *                 meta:
+ *                   $ref: '#/components/schemas/PageMeta'
+ *       304:
+ *         $ref: '#/components/responses/NoModificado'
+ *       400:
+ *         description: Falta el parámetro q
+ */
+router.get(
+  '/search',
+  listadoEnCache(...TABLAS_LEIDAS),
+  query('q').isString().trim().notEmpty().withMessage('q es requerido'),
+  paginationValidators(),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const terms = req.query.q.split(/\s+/).filter(Boolean).slice(0, MAX_TERMINOS);
+      const db = await getPool();
+      const { rows, total, pagination } = await productos.buscarTexto(
+        db,
+        terms,
+        parsePagination(req.query, true)
+      );
+      const formateados = await formatProductos(db, rows);
+
+      res.json({
+        ok: true,
+        message: 'Consulta realizada correctamente',
+        data: rows.map((row, i) => ({
+          ...formateados[i],
+          relevancia: Number(row.relevancia),
+        })),
+        meta: pageMeta(total, pagination),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+
+const EXPORT_COLUMNS = [
+  'nombre',
+  'categoria',
+  'descripcion',
+  'precio',
+  'disponible',
+  'disponibilidad_auto',
+];
+
+// Mismas reglas que POST /api/productos, pero la categoría va por nombre
+const IMPORT_ROW_CHAINS = () => [
+  body('nombre').isString().trim().notEmpty().isLength({ max: 150 }),
+  body('categoria').isString().trim().notEmpty(),
+  body('precio').isFloat({ min: 0 }),
+  body('descripcion').optional().isString(),
+  body('disponible').optional().isBoolean({ loose: true }),
+  body('disponibilidad_auto').optional().isBoolean({ loose: true }),
+];
+
+/**
+ * @swagger
+ * /api/productos/export:
+ *   get:
+ *     summary: Exporta el catálogo de productos
+ *     description: "Requiere rol: admin. La categoría se exporta por nombre, igual que la espera la importación."
+ *     tags: [Productos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json]
+ *           default: csv
+ *     responses:
+ *       200:
+ *         description: Archivo con los productos
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ProductoImport'
+ *       401:
+ *         $ref: '#/components/responses/NoAutenticado'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
+ */
+router.get(
+  '/export',
+  ...requireRole('admin'),
+  exportValidators,
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const rows = await productos.paraExportar(await getPool());
+
+      const data = rows.map((row) => ({
+        ...row,
+        precio: Number(row.precio),
+        disponible: Boolean(row.disponible),
+        disponibilidad_auto: Boolean(row.disponibilidad_auto),
+      }));
+
+      sendExport(res, req.query.format ?? 'csv', 'productos', EXPORT_COLUMNS, data);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+
+/**
+ * @swagger
+ * /api/productos/import:
+ *   post:
+ *     summary: Importa productos desde CSV o JSON
+ *     description: >
+ *       Requiere rol: admin. Cada fila se identifica por `nombre`: si existe se
+ *       actualiza y si no se crea. La categoría se indica por nombre. Al
+ *       actualizar solo cambian las columnas que trae el archivo, y
+ *       `disponible` se aplica como en PUT /api/productos/{id} (en modo
+ *       automático fija el override). Con `dry_run=true` solo se informa qué
+ *       pasaría con cada fila. Sin dry run
+ *       la importación es todo o nada: si alguna fila se rechaza no se guarda
+ *       ninguna.
+ *     tags: [Productos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dry_run
+ *         schema:
+ *           type: boolean
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *             example: |
+ *               nombre,categoria,descripcion,precio,disponible
+ *               Cheeseburger Especial,Hamburguesas,Carne y queso,47.00,true
+ *         application/json:
+ *           schema:
+ *             type: array
+ *             items:
+ *               $ref: '#/components/schemas/ProductoImport'
+ *     responses:
+ *       200:
+ *         description: Resultado por fila (aplicado o simulado)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ResultadoImportacion'
+ *       422:
+ *         description: Hay filas rechazadas; no se guardó nada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ResultadoImportacion'
+ *       401:
+ *         $ref: '#/components/responses/NoAutenticado'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
+ */
+router.post(
+  '/import',
+  ...requireRole('admin'),
+  importBodyParsers,
+  importValidators,
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const rows = parseImportBody(req);
+      const pool = await getPool();
+
+      const categoriaPorNombre = await categorias.idsPorNombre(pool);
+      const productoPorNombre = await productos.porNombre(pool);
+
+      const vistos = new Set();
+      const filas = [];
+
+      for (const [i, row] of rows.entries()) {
+        const errors = await validateRow(row, IMPORT_ROW_CHAINS());
+        const nombre = typeof row.nombre === 'string' ? row.nombre.trim() : row.nombre;
+        const categoriaId =
+          typeof row.categoria === 'string'
+            ? categoriaPorNombre.get(row.categoria.trim().toLowerCase())
+            : undefined;
+
+        if (typeof row.categoria === 'string' && row.categoria.trim() && !categoriaId) {
+          errors.push(rowError('categoria', row.categoria, 'La categoría no existe'));
+        }
+
+        const clave = String(nombre ?? '').toLowerCase();
+        if (clave && vistos.has(clave)) {
+          errors.push(rowError('nombre', nombre, 'Producto repetido en el archivo'));
+        }
+        vistos.add(clave);
+
+        const existente = productoPorNombre.get(clave);
+        if (existente?.deleted_at) {
+          errors.push(
+            rowError('nombre', nombre, 'El producto está eliminado; restáuralo antes de importarlo')
+          );
+        }
+
+        const id = existente?.id;
+        filas.push({
+          fila: i + 1,
+          nombre,
+          accion: errors.length > 0 ? 'rechazar' : id ? 'actualizar' : 'crear',
+          id: id ?? null,
+          errors,
+          datos: errors.length > 0
+            ? null
+            : {
+                categoria_id: categoriaId,
+                descripcion: row.descripcion,
+                precio: Number(row.precio),
+                disponible: row.disponible === undefined ? undefined : toBool(row.disponible),
+                disponibilidad_auto:
+                  row.disponibilidad_auto === undefined ? undefined : toBool(row.disponibilidad_auto),
+              },
+        });
+      }
+
+      const resumen = importSummary(filas);
+      const reporte = () => filas.map(({ datos, ...fila }) => fila);
+
+      if (isDryRun(req)) {
+        return res.json({
+          ok: true,
+          message: 'Simulación de importación',
+          data: { dry_run: true, resumen, filas: reporte() },
+        });
+      }
+
+      if (resumen.rechazar > 0) {
+        return res.status(422).json({
+          ok: false,
+          message: 'Hay filas rechazadas; no se importó nada',
+          data: { dry_run: false, resumen, filas: reporte() },
+        });
+      }
+
+      await withTransaction(async (conn) => {
+        for (const fila of filas) {
+          const d = fila.datos;
+          // Solo las columnas que trae la fila: una que falta no borra lo guardado
+          const datos = { categoria_id: d.categoria_id, precio: d.precio };
+          if (d.descripcion !== undefined) {
+            datos.descripcion = d.descripcion;
+          }
+
+          let antes = null;
+          if (fila.accion === 'actualizar') {
+            antes = await filaAuditable(conn, 'productos', fila.id, { bloquear: true });
+            await productos.actualizar(conn, fila.id, {
+              ...datos,
+              ...cambiosDisponibilidad(antes, d),
+            });
+          } else {
+            if (d.disponible !== undefined) {
+              datos.disponible = d.disponible ? 1 : 0;
+            }
+            if (d.disponibilidad_auto !== undefined) {
+              datos.disponibilidad_auto = d.disponibilidad_auto ? 1 : 0;
+            }
+            fila.id = await productos.crear(conn, { nombre: fila.nombre, ...datos });
+          }
+          await precios.cambiar(conn, fila.id, datos.precio, req.user.id);
+
+          await registrarAuditoria(conn, {
+            entidad: 'productos',
+            entidadId: fila.id,
+            accion: fila.accion,
+            usuarioId: req.user.id,
+            antes,
+            despues: await filaAuditable(conn, 'productos', fila.id),
+          });
+        }
+      });
+
+      res.json({
+        ok: true,
+        message: 'Importación completada',
+        data: { dry_run: false, resumen, filas: reporte() },
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+
+/**
+ * @swagger
+ * /api/productos/{id}:
+ *   get:
+ *     summary: Obtiene un producto por ID
+ *     tags: [Productos]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: ID del producto
+ *       - $ref: '#/components/parameters/IncluirEliminados'
+ *       - $ref: '#/components/parameters/IfNoneMatch'
+ *       - $ref: '#/components/parameters/IfModifiedSince'
+ *     responses:
+ *       200:
+ *         description: Producto encontrado
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *           Last-Modified:
+ *             $ref: '#/components/headers/LastModified'
+ *           Cache-Control:
+ *             $ref: '#/components/headers/CacheControl'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Producto'
+ *       304:
+ *         $ref: '#/components/responses/NoModificado'
+ *       404:
+ *         description: Producto no encontrado
+ */
+router.get(
+  '/:id',
+  condicional(...TABLAS_LEIDAS),
+  param('id').isInt(),
+  incluirEliminadosValidator,
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const db = await getPool();
+      const producto = await productos.buscar(db, req.params.id, {
+        incluirEliminados: incluirEliminados(req),
+      });
+
+      if (!producto) {
+        return res.status(404).json({ ok: false, message: 'Producto no encontrado' });
+      }
+
+      const data = await formatProducto(db, producto);
+      res.set('ETag', etagDe(data));
+      res.json({ ok: true, message: 'Consulta realizada correctamente', data });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+
+/**
+ * @swagger
+ * /api/productos/{id}/costo:
+ *   get:
+ *     summary: Costo de la receta y margen de un producto
+ *     description: >
+ *       Requiere rol: admin. El costo sale de cantidad_usada × costo_unitario de
+ *       cada ingrediente; en un combo, de la receta que suma la de sus productos
+ *       fijos, igual que en el reporte de márgenes.
+ *     tags: [Productos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: ID del producto
+ *     responses:
+ *       200:
+ *         description: Costo y margen del producto
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/MargenProducto'
+ *                 - type: object
+ *                   properties:
+ *                     ingredientes:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           ingrediente_id:
+ *                             type: integer
+ *                           ingrediente:
+ *                             type: string
+ *                           unidad:
+ *                             type: string
+ *                           cantidad_usada:
+ *                             type: number
+ *                           costo_unitario:
+ *                             type: number
+ *                           costo:
+ *                             type: number
+ *       404:
+ *         description: Producto no encontrado
+ *       401:
+ *         $ref: '#/components/responses/NoAutenticado'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
+ */
+router.get(
+  '/:id/costo',
+  ...requireRole('admin'),
+  param('id').isInt(),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const costo = await costoProducto(await getPool(), req.params.id);
+      if (!costo) {
+        return res.status(404).json({ ok: false, message: 'Producto no encontrado' });
+      }
+      res.json({ ok: true, message: 'Consulta realizada correctamente', data: costo });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RecetaLinea:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         ingrediente_id:
+ *           type: integer
+ *           example: 5
+ *         ingrediente:
+ *           type: string
+ *           example: Queso amarillo
+ *         unidad:
+ *           type: string
+ *           example: kg
+ *         cantidad_usada:
+ *           type: number
+ *           example: 0.05
+ */
+
+/**
+ * @swagger
+ * /api/productos/{id}/ingredientes:
+ *   get:
+ *     summary: Receta de un producto
+ *     description: >
+ *       Sin parámetros devuelve la receta propia del producto, la que reemplaza
+ *       el PUT. En un combo suele estar vacía: con `incluir_componentes=true`
+ *       devuelve la receta efectiva, que suma la de sus productos fijos por su
+ *       cantidad (la misma de GET /api/productos/{id}/componentes, el costo y
+ *       los alérgenos); esas líneas no llevan `id` porque no se editan aquí.
+ *     tags: [Productos]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: ID del producto
+ *       - in: query
+ *         name: incluir_componentes
+ *         schema:
+ *           type: boolean
+ *         description: Suma la receta de los productos fijos del combo
+ *       - $ref: '#/components/parameters/IfNoneMatch'
+ *       - $ref: '#/components/parameters/IfModifiedSince'
+ *     responses:
+ *       200:
+ *         description: Ingredientes del producto
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *           Last-Modified:
+ *             $ref: '#/components/headers/LastModified'
+ *           Cache-Control:
+ *             $ref: '#/components/headers/CacheControl'
+ *           X-Cache:
+ *             $ref: '#/components/headers/XCache'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/RecetaLinea'
+ *       304:
+ *         $ref: '#/components/responses/NoModificado'
+ *       404:
+ *         description: Producto no encontrado
+ */
+router.get(
+  '/:id/ingredientes',
+  listadoEnCache('productos', 'producto_ingrediente', 'ingredientes', 'combo_componentes'),
+  param('id').isInt(),
+  query('incluir_componentes').optional().isBoolean({ loose: true }),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const pool = await getPool();
+      if (!(await productos.existe(pool, req.params.id))) {
+        return res.status(404).json({ ok: false, message: 'Producto no encontrado' });
+      }
+
+      const data = toBool(req.query.incluir_componentes)
+        ? (await recetaEfectiva(pool, req.params.id)).map(({ cantidad, ...linea }) => ({
+            ...linea,
+            cantidad_usada: cantidad,
+          }))
+        : await productoIngrediente.receta(pool, req.params.id);
+
+      res.json({ ok: true, message: 'Consulta realizada correctamente', data });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+
+/**
+ * @swagger
+ * /api/productos/{id}/ingredientes:
+ *   put:
+ *     summary: Reemplaza la receta completa de un producto
+ *     description: >
+ *       Requiere rol: admin, cocina. La receta enviada reemplaza a la actual en
+ *       una sola transacción: los ingredientes que no vienen se quitan, los
+ *       nuevos se agregan y los existentes actualizan su cantidad. Si algo falla
+ *       no se modifica nada. Una lista vacía deja el producto sin receta.
+ *     tags: [Productos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: ID del producto
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [ingredientes]
+ *             properties:
+ *               ingredientes:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [ingrediente_id, cantidad_usada]
+ *                   properties:
+ *                     ingrediente_id:
+ *                       type: integer
+ *                       example: 5
+ *                     cantidad_usada:
+ *                       type: number
+ *                       example: 0.05
+ *     responses:
+ *       200:
+ *         description: Receta guardada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/RecetaLinea'
+ *       400:
+ *         description: Datos inválidos o ingredientes repetidos
+ *       404:
+ *         description: Producto no encontrado
+ *       422:
+ *         description: Algún ingrediente no existe
+ *       401:
+ *         $ref: '#/components/responses/NoAutenticado'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
+ */
+router.put(
+  '/:id/ingredientes',
+  ...requireRole('admin', 'cocina'),
+  param('id').isInt(),
+  body('ingredientes')
+    .isArray()
+    .bail()
+    .custom((lineas) => {
+      const ids = lineas.map((l) => Number(l?.ingrediente_id));
+      const repetidos = ids.filter((id, i) => ids.indexOf(id) !== i);
+      if (repetidos.length > 0) {
+        throw new Error(`Ingredientes repetidos: ${[...new Set(repetidos)].join(', ')}`);
+      }
+      return true;
+    }),
+  body('ingredientes.*.ingrediente_id').isInt(),
+  body('ingredientes.*.cantidad_usada').isFloat({ gt: 0 }),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const productoId = req.params.id;
+      const lineas = req.body.ingredientes.map((l) => ({
+        ingrediente_id: Number(l.ingrediente_id),
+        cantidad_usada: l.cantidad_usada,
+      }));
+
+      const result = await withTransaction(async (conn) => {
+        // Bloquea el producto para serializar reemplazos concurrentes
+        const producto = await filaAuditable(conn, 'productos', productoId, { bloquear: true });
+        if (!producto || producto.deleted_at !== null) {
+          return { status: 404, body: { ok: false, message: 'Producto no encontrado' } };
+        }
+
+        if (lineas.length > 0) {
+          const encontrados = await ingredientes.idsActivos(
+            conn,
+            lineas.map((l) => l.ingrediente_id)
+          );
+          const errors = lineas
+            .map((l, i) =>
+              encontrados.has(l.ingrediente_id)
+                ? null
+                : { path: `ingredientes[${i}].ingrediente_id`, msg: 'El ingrediente no existe' }
+            )
+            .filter(Boolean);
+          if (errors.length > 0) {
+            return {
+              status: 422,
+              body: { ok: false, message: 'Hay ingredientes que no existen', errors },
+            };
+          }
+        }
+
+        const actuales = await productoIngrediente.lineas(conn, productoId);
+        const porIngrediente = new Map(actuales.map((row) => [row.ingrediente_id, row]));
+        const nuevos = new Set(lineas.map((l) => l.ingrediente_id));
+
+        // Cada línea que cambia queda en la auditoría como producto_ingrediente
+        const auditar = (entidadId, accion, antes, despues) =>
+          registrarAuditoria(conn, {
+            entidad: 'producto_ingrediente',
+            entidadId,
+            accion,
+            usuarioId: req.user.id,
+            antes,
+            despues,
+          });
+
+        for (const actual of actuales) {
+          if (!nuevos.has(actual.ingrediente_id)) {
+            await productoIngrediente.eliminar(conn, actual.id);
+            await auditar(actual.id, 'eliminar', actual, null);
+          }
+        }
+
+        for (const linea of lineas) {
+          const actual = porIngrediente.get(linea.ingrediente_id);
+          if (!actual) {
+            const id = await productoIngrediente.crear(conn, {
+              producto_id: productoId,
+              ...linea,
+            });
+            await auditar(id, 'crear', null, await filaAuditable(conn, 'producto_ingrediente', id));
+          } else if (Number(actual.cantidad_usada) !== Number(linea.cantidad_usada)) {
+            await productoIngrediente.actualizar(conn, actual.id, {
+              cantidad_usada: linea.cantidad_usada,
+            });
+            await auditar(
+              actual.id,
+              'actualizar',
+              actual,
+              await filaAuditable(conn, 'producto_ingrediente', actual.id)
+            );
+          }
+        }
+
+        const receta = await productoIngrediente.receta(conn, productoId);
+        return { status: 200, body: { ok: true, message: 'Receta actualizada', data: receta } };
+      });
+
+      res.status(result.status).json(result.body);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ComboComponente:
+ *       type: object
+ *       description: Un producto fijo (producto_id) o una elección de un producto de una categoría (categoria_id)
+ *       properties:
+ *         id:
+ *           type: integer
+ *           readOnly: true
+ *         producto_id:
+ *           type: integer
+ *           nullable: true
+ *         producto:
+ *           type: string
+ *           nullable: true
+ *           readOnly: true
+ *         categoria_id:
+ *           type: integer
+ *           nullable: true
+ *         categoria:
+ *           type: string
+ *           nullable: true
+ *           readOnly: true
+ *         cantidad:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 20
+ *           default: 1
+ *         precio:
+ *           type: number
+ *           nullable: true
+ *           readOnly: true
+ *           description: Precio vigente del producto; en una elección, el de la opción disponible más barata
+ *         disponible:
+ *           type: boolean
+ *           readOnly: true
+ *         opciones:
+ *           type: array
+ *           nullable: true
+ *           readOnly: true
+ *           description: Solo en elecciones; productos de la categoría que no son combo
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: integer
+ *               nombre:
+ *                 type: string
+ *               precio:
+ *                 type: number
+ *               disponible:
+ *                 type: boolean
+ *     Combo:
+ *       type: object
+ *       properties:
+ *         producto_id:
+ *           type: integer
+ *         producto:
+ *           type: string
+ *           example: Combo hamburguesa
+ *         precio:
+ *           type: number
+ *           example: 89
+ *         precio_por_separado:
+ *           type: number
+ *           nullable: true
+ *           example: 105
+ *         ahorro:
+ *           type: number
+ *           nullable: true
+ *           example: 16
+ *           description: precio_por_separado menos precio; null si el producto no es combo
+ *         disponible:
+ *           type: boolean
+ *         motivo_no_disponible:
+ *           type: string
+ *           nullable: true
+ *         componentes:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ComboComponente'
+ *         ingredientes:
+ *           type: array
+ *           description: Receta propia más la de los productos fijos por su cantidad
+ *           items:
+ *             type: object
+ *             properties:
+ *               ingrediente_id:
+ *                 type: integer
+ *               ingrediente:
+ *                 type: string
+ *               unidad:
+ *                 type: string
+ *               cantidad:
+ *                 type: number
+ */
+
+/**
+ * @swagger
+ * /api/productos/{id}/componentes:
+ *   get:
+ *     summary: Componentes de un combo, su receta y el ahorro
+ *     description: >
+ *       El precio del combo es el suyo propio. `precio_por_separado` suma los
+ *       componentes a su precio vigente, cada elección con su opción
+ *       disponible más barata, así que `ahorro` es lo mínimo que se ahorra.
+ *       Un producto que no es combo devuelve `componentes` vacío.
+ *     tags: [Productos]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: ID del producto
+ *       - $ref: '#/components/parameters/IfNoneMatch'
+ *       - $ref: '#/components/parameters/IfModifiedSince'
+ *     responses:
+ *       200:
+ *         description: Combo con sus componentes
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *           Last-Modified:
+ *             $ref: '#/components/headers/LastModified'
+ *           Cache-Control:
+ *             $ref: '#/components/headers/CacheControl'
+ *           X-Cache:
+ *             $ref: '#/components/headers/XCache'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Combo'
+ *       304:
+ *         $ref: '#/components/responses/NoModificado'
+ *       404:
+ *         description: Producto no encontrado
+ */
+router.get(
+  '/:id/componentes',
+  listadoEnCache(...TABLAS_LEIDAS),
+  param('id').isInt(),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const pool = await getPool();
+      const producto = await productos.buscar(pool, req.params.id);
+      if (!producto) {
+        return res.status(404).json({ ok: false, message: 'Producto no encontrado' });
+      }
+
+      res.json({
+        ok: true,
+        message: 'Consulta realizada correctamente',
+        data: await detalleCombo(pool, producto),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+
+/**
+ * @swagger
+ * /api/productos/{id}/componentes:
+ *   put:
+ *     summary: Reemplaza los componentes de un combo
+ *     description: >
+ *       Requiere rol: admin. Un producto con componentes es un combo; con una
+ *       lista vacía deja de serlo. Cada componente es un producto fijo o una
+ *       elección de cualquier producto de una categoría. Un combo no puede ser
+ *       componente de otro. Cada cambio queda en la auditoría como
+ *       `combo_componentes`.
+ *     tags: [Productos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: ID del producto
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [componentes]
+ *             properties:
+ *               componentes:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/ComboComponente'
+ *           example:
+ *             componentes:
+ *               - producto_id: 10
+ *               - producto_id: 21
+ *                 cantidad: 2
+ *               - categoria_id: 3
+ *     responses:
+ *       200:
+ *         description: Componentes actualizados
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Combo'
+ *       400:
+ *         description: Datos inválidos o componentes repetidos
+ *       404:
+ *         description: Producto no encontrado
+ *       422:
+ *         description: Algún producto o categoría no existe, o se anidarían combos (code COMPONENTE_INVALIDO)
+ *       401:
+ *         $ref: '#/components/responses/NoAutenticado'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
+ */
+router.put(
+  '/:id/componentes',
+  ...requireRole('admin'),
+  param('id').isInt(),
+  ...componentesValidators,
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const productoId = req.params.id;
+
+      const combo = await withTransaction(async (conn) => {
+        // Bloquea el producto para serializar reemplazos concurrentes
+        const fila = await filaAuditable(conn, 'productos', productoId, { bloquear: true });
+        if (!fila || fila.deleted_at !== null) return null;
+
+        await guardarComponentes(conn, productoId, req.body.componentes, req.user.id);
+        return detalleCombo(conn, await productos.buscar(conn, productoId));
+      });
+
+      if (!combo) {
+        return res.status(404).json({ ok: false, message: 'Producto no encontrado' });
+      }
+      res.json({ ok: true, message: 'Componentes actualizados', data: combo });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+
+/**
+ * Cuerpo de la respuesta 422 si la categoría no existe o está eliminada;
+ * null si se puede usar.
+ */
+async function categoriaInvalida(db, categoriaId) {
+  if (await categorias.buscar(db, categoriaId)) return null;
+  return {
+    ok: false,
+    message: 'La categoría no existe',
+    errors: [{ path: 'categoria_id', msg: 'La categoría no existe o está eliminada' }],
+  };
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ProductoConfigurado:
+ *       type: object
+ *       properties:
+ *         producto_id:
+ *           type: integer
+ *         producto:
+ *           type: string
+ *           example: Hamburguesa clásica
+ *         precio_base:
+ *           type: number
+ *           example: 45.5
+ *         precio:
+ *           type: number
+ *           description: precio_base más el precio_delta de cada opción elegida; nunca menos de 0
+ *           example: 53.5
+ *         opciones:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: integer
+ *               grupo_id:
+ *                 type: integer
+ *               grupo:
+ *                 type: string
+ *               nombre:
+ *                 type: string
+ *               precio_delta:
+ *                 type: number
+ *         ingredientes:
+ *           type: array
+ *           description: Receta con los cambios de las opciones; los ingredientes que quedan en 0 no aparecen
+ *           items:
+ *             type: object
+ *             properties:
+ *               ingrediente_id:
+ *                 type: integer
+ *               ingrediente:
+ *                 type: string
+ *               unidad:
+ *                 type: string
+ *               cantidad:
+ *                 type: number
+ *         alergenos:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: [gluten, lacteos]
+ */
+
+/**
+ * @swagger
+ * /api/productos/{id}/modificadores:
+ *   get:
+ *     summary: Grupos de modificadores de un producto con sus opciones
+ *     tags: [Productos, Modificadores]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: ID del producto
+ *       - $ref: '#/components/parameters/IfNoneMatch'
+ *       - $ref: '#/components/parameters/IfModifiedSince'
+ *     responses:
+ *       200:
+ *         description: Grupos del producto
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *           Last-Modified:
+ *             $ref: '#/components/headers/LastModified'
+ *           Cache-Control:
+ *             $ref: '#/components/headers/CacheControl'
+ *           X-Cache:
+ *             $ref: '#/components/headers/XCache'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ModificadorGrupo'
+ *       304:
+ *         $ref: '#/components/responses/NoModificado'
+ *       404:
+ *         description: Producto no encontrado
+ */
+router.get(
+  '/:id/modificadores',
+  listadoEnCache('productos', ...TABLAS_MODIFICADORES, 'ingredientes'),
+  param('id').isInt(),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const pool = await getPool();
+      if (!(await productos.existe(pool, req.params.id))) {
+        return res.status(404).json({ ok: false, message: 'Producto no encontrado' });
+      }
+
+      const grupos = await modificadores.gruposDeProducto(pool, req.params.id);
+      res.json({
+        ok: true,
+        message: 'Consulta realizada correctamente',
+        data: await conOpciones(pool, grupos),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+
+/**
+ * @swagger
+ * /api/productos/{id}/configuracion:
+ *   get:
+ *     summary: Precio final y receta del producto con las opciones elegidas
+ *     description: >
+ *       La selección tiene que respetar los grupos del producto: mínimo y
+ *       máximo de opciones por grupo, y solo opciones de sus grupos. Sin
+ *       `opciones` devuelve el producto sin modificar (si no tiene grupos
+ *       obligatorios).
+ *     tags: [Productos, Modificadores]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: ID del producto
+ *       - in: query
+ *         name: opciones
+ *         schema:
+ *           type: string
+ *         example: 3,7
+ *         description: IDs de las opciones elegidas, separados por coma
+ *       - $ref: '#/components/parameters/IfNoneMatch'
+ *       - $ref: '#/components/parameters/IfModifiedSince'
+ *     responses:
+ *       200:
+ *         description: Producto configurado
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *           Last-Modified:
+ *             $ref: '#/components/headers/LastModified'
+ *           Cache-Control:
+ *             $ref: '#/components/headers/CacheControl'
+ *           X-Cache:
+ *             $ref: '#/components/headers/XCache'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ProductoConfigurado'
+ *       304:
+ *         $ref: '#/components/responses/NoModificado'
+ *       400:
+ *         description: Lista de opciones mal formada
+ *       404:
+ *         description: Producto no encontrado
+ *       422:
+ *         description: La selección no respeta los grupos del producto (code SELECCION_INVALIDA)
+ */
+router.get(
+  '/:id/configuracion',
+  listadoEnCache(...TABLAS_LEIDAS, ...TABLAS_MODIFICADORES),
+  param('id').isInt(),
+  opcionesQueryValidator,
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const configurado = await configurar(
+        await getPool(),
+        req.params.id,
+        opcionesDeQuery(req.query.opciones)
+      );
+      if (!configurado) {
+        return res.status(404).json({ ok: false, message: 'Producto no encontrado' });
+      }
+
+      res.json({ ok: true, message: 'Consulta realizada correctamente', data: configurado });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ProductoPrecio:
  *       type: object
- *       required: [categoria_id, nombre, precio]
  *       properties:
  *         id:
  *           type: integer
- *         categoria_id:
+ *         producto_id:
  *           type: integer
- *         nombre:
- *           type: string
- *         descripcion:
- *           type: string
  *         precio:
  *           type: number
- *           format: float
- *         disponible:
- *           type: boolean
+ *           example: 49.5
+ *         vigente_desde:
+ *           type: string
+ *           format: date-time
+ *         usuario_id:
+ *           type: integer
+ *           nullable: true
+ *         usuario:
+ *           type: string
+ *           nullable: true
+ *           description: Quién registró el precio
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         estado:
+ *           type: string
+ *           enum: [vigente, programado, anterior]
  */
 
 /**
  * @swagger
- * /api/productos:
+ * /api/productos/{id}/precios:
  *   get:
- *     summary: Lista todos los productos
+ *     summary: Historial de precios de un producto
+ *     description: >
+ *       Requiere rol: admin. Del más reciente al más antiguo; los programados
+ *       (fecha futura) van primero.
  *     tags: [Productos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: ID del producto
  *     responses:
  *       200:
- *         description: Listado de productos
+ *         description: Precios del producto
  *         content:
  *           application/json:
  *             schema:
  *               type: array
  *               items:
- *                 $ref: '#/components/schemas/Producto'
+ *                 $ref: '#/components/schemas/ProductoPrecio'
+ *       404:
+ *         description: Producto no encontrado
+ *       401:
+ *         $ref: '#/components/responses/NoAutenticado'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
  */
-router.get('/', async (_req, res) => {
-  try {
-    const pool = await getPool();
-    const [rows] = await pool.query(`
-      SELECT p.id, p.categoria_id, c.nombre AS categoria,
-             p.nombre, p.descripcion, p.precio, p.disponible,
-             p.created_at, p.updated_at
-      FROM productos p
-      JOIN categorias c ON p.categoria_id = c.id
-      ORDER BY p.id DESC
-    `);
-    res.json({ ok: true, message: 'Consulta realizada correctamente', data: rows });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ ok: false, message: 'Error listando productos' });
+router.get(
+  '/:id/precios',
+  ...requireRole('admin'),
+  param('id').isInt(),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const pool = await getPool();
+      if (!(await productos.existe(pool, req.params.id))) {
+        return res.status(404).json({ ok: false, message: 'Producto no encontrado' });
+      }
+
+      const rows = await precios.listar(pool, req.params.id);
+      res.json({ ok: true, message: 'Consulta realizada correctamente', data: rows });
+    } catch (err) {
+      next(err);
+    }
   }
-});
+);
 
 
 /**
  * @swagger
- * /api/productos/{id}:
- *   get:
- *     summary: Obtiene un producto por ID
+ * /api/productos/{id}/precios:
+ *   post:
+ *     summary: Programa un cambio de precio
+ *     description: >
+ *       Requiere rol: admin. El precio rige automáticamente desde
+ *       `vigente_desde`, que debe ser futura (con zona horaria; sin ella se
+ *       toma la hora del servidor). Para cambiarlo ya, usa PUT
+ *       /api/productos/{id}. Un cambio inmediato no cancela los programados.
  *     tags: [Productos]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -84,43 +1589,152 @@ router.get('/', async (_req, res) => {
  *           type: integer
  *         required: true
  *         description: ID del producto
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [precio, vigente_desde]
+ *             properties:
+ *               precio:
+ *                 type: number
+ *                 example: 49.5
+ *               vigente_desde:
+ *                 type: string
+ *                 format: date-time
+ *                 example: '2026-11-01T00:00:00-06:00'
  *     responses:
- *       200:
- *         description: Producto encontrado
+ *       201:
+ *         description: Precio programado
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Producto'
+ *               $ref: '#/components/schemas/ProductoPrecio'
+ *       400:
+ *         description: Datos inválidos o fecha en el pasado
  *       404:
  *         description: Producto no encontrado
+ *       401:
+ *         $ref: '#/components/responses/NoAutenticado'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
  */
-router.get(
-  '/:id',
+router.post(
+  '/:id/precios',
+  ...requireRole('admin'),
   param('id').isInt(),
+  body('precio').isFloat({ min: 0 }),
+  vigenteDesdeValidator,
   handleValidation,
-  async (req, res) => {
+  async (req, res, next) => {
     try {
-      const pool = await getPool();
-      const [rows] = await pool.query(
-        `
-        SELECT p.id, p.categoria_id, c.nombre AS categoria,
-               p.nombre, p.descripcion, p.precio, p.disponible,
-               p.created_at, p.updated_at
-        FROM productos p
-        JOIN categorias c ON p.categoria_id = c.id
-        WHERE p.id = ?
-        `,
-        [req.params.id]
-      );
+      const id = req.params.id;
+      const { precio, vigente_desde: vigenteDesde } = req.body;
+
+      const programado = await withTransaction(async (conn) => {
+        const producto = await filaAuditable(conn, 'productos', id, { bloquear: true });
+        if (!producto || producto.deleted_at !== null) return null;
 
-      if (rows.length === 0) {
+        const precioId = await precios.programar(conn, {
+          productoId: id,
+          precio,
+          vigenteDesde,
+          usuarioId: req.user.id,
+        });
+
+        await registrarAuditoria(conn, {
+          entidad: 'producto_precios',
+          entidadId: precioId,
+          accion: 'crear',
+          usuarioId: req.user.id,
+          despues: await filaAuditable(conn, 'producto_precios', precioId),
+        });
+
+        return precios.buscar(conn, id, precioId);
+      });
+
+      if (!programado) {
         return res.status(404).json({ ok: false, message: 'Producto no encontrado' });
       }
 
-      res.json({ ok: true, message: 'Consulta realizada correctamente', data: rows[0] });
+      programarCambio('producto_precios', vigenteDesde);
+      res.status(201).json({ ok: true, message: 'Precio programado', data: programado });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+
+/**
+ * @swagger
+ * /api/productos/{id}/precios/{precioId}:
+ *   delete:
+ *     summary: Cancela un precio programado
+ *     description: "Requiere rol: admin. Los precios que ya rigieron no se borran del historial."
+ *     tags: [Productos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: ID del producto
+ *       - in: path
+ *         name: precioId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: ID del precio programado
+ *     responses:
+ *       200:
+ *         description: Precio programado cancelado
+ *       404:
+ *         description: Precio no encontrado
+ *       409:
+ *         description: El precio ya entró en vigor
+ *       401:
+ *         $ref: '#/components/responses/NoAutenticado'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
+ */
+router.delete(
+  '/:id/precios/:precioId',
+  ...requireRole('admin'),
+  param('id').isInt(),
+  param('precioId').isInt(),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const { id, precioId } = req.params;
+
+      const result = await withTransaction(async (conn) => {
+        const antes = await filaAuditable(conn, 'producto_precios', precioId, { bloquear: true });
+        const precio = antes && (await precios.buscar(conn, id, precioId));
+        if (!precio) {
+          return { status: 404, message: 'Precio no encontrado' };
+        }
+        if (precio.estado !== 'programado') {
+          return { status: 409, message: 'El precio ya entró en vigor; no se puede cancelar' };
+        }
+
+        await precios.eliminar(conn, precioId);
+        await registrarAuditoria(conn, {
+          entidad: 'producto_precios',
+          entidadId: precioId,
+          accion: 'eliminar',
+          usuarioId: req.user.id,
+          antes,
+        });
+        return { status: 200, message: 'Precio programado cancelado' };
+      });
+
+      res.status(result.status).json({ ok: result.status === 200, message: result.message });
     } catch (err) {
-      console.error(err);
-      res.status(500).json({ ok: false, message: 'Error obteniendo producto' });
+      next(err);
     }
   }
 );
@@ -132,6 +1746,9 @@ router.get(
  *   post:
  *     summary: Crea un nuevo producto
  *     tags: [Productos]
+ *     description: "Requiere rol: admin"
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -145,44 +1762,65 @@ router.get(
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Producto'
+ *       422:
+ *         description: La categoría no existe o está eliminada
+ *       401:
+ *         $ref: '#/components/responses/NoAutenticado'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
+ *       409:
+ *         $ref: '#/components/responses/Duplicado'
  */
 router.post(
   '/',
+  ...requireRole('admin'),
   body('categoria_id').isInt(),
   body('nombre').isString().notEmpty(),
   body('precio').isFloat(),
   body('descripcion').optional().isString(),
   body('disponible').optional().isBoolean(),
+  body('disponibilidad_auto').optional().isBoolean(),
   handleValidation,
-  async (req, res) => {
+  async (req, res, next) => {
     try {
-      const { categoria_id, nombre, descripcion, precio, disponible } = req.body;
+      const { categoria_id, nombre, descripcion, precio, disponible, disponibilidad_auto } =
+        req.body;
       const pool = await getPool();
 
-      const [result] = await pool.query(
-        `
-        INSERT INTO productos (categoria_id, nombre, descripcion, precio, disponible)
-        VALUES (?, ?, ?, ?, ?)
-        `,
-        [categoria_id, nombre, descripcion ?? null, precio, disponible ?? 1]
-      );
+      const invalida = await categoriaInvalida(pool, categoria_id);
+      if (invalida) {
+        return res.status(422).json(invalida);
+      }
 
-      const [rows] = await pool.query(
-        `
-        SELECT p.id, p.categoria_id, c.nombre AS categoria,
-               p.nombre, p.descripcion, p.precio, p.disponible,
-               p.created_at, p.updated_at
-        FROM productos p
-        JOIN categorias c ON p.categoria_id = c.id
-        WHERE p.id = ?
-        `,
-        [result.insertId]
-      );
+      const producto = await withTransaction(async (conn) => {
+        const id = await productos.crear(conn, {
+          categoria_id,
+          nombre,
+          descripcion: descripcion ?? null,
+          precio,
+          disponible: disponible === false ? 0 : 1,
+          disponibilidad_auto: disponibilidad_auto ? 1 : 0,
+        });
+        await precios.cambiar(conn, id, precio, req.user.id);
 
-      res.status(201).json({ ok: true, message: 'Producto creado', data: rows[0] });
+        await registrarAuditoria(conn, {
+          entidad: 'productos',
+          entidadId: id,
+          accion: 'crear',
+          usuarioId: req.user.id,
+          despues: await filaAuditable(conn, 'productos', id),
+        });
+
+        return productos.buscar(conn, id);
+      });
+
+      res.status(201).json({
+        ok: true,
+        message: 'Producto creado',
+        data: await formatProducto(pool, producto),
+      });
     } catch (err) {
-      console.error(err);
-      res.status(500).json({ ok: false, message: 'Error insertando producto' });
+      next(err);
     }
   }
 );
@@ -194,6 +1832,14 @@ router.post(
  *   put:
  *     summary: Actualiza un producto
  *     tags: [Productos]
+ *     description: >
+ *       Requiere rol: admin, cocina (cocina solo puede cambiar `disponible`,
+ *       `disponibilidad_auto` y `disponible_override`).
+ *       En modo automático, enviar `disponible` fija un override manual;
+ *       `disponible_override: null` vuelve a calcularlo según el stock.
+ *       Un `precio` nuevo queda en el historial, vigente desde ese momento.
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -201,6 +1847,7 @@ router.post(
  *           type: integer
  *         required: true
  *         description: ID del producto
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
  *       content:
@@ -210,79 +1857,116 @@ router.post(
  *     responses:
  *       200:
  *         description: Producto actualizado
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Producto'
  *       404:
  *         description: Producto no encontrado
+ *       412:
+ *         $ref: '#/components/responses/PrecondicionFallida'
+ *       428:
+ *         $ref: '#/components/responses/IfMatchRequerido'
+ *       422:
+ *         description: La categoría no existe o está eliminada
+ *       401:
+ *         $ref: '#/components/responses/NoAutenticado'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
  */
 router.put(
   '/:id',
+  ...requireRole('admin', 'cocina'),
+  ifMatchRequerido,
+  limitFieldsByRole({ cocina: ['disponible', 'disponibilidad_auto', 'disponible_override'] }),
   param('id').isInt(),
   body('categoria_id').optional().isInt(),
   body('nombre').optional().isString().notEmpty(),
   body('precio').optional().isFloat(),
   body('descripcion').optional().isString(),
   body('disponible').optional().isBoolean(),
+  body('disponibilidad_auto').optional().isBoolean(),
+  body('disponible_override').optional({ values: 'undefined' }).custom((value) => {
+    if (value !== null && typeof value !== 'boolean') {
+      throw new Error('disponible_override debe ser true, false o null');
+    }
+    return true;
+  }),
   handleValidation,
-  async (req, res) => {
+  async (req, res, next) => {
     try {
       const id = req.params.id;
       const bodyData = req.body;
 
-      const allowedFields = ['categoria_id', 'nombre', 'descripcion', 'precio', 'disponible'];
-      const sets = [];
-      const values = [];
+      const allowedFields = ['categoria_id', 'nombre', 'descripcion', 'precio'];
+      const cambios = {};
 
       for (const field of allowedFields) {
         if (bodyData[field] !== undefined) {
-          sets.push(`${field} = ?`);
-          // boolean -> tinyint conversion
-          if (field === 'disponible') {
-            values.push(bodyData[field] ? 1 : 0);
-          } else {
-            values.push(bodyData[field]);
-          }
+          cambios[field] = bodyData[field];
+        }
+      }
+
+      const pool = await getPool();
+      const actual = await filaAuditable(pool, 'productos', id);
+
+      if (!actual || actual.deleted_at !== null) {
+        return res.status(404).json({ ok: false, message: 'Producto no encontrado' });
+      }
+
+      if (bodyData.categoria_id !== undefined) {
+        const invalida = await categoriaInvalida(pool, bodyData.categoria_id);
+        if (invalida) {
+          return res.status(422).json(invalida);
         }
       }
 
-      if (sets.length === 0) {
+      Object.assign(cambios, cambiosDisponibilidad(actual, bodyData));
+
+      if (Object.keys(cambios).length === 0) {
         return res.status(400).json({ ok: false, message: 'Nada para actualizar' });
       }
 
-      values.push(id);
+      const result = await withTransaction(async (conn) => {
+        const antes = await filaAuditable(conn, 'productos', id, { bloquear: true });
+        // Pudo eliminarse después de la lectura de arriba
+        if (!antes || antes.deleted_at !== null) return { status: 404 };
 
-      const pool = await getPool();
-      const [result] = await pool.query(
-        `
-        UPDATE productos
-        SET ${sets.join(', ')}
-        WHERE id = ?
-        `,
-        values
-      );
+        const vigente = await formatProducto(conn, await productos.buscar(conn, id));
+        if (!cumpleIfMatch(req, vigente)) return { status: 412, data: vigente };
 
-      if (result.affectedRows === 0) {
+        await productos.actualizar(conn, id, cambios);
+        if (cambios.precio !== undefined) {
+          await precios.cambiar(conn, id, cambios.precio, req.user.id);
+        }
+
+        const despues = await filaAuditable(conn, 'productos', id);
+        await registrarAuditoria(conn, {
+          entidad: 'productos',
+          entidadId: id,
+          accion: 'actualizar',
+          usuarioId: req.user.id,
+          antes,
+          despues,
+        });
+
+        return { status: 200, data: await formatProducto(conn, await productos.buscar(conn, id)) };
+      });
+
+      if (result.status === 404) {
         return res.status(404).json({ ok: false, message: 'Producto no encontrado' });
       }
+      res.set('ETag', etagDe(result.data));
+      if (result.status === 412) {
+        return res.status(412).json(precondicionFallida(result.data));
+      }
 
-      const [rows] = await pool.query(
-        `
-        SELECT p.id, p.categoria_id, c.nombre AS categoria,
-               p.nombre, p.descripcion, p.precio, p.disponible,
-               p.created_at, p.updated_at
-        FROM productos p
-        JOIN categorias c ON p.categoria_id = c.id
-        WHERE p.id = ?
-        `,
-        [id]
-      );
-
-      res.json({ ok: true, message: 'Producto actualizado', data: rows[0] });
+      res.json({ ok: true, message: 'Producto actualizado', data: result.data });
     } catch (err) {
-      console.error(err);
-      res.status(500).json({ ok: false, message: 'Error actualizando producto' });
+      next(err);
     }
   }
 );
@@ -292,8 +1976,14 @@ router.put(
  * @swagger
  * /api/productos/{id}:
  *   delete:
- *     summary: Elimina un producto
+ *     summary: Elimina un producto (borrado lógico)
  *     tags: [Productos]
+ *     description: >
+ *       Requiere rol: admin. El producto deja de aparecer en el catálogo y no
+ *       se puede pedir, pero los pedidos anteriores lo conservan. Se puede
+ *       restaurar con POST /api/productos/{id}/restaurar.
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -306,26 +1996,334 @@ router.put(
  *         description: Producto eliminado
  *       404:
  *         description: Producto no encontrado
+ *       401:
+ *         $ref: '#/components/responses/NoAutenticado'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
  */
 router.delete(
   '/:id',
+  ...requireRole('admin'),
   param('id').isInt(),
   handleValidation,
-  async (req, res) => {
+  async (req, res, next) => {
     try {
       const id = req.params.id;
-      const pool = await getPool();
 
-      const [result] = await pool.query('DELETE FROM productos WHERE id = ?', [id]);
+      const eliminado = await withTransaction(async (conn) => {
+        const antes = await filaAuditable(conn, 'productos', id, { bloquear: true });
+        if (!antes || antes.deleted_at !== null) return false;
 
-      if (result.affectedRows === 0) {
+        await productos.eliminar(conn, id);
+        await registrarAuditoria(conn, {
+          entidad: 'productos',
+          entidadId: id,
+          accion: 'eliminar',
+          usuarioId: req.user.id,
+          antes,
+          despues: await filaAuditable(conn, 'productos', id),
+        });
+        return true;
+      });
+
+      if (!eliminado) {
         return res.status(404).json({ ok: false, message: 'Producto no encontrado' });
       }
 
       res.json({ ok: true, message: 'Producto eliminado' });
     } catch (err) {
-      console.error(err);
-      res.status(500).json({ ok: false, message: 'Error eliminando producto' });
+      next(err);
+    }
+  }
+);
+
+
+/**
+ * @swagger
+ * /api/productos/{id}/restaurar:
+ *   post:
+ *     summary: Restaura un producto eliminado
+ *     tags: [Productos]
+ *     description: "Requiere rol: admin. Si su categoría también está eliminada hay que restaurarla primero."
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: ID del producto
+ *     responses:
+ *       200:
+ *         description: Producto restaurado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Producto'
+ *       404:
+ *         description: Producto no encontrado
+ *       409:
+ *         description: El producto no está eliminado o su categoría está eliminada
+ *       401:
+ *         $ref: '#/components/responses/NoAutenticado'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
+ */
+router.post(
+  '/:id/restaurar',
+  ...requireRole('admin'),
+  param('id').isInt(),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const id = req.params.id;
+
+      const result = await withTransaction(async (conn) => {
+        const antes = await filaAuditable(conn, 'productos', id, { bloquear: true });
+        if (!antes) {
+          return { status: 404, body: { ok: false, message: 'Producto no encontrado' } };
+        }
+        if (antes.deleted_at === null) {
+          return { status: 409, body: { ok: false, message: 'El producto no está eliminado' } };
+        }
+
+        const categoria = await filaAuditable(conn, 'categorias', antes.categoria_id);
+        if (categoria.deleted_at !== null) {
+          return {
+            status: 409,
+            body: {
+              ok: false,
+              message: `La categoría ${categoria.nombre} está eliminada; restáurala primero`,
+            },
+          };
+        }
+
+        await productos.restaurar(conn, id);
+        await registrarAuditoria(conn, {
+          entidad: 'productos',
+          entidadId: id,
+          accion: 'restaurar',
+          usuarioId: req.user.id,
+          antes,
+          despues: await filaAuditable(conn, 'productos', id),
+        });
+
+        const producto = await productos.buscar(conn, id);
+        return {
+          status: 200,
+          body: {
+            ok: true,
+            message: 'Producto restaurado',
+            data: await formatProducto(conn, producto),
+          },
+        };
+      });
+
+      res.status(result.status).json(result.body);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+
+/**
+ * @swagger
+ * /api/productos/{id}/imagen:
+ *   post:
+ *     summary: Sube o reemplaza la imagen de un producto
+ *     tags: [Productos]
+ *     description: >
+ *       Requiere rol: admin. Multipart con el archivo en el campo `imagen`:
+ *       JPEG, PNG o WebP de hasta 2 MB (IMAGEN_MAX_BYTES). El formato se
+ *       comprueba por el contenido y debe coincidir con el Content-Type del
+ *       archivo. La imagen anterior se borra. El nombre del archivo lleva el
+ *       hash de su contenido, así que `imagen_url` cambia con cada imagen
+ *       nueva y el navegador la puede guardar por un año.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: ID del producto
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [imagen]
+ *             properties:
+ *               imagen:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Producto con su nueva imagen_url
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Producto'
+ *       400:
+ *         description: Falta el archivo o el multipart no es válido
+ *       404:
+ *         description: Producto no encontrado
+ *       413:
+ *         description: La imagen excede el tamaño máximo
+ *       415:
+ *         description: El archivo no es JPEG, PNG ni WebP
+ *       401:
+ *         $ref: '#/components/responses/NoAutenticado'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
+ *   delete:
+ *     summary: Quita la imagen de un producto
+ *     tags: [Productos]
+ *     description: "Requiere rol: admin. El archivo se borra del almacenamiento."
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: ID del producto
+ *     responses:
+ *       200:
+ *         description: Producto sin imagen
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Producto'
+ *       404:
+ *         description: Producto no encontrado o sin imagen
+ *       401:
+ *         $ref: '#/components/responses/NoAutenticado'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
+ */
+router.post(
+  '/:id/imagen',
+  ...requireRole('admin'),
+  param('id').isInt(),
+  handleValidation,
+  recibirImagen,
+  async (req, res, next) => {
+    try {
+      const id = Number(req.params.id);
+
+      const db = await getPool();
+      const actual = await productos.buscar(db, id);
+      if (!actual) {
+        return res.status(404).json({ ok: false, message: 'Producto no encontrado' });
+      }
+
+      // El archivo va antes que la fila para que la fila nunca apunte a un
+      // archivo que no existe; si la transacción no se completa, se descarta.
+      // El nombre sale del contenido: la misma imagen subida dos veces
+      // reescribe el mismo archivo, que la fila puede estar usando ya
+      const nombre = nombreImagen(id, req.file);
+      await getAlmacenamiento().guardar(nombre, req.file.buffer, req.file.tipo);
+
+      let result;
+      try {
+        result = await withTransaction(async (conn) => {
+          const antes = await filaAuditable(conn, 'productos', id, { bloquear: true });
+          if (!antes || antes.deleted_at !== null) return null;
+          if (antes.imagen === nombre) {
+            return { sinCambios: true, producto: await productos.buscar(conn, id) };
+          }
+
+          await productos.actualizar(conn, id, { imagen: nombre });
+          await registrarAuditoria(conn, {
+            entidad: 'productos',
+            entidadId: id,
+            accion: 'actualizar',
+            usuarioId: req.user.id,
+            antes,
+            despues: await filaAuditable(conn, 'productos', id),
+          });
+
+          return { anterior: antes.imagen, producto: await productos.buscar(conn, id) };
+        });
+      } catch (err) {
+        await descartarSinUso(db, id, [nombre]);
+        throw err;
+      }
+
+      if (!result) {
+        await descartarSinUso(db, id, [nombre]);
+        return res.status(404).json({ ok: false, message: 'Producto no encontrado' });
+      }
+      if (result.sinCambios) {
+        return res.json({
+          ok: true,
+          message: 'La imagen no cambió',
+          data: await formatProducto(db, result.producto),
+        });
+      }
+
+      await descartarSinUso(db, id, [result.anterior]);
+      res.json({
+        ok: true,
+        message: 'Imagen actualizada',
+        data: await formatProducto(db, result.producto),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+router.delete(
+  '/:id/imagen',
+  ...requireRole('admin'),
+  param('id').isInt(),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const id = req.params.id;
+
+      const result = await withTransaction(async (conn) => {
+        const antes = await filaAuditable(conn, 'productos', id, { bloquear: true });
+        if (!antes || antes.deleted_at !== null) {
+          return { status: 404, body: { ok: false, message: 'Producto no encontrado' } };
+        }
+        if (antes.imagen === null) {
+          return { status: 404, body: { ok: false, message: 'El producto no tiene imagen' } };
+        }
+
+        await productos.actualizar(conn, id, { imagen: null });
+        await registrarAuditoria(conn, {
+          entidad: 'productos',
+          entidadId: id,
+          accion: 'actualizar',
+          usuarioId: req.user.id,
+          antes,
+          despues: await filaAuditable(conn, 'productos', id),
+        });
+
+        const producto = await productos.buscar(conn, id);
+        return {
+          status: 200,
+          anterior: antes.imagen,
+          body: {
+            ok: true,
+            message: 'Imagen eliminada',
+            data: await formatProducto(conn, producto),
+          },
+        };
+      });
+
+      await descartarSinUso(await getPool(), id, [result.anterior]);
+      res.status(result.status).json(result.body);
+    } catch (err) {
+      next(err);
     }
   }
 );
@@ -0,0 +1,117 @@
+// routes/reportes.routes.js
+import { Router } from 'express';
+import { getPool } from '../config/db.js';
+import { handleValidation } from './validators.js';
+import { requireRole } from './auth.js';
+import { listValidators, pageMeta } from './listing.js';
+import { formatMargen } from './costeo.js';
+import * as reportes from '../repositories/reportes.js';
+
+const router = Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Reportes
+ *   description: Reportes para administración
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     MargenProducto:
+ *       type: object
+ *       properties:
+ *         producto_id:
+ *           type: integer
+ *         producto:
+ *           type: string
+ *         categoria_id:
+ *           type: integer
+ *         categoria:
+ *           type: string
+ *         precio:
+ *           type: number
+ *           example: 45.5
+ *         costo:
+ *           type: number
+ *           example: 18.74
+ *         margen_bruto:
+ *           type: number
+ *           example: 26.76
+ *         margen_porcentaje:
+ *           type: number
+ *           nullable: true
+ *           example: 58.81
+ */
+
+/**
+ * @swagger
+ * /api/reportes/margenes:
+ *   get:
+ *     summary: Costo de receta y margen de cada producto
+ *     description: >
+ *       Requiere rol: admin. Por defecto ordena del menor al mayor margen
+ *       porcentual, para ver primero los productos que dejan menos o pierden.
+ *     tags: [Reportes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - in: query
+ *         name: categoria_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: margen_porcentaje_max
+ *         schema:
+ *           type: number
+ *         description: Solo productos con margen porcentual menor o igual (0 = pierden dinero)
+ *     responses:
+ *       200:
+ *         description: Margen por producto
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 ok:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/MargenProducto'
+ *                 meta:
+ *                   $ref: '#/components/schemas/PageMeta'
+ *       401:
+ *         $ref: '#/components/responses/NoAutenticado'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
+ */
+router.get(
+  '/margenes',
+  ...requireRole('admin'),
+  listValidators(reportes.LISTADO_MARGENES),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const { rows, total, pagination } = await reportes.margenes(await getPool(), req.query);
+
+      res.json({
+        ok: true,
+        message: 'Consulta realizada correctamente',
+        data: rows.map(formatMargen),
+        meta: pageMeta(total, pagination),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,206 @@
+// routes/usuarios.routes.js
+import { Router } from 'express';
+import { body, param } from 'express-validator';
+import { getPool } from '../config/db.js';
+import { handleValidation } from './validators.js';
+import { ROLES, hashPassword, requireRole } from './auth.js';
+import * as usuarios from '../repositories/usuarios.js';
+
+const router = Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Usuarios
+ *   description: Administración de cuentas (solo admin)
+ */
+
+/**
+ * @swagger
+ * /api/usuarios:
+ *   get:
+ *     summary: Lista los usuarios
+ *     description: "Requiere rol: admin"
+ *     tags: [Usuarios]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Listado de usuarios
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Usuario'
+ *       401:
+ *         $ref: '#/components/responses/NoAutenticado'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
+ */
+router.get('/', ...requireRole('admin'), async (_req, res, next) => {
+  try {
+    const rows = await usuarios.listar(await getPool());
+    res.json({ ok: true, message: 'Consulta realizada correctamente', data: rows });
+  } catch (err) {
+    next(err);
+  }
+});
+
+
+/**
+ * @swagger
+ * /api/usuarios:
+ *   post:
+ *     summary: Crea un usuario
+ *     description: "Requiere rol: admin"
+ *     tags: [Usuarios]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [usuario, password, rol]
+ *             properties:
+ *               usuario:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 8
+ *               rol:
+ *                 type: string
+ *                 enum: [admin, cocina, mesero]
+ *     responses:
+ *       201:
+ *         description: Usuario creado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Usuario'
+ *       401:
+ *         $ref: '#/components/responses/NoAutenticado'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
+ *       409:
+ *         description: El usuario ya existe
+ */
+router.post(
+  '/',
+  ...requireRole('admin'),
+  body('usuario').isString().trim().isLength({ min: 3, max: 50 }),
+  body('password').isString().isLength({ min: 8 }),
+  body('rol').isIn(ROLES),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const { usuario, password, rol } = req.body;
+      const pool = await getPool();
+
+      if (await usuarios.idPorUsuario(pool, usuario)) {
+        return res.status(409).json({ ok: false, message: 'El usuario ya existe' });
+      }
+
+      const id = await usuarios.crear(pool, {
+        usuario,
+        password_hash: await hashPassword(password),
+        rol,
+      });
+
+      res.status(201).json({
+        ok: true,
+        message: 'Usuario creado',
+        data: await usuarios.buscar(pool, id),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+
+/**
+ * @swagger
+ * /api/usuarios/{id}:
+ *   put:
+ *     summary: Cambia rol, estado o contraseña de un usuario
+ *     description: "Requiere rol: admin"
+ *     tags: [Usuarios]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 minLength: 8
+ *               rol:
+ *                 type: string
+ *                 enum: [admin, cocina, mesero]
+ *               activo:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Usuario actualizado
+ *       401:
+ *         $ref: '#/components/responses/NoAutenticado'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
+ *       404:
+ *         description: Usuario no encontrado
+ */
+router.put(
+  '/:id',
+  ...requireRole('admin'),
+  param('id').isInt(),
+  body('password').optional().isString().isLength({ min: 8 }),
+  body('rol').optional().isIn(ROLES),
+  body('activo').optional().isBoolean(),
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const id = req.params.id;
+      const { password, rol, activo } = req.body;
+      const cambios = {};
+
+      if (password !== undefined) {
+        cambios.password_hash = await hashPassword(password);
+      }
+      if (rol !== undefined) {
+        cambios.rol = rol;
+      }
+      if (activo !== undefined) {
+        cambios.activo = activo ? 1 : 0;
+      }
+
+      if (Object.keys(cambios).length === 0) {
+        return res.status(400).json({ ok: false, message: 'Nada para actualizar' });
+      }
+
+      const pool = await getPool();
+      const actualizados = await usuarios.actualizar(pool, id, cambios);
+
+      if (actualizados === 0) {
+        return res.status(404).json({ ok: false, message: 'Usuario no encontrado' });
+      }
+
+      res.json({ ok: true, message: 'Usuario actualizado', data: await usuarios.buscar(pool, id) });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+export default router;
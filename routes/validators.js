@@ -6,6 +6,7 @@ export function handleValidation(req, res, next) {
   if (!errors.isEmpty()) {
     return res.status(400).json({
       ok: false,
+      code: 'VALIDACION',
       message: 'Errores de validación',
       errors: errors.array(),
     });
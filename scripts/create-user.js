@@ -0,0 +1,40 @@
+// scripts/create-user.js
+// Uso: npm run create-user <usuario> <password> <rol>
+// Sirve para crear el primer admin; después se usa POST /api/usuarios.
+import 'dotenv/config';
+import { getPool, closePool } from '../config/db.js';
+import { ROLES, hashPassword } from '../routes/auth.js';
+import * as usuarios from '../repositories/usuarios.js';
+
+const [usuario, password, rol = 'admin'] = process.argv.slice(2);
+
+async function main() {
+  if (!usuario || !password) {
+    throw new Error('Uso: npm run create-user <usuario> <password> [admin|cocina|mesero]');
+  }
+  if (!ROLES.includes(rol)) {
+    throw new Error(`Rol inválido: ${rol}. Roles: ${ROLES.join(', ')}`);
+  }
+  if (password.length < 8) {
+    throw new Error('La contraseña debe tener al menos 8 caracteres');
+  }
+
+  const pool = await getPool();
+  const hash = await hashPassword(password);
+  const id = await usuarios.idPorUsuario(pool, usuario);
+
+  if (id) {
+    await usuarios.actualizar(pool, id, { password_hash: hash, rol, activo: 1 });
+    console.log(`Usuario ${usuario} actualizado (${rol})`);
+  } else {
+    await usuarios.crear(pool, { usuario, password_hash: hash, rol });
+    console.log(`Usuario ${usuario} creado (${rol})`);
+  }
+}
+
+main()
+  .catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+  })
+  .finally(closePool);
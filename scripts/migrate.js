@@ -0,0 +1,47 @@
+// scripts/migrate.js
+// Uso: npm run migrate up | down [pasos] | status
+import 'dotenv/config';
+import { closePool, ensureDatabase } from '../config/db.js';
+import { migrateUp, migrateDown, migrationStatus } from '../config/migrator.js';
+
+const [command = 'status', arg] = process.argv.slice(2);
+
+async function main() {
+  await ensureDatabase();
+
+  switch (command) {
+    case 'up': {
+      const done = await migrateUp();
+      if (done.length === 0) {
+        console.log('No hay migraciones pendientes');
+      }
+      done.forEach((nombre) => console.log(`↑ ${nombre}`));
+      break;
+    }
+    case 'down': {
+      const steps = arg === undefined ? 1 : parseInt(arg, 10);
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error('El número de pasos debe ser un entero >= 1');
+      }
+      const done = await migrateDown(steps);
+      if (done.length === 0) {
+        console.log('No hay migraciones para revertir');
+      }
+      done.forEach((nombre) => console.log(`↓ ${nombre}`));
+      break;
+    }
+    case 'status':
+      console.table(await migrationStatus());
+      break;
+    default:
+      console.error('Uso: npm run migrate up | down [pasos] | status');
+      process.exitCode = 1;
+  }
+}
+
+main()
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(closePool);
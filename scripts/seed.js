@@ -0,0 +1,29 @@
+// scripts/seed.js
+// Uso: npm run seed [archivo ...]   (por defecto seeds/demo.yaml)
+import 'dotenv/config';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { closePool } from '../config/db.js';
+import { seed } from '../config/seeder.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const files = process.argv.slice(2);
+if (files.length === 0) {
+  files.push(path.join(__dirname, '../seeds/demo.yaml'));
+}
+
+seed(files)
+  .then((stats) => {
+    for (const entity of ['categorias', 'ingredientes', 'productos']) {
+      const { creados, actualizados } = stats[entity];
+      console.log(`${entity}: ${creados} creados, ${actualizados} actualizados`);
+    }
+    console.log(`receta: ${stats.receta} líneas`);
+  })
+  .catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+  })
+  .finally(closePool);
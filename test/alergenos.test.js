@@ -0,0 +1,119 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { iniciar, terminar, api, crear } from './helpers.js';
+
+let hamburguesa;
+let ensalada;
+let pan;
+
+before(async () => {
+  await iniciar();
+  const categoria = await crear('/api/categorias', { nombre: 'Platos' });
+  pan = await crear('/api/ingredientes', { nombre: 'Pan', alergenos: ['gluten'] });
+  const queso = await crear('/api/ingredientes', { nombre: 'Queso', alergenos: ['Lácteos'] });
+  const lechuga = await crear('/api/ingredientes', { nombre: 'Lechuga' });
+
+  hamburguesa = await crear('/api/productos', {
+    categoria_id: categoria.id,
+    nombre: 'Hamburguesa',
+    precio: 50,
+  });
+  ensalada = await crear('/api/productos', {
+    categoria_id: categoria.id,
+    nombre: 'Ensalada',
+    precio: 35,
+  });
+  for (const [producto, ingrediente] of [
+    [hamburguesa, pan],
+    [hamburguesa, queso],
+    [ensalada, lechuga],
+    [ensalada, queso],
+  ]) {
+    await crear('/api/producto-ingrediente', {
+      producto_id: producto.id,
+      ingrediente_id: ingrediente.id,
+      cantidad_usada: 1,
+    });
+  }
+});
+after(terminar);
+
+describe('alergenos', () => {
+  it('lista los alérgenos iniciales', async () => {
+    const res = await api('get', '/api/alergenos', null);
+    assert.equal(res.status, 200);
+    const codigos = res.body.data.map((a) => a.codigo);
+    assert.ok(['gluten', 'lacteos', 'mani', 'mariscos'].every((c) => codigos.includes(c)));
+  });
+
+  it('crea con el código armado desde el nombre, actualiza y elimina', async () => {
+    const creado = await crear('/api/alergenos', { nombre: 'Mostaza de Dijon' });
+    assert.equal(creado.codigo, 'mostaza_de_dijon');
+
+    let res = await api('put', `/api/alergenos/${creado.id}`).send({
+      nombre: 'Mostaza',
+      codigo: 'mostaza',
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.codigo, 'mostaza');
+
+    res = await api('post', '/api/alergenos').send({ nombre: 'Otra mostaza', codigo: 'Mostaza' });
+    assert.equal(res.status, 409);
+
+    res = await api('delete', `/api/alergenos/${creado.id}`);
+    assert.equal(res.status, 200);
+    assert.equal((await api('get', `/api/alergenos/${creado.id}`)).status, 404);
+  });
+
+  it('no elimina un alérgeno asignado a un ingrediente', async () => {
+    const { body } = await api('get', '/api/alergenos');
+    const gluten = body.data.find((a) => a.codigo === 'gluten');
+
+    const res = await api('delete', `/api/alergenos/${gluten.id}`);
+    assert.equal(res.status, 409);
+    assert.match(res.body.message, /Pan/);
+  });
+
+  it('exige rol admin para escribir', async () => {
+    const res = await api('post', '/api/alergenos', 'mesero').send({ nombre: 'Apio' });
+    assert.equal(res.status, 403);
+  });
+});
+
+describe('alergenos de ingredientes y productos', () => {
+  it('asigna y reemplaza los alérgenos de un ingrediente', async () => {
+    let res = await api('get', `/api/ingredientes/${pan.id}`);
+    assert.deepEqual(res.body.data.alergenos, ['gluten']);
+
+    res = await api('put', `/api/ingredientes/${pan.id}`).send({
+      alergenos: ['gluten', 'ajonjolí'],
+    });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.data.alergenos, ['ajonjoli', 'gluten']);
+
+    res = await api('put', `/api/ingredientes/${pan.id}`).send({ alergenos: ['gluten', 'polen'] });
+    assert.equal(res.status, 422);
+    assert.match(res.body.errors[0].msg, /polen/);
+  });
+
+  it('deriva los alérgenos del producto de su receta', async () => {
+    const res = await api('get', `/api/productos/${hamburguesa.id}`);
+    assert.deepEqual(res.body.data.alergenos, ['ajonjoli', 'gluten', 'lacteos']);
+  });
+
+  it('filtra los productos sin ciertos alérgenos', async () => {
+    let res = await api('get', '/api/productos?sin_alergenos=gluten');
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      res.body.data.map((p) => p.nombre),
+      ['Ensalada']
+    );
+
+    res = await api('get', '/api/productos?sin_alergenos=gluten,lacteos');
+    assert.deepEqual(res.body.data, []);
+
+    res = await api('get', '/api/productos?sin_alergenos=glutem');
+    assert.equal(res.status, 400);
+    assert.match(res.body.errors[0].msg, /glutem/);
+  });
+});
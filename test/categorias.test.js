@@ -0,0 +1,270 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { iniciar, terminar, api, crear } from './helpers.js';
+
+before(iniciar);
+after(terminar);
+
+describe('categorias', () => {
+  it('crea, consulta, actualiza y elimina', async () => {
+    const creada = await crear('/api/categorias', { nombre: 'Bebidas' });
+    assert.equal(creada.nombre, 'Bebidas');
+    assert.equal(creada.deleted_at, null);
+
+    let res = await api('get', `/api/categorias/${creada.id}`);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.nombre, 'Bebidas');
+
+    res = await api('put', `/api/categorias/${creada.id}`).send({ nombre: 'Bebidas frías' });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.nombre, 'Bebidas frías');
+
+    res = await api('delete', `/api/categorias/${creada.id}`);
+    assert.equal(res.status, 200);
+
+    res = await api('get', `/api/categorias/${creada.id}`);
+    assert.equal(res.status, 404);
+
+    res = await api('post', `/api/categorias/${creada.id}/restaurar`);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.deleted_at, null);
+  });
+
+  it('lista con filtro sin distinguir mayúsculas ni acentos y pagina', async () => {
+    await crear('/api/categorias', { nombre: 'Cafés' });
+    await crear('/api/categorias', { nombre: 'Postres' });
+
+    let res = await api('get', '/api/categorias?nombre=CAFE');
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      res.body.data.map((c) => c.nombre),
+      ['Cafés']
+    );
+
+    res = await api('get', '/api/categorias?sort=nombre&limit=1&page=2');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.length, 1);
+    assert.equal(res.body.meta.total, 3);
+  });
+
+  it('rechaza datos inválidos con 400', async () => {
+    let res = await api('post', '/api/categorias').send({ nombre: '' });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'VALIDACION');
+
+    res = await api('put', '/api/categorias/abc').send({ nombre: 'X' });
+    assert.equal(res.status, 400);
+
+    res = await api('get', '/api/categorias?sort=inexistente');
+    assert.equal(res.status, 400);
+  });
+
+  it('responde 404 para ids que no existen', async () => {
+    assert.equal((await api('get', '/api/categorias/999')).status, 404);
+    assert.equal((await api('put', '/api/categorias/999').send({ nombre: 'X' })).status, 404);
+    assert.equal((await api('delete', '/api/categorias/999')).status, 404);
+  });
+
+  it('responde 409 con un nombre repetido', async () => {
+    await crear('/api/categorias', { nombre: 'Entradas' });
+    const res = await api('post', '/api/categorias').send({ nombre: 'entradas' });
+    assert.equal(res.status, 409);
+    assert.equal(res.body.code, 'DUPLICADO');
+    assert.equal(res.body.field, 'nombre');
+  });
+
+  it('exige rol admin para escribir', async () => {
+    let res = await api('post', '/api/categorias', 'cocina').send({ nombre: 'Sopas' });
+    assert.equal(res.status, 403);
+
+    res = await api('post', '/api/categorias', null).send({ nombre: 'Sopas' });
+    assert.equal(res.status, 401);
+  });
+});
+
+describe('categorias: ediciones concurrentes', () => {
+  it('acepta el ETag actual y rechaza uno viejo', async () => {
+    const categoria = await crear('/api/categorias', { nombre: 'Ensaladas' });
+    const { etag } = (await api('get', `/api/categorias/${categoria.id}`)).headers;
+
+    let res = await api('put', `/api/categorias/${categoria.id}`)
+      .set('If-Match', etag)
+      .send({ nombre: 'Ensaladas frescas' });
+    assert.equal(res.status, 200);
+
+    res = await api('put', `/api/categorias/${categoria.id}`)
+      .set('If-Match', etag)
+      .send({ nombre: 'Ensaladas de la casa' });
+    assert.equal(res.status, 412);
+    assert.equal(res.body.data.nombre, 'Ensaladas frescas');
+
+    res = await api('put', `/api/categorias/${categoria.id}`)
+      .set('If-Match', '*')
+      .send({ nombre: 'Ensaladas de la casa' });
+    assert.equal(res.status, 200);
+  });
+});
+
+describe('categorias: caché HTTP', () => {
+  it('reutiliza el listado, responde 304 y lo invalida al escribir', async () => {
+    let res = await api('get', '/api/categorias?sort=nombre');
+    assert.equal(res.status, 200);
+    assert.equal(res.headers['x-cache'], 'MISS');
+    assert.match(res.headers['cache-control'], /^public/);
+    const { etag, 'last-modified': modificado } = res.headers;
+    assert.ok(etag);
+    assert.ok(modificado);
+
+    res = await api('get', '/api/categorias?sort=nombre');
+    assert.equal(res.headers['x-cache'], 'HIT');
+    assert.equal(res.headers.etag, etag);
+
+    res = await api('get', '/api/categorias?sort=nombre').set('If-None-Match', etag);
+    assert.equal(res.status, 304);
+
+    res = await api('get', '/api/categorias?sort=nombre').set('If-Modified-Since', modificado);
+    assert.equal(res.status, 304);
+
+    await crear('/api/categorias', { nombre: 'Antojitos' });
+
+    res = await api('get', '/api/categorias?sort=nombre').set('If-None-Match', etag);
+    assert.equal(res.status, 200);
+    assert.equal(res.headers['x-cache'], 'MISS');
+    assert.equal(res.body.data[0].nombre, 'Antojitos');
+
+    res = await api('get', '/api/categorias?sort=nombre').set('If-Modified-Since', modificado);
+    assert.equal(res.status, 200);
+  });
+
+  it('responde 304 en el detalle hasta que cambia', async () => {
+    const categoria = await crear('/api/categorias', { nombre: 'Tortas' });
+    const { etag } = (await api('get', `/api/categorias/${categoria.id}`)).headers;
+
+    let res = await api('get', `/api/categorias/${categoria.id}`).set('If-None-Match', etag);
+    assert.equal(res.status, 304);
+
+    await api('put', `/api/categorias/${categoria.id}`).send({ nombre: 'Tortas ahogadas' });
+
+    res = await api('get', `/api/categorias/${categoria.id}`).set('If-None-Match', etag);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.nombre, 'Tortas ahogadas');
+  });
+});
+
+describe('categorias: subcategorías', () => {
+  let bebidas;
+  let calientes;
+  let frias;
+
+  before(async () => {
+    bebidas = await crear('/api/categorias', { nombre: 'Bebidas de la casa' });
+    calientes = await crear('/api/categorias', { nombre: 'Calientes', padre_id: bebidas.id });
+    frias = await crear('/api/categorias', { nombre: 'Frías', padre_id: bebidas.id });
+  });
+
+  it('arma el árbol con las subcategorías en su posición', async () => {
+    assert.equal(calientes.posicion, 1);
+    assert.equal(frias.posicion, 2);
+
+    const res = await api('get', '/api/categorias/arbol');
+    assert.equal(res.status, 200);
+    const nodo = res.body.data.find((c) => c.id === bebidas.id);
+    assert.deepEqual(
+      nodo.hijas.map((c) => [c.nombre, c.hijas]),
+      [
+        ['Calientes', []],
+        ['Frías', []],
+      ]
+    );
+    assert.ok(!res.body.data.some((c) => c.id === calientes.id));
+  });
+
+  it('reordena las hermanas en una sola llamada', async () => {
+    let res = await api('patch', '/api/categorias/orden').send({
+      padre_id: bebidas.id,
+      orden: [frias.id, calientes.id],
+    });
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      res.body.data.map((c) => [c.nombre, c.posicion]),
+      [
+        ['Frías', 1],
+        ['Calientes', 2],
+      ]
+    );
+
+    res = await api('patch', '/api/categorias/orden').send({
+      padre_id: bebidas.id,
+      orden: [frias.id],
+    });
+    assert.equal(res.status, 422);
+    assert.equal(res.body.errors[0].path, 'orden');
+
+    res = await api('patch', '/api/categorias/orden').send({ orden: [frias.id, frias.id] });
+    assert.equal(res.status, 400);
+
+    res = await api('patch', '/api/categorias/orden', 'mesero').send({ orden: [frias.id] });
+    assert.equal(res.status, 403);
+  });
+
+  it('no deja formar ciclos ni eliminar una categoría con subcategorías', async () => {
+    let res = await api('put', `/api/categorias/${bebidas.id}`).send({ padre_id: frias.id });
+    assert.equal(res.status, 422);
+    assert.equal(res.body.errors[0].path, 'padre_id');
+
+    res = await api('put', `/api/categorias/${bebidas.id}`).send({ padre_id: bebidas.id });
+    assert.equal(res.status, 422);
+
+    res = await api('post', '/api/categorias').send({ nombre: 'Huérfana', padre_id: 999 });
+    assert.equal(res.status, 422);
+
+    const temporada = await crear('/api/categorias', { nombre: 'Temporada' });
+    await api('delete', `/api/categorias/${temporada.id}`);
+    res = await api('put', `/api/categorias/${frias.id}`).send({ padre_id: temporada.id });
+    assert.equal(res.status, 422);
+    assert.match(res.body.message, /eliminada/);
+    res = await api('post', '/api/categorias').send({ nombre: 'Helados', padre_id: temporada.id });
+    assert.equal(res.status, 422);
+
+    res = await api('delete', `/api/categorias/${bebidas.id}`);
+    assert.equal(res.status, 409);
+    assert.match(res.body.message, /Calientes/);
+  });
+
+  it('filtra productos incluyendo las subcategorías', async () => {
+    const cafe = await crear('/api/productos', {
+      categoria_id: calientes.id,
+      nombre: 'Café de olla',
+      precio: 15,
+    });
+    await crear('/api/productos', { categoria_id: frias.id, nombre: 'Horchata', precio: 18 });
+
+    let res = await api('get', `/api/productos?categoria_id=${bebidas.id}`);
+    assert.deepEqual(res.body.data, []);
+
+    res = await api(
+      'get',
+      `/api/productos?categoria_id=${bebidas.id}&incluir_subcategorias=true&sort=nombre`
+    );
+    assert.deepEqual(
+      res.body.data.map((p) => p.nombre),
+      ['Café de olla', 'Horchata']
+    );
+
+    res = await api('get', `/api/menu?categoria_id=${bebidas.id}&incluir_subcategorias=true`);
+    assert.deepEqual(
+      res.body.data.map((c) => [c.nombre, c.padre_id]),
+      [
+        ['Frías', bebidas.id],
+        ['Calientes', bebidas.id],
+      ]
+    );
+
+    // Moverla al final de las principales la saca de Bebidas
+    res = await api('put', `/api/categorias/${calientes.id}`).send({ padre_id: null });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.padre_id, null);
+    res = await api('get', `/api/productos?categoria_id=${bebidas.id}&incluir_subcategorias=true`);
+    assert.ok(!res.body.data.some((p) => p.id === cafe.id));
+  });
+});
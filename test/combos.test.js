@@ -0,0 +1,268 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import app from '../app.js';
+import { iniciar, terminar, api, crear } from './helpers.js';
+
+let bebidas;
+let hamburguesa;
+let papas;
+let refresco;
+let combo;
+let papa;
+
+before(async () => {
+  await iniciar();
+  const platos = await crear('/api/categorias', { nombre: 'Platos' });
+  bebidas = await crear('/api/categorias', { nombre: 'Bebidas' });
+  const combos = await crear('/api/categorias', { nombre: 'Combos' });
+
+  const pan = await crear('/api/ingredientes', { nombre: 'Pan', stock: 10, alergenos: ['gluten'] });
+  const carne = await crear('/api/ingredientes', { nombre: 'Carne', stock: 10 });
+  papa = await crear('/api/ingredientes', { nombre: 'Papa', stock: 1 });
+
+  hamburguesa = await crear('/api/productos', { categoria_id: platos.id, nombre: 'Hamburguesa', precio: 50 });
+  papas = await crear('/api/productos', {
+    categoria_id: platos.id,
+    nombre: 'Papas',
+    precio: 25,
+    disponibilidad_auto: true,
+  });
+  refresco = await crear('/api/productos', { categoria_id: bebidas.id, nombre: 'Refresco', precio: 20 });
+  await crear('/api/productos', { categoria_id: bebidas.id, nombre: 'Limonada', precio: 22 });
+  combo = await crear('/api/productos', { categoria_id: combos.id, nombre: 'Combo clásico', precio: 80 });
+
+  for (const [producto, ingrediente, cantidad] of [
+    [hamburguesa, pan, 1],
+    [hamburguesa, carne, 1],
+    [papas, papa, 0.5],
+  ]) {
+    await crear('/api/producto-ingrediente', {
+      producto_id: producto.id,
+      ingrediente_id: ingrediente.id,
+      cantidad_usada: cantidad,
+    });
+  }
+});
+after(terminar);
+
+describe('combos', () => {
+  it('arma el combo con su receta y el ahorro frente a los componentes', async () => {
+    const res = await api('put', `/api/productos/${combo.id}/componentes`).send({
+      componentes: [
+        { producto_id: hamburguesa.id },
+        { producto_id: papas.id, cantidad: 2 },
+        { categoria_id: bebidas.id },
+      ],
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.precio, 80);
+    assert.equal(res.body.data.precio_por_separado, 120);
+    assert.equal(res.body.data.ahorro, 40);
+    assert.equal(res.body.data.disponible, true);
+    assert.deepEqual(
+      res.body.data.ingredientes.map((l) => [l.ingrediente, l.cantidad]),
+      [
+        ['Carne', 1],
+        ['Pan', 1],
+        ['Papa', 1],
+      ]
+    );
+
+    const eleccion = res.body.data.componentes[2];
+    assert.equal(eleccion.categoria, 'Bebidas');
+    assert.equal(eleccion.precio, 20);
+    assert.deepEqual(
+      eleccion.opciones.map((o) => o.nombre),
+      ['Limonada', 'Refresco']
+    );
+
+    const producto = await request(app).get(`/api/productos/${combo.id}`);
+    assert.deepEqual(producto.body.data.alergenos, ['gluten']);
+    assert.equal(producto.body.data.precio_por_separado, 120);
+    assert.equal(producto.body.data.ahorro, 40);
+    const sinGluten = await request(app).get('/api/productos?sin_alergenos=gluten');
+    assert.ok(!sinGluten.body.data.some((p) => p.id === combo.id));
+
+    const listado = await request(app).get('/api/productos');
+    const enListado = (id) => listado.body.data.find((p) => p.id === id);
+    assert.equal(enListado(combo.id).ahorro, 40);
+    assert.equal(enListado(hamburguesa.id).ahorro, null);
+    assert.equal(enListado(hamburguesa.id).precio_por_separado, null);
+    const busqueda = await request(app).get('/api/productos/search?q=combo');
+    assert.equal(busqueda.body.data[0].ahorro, 40);
+
+    const menu = await request(app).get('/api/menu');
+    const enMenu = menu.body.data
+      .find((c) => c.nombre === 'Combos')
+      .productos.find((p) => p.id === combo.id);
+    assert.equal(enMenu.ahorro, 40);
+    assert.deepEqual(enMenu.ingredientes, ['Carne', 'Pan', 'Papa']);
+  });
+
+  it('deja de estar disponible cuando falta un componente', async () => {
+    await crear(`/api/ingredientes/${papa.id}/movimientos`, { tipo: 'merma', cantidad: 0.5 });
+
+    // Una porción de papas alcanza, las dos del combo no
+    let res = await request(app).get(`/api/productos/${papas.id}`);
+    assert.equal(res.body.data.disponible, true);
+    res = await request(app).get(`/api/productos/${combo.id}`);
+    assert.equal(res.body.data.disponible, false);
+    assert.equal(res.body.data.motivo_no_disponible, 'Componentes del combo no disponibles: Papas');
+
+    await crear(`/api/ingredientes/${papa.id}/movimientos`, { tipo: 'compra', cantidad: 5 });
+    await api('put', `/api/productos/${refresco.id}`)
+      .set('If-Match', (await request(app).get(`/api/productos/${refresco.id}`)).headers.etag)
+      .send({ disponible: false });
+    res = await request(app).get(`/api/productos/${combo.id}`);
+    assert.equal(res.body.data.disponible, true);
+
+    const pedido = await api('post', '/api/pedidos', 'mesero').send({
+      items: [{ producto_id: combo.id, cantidad: 1 }],
+    });
+    assert.equal(pedido.status, 201);
+    assert.equal(Number(pedido.body.data.total), 80);
+  });
+
+  it('valida los componentes', async () => {
+    const url = `/api/productos/${combo.id}/componentes`;
+
+    const repetido = await api('put', url).send({
+      componentes: [{ producto_id: hamburguesa.id }, { producto_id: hamburguesa.id }],
+    });
+    assert.equal(repetido.status, 400);
+
+    const ambos = await api('put', url).send({
+      componentes: [{ producto_id: hamburguesa.id, categoria_id: bebidas.id }],
+    });
+    assert.equal(ambos.status, 400);
+
+    const mismo = await api('put', url).send({ componentes: [{ producto_id: combo.id }] });
+    assert.equal(mismo.status, 422);
+    assert.equal(mismo.body.code, 'COMPONENTE_INVALIDO');
+
+    const anidado = await api('put', `/api/productos/${hamburguesa.id}/componentes`).send({
+      componentes: [{ producto_id: combo.id }],
+    });
+    assert.equal(anidado.status, 422);
+    assert.deepEqual(
+      anidado.body.errors.map((e) => e.path),
+      ['componentes', 'componentes[0].producto_id']
+    );
+
+    const mesero = await api('put', url, 'mesero').send({ componentes: [] });
+    assert.equal(mesero.status, 403);
+  });
+
+  it('deja de ser combo con una lista vacía y audita los cambios', async () => {
+    const res = await api('put', `/api/productos/${combo.id}/componentes`).send({ componentes: [] });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.data.componentes, []);
+    assert.equal(res.body.data.ahorro, null);
+
+    const bitacora = await api('get', '/api/auditoria?entidad=combo_componentes');
+    assert.deepEqual(
+      bitacora.body.data.map((e) => e.accion).sort(),
+      ['crear', 'crear', 'crear', 'eliminar', 'eliminar', 'eliminar']
+    );
+  });
+});
+
+describe('combos: stock compartido', () => {
+  it('suma el stock que usan todos los componentes', async () => {
+    const aceite = await crear('/api/ingredientes', { nombre: 'Aceite', stock: 1 });
+    const nuggets = await crear('/api/productos', {
+      categoria_id: hamburguesa.categoria_id,
+      nombre: 'Nuggets',
+      precio: 30,
+      disponibilidad_auto: true,
+    });
+    const aros = await crear('/api/productos', {
+      categoria_id: hamburguesa.categoria_id,
+      nombre: 'Aros de cebolla',
+      precio: 28,
+      disponibilidad_auto: true,
+    });
+    for (const producto of [nuggets, aros]) {
+      await crear('/api/producto-ingrediente', {
+        producto_id: producto.id,
+        ingrediente_id: aceite.id,
+        cantidad_usada: 0.6,
+      });
+    }
+    const frituras = await crear('/api/productos', {
+      categoria_id: hamburguesa.categoria_id,
+      nombre: 'Combo frituras',
+      precio: 50,
+    });
+    await api('put', `/api/productos/${frituras.id}/componentes`).send({
+      componentes: [{ producto_id: nuggets.id }, { producto_id: aros.id }],
+    });
+
+    // Cada uno alcanza solo; los dos juntos necesitan 1.2 de aceite
+    let res = await request(app).get(`/api/productos/${nuggets.id}`);
+    assert.equal(res.body.data.disponible, true);
+    res = await request(app).get(`/api/productos/${frituras.id}`);
+    assert.equal(res.body.data.disponible, false);
+    assert.equal(res.body.data.motivo_no_disponible, 'Sin stock suficiente de: Aceite');
+
+    await crear(`/api/ingredientes/${aceite.id}/movimientos`, { tipo: 'compra', cantidad: 0.2 });
+    res = await request(app).get(`/api/productos/${frituras.id}`);
+    assert.equal(res.body.data.disponible, true);
+    assert.deepEqual(res.body.data.ingredientes_faltantes, []);
+  });
+});
+
+describe('combos: costo', () => {
+  it('cuesta lo mismo en /costo que en el reporte de márgenes', async () => {
+    const queso = await crear('/api/ingredientes', { nombre: 'Queso', costo_unitario: 2 });
+    const quesadilla = await crear('/api/productos', {
+      categoria_id: hamburguesa.categoria_id,
+      nombre: 'Quesadilla',
+      precio: 20,
+    });
+    const comboQueso = await crear('/api/productos', {
+      categoria_id: hamburguesa.categoria_id,
+      nombre: 'Combo quesadillas',
+      precio: 45,
+    });
+    for (const [producto, cantidad] of [
+      [quesadilla, 1.5],
+      [comboQueso, 0.5],
+    ]) {
+      await crear('/api/producto-ingrediente', {
+        producto_id: producto.id,
+        ingrediente_id: queso.id,
+        cantidad_usada: cantidad,
+      });
+    }
+    await api('put', `/api/productos/${comboQueso.id}/componentes`).send({
+      componentes: [{ producto_id: quesadilla.id, cantidad: 2 }],
+    });
+
+    const costo = await api('get', `/api/productos/${comboQueso.id}/costo`);
+    assert.equal(costo.status, 200);
+    assert.equal(costo.body.data.costo, 7);
+    assert.deepEqual(
+      costo.body.data.ingredientes.map((l) => [l.ingrediente, l.cantidad_usada, l.costo]),
+      [['Queso', 3.5, 7]]
+    );
+
+    const url = `/api/productos/${comboQueso.id}/ingredientes`;
+    let receta = await request(app).get(url);
+    assert.deepEqual(
+      receta.body.data.map((l) => [l.ingrediente, Number(l.cantidad_usada)]),
+      [['Queso', 0.5]]
+    );
+    receta = await request(app).get(`${url}?incluir_componentes=true`);
+    assert.deepEqual(
+      receta.body.data.map((l) => [l.ingrediente, l.cantidad_usada]),
+      [['Queso', 3.5]]
+    );
+
+    const margenes = await api('get', '/api/reportes/margenes?limit=100');
+    const fila = margenes.body.data.find((m) => m.producto_id === comboQueso.id);
+    assert.equal(fila.costo, costo.body.data.costo);
+    assert.equal(fila.margen_bruto, costo.body.data.margen_bruto);
+  });
+});
@@ -0,0 +1,62 @@
+// test/helpers.js
+//
+// La app sobre SQLite en memoria: cada archivo de pruebas corre en su propio
+// proceso (node --test), así que cada uno arranca con una base vacía.
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import request from 'supertest';
+import app from '../app.js';
+import { getPool, closePool } from '../config/db.js';
+import { migrateUp } from '../config/migrator.js';
+import { ROLES, hashPassword } from '../routes/auth.js';
+import * as usuarios from '../repositories/usuarios.js';
+
+process.env.DB_CLIENT = 'sqlite';
+process.env.JWT_SECRET ||= 'secreto-de-pruebas';
+// Las imágenes subidas en las pruebas van a un directorio temporal por proceso
+process.env.IMAGENES_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'imagenes-pruebas-'));
+
+const PASSWORD = 'password-de-pruebas';
+const tokens = {};
+
+/**
+ * Aplica las migraciones y crea un usuario por rol (con el nombre del rol)
+ * con su token.
+ */
+export async function iniciar() {
+  await migrateUp();
+
+  const pool = await getPool();
+  const hash = await hashPassword(PASSWORD);
+  for (const rol of ROLES) {
+    await usuarios.crear(pool, { usuario: rol, password_hash: hash, rol });
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ usuario: rol, password: PASSWORD });
+    tokens[rol] = res.body.data.token;
+  }
+}
+
+export async function terminar() {
+  await closePool();
+  fs.rmSync(process.env.IMAGENES_DIR, { recursive: true, force: true });
+}
+
+/**
+ * Request de supertest con el token del rol.
+ */
+export function api(metodo, url, rol = 'admin') {
+  return request(app)[metodo](url).set('Authorization', `Bearer ${tokens[rol]}`);
+}
+
+/**
+ * Crea un registro como admin y devuelve su `data`; falla si no responde 201.
+ */
+export async function crear(url, datos) {
+  const res = await api('post', url).send(datos);
+  if (res.status !== 201) {
+    throw new Error(`POST ${url} respondió ${res.status}: ${JSON.stringify(res.body)}`);
+  }
+  return res.body.data;
+}
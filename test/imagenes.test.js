@@ -0,0 +1,130 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import app from '../app.js';
+import { iniciar, terminar, api, crear } from './helpers.js';
+
+const PNG = Buffer.concat([
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  Buffer.from('contenido png'),
+]);
+const JPEG = Buffer.concat([Buffer.from([0xff, 0xd8, 0xff, 0xe0]), Buffer.from('contenido jpeg')]);
+
+let producto;
+
+before(async () => {
+  await iniciar();
+  const categoria = await crear('/api/categorias', { nombre: 'Platos' });
+  producto = await crear('/api/productos', {
+    categoria_id: categoria.id,
+    nombre: 'Hamburguesa',
+    precio: 50,
+  });
+});
+after(terminar);
+
+function subir(archivo, nombre, tipo, rol) {
+  return api('post', `/api/productos/${producto.id}/imagen`, rol).attach('imagen', archivo, {
+    filename: nombre,
+    contentType: tipo,
+  });
+}
+
+describe('imágenes de productos', () => {
+  it('guarda la imagen con el hash en el nombre y la sirve con caché larga', async () => {
+    assert.equal(producto.imagen_url, null);
+
+    const res = await subir(PNG, 'foto.png', 'image/png');
+    assert.equal(res.status, 200);
+    const url = res.body.data.imagen_url;
+    assert.match(url, new RegExp(`^/imagenes/producto-${producto.id}-[0-9a-f]{16}\\.png$`));
+
+    const imagen = await request(app).get(url);
+    assert.equal(imagen.status, 200);
+    assert.equal(imagen.headers['content-type'], 'image/png');
+    assert.match(imagen.headers['cache-control'], /max-age=31536000/);
+    assert.match(imagen.headers['cache-control'], /immutable/);
+    assert.equal(imagen.headers['cross-origin-resource-policy'], 'cross-origin');
+
+    const detalle = await request(app).get(`/api/productos/${producto.id}`);
+    assert.equal(detalle.body.data.imagen_url, url);
+    const listado = await request(app).get('/api/productos');
+    assert.equal(listado.body.data[0].imagen_url, url);
+    const menu = await request(app).get('/api/menu');
+    assert.equal(menu.body.data[0].productos[0].imagen_url, url);
+  });
+
+  it('reemplaza la imagen y borra la anterior', async () => {
+    const anterior = (await request(app).get(`/api/productos/${producto.id}`)).body.data.imagen_url;
+
+    const res = await subir(JPEG, 'foto.jpg', 'image/jpeg');
+    assert.equal(res.status, 200);
+    assert.match(res.body.data.imagen_url, /\.jpg$/);
+    assert.notEqual(res.body.data.imagen_url, anterior);
+
+    assert.equal((await request(app).get(anterior)).status, 404);
+    assert.equal((await request(app).get(res.body.data.imagen_url)).status, 200);
+  });
+
+  it('no borra el archivo al subir la misma imagen dos veces a la vez', async () => {
+    const WEBP = Buffer.concat([
+      Buffer.from('RIFF'),
+      Buffer.from([0, 0, 0, 0]),
+      Buffer.from('WEBPcontenido webp'),
+    ]);
+    const respuestas = await Promise.all([
+      subir(WEBP, 'foto.webp', 'image/webp'),
+      subir(WEBP, 'foto.webp', 'image/webp'),
+    ]);
+    assert.deepEqual(
+      respuestas.map((r) => r.status),
+      [200, 200]
+    );
+    assert.deepEqual(
+      respuestas.map((r) => r.body.message).sort(),
+      ['Imagen actualizada', 'La imagen no cambió']
+    );
+
+    const url = (await request(app).get(`/api/productos/${producto.id}`)).body.data.imagen_url;
+    assert.match(url, /\.webp$/);
+    assert.equal((await request(app).get(url)).status, 200);
+  });
+
+  it('valida el tipo, el tamaño y el campo del archivo', async () => {
+    let res = await subir(Buffer.from('no es una imagen'), 'foto.png', 'image/png');
+    assert.equal(res.status, 415);
+    assert.equal(res.body.code, 'TIPO_NO_SOPORTADO');
+
+    res = await subir(PNG, 'foto.jpg', 'image/jpeg');
+    assert.equal(res.status, 415);
+
+    const grande = Buffer.concat([PNG, Buffer.alloc(2 * 1024 * 1024)]);
+    res = await subir(grande, 'grande.png', 'image/png');
+    assert.equal(res.status, 413);
+    assert.equal(res.body.code, 'IMAGEN_DEMASIADO_GRANDE');
+
+    res = await api('post', `/api/productos/${producto.id}/imagen`).attach('foto', PNG, 'foto.png');
+    assert.equal(res.status, 400);
+
+    res = await api('post', `/api/productos/${producto.id}/imagen`).send({ imagen: 'x' });
+    assert.equal(res.status, 400);
+
+    res = await api('post', '/api/productos/999/imagen').attach('imagen', PNG, 'foto.png');
+    assert.equal(res.status, 404);
+
+    res = await subir(PNG, 'foto.png', 'image/png', 'cocina');
+    assert.equal(res.status, 403);
+  });
+
+  it('quita la imagen y borra el archivo', async () => {
+    const url = (await request(app).get(`/api/productos/${producto.id}`)).body.data.imagen_url;
+
+    let res = await api('delete', `/api/productos/${producto.id}/imagen`);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.imagen_url, null);
+    assert.equal((await request(app).get(url)).status, 404);
+
+    res = await api('delete', `/api/productos/${producto.id}/imagen`);
+    assert.equal(res.status, 404);
+  });
+});
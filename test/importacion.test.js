@@ -0,0 +1,199 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { iniciar, terminar, api, crear } from './helpers.js';
+
+before(async () => {
+  await iniciar();
+  await crear('/api/categorias', { nombre: 'Bebidas' });
+});
+after(terminar);
+
+describe('importación', () => {
+  it('acepta un JSON de más de 100kb', async () => {
+    const filas = Array.from({ length: 100 }, (_, i) => ({
+      nombre: `Bebida ${i}`,
+      categoria: 'Bebidas',
+      precio: 10,
+      descripcion: 'x'.repeat(2000),
+    }));
+    assert.ok(JSON.stringify(filas).length > 200 * 1024);
+
+    const res = await api('post', '/api/productos/import?dry_run=true').send(filas);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.resumen.crear, 100);
+
+    // Fuera de la importación sigue el límite de 100kb
+    const grande = await api('post', '/api/categorias').send({ nombre: 'x'.repeat(200 * 1024) });
+    assert.equal(grande.status, 413);
+  });
+
+  it('al actualizar no borra las columnas que faltan y respeta el modo automático', async () => {
+    const bebidas = (await api('get', '/api/categorias?nombre=Bebidas')).body.data[0];
+    const agua = await crear('/api/productos', {
+      categoria_id: bebidas.id,
+      nombre: 'Agua',
+      descripcion: 'Natural',
+      precio: 10,
+      disponibilidad_auto: true,
+    });
+
+    const res = await api('post', '/api/productos/import')
+      .set('Content-Type', 'text/csv')
+      .send('nombre,categoria,precio,disponible\nAgua,Bebidas,12,false\n');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.resumen.actualizar, 1);
+
+    const producto = (await api('get', `/api/productos/${agua.id}`)).body.data;
+    assert.equal(producto.descripcion, 'Natural');
+    assert.equal(producto.precio, 12);
+    assert.equal(producto.disponibilidad_auto, true);
+    assert.equal(producto.disponible_override, false);
+    assert.equal(producto.disponible, false);
+  });
+});
+
+describe('exportación', () => {
+  let postres;
+
+  before(async () => {
+    postres = await crear('/api/categorias', { nombre: 'Postres' });
+    await crear('/api/productos', {
+      categoria_id: postres.id,
+      nombre: 'Flan',
+      descripcion: 'Con caramelo',
+      precio: 20,
+    });
+    await crear('/api/productos', {
+      categoria_id: postres.id,
+      nombre: 'Pay',
+      precio: 30.5,
+      disponible: false,
+    });
+  });
+
+  it('exporta los productos en JSON', async () => {
+    const res = await api('get', '/api/productos/export?format=json');
+    assert.equal(res.status, 200);
+    assert.match(res.headers['content-disposition'], /filename="productos\.json"/);
+    assert.deepEqual(
+      res.body.filter((p) => p.categoria === 'Postres'),
+      [
+        {
+          nombre: 'Flan',
+          categoria: 'Postres',
+          descripcion: 'Con caramelo',
+          precio: 20,
+          disponible: true,
+          disponibilidad_auto: false,
+        },
+        {
+          nombre: 'Pay',
+          categoria: 'Postres',
+          descripcion: null,
+          precio: 30.5,
+          disponible: false,
+          disponibilidad_auto: false,
+        },
+      ]
+    );
+  });
+
+  it('exporta en CSV un archivo que se puede volver a importar', async () => {
+    let res = await api('get', '/api/productos/export');
+    assert.equal(res.status, 200);
+    assert.match(res.headers['content-type'], /^text\/csv/);
+    assert.match(res.headers['content-disposition'], /filename="productos\.csv"/);
+
+    const lineas = res.text.trim().split('\n');
+    assert.equal(lineas[0], 'nombre,categoria,descripcion,precio,disponible,disponibilidad_auto');
+    assert.ok(lineas.includes('Flan,Postres,Con caramelo,20,true,false'));
+    assert.ok(lineas.includes('Pay,Postres,,30.5,false,false'));
+
+    res = await api('post', '/api/productos/import?dry_run=true')
+      .set('Content-Type', 'text/csv')
+      .send(res.text);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.resumen.rechazar, 0);
+    assert.equal(res.body.data.resumen.crear, 0);
+  });
+
+  it('exporta los ingredientes', async () => {
+    await crear('/api/ingredientes', { nombre: 'Vainilla', unidad: 'ml', stock: 50 });
+
+    let res = await api('get', '/api/ingredientes/export?format=json', 'cocina');
+    assert.equal(res.status, 200);
+    const vainilla = res.body.find((i) => i.nombre === 'Vainilla');
+    assert.equal(vainilla.unidad, 'ml');
+    assert.equal(Number(vainilla.stock), 50);
+
+    res = await api('get', '/api/ingredientes/export', 'cocina');
+    assert.equal(res.text.split('\n')[0], 'nombre,perecedero,unidad,stock,stock_minimo,costo_unitario');
+  });
+
+  it('rechaza formatos desconocidos y roles sin permiso', async () => {
+    assert.equal((await api('get', '/api/productos/export?format=xml')).status, 400);
+    assert.equal((await api('get', '/api/productos/export', 'mesero')).status, 403);
+  });
+});
+
+describe('importación: validación por fila', () => {
+  it('en dry_run informa qué haría sin guardar nada', async () => {
+    const res = await api('post', '/api/productos/import?dry_run=true').send([
+      { nombre: 'Flan', categoria: 'Postres', precio: 22 },
+      { nombre: 'Brownie', categoria: 'postres', precio: 28 },
+    ]);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.message, 'Simulación de importación');
+    assert.deepEqual(res.body.data.resumen, { crear: 1, actualizar: 1, rechazar: 0 });
+    assert.deepEqual(
+      res.body.data.filas.map((f) => [f.fila, f.nombre, f.accion, f.errors.length]),
+      [
+        [1, 'Flan', 'actualizar', 0],
+        [2, 'Brownie', 'crear', 0],
+      ]
+    );
+    assert.ok(res.body.data.filas[0].id);
+    assert.equal(res.body.data.filas[1].id, null);
+
+    assert.equal((await api('get', '/api/productos?nombre=brownie')).body.data.length, 0);
+    const flan = (await api('get', '/api/productos?nombre=flan')).body.data[0];
+    assert.equal(Number(flan.precio), 20);
+  });
+
+  it('responde 422 con los errores de cada fila y no importa ninguna', async () => {
+    const res = await api('post', '/api/productos/import').send([
+      { nombre: 'Cheesecake', categoria: 'Postres', precio: 40 },
+      { nombre: 'Churros', categoria: 'Postres', precio: -5 },
+      { nombre: 'Mousse', categoria: 'Inexistente', precio: 30 },
+      { nombre: 'cheesecake', categoria: 'Postres', precio: 41 },
+      { categoria: 'Postres', precio: 10 },
+    ]);
+    assert.equal(res.status, 422);
+    assert.equal(res.body.message, 'Hay filas rechazadas; no se importó nada');
+    assert.deepEqual(res.body.data.resumen, { crear: 1, actualizar: 0, rechazar: 4 });
+
+    const errores = res.body.data.filas.map((f) => f.errors.map((e) => [e.path, e.msg]));
+    assert.deepEqual(errores[0], []);
+    const campos = (errors) => [...new Set(errors.map(([path]) => path))];
+    assert.deepEqual(campos(errores[1]), ['precio']);
+    assert.deepEqual(errores[2], [['categoria', 'La categoría no existe']]);
+    assert.deepEqual(errores[3], [['nombre', 'Producto repetido en el archivo']]);
+    assert.deepEqual(campos(errores[4]), ['nombre']);
+
+    assert.equal((await api('get', '/api/productos?nombre=cheesecake')).body.data.length, 0);
+  });
+
+  it('resuelve la categoría por nombre sin importar mayúsculas', async () => {
+    const res = await api('post', '/api/productos/import')
+      .set('Content-Type', 'text/csv')
+      .send('nombre,categoria,precio\nBrownie, POSTRES ,28\n');
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.data.resumen, { crear: 1, actualizar: 0, rechazar: 0 });
+
+    const postres = (await api('get', '/api/categorias?nombre=Postres')).body.data[0];
+    const brownie = (await api('get', '/api/productos?nombre=brownie')).body.data[0];
+    assert.equal(brownie.categoria_id, postres.id);
+    assert.equal(brownie.categoria, 'Postres');
+    assert.equal(Number(brownie.precio), 28);
+  });
+});
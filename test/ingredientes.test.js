@@ -0,0 +1,116 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { iniciar, terminar, api, crear } from './helpers.js';
+
+before(iniciar);
+after(terminar);
+
+describe('ingredientes', () => {
+  it('crea con stock inicial registrado como movimiento', async () => {
+    const ingrediente = await crear('/api/ingredientes', {
+      nombre: 'Limón',
+      unidad: 'unidad',
+      stock: 40,
+      stock_minimo: 10,
+      costo_unitario: 0.75,
+    });
+
+    assert.equal(ingrediente.nombre, 'Limón');
+    assert.equal(Number(ingrediente.stock), 40);
+    assert.equal(ingrediente.perecedero, 1);
+
+    const res = await api('get', `/api/ingredientes/${ingrediente.id}/movimientos`);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.length, 1);
+    assert.equal(res.body.data[0].tipo, 'ajuste');
+    assert.equal(Number(res.body.data[0].stock_resultante), 40);
+  });
+
+  it('actualiza, elimina y restaura', async () => {
+    const ingrediente = await crear('/api/ingredientes', { nombre: 'Azúcar', unidad: 'kg' });
+
+    let res = await api('put', `/api/ingredientes/${ingrediente.id}`, 'cocina').send({
+      costo_unitario: 1.2,
+      perecedero: false,
+    });
+    assert.equal(res.status, 200);
+    assert.equal(Number(res.body.data.costo_unitario), 1.2);
+    assert.equal(res.body.data.perecedero, 0);
+
+    res = await api('delete', `/api/ingredientes/${ingrediente.id}`);
+    assert.equal(res.status, 200);
+    assert.equal((await api('get', `/api/ingredientes/${ingrediente.id}`)).status, 404);
+
+    res = await api('post', `/api/ingredientes/${ingrediente.id}/restaurar`);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.deleted_at, null);
+  });
+
+  it('no elimina un ingrediente que usa una receta', async () => {
+    const categoria = await crear('/api/categorias', { nombre: 'Bebidas' });
+    const producto = await crear('/api/productos', {
+      categoria_id: categoria.id,
+      nombre: 'Agua de jamaica',
+      precio: 10,
+    });
+    const jamaica = await crear('/api/ingredientes', { nombre: 'Jamaica', unidad: 'g' });
+    await crear('/api/producto-ingrediente', {
+      producto_id: producto.id,
+      ingrediente_id: jamaica.id,
+      cantidad_usada: 15,
+    });
+
+    const res = await api('delete', `/api/ingredientes/${jamaica.id}`);
+    assert.equal(res.status, 409);
+    assert.match(res.body.message, /Agua de jamaica/);
+  });
+
+  it('lista los de bajo stock', async () => {
+    await crear('/api/ingredientes', { nombre: 'Hielo', stock: 2, stock_minimo: 5 });
+
+    const res = await api('get', '/api/ingredientes/bajo-stock', 'cocina');
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      res.body.data.map((i) => [i.nombre, Number(i.faltante)]),
+      [['Hielo', 3]]
+    );
+  });
+
+  it('rechaza datos inválidos con 400', async () => {
+    let res = await api('post', '/api/ingredientes').send({ nombre: 'Sal', unidad: 'taza' });
+    assert.equal(res.status, 400);
+    assert.ok(res.body.errors.some((e) => e.path === 'unidad'));
+
+    res = await api('post', '/api/ingredientes').send({ nombre: 'Sal', stock: -1 });
+    assert.equal(res.status, 400);
+
+    res = await api('post', '/api/ingredientes/1/movimientos').send({
+      tipo: 'regalo',
+      cantidad: 1,
+    });
+    assert.equal(res.status, 400);
+  });
+
+  it('responde 404 para ids que no existen', async () => {
+    assert.equal((await api('get', '/api/ingredientes/999')).status, 404);
+    assert.equal((await api('put', '/api/ingredientes/999').send({ stock_minimo: 1 })).status, 404);
+    assert.equal((await api('delete', '/api/ingredientes/999')).status, 404);
+    assert.equal((await api('get', '/api/ingredientes/999/movimientos')).status, 404);
+  });
+
+  it('responde 409 con un nombre repetido', async () => {
+    const res = await api('post', '/api/ingredientes').send({ nombre: 'limón' });
+    assert.equal(res.status, 409);
+    assert.equal(res.body.code, 'DUPLICADO');
+  });
+});
+
+describe('ingredientes: caché HTTP', () => {
+  it('marca como privadas las consultas que requieren rol', async () => {
+    let res = await api('get', '/api/ingredientes/bajo-stock', 'cocina');
+    assert.equal(res.headers['cache-control'], 'private, no-cache');
+
+    res = await api('get', '/api/ingredientes');
+    assert.match(res.headers['cache-control'], /^public/);
+  });
+});
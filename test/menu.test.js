@@ -0,0 +1,138 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import app from '../app.js';
+import { iniciar, terminar, api, crear } from './helpers.js';
+
+let bebidas;
+let platos;
+
+before(async () => {
+  await iniciar();
+  bebidas = await crear('/api/categorias', { nombre: 'Bebidas' });
+  platos = await crear('/api/categorias', { nombre: 'Platos' });
+  await crear('/api/categorias', { nombre: 'Postres' });
+
+  const pan = await crear('/api/ingredientes', { nombre: 'Pan', stock: 10, alergenos: ['gluten'] });
+  const carne = await crear('/api/ingredientes', { nombre: 'Carne', stock: 10 });
+  const limon = await crear('/api/ingredientes', { nombre: 'Limón', stock: 0 });
+
+  const hamburguesa = await crear('/api/productos', {
+    categoria_id: platos.id,
+    nombre: 'Hamburguesa',
+    descripcion: 'Con papas',
+    precio: 50,
+  });
+  await crear('/api/productos', { categoria_id: platos.id, nombre: 'Tacos', precio: 30 });
+  await crear('/api/productos', { categoria_id: bebidas.id, nombre: 'Agua', precio: 10 });
+  await crear('/api/productos', {
+    categoria_id: bebidas.id,
+    nombre: 'Café',
+    precio: 15,
+    disponible: false,
+  });
+  const limonada = await crear('/api/productos', {
+    categoria_id: bebidas.id,
+    nombre: 'Limonada',
+    precio: 20,
+    disponibilidad_auto: true,
+  });
+  const eliminado = await crear('/api/productos', {
+    categoria_id: platos.id,
+    nombre: 'Sopa',
+    precio: 28,
+  });
+  await api('delete', `/api/productos/${eliminado.id}`);
+
+  for (const [producto, ingrediente] of [
+    [hamburguesa, pan],
+    [hamburguesa, carne],
+    [limonada, limon],
+  ]) {
+    await crear('/api/producto-ingrediente', {
+      producto_id: producto.id,
+      ingrediente_id: ingrediente.id,
+      cantidad_usada: 1,
+    });
+  }
+});
+after(terminar);
+
+describe('menu', () => {
+  it('agrupa los productos disponibles por categoría sin autenticación', async () => {
+    const res = await request(app).get('/api/menu');
+    assert.equal(res.status, 200);
+    assert.match(res.headers['cache-control'], /^public/);
+    assert.deepEqual(
+      res.body.data.map((c) => [c.nombre, c.productos.map((p) => p.nombre)]),
+      [
+        ['Bebidas', ['Agua']],
+        ['Platos', ['Hamburguesa', 'Tacos']],
+      ]
+    );
+
+    const hamburguesa = res.body.data[1].productos[0];
+    assert.deepEqual(hamburguesa, {
+      id: hamburguesa.id,
+      nombre: 'Hamburguesa',
+      precio: 50,
+      descripcion: 'Con papas',
+      imagen_url: null,
+      alergenos: ['gluten'],
+      ingredientes: ['Carne', 'Pan'],
+    });
+  });
+
+  it('filtra por categoría y por alérgenos', async () => {
+    let res = await request(app).get(`/api/menu?categoria_id=${platos.id}&sin_alergenos=gluten`);
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      res.body.data.map((c) => [c.nombre, c.productos.map((p) => p.nombre)]),
+      [['Platos', ['Tacos']]]
+    );
+
+    res = await request(app).get('/api/menu?categoria_id=9999');
+    assert.equal(res.status, 404);
+
+    res = await request(app).get('/api/menu?categoria_id=abc');
+    assert.equal(res.status, 400);
+  });
+
+  it('en modo compacto solo manda id, nombre y precio', async () => {
+    const res = await request(app).get(`/api/menu?compacto=true&categoria_id=${bebidas.id}`);
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.data, [
+      {
+        id: bebidas.id,
+        nombre: 'Bebidas',
+        padre_id: null,
+        productos: [{ id: res.body.data[0].productos[0].id, nombre: 'Agua', precio: 10 }],
+      },
+    ]);
+  });
+
+  it('se actualiza cuando cambia el stock', async () => {
+    const antes = await request(app).get('/api/menu?compacto=1');
+    assert.equal((await request(app).get('/api/menu?compacto=1')).headers['x-cache'], 'HIT');
+
+    const { body } = await api('get', '/api/ingredientes?nombre=Lim');
+    await crear(`/api/ingredientes/${body.data[0].id}/movimientos`, {
+      tipo: 'compra',
+      cantidad: 5,
+    });
+
+    const res = await request(app)
+      .get('/api/menu?compacto=1')
+      .set('If-None-Match', antes.headers.etag);
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      res.body.data[0].productos.map((p) => p.nombre),
+      ['Agua', 'Limonada']
+    );
+  });
+
+  it('permite el origen del sitio de GitHub Pages', async () => {
+    const res = await request(app).get('/api/menu').set('Origin', 'https://diegod-21.github.io');
+    assert.equal(res.headers['access-control-allow-origin'], 'https://diegod-21.github.io');
+  });
+});
@@ -0,0 +1,231 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import app from '../app.js';
+import { iniciar, terminar, api, crear } from './helpers.js';
+
+let hamburguesa;
+let pan;
+let cebolla;
+let queso;
+let tocino;
+
+before(async () => {
+  await iniciar();
+  const platos = await crear('/api/categorias', { nombre: 'Platos' });
+  pan = await crear('/api/ingredientes', { nombre: 'Pan', stock: 10, alergenos: ['gluten'] });
+  cebolla = await crear('/api/ingredientes', { nombre: 'Cebolla', stock: 10 });
+  queso = await crear('/api/ingredientes', { nombre: 'Queso', stock: 10, alergenos: ['lacteos'] });
+  tocino = await crear('/api/ingredientes', { nombre: 'Tocino', stock: 10 });
+
+  hamburguesa = await crear('/api/productos', {
+    categoria_id: platos.id,
+    nombre: 'Hamburguesa',
+    precio: 50,
+  });
+  for (const [ingrediente, cantidad] of [
+    [pan, 1],
+    [cebolla, 0.02],
+  ]) {
+    await crear('/api/producto-ingrediente', {
+      producto_id: hamburguesa.id,
+      ingrediente_id: ingrediente.id,
+      cantidad_usada: cantidad,
+    });
+  }
+});
+after(terminar);
+
+describe('modificadores', () => {
+  let tamano;
+  let extras;
+
+  it('crea grupos con sus opciones y los lista en el producto', async () => {
+    tamano = await crear('/api/modificadores', {
+      producto_id: hamburguesa.id,
+      nombre: 'Tamaño',
+      tipo: 'unica',
+      obligatorio: true,
+      opciones: [
+        { nombre: 'Sencilla' },
+        { nombre: 'Doble', precio_delta: 20, ingredientes: [{ ingrediente_id: pan.id, cantidad: 1 }] },
+      ],
+    });
+    assert.equal(tamano.min_selecciones, 1);
+    assert.equal(tamano.max_selecciones, 1);
+    assert.equal(tamano.obligatorio, true);
+
+    extras = await crear('/api/modificadores', {
+      producto_id: hamburguesa.id,
+      nombre: 'Extras',
+      tipo: 'multiple',
+      opciones: [
+        {
+          nombre: 'Queso extra',
+          precio_delta: 8,
+          ingredientes: [{ ingrediente_id: queso.id, cantidad: 0.03 }],
+        },
+        { nombre: 'Sin cebolla', ingredientes: [{ ingrediente_id: cebolla.id, cantidad: -0.02 }] },
+        { nombre: 'Tocino', precio_delta: 12.5, ingredientes: [{ ingrediente_id: tocino.id, cantidad: 0.05 }] },
+      ],
+    });
+    assert.equal(extras.obligatorio, false);
+    assert.equal(extras.max_selecciones, null);
+    assert.deepEqual(
+      extras.opciones[0].ingredientes.map((l) => [l.ingrediente, Number(l.cantidad)]),
+      [['Queso', 0.03]]
+    );
+
+    const res = await request(app).get(`/api/productos/${hamburguesa.id}/modificadores`);
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      res.body.data.map((g) => [g.nombre, g.opciones.map((o) => o.nombre)]),
+      [
+        ['Tamaño', ['Sencilla', 'Doble']],
+        ['Extras', ['Queso extra', 'Sin cebolla', 'Tocino']],
+      ]
+    );
+
+    const duplicado = await api('post', '/api/modificadores').send({
+      producto_id: hamburguesa.id,
+      nombre: 'Extras',
+      tipo: 'multiple',
+      opciones: [{ nombre: 'Otra' }],
+    });
+    assert.equal(duplicado.status, 409);
+  });
+
+  it('calcula el precio final y la receta de la selección', async () => {
+    const [, doble] = tamano.opciones;
+    const [conQueso, sinCebolla] = extras.opciones;
+
+    const res = await request(app).get(
+      `/api/productos/${hamburguesa.id}/configuracion?opciones=${doble.id},${conQueso.id},${sinCebolla.id}`
+    );
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.precio_base, 50);
+    assert.equal(res.body.data.precio, 78);
+    assert.deepEqual(
+      res.body.data.ingredientes.map((l) => [l.ingrediente, l.cantidad]),
+      [
+        ['Pan', 2],
+        ['Queso', 0.03],
+      ]
+    );
+    assert.deepEqual(res.body.data.alergenos, ['gluten', 'lacteos']);
+    assert.deepEqual(
+      res.body.data.opciones.map((o) => [o.grupo, o.nombre]),
+      [
+        ['Tamaño', 'Doble'],
+        ['Extras', 'Queso extra'],
+        ['Extras', 'Sin cebolla'],
+      ]
+    );
+  });
+
+  it('rechaza selecciones que no respetan los grupos', async () => {
+    const [sencilla, doble] = tamano.opciones;
+    const url = (opciones) => `/api/productos/${hamburguesa.id}/configuracion?opciones=${opciones}`;
+
+    const sinTamano = await request(app).get(`/api/productos/${hamburguesa.id}/configuracion`);
+    assert.equal(sinTamano.status, 422);
+    assert.equal(sinTamano.body.code, 'SELECCION_INVALIDA');
+
+    const dosTamanos = await request(app).get(url(`${sencilla.id},${doble.id}`));
+    assert.equal(dosTamanos.status, 422);
+    assert.match(dosTamanos.body.errors[0].msg, /Tamaño: elige como máximo 1/);
+
+    const ajena = await request(app).get(url(`${sencilla.id},999`));
+    assert.equal(ajena.status, 422);
+
+    assert.equal((await request(app).get(url('1,x'))).status, 400);
+    assert.equal((await request(app).get(url(`${sencilla.id},${sencilla.id}`))).status, 400);
+  });
+
+  it('valida que los límites de selección sean coherentes', async () => {
+    const base = { producto_id: hamburguesa.id, nombre: 'Salsas', opciones: [{ nombre: 'Catsup' }] };
+
+    const unica = await api('post', '/api/modificadores').send({ ...base, tipo: 'unica', max_selecciones: 2 });
+    assert.equal(unica.status, 400);
+    assert.equal(unica.body.errors[0].path, 'max_selecciones');
+
+    const pocas = await api('post', '/api/modificadores').send({ ...base, tipo: 'multiple', min_selecciones: 2 });
+    assert.equal(pocas.status, 400);
+    assert.equal(pocas.body.errors[0].path, 'min_selecciones');
+
+    const ingrediente = await api('post', '/api/modificadores').send({
+      ...base,
+      tipo: 'multiple',
+      opciones: [{ nombre: 'Catsup', ingredientes: [{ ingrediente_id: 999, cantidad: 0.01 }] }],
+    });
+    assert.equal(ingrediente.status, 422);
+    assert.equal(ingrediente.body.errors[0].path, 'opciones[0].ingredientes[0].ingrediente_id');
+  });
+
+  it('sincroniza las opciones en un PUT con If-Match', async () => {
+    const actual = await request(app).get(`/api/modificadores/${extras.id}`);
+    const [conQueso, , conTocino] = actual.body.data.opciones;
+
+    const res = await api('put', `/api/modificadores/${extras.id}`)
+      .set('If-Match', actual.headers.etag)
+      .send({
+        max_selecciones: 2,
+        opciones: [
+          { id: conQueso.id, nombre: 'Queso extra', precio_delta: 10 },
+          { nombre: 'Aguacate', precio_delta: 15 },
+        ],
+      });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.max_selecciones, 2);
+    assert.deepEqual(
+      res.body.data.opciones.map((o) => [o.nombre, Number(o.precio_delta), o.ingredientes.length]),
+      [
+        ['Queso extra', 10, 1],
+        ['Aguacate', 15, 0],
+      ]
+    );
+
+    const viejo = await api('put', `/api/modificadores/${extras.id}`)
+      .set('If-Match', actual.headers.etag)
+      .send({ nombre: 'Otros' });
+    assert.equal(viejo.status, 412);
+
+    const eliminada = await request(app).get(
+      `/api/productos/${hamburguesa.id}/configuracion?opciones=${tamano.opciones[0].id},${conTocino.id}`
+    );
+    assert.equal(eliminada.status, 422);
+
+    const bitacora = await api('get', '/api/auditoria?entidad=modificador_opciones&accion=eliminar');
+    assert.deepEqual(
+      bitacora.body.data.map((e) => e.entidad_id),
+      [conTocino.id, actual.body.data.opciones[1].id].sort((a, b) => b - a)
+    );
+  });
+
+  it('solo un admin modifica los grupos', async () => {
+    const res = await api('delete', `/api/modificadores/${tamano.id}`, 'mesero');
+    assert.equal(res.status, 403);
+
+    assert.equal((await api('delete', `/api/modificadores/${tamano.id}`)).status, 200);
+    assert.equal((await request(app).get(`/api/modificadores/${tamano.id}`)).status, 404);
+
+    const res2 = await request(app).get(`/api/productos/${hamburguesa.id}/configuracion`);
+    assert.equal(res2.status, 200);
+    assert.equal(res2.body.data.precio, 50);
+  });
+
+  it('no deja el precio final por debajo de 0', async () => {
+    const cortesia = await crear('/api/modificadores', {
+      producto_id: hamburguesa.id,
+      nombre: 'Cortesía',
+      tipo: 'unica',
+      opciones: [{ nombre: 'Invita la casa', precio_delta: -80 }],
+    });
+
+    const res = await request(app).get(
+      `/api/productos/${hamburguesa.id}/configuracion?opciones=${cortesia.opciones[0].id}`
+    );
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.precio, 0);
+  });
+});
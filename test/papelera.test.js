@@ -0,0 +1,156 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { getPool } from '../config/db.js';
+import { iniciar, terminar, api, crear } from './helpers.js';
+
+let postres;
+let flan;
+let leche;
+let caramelo;
+
+before(async () => {
+  await iniciar();
+  postres = await crear('/api/categorias', { nombre: 'Postres' });
+  leche = await crear('/api/ingredientes', { nombre: 'Leche', stock: 10 });
+  caramelo = await crear('/api/ingredientes', { nombre: 'Caramelo', stock: 10 });
+
+  flan = await crear('/api/productos', { categoria_id: postres.id, nombre: 'Flan', precio: 20 });
+  await api('put', `/api/productos/${flan.id}`).send({ precio: 22 });
+  await crear('/api/producto-ingrediente', {
+    producto_id: flan.id,
+    ingrediente_id: leche.id,
+    cantidad_usada: 0.2,
+  });
+  await crear('/api/modificadores', {
+    producto_id: flan.id,
+    nombre: 'Cobertura',
+    tipo: 'multiple',
+    opciones: [{ nombre: 'Caramelo', ingredientes: [{ ingrediente_id: caramelo.id, cantidad: 1 }] }],
+  });
+});
+after(terminar);
+
+const esperar = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Filas de `tabla` que cumplen `where`; para ver lo que la API ya no expone.
+ */
+async function contar(tabla, where, params) {
+  const [[{ total }]] = await (await getPool()).query(
+    `SELECT COUNT(*) AS total FROM ${tabla} WHERE ${where}`,
+    params
+  );
+  return Number(total);
+}
+
+describe('papelera: eliminar y restaurar', () => {
+  it('restaura el producto con sus modificadores y su historial de precios', async () => {
+    let res = await api('delete', `/api/categorias/${postres.id}`);
+    assert.equal(res.status, 409);
+
+    assert.equal((await api('delete', `/api/productos/${flan.id}`)).status, 200);
+    assert.equal((await api('delete', `/api/categorias/${postres.id}`)).status, 200);
+    assert.equal((await api('get', `/api/productos/${flan.id}/modificadores`)).status, 404);
+
+    res = await api('post', `/api/productos/${flan.id}/restaurar`);
+    assert.equal(res.status, 409);
+    assert.equal(res.body.message, 'La categoría Postres está eliminada; restáurala primero');
+
+    assert.equal((await api('post', `/api/categorias/${postres.id}/restaurar`)).status, 200);
+    res = await api('post', `/api/productos/${flan.id}/restaurar`);
+    assert.equal(res.status, 200);
+    assert.equal(Number(res.body.data.precio), 22);
+
+    res = await api('get', `/api/productos/${flan.id}/modificadores`);
+    assert.deepEqual(
+      res.body.data.map((g) => [g.nombre, g.opciones.map((o) => o.nombre)]),
+      [['Cobertura', ['Caramelo']]]
+    );
+    res = await api('get', `/api/productos/${flan.id}/precios`);
+    assert.deepEqual(
+      res.body.data.map((p) => Number(p.precio)),
+      [22, 20]
+    );
+
+    assert.equal((await api('post', `/api/productos/${flan.id}/restaurar`)).status, 409);
+  });
+
+  it('elimina y restaura ingredientes', async () => {
+    let res = await api('delete', `/api/ingredientes/${leche.id}`, 'cocina');
+    assert.equal(res.status, 409);
+    assert.equal(res.body.message, 'El ingrediente se usa en: Flan');
+
+    const canela = await crear('/api/ingredientes', { nombre: 'Canela', stock: 5 });
+    assert.equal((await api('delete', `/api/ingredientes/${canela.id}`, 'cocina')).status, 200);
+    assert.equal((await api('get', `/api/ingredientes/${canela.id}`)).status, 404);
+
+    res = await api('post', `/api/ingredientes/${canela.id}/restaurar`, 'cocina');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.deleted_at, null);
+    assert.equal(Number(res.body.data.stock), 5);
+  });
+});
+
+describe('papelera: purgar', () => {
+  it('borra en cascada lo eliminado y conserva lo que sigue en uso', async () => {
+    const pasteles = await crear('/api/categorias', { nombre: 'Pasteles' });
+    const pay = await crear('/api/productos', { categoria_id: pasteles.id, nombre: 'Pay', precio: 30 });
+    await crear('/api/pedidos', { items: [{ producto_id: pay.id, cantidad: 1 }] });
+
+    for (const url of [
+      `/api/productos/${flan.id}`,
+      `/api/productos/${pay.id}`,
+      `/api/categorias/${postres.id}`,
+      `/api/ingredientes/${leche.id}`,
+      `/api/ingredientes/${caramelo.id}`,
+    ]) {
+      assert.equal((await api('delete', url)).status, 200, url);
+    }
+
+    assert.equal(await contar('producto_precios', 'producto_id = ?', [flan.id]), 2);
+    assert.equal(await contar('modificador_grupos', 'producto_id = ?', [flan.id]), 1);
+
+    let res = await api('post', '/api/papelera/purgar').send({});
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.dias, 30);
+    assert.deepEqual(res.body.data.eliminados, { productos: 0, ingredientes: 0, categorias: 0 });
+
+    // deleted_at tiene precisión de segundos
+    await esperar(1100);
+
+    res = await api('post', '/api/papelera/purgar', 'cocina').send({ dias: 0 });
+    assert.equal(res.status, 403);
+
+    res = await api('post', '/api/papelera/purgar').send({ dias: 0 });
+    assert.equal(res.status, 200);
+    // La receta y los modificadores del flan se van con él y ya no frenan a
+    // sus ingredientes; el pay tiene un pedido y se queda
+    assert.deepEqual(res.body.data.eliminados, { productos: 1, ingredientes: 2, categorias: 1 });
+    assert.deepEqual(res.body.data.omitidos, { productos: 1, ingredientes: 0, categorias: 0 });
+
+    for (const tabla of ['producto_precios', 'producto_ingrediente', 'modificador_grupos']) {
+      assert.equal(await contar(tabla, 'producto_id = ?', [flan.id]), 0, tabla);
+    }
+    assert.equal(await contar('modificador_opcion_ingredientes', 'ingrediente_id = ?', [caramelo.id]), 0);
+    assert.equal(await contar('modificador_opciones', '1 = 1'), 0);
+
+    assert.equal((await api('post', `/api/productos/${flan.id}/restaurar`)).status, 404);
+    assert.equal((await api('post', `/api/categorias/${postres.id}/restaurar`)).status, 404);
+    assert.equal((await api('post', `/api/ingredientes/${leche.id}/restaurar`)).status, 404);
+
+    res = await api('get', '/api/productos?incluir_eliminados=true&nombre=pay');
+    assert.equal(res.body.data.length, 1);
+    assert.equal(await contar('producto_precios', 'producto_id = ?', [pay.id]), 1);
+
+    res = await api('get', '/api/auditoria?entidad=productos&accion=purgar');
+    assert.deepEqual(
+      res.body.data.map((a) => Number(a.entidad_id)),
+      [flan.id]
+    );
+  });
+
+  it('rechaza días negativos', async () => {
+    const res = await api('post', '/api/papelera/purgar').send({ dias: -1 });
+    assert.equal(res.status, 400);
+  });
+});
@@ -0,0 +1,135 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { iniciar, terminar, api, crear } from './helpers.js';
+
+let tacos;
+let agua;
+
+before(async () => {
+  await iniciar();
+  const comida = await crear('/api/categorias', { nombre: 'Comida' });
+  tacos = await crear('/api/productos', { categoria_id: comida.id, nombre: 'Tacos', precio: 45 });
+  agua = await crear('/api/productos', { categoria_id: comida.id, nombre: 'Agua', precio: 12.5 });
+});
+after(terminar);
+
+function pedir(datos, rol = 'mesero') {
+  return api('post', '/api/pedidos', rol).send(datos);
+}
+
+describe('pedidos', () => {
+  it('crea el pedido con el precio del momento', async () => {
+    let res = await pedir({
+      mesa: '4',
+      items: [
+        { producto_id: tacos.id, cantidad: 2 },
+        { producto_id: agua.id, cantidad: 1, notas: 'Sin hielo' },
+      ],
+    });
+    assert.equal(res.status, 201);
+    const pedido = res.body.data;
+    assert.equal(pedido.estado, 'pendiente');
+    assert.equal(pedido.mesa, '4');
+    assert.equal(Number(pedido.total), 102.5);
+    assert.deepEqual(
+      pedido.items.map((i) => [i.producto_nombre, Number(i.precio_unitario), i.cantidad, Number(i.subtotal)]),
+      [
+        ['Tacos', 45, 2, 90],
+        ['Agua', 12.5, 1, 12.5],
+      ]
+    );
+    assert.equal(pedido.items[1].notas, 'Sin hielo');
+
+    await api('put', `/api/productos/${tacos.id}`).send({ precio: 50 });
+    res = await api('get', `/api/pedidos/${pedido.id}`, 'cocina');
+    assert.equal(Number(res.body.data.total), 102.5);
+    assert.equal(Number(res.body.data.items[0].precio_unitario), 45);
+  });
+
+  it('rechaza productos que no existen o no están disponibles', async () => {
+    await api('put', `/api/productos/${agua.id}`).send({ disponible: false });
+    const res = await pedir({
+      items: [
+        { producto_id: 999, cantidad: 1 },
+        { producto_id: agua.id, cantidad: 1 },
+      ],
+    });
+    await api('put', `/api/productos/${agua.id}`).send({ disponible: true });
+
+    assert.equal(res.status, 422);
+    assert.deepEqual(
+      res.body.errors.map((e) => e.path),
+      ['items[0].producto_id', 'items[1].producto_id']
+    );
+
+    assert.equal((await pedir({ items: [] })).status, 400);
+    assert.equal((await pedir({ items: [{ producto_id: tacos.id, cantidad: 1 }] }, 'cocina')).status, 403);
+  });
+
+  it('sigue el flujo de estados y responde 409 a los saltos', async () => {
+    const pedido = (await pedir({ items: [{ producto_id: tacos.id, cantidad: 1 }] })).body.data;
+    const url = `/api/pedidos/${pedido.id}/estado`;
+
+    let res = await api('patch', url, 'cocina').send({ estado: 'entregado' });
+    assert.equal(res.status, 409);
+    assert.equal(res.body.message, 'No se puede pasar de pendiente a entregado');
+    assert.deepEqual(res.body.permitidos, ['en_preparacion', 'cancelado']);
+
+    for (const estado of ['en_preparacion', 'listo', 'entregado']) {
+      res = await api('patch', url, 'cocina').send({ estado });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.estado, estado);
+    }
+
+    res = await api('post', `/api/pedidos/${pedido.id}/cancelar`).send({ motivo: 'Tarde' });
+    assert.equal(res.status, 409);
+    assert.deepEqual(res.body.permitidos, []);
+
+    res = await api('patch', url, 'cocina').send({ estado: 'servido' });
+    assert.equal(res.status, 400);
+    assert.equal((await api('patch', '/api/pedidos/999/estado').send({ estado: 'listo' })).status, 404);
+  });
+
+  it('cancela con motivo y no deja reabrir', async () => {
+    const pedido = (await pedir({ items: [{ producto_id: agua.id, cantidad: 3 }] })).body.data;
+
+    let res = await api('post', `/api/pedidos/${pedido.id}/cancelar`, 'mesero').send({
+      motivo: 'El cliente se fue',
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.message, 'Pedido cancelado');
+    assert.equal(res.body.data.estado, 'cancelado');
+    assert.equal(res.body.data.motivo_cancelacion, 'El cliente se fue');
+
+    res = await api('patch', `/api/pedidos/${pedido.id}/estado`).send({ estado: 'pendiente' });
+    assert.equal(res.status, 409);
+    assert.equal(res.body.message, 'No se puede pasar de cancelado a pendiente');
+  });
+
+  it('filtra por estado, mesa y fechas', async () => {
+    await pedir({ mesa: '9', items: [{ producto_id: tacos.id, cantidad: 1 }] });
+    await pedir({ mesa: '9', items: [{ producto_id: agua.id, cantidad: 1 }] });
+
+    let res = await api('get', '/api/pedidos?mesa=9', 'cocina');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.length, 2);
+    assert.ok(res.body.data.every((p) => p.mesa === '9'));
+
+    res = await api('get', '/api/pedidos?estado=cancelado');
+    assert.equal(res.body.data.length, 1);
+    assert.equal(res.body.data[0].estado, 'cancelado');
+
+    res = await api('get', '/api/pedidos?estado=pendiente&mesa=9&sort=id');
+    assert.equal(res.body.data.length, 2);
+    assert.ok(res.body.data[0].id < res.body.data[1].id);
+
+    const hoy = new Date().toISOString().slice(0, 10);
+    const manana = new Date(Date.now() + 86_400_000).toISOString().slice(0, 10);
+    const todos = (await api('get', '/api/pedidos')).body.meta.total;
+    assert.equal((await api('get', `/api/pedidos?hasta=${hoy}`)).body.meta.total, todos);
+    assert.equal((await api('get', `/api/pedidos?desde=${manana}`)).body.meta.total, 0);
+
+    assert.equal((await api('get', '/api/pedidos?estado=servido')).status, 400);
+    assert.equal((await api('get', '/api/pedidos?desde=ayer')).status, 400);
+  });
+});
@@ -0,0 +1,166 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { iniciar, terminar, api, crear } from './helpers.js';
+
+let limonada;
+let naranjada;
+let limon;
+let azucar;
+
+before(async () => {
+  await iniciar();
+  const bebidas = await crear('/api/categorias', { nombre: 'Bebidas' });
+  limonada = await crear('/api/productos', {
+    categoria_id: bebidas.id,
+    nombre: 'Limonada',
+    precio: 15,
+  });
+  naranjada = await crear('/api/productos', {
+    categoria_id: bebidas.id,
+    nombre: 'Naranjada',
+    precio: 15,
+  });
+  limon = await crear('/api/ingredientes', { nombre: 'Limón', costo_unitario: 0.5 });
+  azucar = await crear('/api/ingredientes', {
+    nombre: 'Azúcar',
+    unidad: 'g',
+    costo_unitario: 0.01,
+  });
+});
+after(terminar);
+
+describe('producto-ingrediente', () => {
+  it('crea una relación con los nombres de producto e ingrediente', async () => {
+    const relacion = await crear('/api/producto-ingrediente', {
+      producto_id: limonada.id,
+      ingrediente_id: limon.id,
+      cantidad_usada: 2,
+    });
+
+    assert.equal(relacion.producto, 'Limonada');
+    assert.equal(relacion.ingrediente, 'Limón');
+    assert.equal(Number(relacion.cantidad_usada), 2);
+
+    const res = await api('get', `/api/producto-ingrediente/${relacion.id}`);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.producto, 'Limonada');
+  });
+
+  it('lista filtrando por producto', async () => {
+    await crear('/api/producto-ingrediente', {
+      producto_id: limonada.id,
+      ingrediente_id: azucar.id,
+      cantidad_usada: 30,
+    });
+    await crear('/api/producto-ingrediente', {
+      producto_id: naranjada.id,
+      ingrediente_id: azucar.id,
+      cantidad_usada: 25,
+    });
+
+    const res = await api(
+      'get',
+      `/api/producto-ingrediente?producto_id=${limonada.id}&sort=ingrediente`
+    );
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      res.body.data.map((r) => [r.producto, r.ingrediente]),
+      [
+        ['Limonada', 'Azúcar'],
+        ['Limonada', 'Limón'],
+      ]
+    );
+  });
+
+  it('se refleja en el costo del producto', async () => {
+    const res = await api('get', `/api/productos/${limonada.id}/costo`);
+    assert.equal(res.status, 200);
+    // 2 limones a 0.50 + 30 g de azúcar a 0.01
+    assert.equal(res.body.data.costo, 1.3);
+    assert.deepEqual(
+      res.body.data.ingredientes.map((i) => i.ingrediente),
+      ['Azúcar', 'Limón']
+    );
+  });
+
+  it('actualiza y elimina', async () => {
+    const relacion = await crear('/api/producto-ingrediente', {
+      producto_id: naranjada.id,
+      ingrediente_id: limon.id,
+      cantidad_usada: 1,
+    });
+
+    let res = await api('put', `/api/producto-ingrediente/${relacion.id}`, 'cocina').send({
+      cantidad_usada: 1.5,
+    });
+    assert.equal(res.status, 200);
+    assert.equal(Number(res.body.data.cantidad_usada), 1.5);
+    assert.equal(res.body.data.producto, 'Naranjada');
+
+    res = await api('delete', `/api/producto-ingrediente/${relacion.id}`, 'cocina');
+    assert.equal(res.status, 200);
+    assert.equal((await api('get', `/api/producto-ingrediente/${relacion.id}`)).status, 404);
+  });
+
+  it('oculta las recetas de productos eliminados', async () => {
+    const categoria = await crear('/api/categorias', { nombre: 'Temporada' });
+    const ponche = await crear('/api/productos', {
+      categoria_id: categoria.id,
+      nombre: 'Ponche',
+      precio: 18,
+    });
+    const relacion = await crear('/api/producto-ingrediente', {
+      producto_id: ponche.id,
+      ingrediente_id: azucar.id,
+      cantidad_usada: 40,
+    });
+
+    await api('delete', `/api/productos/${ponche.id}`);
+
+    assert.equal((await api('get', `/api/producto-ingrediente/${relacion.id}`)).status, 404);
+    const res = await api('get', `/api/producto-ingrediente?producto_id=${ponche.id}`);
+    assert.deepEqual(res.body.data, []);
+  });
+
+  it('rechaza datos inválidos con 400', async () => {
+    let res = await api('post', '/api/producto-ingrediente').send({
+      producto_id: limonada.id,
+      ingrediente_id: limon.id,
+      cantidad_usada: 0,
+    });
+    assert.equal(res.status, 400);
+    assert.ok(res.body.errors.some((e) => e.path === 'cantidad_usada'));
+
+    res = await api('put', `/api/producto-ingrediente/1`).send({});
+    assert.equal(res.status, 400);
+  });
+
+  it('responde 404 para ids que no existen', async () => {
+    assert.equal((await api('get', '/api/producto-ingrediente/999')).status, 404);
+    assert.equal(
+      (await api('put', '/api/producto-ingrediente/999').send({ cantidad_usada: 1 })).status,
+      404
+    );
+    assert.equal((await api('delete', '/api/producto-ingrediente/999')).status, 404);
+  });
+
+  it('responde 409 con un ingrediente repetido en la receta', async () => {
+    const res = await api('post', '/api/producto-ingrediente').send({
+      producto_id: limonada.id,
+      ingrediente_id: limon.id,
+      cantidad_usada: 3,
+    });
+    assert.equal(res.status, 409);
+    assert.equal(res.body.field, 'ingrediente_id');
+  });
+
+  it('responde 422 si el ingrediente no existe', async () => {
+    const res = await api('post', '/api/producto-ingrediente').send({
+      producto_id: limonada.id,
+      ingrediente_id: 999,
+      cantidad_usada: 1,
+    });
+    assert.equal(res.status, 422);
+    assert.equal(res.body.code, 'REFERENCIA_INEXISTENTE');
+  });
+});
@@ -0,0 +1,295 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { iniciar, terminar, api, crear } from './helpers.js';
+
+let bebidas;
+let postres;
+
+before(async () => {
+  await iniciar();
+  bebidas = await crear('/api/categorias', { nombre: 'Bebidas' });
+  postres = await crear('/api/categorias', { nombre: 'Postres' });
+});
+after(terminar);
+
+describe('productos', () => {
+  it('crea un producto con el nombre de su categoría', async () => {
+    const producto = await crear('/api/productos', {
+      categoria_id: bebidas.id,
+      nombre: 'Limonada',
+      precio: 15.5,
+    });
+
+    assert.equal(producto.nombre, 'Limonada');
+    assert.equal(producto.categoria_id, bebidas.id);
+    assert.equal(producto.categoria, 'Bebidas');
+    assert.equal(Number(producto.precio), 15.5);
+    assert.equal(producto.disponible, true);
+
+    const res = await api('get', `/api/productos/${producto.id}`);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.categoria, 'Bebidas');
+  });
+
+  it('actualiza, elimina y restaura', async () => {
+    const producto = await crear('/api/productos', {
+      categoria_id: bebidas.id,
+      nombre: 'Horchata',
+      precio: 12,
+    });
+
+    let res = await api('put', `/api/productos/${producto.id}`).send({
+      categoria_id: postres.id,
+      precio: 14,
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.categoria, 'Postres');
+    assert.equal(Number(res.body.data.precio), 14);
+
+    res = await api('delete', `/api/productos/${producto.id}`);
+    assert.equal(res.status, 200);
+    assert.equal((await api('get', `/api/productos/${producto.id}`)).status, 404);
+
+    res = await api('get', '/api/productos?incluir_eliminados=true&nombre=horchata');
+    assert.equal(res.body.data.length, 1);
+    assert.notEqual(res.body.data[0].deleted_at, null);
+
+    res = await api('post', `/api/productos/${producto.id}/restaurar`);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.nombre, 'Horchata');
+  });
+
+  it('filtra por categoría y ordena por precio', async () => {
+    await crear('/api/productos', { categoria_id: postres.id, nombre: 'Flan', precio: 20 });
+    await crear('/api/productos', { categoria_id: postres.id, nombre: 'Pastel', precio: 25 });
+
+    const res = await api('get', `/api/productos?categoria_id=${postres.id}&sort=-precio`);
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      res.body.data.map((p) => p.nombre),
+      ['Pastel', 'Flan', 'Horchata']
+    );
+    assert.ok(res.body.data.every((p) => p.categoria === 'Postres'));
+  });
+
+  it('desempata por id para que las páginas no repitan filas', async () => {
+    const ids = [];
+    for (const nombre of ['Gelatina', 'Natilla', 'Crepa']) {
+      ids.push((await crear('/api/productos', { categoria_id: bebidas.id, nombre, precio: 17 })).id);
+    }
+
+    const paginas = [];
+    for (const page of [1, 2, 3]) {
+      const res = await api('get', `/api/productos?precio_min=17&precio_max=17&sort=precio&limit=1&page=${page}`);
+      paginas.push(res.body.data[0].id);
+    }
+    assert.deepEqual(paginas, ids);
+  });
+
+  it('rechaza datos inválidos con 400', async () => {
+    let res = await api('post', '/api/productos').send({ nombre: 'Sin precio', categoria_id: 1 });
+    assert.equal(res.status, 400);
+    assert.ok(res.body.errors.some((e) => e.path === 'precio'));
+
+    res = await api('post', '/api/productos').send({
+      categoria_id: 'uno',
+      nombre: 'Té',
+      precio: 10,
+    });
+    assert.equal(res.status, 400);
+
+    res = await api('get', '/api/productos?precio_min=barato');
+    assert.equal(res.status, 400);
+  });
+
+  it('responde 422 si la categoría no existe', async () => {
+    const res = await api('post', '/api/productos').send({
+      categoria_id: 999,
+      nombre: 'Huérfano',
+      precio: 10,
+    });
+    assert.equal(res.status, 422);
+  });
+
+  it('responde 404 para ids que no existen', async () => {
+    assert.equal((await api('get', '/api/productos/999')).status, 404);
+    assert.equal((await api('put', '/api/productos/999').send({ precio: 1 })).status, 404);
+    assert.equal((await api('delete', '/api/productos/999')).status, 404);
+  });
+
+  it('responde 409 con un nombre repetido', async () => {
+    const res = await api('post', '/api/productos').send({
+      categoria_id: bebidas.id,
+      nombre: 'LIMONADA',
+      precio: 10,
+    });
+    assert.equal(res.status, 409);
+    assert.equal(res.body.field, 'nombre');
+  });
+});
+
+describe('productos: ediciones concurrentes', () => {
+  it('rechaza con 412 un PUT con un ETag viejo y devuelve la versión actual', async () => {
+    const producto = await crear('/api/productos', {
+      categoria_id: bebidas.id,
+      nombre: 'Café',
+      precio: 10,
+    });
+
+    const leido = await api('get', `/api/productos/${producto.id}`);
+    const etag = leido.headers.etag;
+    assert.ok(etag);
+
+    let res = await api('put', `/api/productos/${producto.id}`)
+      .set('If-Match', etag)
+      .send({ precio: 12 });
+    assert.equal(res.status, 200);
+    assert.notEqual(res.headers.etag, etag);
+    const nuevo = res.headers.etag;
+
+    res = await api('put', `/api/productos/${producto.id}`, 'cocina')
+      .set('If-Match', etag)
+      .send({ disponible: false });
+    assert.equal(res.status, 412);
+    assert.equal(res.body.code, 'PRECONDICION_FALLIDA');
+    assert.equal(Number(res.body.data.precio), 12);
+    assert.equal(res.body.data.disponible, true);
+    assert.equal(res.headers.etag, nuevo);
+
+    assert.equal((await api('get', `/api/productos/${producto.id}`)).headers.etag, nuevo);
+  });
+
+  it('exige If-Match con REQUIRE_IF_MATCH=true', async (t) => {
+    process.env.REQUIRE_IF_MATCH = 'true';
+    t.after(() => delete process.env.REQUIRE_IF_MATCH);
+
+    const res = await api('put', `/api/productos/1`).send({ precio: 30 });
+    assert.equal(res.status, 428);
+    assert.equal(res.body.code, 'IF_MATCH_REQUERIDO');
+  });
+});
+
+describe('productos: caché HTTP', () => {
+  it('invalida el listado cuando cambia el stock de un ingrediente de la receta', async () => {
+    const producto = await crear('/api/productos', {
+      categoria_id: bebidas.id,
+      nombre: 'Agua de tamarindo',
+      precio: 10,
+      disponibilidad_auto: true,
+    });
+    const tamarindo = await crear('/api/ingredientes', { nombre: 'Tamarindo', stock: 20 });
+    await crear('/api/producto-ingrediente', {
+      producto_id: producto.id,
+      ingrediente_id: tamarindo.id,
+      cantidad_usada: 20,
+    });
+
+    const url = '/api/productos?nombre=tamarindo';
+    let res = await api('get', url);
+    assert.equal(res.body.data[0].disponible, true);
+    const { etag } = (await api('get', `/api/productos/${producto.id}`)).headers;
+
+    await crear(`/api/ingredientes/${tamarindo.id}/movimientos`, { tipo: 'merma', cantidad: 5 });
+
+    res = await api('get', url);
+    assert.equal(res.headers['x-cache'], 'MISS');
+    assert.equal(res.body.data[0].disponible, false);
+
+    res = await api('get', `/api/productos/${producto.id}`).set('If-None-Match', etag);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.disponible, false);
+  });
+});
+
+describe('productos: historial de precios', () => {
+  const esperar = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  it('guarda cada cambio de precio', async () => {
+    const producto = await crear('/api/productos', {
+      categoria_id: bebidas.id,
+      nombre: 'Té helado',
+      precio: 10,
+    });
+    await api('put', `/api/productos/${producto.id}`).send({ precio: 12 });
+    await api('put', `/api/productos/${producto.id}`).send({ precio: 12, nombre: 'Té frío' });
+
+    const res = await api('get', `/api/productos/${producto.id}/precios`);
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      res.body.data.map((p) => [Number(p.precio), p.estado, p.usuario]),
+      [
+        [12, 'vigente', 'admin'],
+        [10, 'anterior', 'admin'],
+      ]
+    );
+
+    assert.equal((await api('get', `/api/productos/${producto.id}/precios`, 'mesero')).status, 403);
+  });
+
+  it('aplica un precio programado cuando llega su fecha', async () => {
+    const producto = await crear('/api/productos', {
+      categoria_id: postres.id,
+      nombre: 'Pay de queso',
+      precio: 30,
+    });
+    const url = `/api/productos?nombre=${encodeURIComponent('Pay de queso')}`;
+    assert.equal((await api('get', url)).headers['x-cache'], 'MISS');
+
+    // El siguiente segundo entero, para no esperar de más
+    const vigenteDesde = new Date(Math.ceil((Date.now() + 500) / 1000) * 1000);
+    let res = await api('post', `/api/productos/${producto.id}/precios`).send({
+      precio: 35,
+      vigente_desde: vigenteDesde.toISOString(),
+    });
+    assert.equal(res.status, 201);
+    assert.equal(res.body.data.estado, 'programado');
+
+    res = await api('get', url);
+    assert.equal(Number(res.body.data[0].precio), 30);
+
+    await esperar(vigenteDesde.getTime() - Date.now() + 50);
+
+    res = await api('get', url);
+    assert.equal(res.headers['x-cache'], 'MISS');
+    assert.equal(Number(res.body.data[0].precio), 35);
+
+    res = await api('get', `/api/productos/${producto.id}/precios`);
+    assert.deepEqual(
+      res.body.data.map((p) => p.estado),
+      ['vigente', 'anterior']
+    );
+
+    const [vigente] = res.body.data;
+    res = await api('delete', `/api/productos/${producto.id}/precios/${vigente.id}`);
+    assert.equal(res.status, 409);
+  });
+
+  it('cancela un precio programado y rechaza fechas pasadas', async () => {
+    const producto = await crear('/api/productos', {
+      categoria_id: postres.id,
+      nombre: 'Arroz con leche',
+      precio: 20,
+    });
+
+    let res = await api('post', `/api/productos/${producto.id}/precios`).send({
+      precio: 22,
+      vigente_desde: '2020-01-01T00:00:00Z',
+    });
+    assert.equal(res.status, 400);
+
+    res = await api('post', `/api/productos/${producto.id}/precios`).send({
+      precio: 22,
+      vigente_desde: new Date(Date.now() + 86_400_000).toISOString(),
+    });
+    assert.equal(res.status, 201);
+
+    res = await api('delete', `/api/productos/${producto.id}/precios/${res.body.data.id}`);
+    assert.equal(res.status, 200);
+
+    res = await api('get', `/api/productos/${producto.id}/precios`);
+    assert.deepEqual(
+      res.body.data.map((p) => Number(p.precio)),
+      [20]
+    );
+  });
+});
@@ -0,0 +1,27 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { iniciar, terminar, api } from './helpers.js';
+
+before(iniciar);
+after(terminar);
+
+describe('usuarios', () => {
+  it('aplica en el acto los cambios de rol y la desactivación', async () => {
+    const lista = await api('get', '/api/usuarios');
+    const mesero = lista.body.data.find((u) => u.usuario === 'mesero');
+
+    let me = await api('get', '/api/auth/me', 'mesero');
+    assert.equal(me.status, 200);
+    assert.equal(me.body.data.rol, 'mesero');
+
+    await api('put', `/api/usuarios/${mesero.id}`).send({ rol: 'cocina' });
+    me = await api('get', '/api/auth/me', 'mesero');
+    assert.equal(me.body.data.rol, 'cocina');
+
+    await api('put', `/api/usuarios/${mesero.id}`).send({ activo: false });
+    me = await api('get', '/api/auth/me', 'mesero');
+    assert.equal(me.status, 401);
+    const pedido = await api('post', '/api/pedidos', 'mesero').send({ items: [] });
+    assert.equal(pedido.status, 401);
+  });
+});